@@ -0,0 +1,118 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+/**
+ * Loads the extension's AMD modules ("define(function (require, exports, module) {...})")
+ * under Node.js, so that the command-line checker runs the same code as the
+ * extension does inside Brackets.
+ *
+ * Only modules that do not use Brackets ("brackets.getModule") can be loaded
+ * this way; that is everything in "src/core" and "src/utils". Module ids are
+ * resolved against the extension root, the same way Brackets resolves them.
+ */
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    vm = require("vm");
+
+/**
+ * @constructor
+ *
+ * @param {string} root The extension root directory.
+ */
+function AMDLoader(root) {
+    this._root = root;
+    this._modules = Object.create(null);
+}
+
+/**
+ * Makes a module id resolve to the given exports instead of a file.
+ *
+ * @param {string} id      The module id.
+ * @param {*}      exports The module's exports.
+ */
+AMDLoader.prototype.define = function (id, exports) {
+    this._modules[id] = { id: id, exports: exports };
+};
+
+/**
+ * Gets the path of a file relative to the extension root.
+ *
+ * @param   {string} relativePath The relative path.
+ * @returns {string}
+ */
+AMDLoader.prototype.toUrl = function (relativePath) {
+    return path.join(this._root, relativePath);
+};
+
+/**
+ * Loads a module, running its factory the first time it is required.
+ *
+ * @param   {string} id The module id.
+ * @returns {*}      The module's exports.
+ */
+AMDLoader.prototype.require = function (id) {
+    var self = this,
+        fileName = path.join(this._root, id + ".js"),
+        module = this._modules[id],
+        factory = null,
+        result;
+
+    if (module) {
+        return module.exports;
+    }
+
+    function define(dependencies, moduleFactory) {
+        factory = (typeof dependencies === "function") ? dependencies : moduleFactory;
+    }
+
+    function localRequire(dependencyId) {
+        return self.require(dependencyId);
+    }
+
+    localRequire.toUrl = function (relativePath) {
+        return self.toUrl(relativePath);
+    };
+
+    vm.runInThisContext("(function (define) {" + fs.readFileSync(fileName, "utf8") + "\n})", { filename: fileName })(define);
+
+    if (typeof factory !== "function") {
+        throw new Error("\"" + id + "\" is not an AMD module");
+    }
+
+    // Registered before the factory runs, so that circular dependencies see
+    // the (partial) exports instead of loading the module twice.
+    module = this._modules[id] = { id: id, exports: {} };
+    result = factory(localRequire, module.exports, module);
+
+    if (typeof result !== "undefined") {
+        module.exports = result;
+    }
+
+    return module.exports;
+};
+
+exports.AMDLoader = AMDLoader;
\ No newline at end of file
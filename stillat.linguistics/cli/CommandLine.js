@@ -0,0 +1,533 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+/**
+ * The "linguistics-check" command: spell checks files from the command line
+ * (in pre-commit hooks and continuous integration, for example).
+ *
+ *     linguistics-check [options] <file|directory|glob>...
+ *
+ * Misspellings are printed one per line in the format compilers use, so that
+ * editors and CI systems pick them up:
+ *
+ *     docs/intro.md:12:5: error: "teh" is misspelled
+ *
+ * The process exits with 0 when there are no misspellings, 1 when there are,
+ * and 2 when the check could not run (an unknown locale or a missing file).
+ */
+"use strict";
+
+var fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    AMDLoader = require("./AMDLoader").AMDLoader,
+    Speller = require("./Speller").Speller;
+
+/**
+ * The exit codes: no misspellings, misspellings, and the check could not run.
+ *
+ * @const
+ * @type {number}
+ */
+var EXIT_SUCCESS = 0,
+    EXIT_MISSPELLINGS = 1,
+    EXIT_ERROR = 2;
+
+/**
+ * The default output format.
+ *
+ * @const
+ * @type {string}
+ */
+var FORMAT_COMPILER = "compiler";
+
+/**
+ * The number of suggestions printed for every misspelling.
+ *
+ * @const
+ * @type {number}
+ */
+var SUGGESTION_LIMIT = 5;
+
+/**
+ * Directories that are never searched for files.
+ *
+ * @const
+ * @type {Array}
+ */
+var SKIPPED_DIRECTORIES = [".git", ".hg", ".svn", "node_modules", "bower_components"];
+
+/**
+ * The name of the directory Brackets installs the dictionary extension in.
+ *
+ * @const
+ * @type {string}
+ */
+var DICTIONARY_EXTENSION_NAME = "stillat.linguistics-dictionary";
+
+/**
+ * The CodeMirror modes of files, keyed by file name extension, the way
+ * Brackets' LanguageManager assigns them. Files with other extensions are
+ * checked without a mode.
+ *
+ * @const
+ * @type {object}
+ */
+var MODES_BY_EXTENSION = {
+    md: "markdown",
+    markdown: "markdown",
+    mdown: "markdown",
+    mkd: "markdown",
+    mkdn: "markdown",
+    html: "htmlmixed",
+    htm: "htmlmixed",
+    shtml: "htmlmixed",
+    xhtml: "htmlmixed",
+    xml: "xml",
+    svg: "xml",
+    tex: "stex",
+    latex: "stex",
+    sty: "stex",
+    cls: "stex",
+    txt: "text",
+    js: "javascript",
+    css: "css",
+    php: "php",
+    py: "python",
+    rb: "ruby"
+};
+
+/**
+ * The mode files are checked in when their extension has none.
+ *
+ * @const
+ * @type {string}
+ */
+var DEFAULT_MODE_NAME = "Mode.all";
+
+var USAGE = [
+    "Usage: linguistics-check [options] <file|directory|glob>...",
+    "",
+    "Spell checks files with the Linguistics dictionaries. Globs are matched",
+    "against paths relative to the working directory; globs starting with \"!\"",
+    "exclude files.",
+    "",
+    "Options:",
+    "  -l, --locale <name>        The locale or profile to check with (default: en_US).",
+    "  -d, --dictionaries <dir>   The Linguistics dictionary extension directory",
+    "                             (default: the one installed in Brackets, if any).",
+    "  -m, --mode <name>          The CodeMirror mode the tokenizer and ignore files should assume",
+    "                             (default: the mode of the file name extension).",
+    "  -f, --format <format>      compiler (default), json, csv, checkstyle or sarif.",
+    "  -s, --suggestions          Include suggestions for misspelled words.",
+    "  -i, --ignore <words>       Comma separated words to ignore.",
+    "      --check-uppercase      Check words written entirely in uppercase.",
+    "      --check-code-comments  Check the comments in Markdown's fenced code blocks.",
+    "  -q, --quiet                Do not print the summary.",
+    "  -h, --help                 Show this help."
+].join("\n");
+
+/**
+ * Gets the directory Brackets installs the dictionary extension in.
+ *
+ * @private
+ *
+ * @returns {string}
+ */
+function _getInstalledDictionaryDirectory() {
+    var applicationSupport;
+
+    if (process.platform === "win32") {
+        applicationSupport = path.join(process.env.APPDATA || path.join(os.homedir(), "AppData", "Roaming"), "Brackets");
+    } else if (process.platform === "darwin") {
+        applicationSupport = path.join(os.homedir(), "Library", "Application Support", "Brackets");
+    } else {
+        applicationSupport = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"), "Brackets");
+    }
+
+    return path.join(applicationSupport, "extensions", "user", DICTIONARY_EXTENSION_NAME);
+}
+
+/**
+ * Gets the CodeMirror mode of a file from its name.
+ *
+ * @private
+ *
+ * @param   {string} fileName The file's name.
+ * @returns {string}
+ */
+function _getModeName(fileName) {
+    var extension = path.extname(fileName).substring(1).toLowerCase();
+
+    return MODES_BY_EXTENSION.hasOwnProperty(extension) ? MODES_BY_EXTENSION[extension] : DEFAULT_MODE_NAME;
+}
+
+/**
+ * Parses the command-line arguments.
+ *
+ * @private
+ *
+ * @param   {Array}  args The arguments, without "node" and the script.
+ * @returns {object} The options, with an `error` message when the arguments are invalid.
+ */
+function _parseArguments(args) {
+    var options = {
+            localeName: "en_US",
+            dictionaryDirectory: null,
+            modeName: null,
+            format: FORMAT_COMPILER,
+            suggestions: false,
+            ignore: [],
+            ignoreUppercase: true,
+            checkCodeComments: false,
+            quiet: false,
+            help: false,
+            patterns: [],
+            error: null
+        },
+        valueOptions = {
+            "-l": "localeName",
+            "--locale": "localeName",
+            "-d": "dictionaryDirectory",
+            "--dictionaries": "dictionaryDirectory",
+            "-m": "modeName",
+            "--mode": "modeName",
+            "-f": "format",
+            "--format": "format",
+            "-i": "ignore",
+            "--ignore": "ignore"
+        },
+        arg,
+        value,
+        i;
+
+    for (i = 0; i < args.length && options.error === null; i++) {
+        arg = args[i];
+        value = null;
+
+        // Both "--locale en_GB" and "--locale=en_GB" are accepted.
+        if (arg.indexOf("--") === 0 && arg.indexOf("=") > -1) {
+            value = arg.substring(arg.indexOf("=") + 1);
+            arg = arg.substring(0, arg.indexOf("="));
+        }
+
+        if (valueOptions.hasOwnProperty(arg)) {
+            if (value === null) {
+                value = args[++i];
+            }
+
+            if (typeof value === "undefined" || value.length === 0) {
+                options.error = "Missing value for " + arg;
+            } else if (valueOptions[arg] === "ignore") {
+                options.ignore = options.ignore.concat(value.split(","));
+            } else {
+                options[valueOptions[arg]] = value;
+            }
+        } else if (arg === "-s" || arg === "--suggestions") {
+            options.suggestions = true;
+        } else if (arg === "--check-uppercase") {
+            options.ignoreUppercase = false;
+        } else if (arg === "--check-code-comments") {
+            options.checkCodeComments = true;
+        } else if (arg === "-q" || arg === "--quiet") {
+            options.quiet = true;
+        } else if (arg === "-h" || arg === "--help") {
+            options.help = true;
+        } else if (arg.charAt(0) === "-" && arg.length > 1) {
+            options.error = "Unknown option " + arg;
+        } else {
+            options.patterns.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Converts a path to the "/" separated form the core modules use.
+ *
+ * @private
+ *
+ * @param   {string} fileName The path.
+ * @returns {string}
+ */
+function _toForwardSlashes(fileName) {
+    return fileName.split(path.sep).join("/");
+}
+
+/**
+ * Determines if a file looks like a binary file (it has a NUL character early on).
+ *
+ * @private
+ *
+ * @param   {string}  fileName The file name.
+ * @returns {boolean}
+ */
+function _isBinaryFile(fileName) {
+    var buffer = Buffer.alloc(8000),
+        descriptor = fs.openSync(fileName, "r"),
+        length;
+
+    try {
+        length = fs.readSync(descriptor, buffer, 0, buffer.length, 0);
+    } finally {
+        fs.closeSync(descriptor);
+    }
+
+    return buffer.subarray(0, length).indexOf(0) > -1;
+}
+
+/**
+ * Finds the files below a directory. Symbolic links are skipped, so that
+ * dangling links and links back up the tree do not stop the search.
+ *
+ * @private
+ *
+ * @param   {string} directory The directory.
+ * @param   {Array}  files     The list the files are added to.
+ */
+function _walk(directory, files) {
+    fs.readdirSync(directory).sort().forEach(function (name) {
+        var fileName = path.join(directory, name),
+            stats = fs.lstatSync(fileName);
+
+        if (stats.isDirectory()) {
+            if (SKIPPED_DIRECTORIES.indexOf(name) === -1) {
+                _walk(fileName, files);
+            }
+        } else if (stats.isFile()) {
+            files.push(fileName);
+        }
+    });
+}
+
+/**
+ * Expands the files, directories and globs given on the command line.
+ *
+ * @private
+ *
+ * @param   {Array}  patterns The arguments.
+ * @param   {string} cwd      The working directory.
+ * @param   {object} Glob     The Glob module.
+ * @returns {{files: Array, error: ?string}}
+ */
+function _expandPatterns(patterns, cwd, Glob) {
+    var files = [],
+        globs = [],
+        excludes = patterns.filter(function (pattern) {
+            return pattern.charAt(0) === "!";
+        }),
+        excludeFilter = Glob.compileFilter(excludes),
+        error = null,
+        candidates,
+        all = null;
+
+    patterns.forEach(function (pattern) {
+        var fileName = path.resolve(cwd, pattern),
+            stats;
+
+        if (pattern.charAt(0) === "!" || error !== null) {
+            return;
+        }
+
+        if (Glob.isGlob(pattern)) {
+            globs.push(_toForwardSlashes(path.normalize(pattern)));
+            return;
+        }
+
+        try {
+            stats = fs.statSync(fileName);
+        } catch (e) {
+            error = "No such file or directory: " + pattern;
+            return;
+        }
+
+        if (stats.isDirectory()) {
+            _walk(fileName, files);
+        } else {
+            files.push(fileName);
+        }
+    });
+
+    if (error === null && globs.length > 0) {
+        all = [];
+        _walk(cwd, all);
+
+        candidates = Glob.compileFilter(globs);
+
+        all.forEach(function (fileName) {
+            if (Glob.matchesFilter(candidates, _toForwardSlashes(path.relative(cwd, fileName)))) {
+                files.push(fileName);
+            }
+        });
+    }
+
+    files = files.filter(function (fileName, index) {
+        return files.indexOf(fileName) === index &&
+            Glob.matchesFilter(excludeFilter, _toForwardSlashes(path.relative(cwd, fileName))) &&
+            !_isBinaryFile(fileName);
+    });
+
+    return { files: files, error: error };
+}
+
+/**
+ * Formats the misspellings of a file the way compilers print their errors.
+ *
+ * @private
+ *
+ * @param   {string} displayName  The file name to print.
+ * @param   {Array}  misspellings The misspellings.
+ * @returns {Array}  The lines.
+ */
+function _formatCompilerErrors(displayName, misspellings) {
+    return misspellings.map(function (misspelling) {
+        var line = displayName + ":" + (misspelling.line + 1) + ":" + (misspelling.ch + 1) +
+            ": error: \"" + misspelling.word + "\" is misspelled";
+
+        if (misspelling.suggestions && misspelling.suggestions.length > 0) {
+            line += " (did you mean " + misspelling.suggestions.map(function (suggestion) {
+                return "\"" + suggestion + "\"";
+            }).join(", ") + "?)";
+        }
+
+        return line;
+    });
+}
+
+/**
+ * Runs the command.
+ *
+ * @param   {Array}                            args   The arguments, without "node" and the script.
+ * @param   {{stdout: Writable, stderr: Writable}} output The streams to write to.
+ * @param   {string}                           cwd    The working directory.
+ * @returns {number} The exit code.
+ */
+function run(args, output, cwd) {
+    var options = _parseArguments(args),
+        loader = new AMDLoader(path.join(__dirname, "..")),
+        ReportFormatter = loader.require("src/utils/ReportFormatter"),
+        dictionaryDirectory,
+        expanded,
+        speller,
+        missing,
+        report,
+        total = 0,
+        formatted;
+
+    if (options.help) {
+        output.stdout.write(USAGE + "\n");
+        return EXIT_SUCCESS;
+    }
+
+    if (options.error === null && options.patterns.length === 0) {
+        options.error = "No files given";
+    }
+
+    if (options.error === null && options.format !== FORMAT_COMPILER && ReportFormatter.getExtension(options.format) === undefined) {
+        options.error = "Unknown format " + options.format;
+    }
+
+    if (options.error !== null) {
+        output.stderr.write("linguistics-check: " + options.error + "\n\n" + USAGE + "\n");
+        return EXIT_ERROR;
+    }
+
+    dictionaryDirectory = options.dictionaryDirectory ? path.resolve(cwd, options.dictionaryDirectory) : _getInstalledDictionaryDirectory();
+
+    if (!fs.existsSync(dictionaryDirectory)) {
+        if (options.dictionaryDirectory) {
+            output.stderr.write("linguistics-check: No such dictionary directory: " + options.dictionaryDirectory + "\n");
+            return EXIT_ERROR;
+        }
+
+        dictionaryDirectory = null;
+    }
+
+    expanded = _expandPatterns(options.patterns, cwd, loader.require("src/core/Glob"));
+
+    if (expanded.error !== null) {
+        output.stderr.write("linguistics-check: " + expanded.error + "\n");
+        return EXIT_ERROR;
+    }
+
+    speller = new Speller({
+        localeName: options.localeName,
+        dictionaryDirectory: dictionaryDirectory && _toForwardSlashes(dictionaryDirectory),
+        projectRoot: cwd,
+        ignoreUppercase: options.ignoreUppercase,
+        globalIgnoreList: options.ignore,
+        checkCodeComments: options.checkCodeComments
+    });
+
+    missing = speller.getMissingDictionaries();
+
+    if (missing.length > 0) {
+        output.stderr.write("linguistics-check: No dictionary for " + missing.join(", ") + "\n");
+        return EXIT_ERROR;
+    }
+
+    report = {
+        locale: options.localeName,
+        root: _toForwardSlashes(cwd).replace(/\/?$/, "/"),
+        files: []
+    };
+
+    expanded.files.forEach(function (fileName) {
+        var misspellings = speller.findMisspellings(fs.readFileSync(fileName, "utf8"), options.modeName || _getModeName(fileName));
+
+        if (options.suggestions || options.format !== FORMAT_COMPILER) {
+            misspellings.forEach(function (misspelling) {
+                misspelling.suggestions = options.suggestions ? speller.suggest(misspelling.word, SUGGESTION_LIMIT) : [];
+            });
+        }
+
+        if (options.format === FORMAT_COMPILER && misspellings.length > 0) {
+            output.stdout.write(_formatCompilerErrors(path.relative(cwd, fileName) || fileName, misspellings).join("\n") + "\n");
+        }
+
+        report.files.push({ fullPath: _toForwardSlashes(fileName), misspellings: misspellings });
+        total += misspellings.length;
+    });
+
+    if (options.format !== FORMAT_COMPILER) {
+        formatted = ReportFormatter.format(report, options.format);
+        output.stdout.write(formatted.charAt(formatted.length - 1) === "\n" ? formatted : formatted + "\n");
+    }
+
+    if (!options.quiet) {
+        output.stderr.write(total + " misspelled " + (total === 1 ? "word" : "words") + " in " +
+            report.files.filter(function (file) {
+                return file.misspellings.length > 0;
+            }).length + " of " + report.files.length + " " + (report.files.length === 1 ? "file" : "files") + ".\n");
+    }
+
+    return total > 0 ? EXIT_MISSPELLINGS : EXIT_SUCCESS;
+}
+
+exports.EXIT_SUCCESS = EXIT_SUCCESS;
+exports.EXIT_MISSPELLINGS = EXIT_MISSPELLINGS;
+exports.EXIT_ERROR = EXIT_ERROR;
+exports.run = run;
\ No newline at end of file
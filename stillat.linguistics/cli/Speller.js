@@ -0,0 +1,372 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+/**
+ * The Speller is the command-line counterpart of the SpellChecker. It reads the
+ * Linguistics dictionary extension (the dictionaries, user profiles, ignore
+ * files and the personal word list) from disk, builds the dictionaries with
+ * Typo, and checks text with the extension's own core modules.
+ *
+ * A locale that is not in the dictionary extension is looked up in the
+ * dictionaries bundled with Linguistics ("data"), so "en_US" always works.
+ */
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    AMDLoader = require("./AMDLoader").AMDLoader,
+    WorkerScripts = require("./WorkerScripts");
+
+/**
+ * The extension root directory.
+ *
+ * @const
+ * @type {string}
+ */
+var ROOT = path.join(__dirname, "..");
+
+/**
+ * The project word list, relative to the project root.
+ *
+ * @const
+ * @type {string}
+ */
+var PROJECT_WORD_LIST_PATH = ".linguistics/words.txt";
+
+/**
+ * Reads a file that may not exist.
+ *
+ * @private
+ *
+ * @param   {string}  fileName The file name.
+ * @returns {?string} The contents, or null when the file does not exist.
+ */
+function _readFileIfExists(fileName) {
+    try {
+        return fs.readFileSync(fileName, "utf8");
+    } catch (e) {
+        if (e.code === "ENOENT" || e.code === "ENOTDIR") {
+            return null;
+        }
+
+        throw e;
+    }
+}
+
+/**
+ * Reads every JSON file in a directory.
+ *
+ * @private
+ *
+ * @param   {string} directory The directory.
+ * @returns {Array}  The contents of the files.
+ */
+function _readJSONFiles(directory) {
+    var fileNames;
+
+    try {
+        fileNames = fs.readdirSync(directory);
+    } catch (e) {
+        return [];
+    }
+
+    return fileNames.filter(function (fileName) {
+        return path.extname(fileName) === ".json" && fs.statSync(path.join(directory, fileName)).isFile();
+    }).map(function (fileName) {
+        return fs.readFileSync(path.join(directory, fileName), "utf8");
+    });
+}
+
+/**
+ * @constructor
+ *
+ * @param {{localeName: string,
+ *          dictionaryDirectory: ?string,
+ *          projectRoot: string,
+ *          ignoreUppercase: boolean,
+ *          globalIgnoreList: Array,
+ *          checkCodeComments: boolean}} options
+ *        The locale (or profile) to check with, the Linguistics dictionary extension
+ *        directory (null when there is none), the directory holding the project word
+ *        list, and the same options as the extension's preferences.
+ */
+function Speller(options) {
+    var self = this,
+        loader = new AMDLoader(ROOT),
+        Profiles,
+        WordLists,
+        IgnoreRules,
+        CodeTokenizer,
+        DictionaryLookup,
+        WordChecker,
+        userWords,
+        projectWords;
+
+    this._paths = loader.require("src/utils/Paths");
+
+    if (options.dictionaryDirectory) {
+        this._paths.setDictionaryDirectory(options.dictionaryDirectory);
+    }
+
+    this._dictionary = loader.require("src/utils/Dictionary");
+    this._tokenizers = loader.require("src/core/Tokenizers");
+    CodeTokenizer = loader.require("src/core/tokenizers/CodeTokenizer");
+
+    // Code only has its comments and strings checked, like the "auto" check scope does in the editor.
+    Object.keys(CodeTokenizer.MODE_COMMENT_STYLES).forEach(function (modeName) {
+        self._tokenizers.registerTokenizer(modeName, CodeTokenizer.createModeTokenizer(modeName));
+    });
+    this._hasDictionaryDirectory = Boolean(options.dictionaryDirectory);
+    this._localeName = options.localeName;
+    this._workerScripts = null;
+    this._dictionaries = Object.create(null);
+    this._results = Object.create(null);
+
+    Profiles = loader.require("src/core/Profiles");
+    WordLists = loader.require("src/core/WordLists");
+    IgnoreRules = loader.require("src/core/IgnoreRules");
+    DictionaryLookup = loader.require("src/core/DictionaryLookup").DictionaryLookup;
+    WordChecker = loader.require("src/core/WordChecker").WordChecker;
+
+    this._profiles = Object.create(null);
+    this._rules = new IgnoreRules.IgnoreRules();
+
+    if (this._hasDictionaryDirectory) {
+        _readJSONFiles(this._dictionary.getUserProfilesDirectory()).forEach(function (text) {
+            var profile = Profiles.parseProfile(text);
+
+            if (profile !== null) {
+                self._profiles[profile.profile] = profile;
+            }
+        });
+
+        _readJSONFiles(this._dictionary.getGenericUtilitiesDirectory()).forEach(function (text) {
+            var utility = IgnoreRules.parseUtility(text);
+
+            if (utility !== null) {
+                self._rules.addUtility(utility);
+            }
+        });
+    }
+
+    userWords = this._hasDictionaryDirectory ? _readFileIfExists(this._dictionary.getUserWordListFile()) : null;
+    projectWords = _readFileIfExists(path.join(options.projectRoot, PROJECT_WORD_LIST_PATH));
+
+    this._wordLists = [userWords, projectWords].filter(function (data) {
+        return data !== null;
+    }).map(WordLists.parseWordList);
+
+    this._hasWord = function (word) {
+        return self._wordLists.some(function (words) {
+            return WordLists.hasWord(words, word);
+        });
+    };
+
+    this._lookup = new DictionaryLookup({
+        hasWord: this._hasWord,
+        getProfileItems: function (name) {
+            return self._profiles[name] ? self._profiles[name].items : null;
+        },
+        hasDictionary: function (name) {
+            return self._getDictionary(name) !== null;
+        },
+        checkWithDictionary: function (name, word) {
+            return self._getDictionary(name).typo.check(word);
+        },
+        // Dictionaries are built as soon as `hasDictionary` asks for them, so
+        // this is only reached for dictionaries that do not exist (see
+        // `getMissingDictionaries`).
+        loadDictionary: function () {}
+    });
+
+    this._wordChecker = new WordChecker(function (word) {
+        return self._lookup.check(word, self._localeName);
+    });
+
+    this._wordChecker.setIgnoreUppercase(options.ignoreUppercase);
+    this._wordChecker.setGlobalIgnoreList(options.globalIgnoreList);
+    loader.require("src/core/tokenizers/MarkdownTokenizer").setCheckCodeComments(options.checkCodeComments);
+}
+
+/**
+ * Finds the affix and dictionary files of a dictionary.
+ *
+ * @private
+ *
+ * @param   {string} name The dictionary (locale) name.
+ * @returns {?{affixFile: string, dictionaryFile: string}} Null when the dictionary does not exist.
+ */
+Speller.prototype._findDictionaryFiles = function (name) {
+    var candidates = [{
+        affixFile: this._paths.getAffixFile(name),
+        dictionaryFile: this._paths.getDictionaryFile(name)
+    }];
+
+    if (this._hasDictionaryDirectory) {
+        candidates.unshift({
+            affixFile: this._dictionary.getAffixFile(name),
+            dictionaryFile: this._dictionary.getDictionaryFile(name)
+        });
+    }
+
+    return candidates.filter(function (files) {
+        return fs.existsSync(files.affixFile) && fs.existsSync(files.dictionaryFile);
+    })[0] || null;
+};
+
+/**
+ * Gets a dictionary, building it the first time it is needed.
+ *
+ * @private
+ *
+ * @param   {string}  name The dictionary (locale) name.
+ * @returns {?{typo: Typo, affixData: string, engine: ?SuggestionEngine}} Null when the dictionary does not exist.
+ */
+Speller.prototype._getDictionary = function (name) {
+    var files,
+        affixData;
+
+    if (typeof this._dictionaries[name] === "undefined") {
+        files = this._findDictionaryFiles(name);
+
+        if (files === null) {
+            this._dictionaries[name] = null;
+        } else {
+            if (this._workerScripts === null) {
+                this._workerScripts = WorkerScripts.loadWorkerScripts();
+            }
+
+            affixData = fs.readFileSync(files.affixFile, "utf8");
+
+            this._dictionaries[name] = {
+                typo: new this._workerScripts.Typo(name, affixData, fs.readFileSync(files.dictionaryFile, "utf8")),
+                affixData: affixData,
+                engine: null
+            };
+        }
+    }
+
+    return this._dictionaries[name];
+};
+
+/**
+ * Gets the names of the dictionaries the locale (or profile) uses.
+ *
+ * @returns {Array}
+ */
+Speller.prototype.getDictionaryNames = function () {
+    var profile = this._profiles[this._localeName];
+
+    if (profile) {
+        return profile.items.map(function (item) {
+            return item.name;
+        });
+    }
+
+    return [this._localeName];
+};
+
+/**
+ * Determines which of the locale's dictionaries do not exist.
+ *
+ * @returns {Array} The names of the missing dictionaries.
+ */
+Speller.prototype.getMissingDictionaries = function () {
+    var self = this;
+
+    return this.getDictionaryNames().filter(function (name) {
+        return self._getDictionary(name) === null;
+    });
+};
+
+/**
+ * Determines if a word is spelled correctly.
+ *
+ * @private
+ *
+ * @param   {string}  word The word to check.
+ * @returns {boolean}
+ */
+Speller.prototype._hasCorrectSpelling = function (word) {
+    if (typeof this._results[word] === "undefined") {
+        this._results[word] = this._wordChecker.hasCorrectSpelling(word);
+    }
+
+    return this._results[word];
+};
+
+/**
+ * Finds the misspelled words in a piece of text.
+ *
+ * There is no CodeMirror mode to tell prose from code outside of Brackets, so
+ * the tokenizer for the mode decides: every word of prose is checked, and only
+ * the comments and strings of code (see "CodeTokenizer.js"), like the "auto"
+ * check scope does.
+ *
+ * @param   {string} text     The text to check.
+ * @param   {string} modeName The CodeMirror mode name the tokenizer and the ignore files should consider the text to be in.
+ * @returns {Array}  A list of { line, ch, endCh, word } objects.
+ */
+Speller.prototype.findMisspellings = function (text, modeName) {
+    var self = this;
+
+    this._rules.setModeName(modeName);
+    this._rules.setDocumentContents(text);
+
+    return this._tokenizers.tokenize(text, modeName).filter(function (token) {
+        return !self._hasCorrectSpelling(token.word) && !self._hasWord(token.word) &&
+            !self._rules.shouldIgnore(token.word, token.beforeContext);
+    }).map(function (token) {
+        return {
+            line: token.line,
+            ch: token.ch,
+            endCh: token.endCh,
+            word: token.word
+        };
+    });
+};
+
+/**
+ * Gets suggestions for a misspelled word from the locale's first dictionary.
+ *
+ * @param   {string} word  The misspelled word.
+ * @param   {number} limit The maximum number of suggestions.
+ * @returns {Array}
+ */
+Speller.prototype.suggest = function (word, limit) {
+    var dictionary = this._getDictionary(this.getDictionaryNames()[0]);
+
+    if (dictionary === null) {
+        return [];
+    }
+
+    if (dictionary.engine === null) {
+        dictionary.engine = new this._workerScripts.SuggestionEngine(dictionary.typo, this._workerScripts.SuggestionEngine.parseAffix(dictionary.affixData));
+    }
+
+    return dictionary.engine.suggest(word, limit);
+};
+
+exports.Speller = Speller;
\ No newline at end of file
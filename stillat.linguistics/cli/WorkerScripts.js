@@ -0,0 +1,74 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+/**
+ * Loads the scripts the TypoWorker uses (typo.js and the suggestion engine)
+ * under Node.js, so that the command-line checker and the tests make
+ * suggestions with the same code as the worker does inside Brackets.
+ */
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    vm = require("vm");
+
+/**
+ * The extension root directory.
+ *
+ * @const
+ * @type {string}
+ */
+var ROOT = path.join(__dirname, "..");
+
+/**
+ * The scripts the TypoWorker imports, relative to the extension root.
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+var WORKER_SCRIPTS = [
+    "thirdparty/typo.js",
+    "src/spelling/SuggestionEngine.js"
+];
+
+/**
+ * Loads the scripts the TypoWorker uses into a fresh context.
+ *
+ * @returns {object} The context: { Typo::function, SuggestionEngine::function }
+ */
+function loadWorkerScripts() {
+    var context = vm.createContext({ console: console });
+
+    WORKER_SCRIPTS.forEach(function (file) {
+        // Top level "var" declarations end up on the context, but typo.js
+        // declares Typo with "var" in strict mode, so it is copied explicitly.
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8") + "\nthis.Typo = this.Typo || Typo;", context, { filename: file });
+    });
+
+    return context;
+}
+
+exports.loadWorkerScripts = loadWorkerScripts;
\ No newline at end of file
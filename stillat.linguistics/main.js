@@ -35,9 +35,20 @@ define(function (require, exports, module) {
         LanguageManager = brackets.getModule("language/LanguageManager"),
         Preferences = require("src/preferences/PreferencesManager"),
         EditorManager = require("src/editor/EditorManager"),
+        InspectionProvider = require("src/editor/InspectionProvider"),
+        QuickFixProvider = require("src/editor/QuickFixProvider"),
+        GrammarManager = require("src/grammar/GrammarManager"),
+        SuggestionRanker = require("src/spelling/SuggestionRanker"),
+        AutoCorrect = require("src/editor/AutoCorrect"),
+        KnownTyposDialog = require("src/ui/KnownTyposDialog"),
+        ProjectReportPanel = require("src/ui/ProjectReportPanel"),
+        ExportReportDialog = require("src/ui/ExportReportDialog"),
         StyleManager = require("src/ui/StyleManager"),
         LocaleStatusBar = require("src/ui/LocaleStatusBar");
     
+    // Loaded up front so that other extensions can get hold of it.
+    require("src/api/LinguisticsAPI");
+    
     /**
      * Helper function to call all the various methods required for
      * Linguistics to work correctly.
@@ -46,7 +57,16 @@ define(function (require, exports, module) {
         Preferences.updatePreferences();
         StyleManager.updateVisualizations(Preferences.spellingVisualizationColor, Preferences.grammarVisualizationColor);
         EditorManager.setSpellCheckEnabled(Preferences.spellCheckEnabled);
+        EditorManager.setGlobalIgnoreList(Preferences.globalIgnoreList);
+        EditorManager.setModeTokenizers(Preferences.tokenizers);
+        EditorManager.setCheckMarkdownCodeComments(Preferences.checkMarkdownCodeComments);
         EditorManager.updateInterface();
+        GrammarManager.setGrammarCheckEnabled(Preferences.grammarCheckEnabled);
+        GrammarManager.updateInterface();
+        SuggestionRanker.setKeyboardLayout(Preferences.keyboardLayout);
+        SuggestionRanker.setMaximumSuggestions(Preferences.maximumSuggestions);
+        AutoCorrect.setEnabled(Preferences.autoCorrectEnabled);
+        AutoCorrect.setKnownTyposEnabled(Preferences.autoCorrectKnownTypos);
     }
     
     // Get everything rolling.
@@ -0,0 +1,335 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, brackets */
+
+/**
+ * The LinguisticsAPI is the part of Linguistics that other extensions may use,
+ * for example to spell check a commit message or a Markdown preview. Words are
+ * checked exactly like they are in the editor: the word lists, ignore files and
+ * preferences of the user all apply.
+ * 
+ * Other extensions get hold of it through Brackets' extension loader once the
+ * application is ready, so that they keep working when Linguistics is not
+ * installed:
+ * 
+ *     var ExtensionLoader = brackets.getModule("utils/ExtensionLoader"),
+ *         context = ExtensionLoader.getRequireContextForExtension("stillat.linguistics"),
+ *         Linguistics = context ? context("src/api/LinguisticsAPI") : null;
+ *     
+ *     if (Linguistics && Linguistics.VERSION >= 1) {
+ *         Linguistics.checkText(text, { mode: "markdown" }).done(function (ranges) { ... });
+ *     }
+ * 
+ * `VERSION` is increased whenever something is added to the API, so that callers
+ * can feature-detect. Nothing documented here is changed or taken away.
+ * 
+ * This module dispatches a few events:
+ * 
+ * 
+ *    - dictionaryLoaded -- When a dictionary has loaded and words can be checked with it.
+ *          (e, localeName::string)
+ *    - wordAdded -- When a word has been added to one of the word lists.
+ *          (e, word::string, listName::string)
+ *    - localeChanged -- When the active locale (or profile) has changed.
+ *          (e, localeName::string)
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var CodeMirror = brackets.getModule("thirdparty/CodeMirror/lib/codemirror"),
+        EventDispatcher = brackets.getModule("utils/EventDispatcher"),
+        Async = brackets.getModule("utils/Async"),
+        DictionaryManager = require("src/spelling/DictionaryManager"),
+        ProfileManager = require("src/spelling/ProfileManager"),
+        WordListManager = require("src/spelling/WordListManager"),
+        SpellChecker = require("src/spelling/SpellChecker"),
+        EditorManager = require("src/editor/EditorManager");
+
+    /**
+     * The version of the API.
+     * 
+     * 1 - check, suggest, checkText, addWord, getActiveLocale and the
+     *     dictionaryLoaded, wordAdded and localeChanged events.
+     * 2 - registerTokenizer and unregisterTokenizer.
+     * 
+     * @const
+     * @type {number}
+     */
+    var VERSION = 2;
+
+    /**
+     * The number of times `check` will check a word while waiting for the worker.
+     * Profiles only consult their next dictionary once the previous one has
+     * rejected the word, so checking it once is not always enough.
+     * 
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_CHECKS = 5;
+
+    /**
+     * Gets a promise that is resolved once a dictionary (or every dictionary of a
+     * profile) can be checked with, loading it when needed.
+     * 
+     * @private
+     * 
+     * @param   {string}    localeName The locale (or profile) name.
+     * @returns {$.Promise} A promise rejected when there is no such dictionary.
+     */
+    function _whenDictionaryReady(localeName) {
+        var deferred = new $.Deferred(),
+            profileItems = ProfileManager.getProfileItems(localeName);
+
+        // A profile is usable as soon as each of its dictionaries has either
+        // loaded or failed to, just like it is in the editor.
+        if (profileItems !== null) {
+            Async.waitForAll(profileItems.map(function (item) {
+                return _whenDictionaryReady(item.name);
+            })).always(deferred.resolve);
+
+            return deferred.promise();
+        }
+
+        if (DictionaryManager.hasDictionary(localeName, true)) {
+            return deferred.resolve().promise();
+        }
+
+        function _stopListening() {
+            DictionaryManager.off("dictionaryLoaded", _handleLoaded);
+            DictionaryManager.off("dictionaryFailedToLoad", _handleFailed);
+        }
+
+        function _handleLoaded(e, loadedLocaleName) {
+            if (loadedLocaleName === localeName) {
+                _stopListening();
+                deferred.resolve();
+            }
+        }
+
+        function _handleFailed(e, failedLocaleName) {
+            if (failedLocaleName === localeName) {
+                _stopListening();
+                deferred.reject("The dictionary for " + localeName + " could not be loaded");
+            }
+        }
+
+        DictionaryManager.dictionaryExists(localeName, function (exists) {
+            if (!exists) {
+                deferred.reject("There is no dictionary for " + localeName);
+                return;
+            }
+
+            DictionaryManager.on("dictionaryLoaded", _handleLoaded);
+            DictionaryManager.on("dictionaryFailedToLoad", _handleFailed);
+            DictionaryManager.loadDictionary(localeName);
+        });
+
+        return deferred.promise();
+    }
+
+    /**
+     * Gets a promise that is resolved with the name of the locale to use once
+     * its dictionaries are ready.
+     * 
+     * @private
+     * 
+     * @param   {string}    localeName The locale (or profile) name. Optional.
+     * @returns {$.Promise}
+     */
+    function _whenLocaleReady(localeName) {
+        var deferred = new $.Deferred();
+
+        localeName = localeName || SpellChecker.getLocaleName();
+
+        if (!localeName) {
+            return deferred.reject("Linguistics has not been set up yet").promise();
+        }
+
+        _whenDictionaryReady(localeName).done(function () {
+            deferred.resolve(localeName);
+        }).fail(deferred.reject);
+
+        return deferred.promise();
+    }
+
+    /**
+     * Checks if a word is spelled correctly, the same way `checkText` checks the
+     * words of a text.
+     * 
+     * @param   {string}    word       The word to check.
+     * @param   {string}    localeName The locale (or profile) to check with. Defaults to the active one.
+     * @returns {$.Promise} A promise resolved with true when the word is spelled correctly,
+     *                      or rejected with a message when the locale cannot be used.
+     */
+    function check(word, localeName) {
+        var deferred = new $.Deferred(),
+            checks = 0;
+
+        _whenLocaleReady(localeName).done(function (readyLocaleName) {
+            function _check() {
+                var result = SpellChecker.isCorrectWord(word, readyLocaleName);
+
+                checks++;
+
+                if (!DictionaryManager.hasPendingChecks() || checks >= MAXIMUM_CHECKS) {
+                    deferred.resolve(result);
+                } else {
+                    DictionaryManager.whenChecksComplete().done(_check);
+                }
+            }
+
+            _check();
+        }).fail(deferred.reject);
+
+        return deferred.promise();
+    }
+
+    /**
+     * Gets the suggestions for a misspelled word, best first.
+     * 
+     * @param   {string}    word       The misspelled word.
+     * @param   {string}    localeName The locale to suggest words from. Defaults to the active one.
+     * @returns {$.Promise} A promise resolved with the list of suggestions, or rejected
+     *                      with a message when the locale cannot be used or the
+     *                      suggestions could not be made.
+     */
+    function suggest(word, localeName) {
+        var deferred = new $.Deferred();
+
+        _whenLocaleReady(localeName).done(function (readyLocaleName) {
+            SpellChecker.suggest(word, readyLocaleName).done(function (suggestions) {
+                deferred.resolve(suggestions || []);
+            }).fail(deferred.reject);
+        }).fail(deferred.reject);
+
+        return deferred.promise();
+    }
+
+    /**
+     * Finds the misspelled words in a piece of text.
+     * 
+     * The mode decides which parts of the text are checked, like the "auto" check
+     * scope does in the editor: every word of prose (and of text without a mode),
+     * and only the comments and strings of code.
+     * 
+     * @param   {string}    text               The text to check.
+     * @param   {{mode: (string|object), locale: string}} options
+     *                                         The CodeMirror mode (name or spec) of the text, and the
+     *                                         locale (or profile) to check with. Both are optional.
+     * @returns {$.Promise} A promise resolved with a list of { word, from: { line, ch }, to: { line, ch } }
+     *                      ranges, or rejected with a message when the locale cannot be used or
+     *                      the text cannot be checked.
+     */
+    function checkText(text, options) {
+        var deferred = new $.Deferred(),
+            baseMode = null,
+            checkScope;
+
+        options = options || {};
+
+        if (options.mode) {
+            baseMode = CodeMirror.getMode(CodeMirror.defaults, options.mode);
+        }
+
+        checkScope = SpellChecker.resolveCheckScope(SpellChecker.SCOPE_AUTO, baseMode ? baseMode.name : "null");
+
+        _whenLocaleReady(options.locale).done(function (readyLocaleName) {
+            SpellChecker.findMisspellingsAsync(text, baseMode, checkScope, undefined, readyLocaleName).done(function (misspellings) {
+                deferred.resolve(misspellings.map(function (misspelling) {
+                    return {
+                        word: misspelling.word,
+                        from: { line: misspelling.line, ch: misspelling.ch },
+                        to: { line: misspelling.line, ch: misspelling.endCh }
+                    };
+                }));
+            }).fail(deferred.reject);
+        }).fail(deferred.reject);
+
+        return deferred.promise();
+    }
+
+    /**
+     * Adds a word to the user's personal word list, so that it is never flagged again.
+     * 
+     * @param {string} word The word to add.
+     */
+    function addWord(word) {
+        WordListManager.addWord(word);
+    }
+
+    /**
+     * Gets the locale (or profile) words are currently checked with.
+     * 
+     * @returns {?string} Null until Linguistics has been set up.
+     */
+    function getActiveLocale() {
+        return SpellChecker.getLocaleName();
+    }
+
+    /**
+     * Registers a tokenizer that decides which words of a CodeMirror mode are checked,
+     * replacing the built-in one (see "Tokenizers.js" for what a tokenizer looks like).
+     * The tokenizer is used wherever every word of a document is checked.
+     * 
+     * @param {string|Array} modeNames The mode name(s).
+     * @param {object}       tokenizer The tokenizer.
+     */
+    function registerTokenizer(modeNames, tokenizer) {
+        EditorManager.registerTokenizer(modeNames, tokenizer);
+    }
+
+    /**
+     * Removes a tokenizer registered with `registerTokenizer`.
+     * 
+     * @param {string|Array} modeNames The mode name(s).
+     */
+    function unregisterTokenizer(modeNames) {
+        EditorManager.unregisterTokenizer(modeNames);
+    }
+
+    EventDispatcher.makeEventDispatcher(exports);
+
+    DictionaryManager.on("dictionaryLoaded", function (e, localeName) {
+        exports.trigger("dictionaryLoaded", localeName);
+    });
+
+    WordListManager.on("wordAdded", function (e, word, listName) {
+        exports.trigger("wordAdded", word, listName);
+    });
+
+    SpellChecker.on("localeChanged", function (e, localeName) {
+        exports.trigger("localeChanged", localeName);
+    });
+
+    exports.VERSION = VERSION;
+
+    exports.check = check;
+    exports.suggest = suggest;
+    exports.checkText = checkText;
+    exports.addWord = addWord;
+    exports.getActiveLocale = getActiveLocale;
+    exports.registerTokenizer = registerTokenizer;
+    exports.unregisterTokenizer = unregisterTokenizer;
+});
\ No newline at end of file
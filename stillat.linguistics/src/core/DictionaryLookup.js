@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * The DictionaryLookup decides what the dictionaries say about a word for a
+ * locale or a profile: the word lists come first, then every dictionary of
+ * the profile (any one of them knowing the word is enough), and otherwise the
+ * locale's own dictionary.
+ *
+ * Where the word lists and dictionaries come from is up to the caller. The
+ * DictionaryManager hands in its worker backed dictionaries, which may still
+ * be loading; the command-line checker hands in Typo instances it has built
+ * itself.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    /**
+     * @constructor
+     *
+     * @param {{hasWord: function(string): boolean,
+     *          getProfileItems: function(string): ?Array,
+     *          hasDictionary: function(string): boolean,
+     *          checkWithDictionary: function(string, string): boolean,
+     *          loadDictionary: function(string)}} sources
+     *        The word lists and dictionaries. `getProfileItems` returns null
+     *        for names that are not (loaded) profiles; `hasDictionary` only
+     *        returns true for dictionaries that are ready to be used.
+     */
+    function DictionaryLookup(sources) {
+        this._sources = sources;
+    }
+
+    /**
+     * Checks a word.
+     *
+     * @param   {string}       word       The word to check.
+     * @param   {string}       localeName The locale (or profile) name.
+     * @returns {boolean|null} Null when there is no dictionary to check the word with.
+     */
+    DictionaryLookup.prototype.check = function (word, localeName) {
+        var sources = this._sources,
+            profileItems,
+            dictionaryName,
+            i;
+
+        if (sources.hasWord(word)) {
+            return true;
+        }
+
+        profileItems = sources.getProfileItems(localeName);
+
+        if (profileItems !== null) {
+            for (i = 0; i < profileItems.length; i++) {
+                dictionaryName = profileItems[i].name;
+
+                if (sources.hasDictionary(dictionaryName)) {
+                    if (sources.checkWithDictionary(dictionaryName, word)) {
+                        return true;
+                    }
+                } else {
+                    // The word is checked again once the dictionary has loaded.
+                    sources.loadDictionary(dictionaryName);
+                }
+            }
+
+            // Assume that the word is spelled incorrectly.
+            return false;
+        }
+
+        if (sources.hasDictionary(localeName)) {
+            return sources.checkWithDictionary(localeName, word);
+        }
+
+        return null;
+    };
+
+    exports.DictionaryLookup = DictionaryLookup;
+});
\ No newline at end of file
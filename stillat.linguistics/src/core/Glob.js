@@ -0,0 +1,158 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Glob patterns for selecting files by their path relative to a root (the
+ * project, or the working directory of the command-line checker):
+ *
+ *     ["docs/**", "*.md", "!CHANGELOG.md"]
+ *
+ * A path matches a filter when it matches at least one pattern (or there are
+ * no patterns) and does not match any pattern starting with a "!". Patterns
+ * without a "/" are matched against the file name alone.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    /**
+     * Converts a glob pattern into a regular expression.
+     *
+     * Supports "*" (anything but a "/"), "**" (anything, including "/"),
+     * "?" (a single character other than "/") and "{a,b}" alternatives.
+     *
+     * @param   {string} pattern The glob pattern.
+     * @returns {RegExp}
+     */
+    function compile(pattern) {
+        var source = "",
+            inGroup = false,
+            character,
+            i;
+
+        for (i = 0; i < pattern.length; i++) {
+            character = pattern.charAt(i);
+
+            if (character === "*" && pattern.charAt(i + 1) === "*") {
+                // "**/" may also match no directories at all.
+                if (pattern.charAt(i + 2) === "/") {
+                    source += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    source += ".*";
+                    i++;
+                }
+            } else if (character === "*") {
+                source += "[^/]*";
+            } else if (character === "?") {
+                source += "[^/]";
+            } else if (character === "{") {
+                source += "(?:";
+                inGroup = true;
+            } else if (character === "}" && inGroup) {
+                source += ")";
+                inGroup = false;
+            } else if (character === "," && inGroup) {
+                source += "|";
+            } else {
+                source += character.replace(/[\-\[\]\/\(\)\+\.\\\^\$\|\{\}]/, "\\$&");
+            }
+        }
+
+        return new RegExp("^" + source + "$");
+    }
+
+    /**
+     * Determines if a string contains any glob syntax.
+     *
+     * @param   {string}  pattern The string.
+     * @returns {boolean}
+     */
+    function isGlob(pattern) {
+        return /[*?{]/.test(pattern);
+    }
+
+    /**
+     * Compiles a list of glob patterns into a filter.
+     *
+     * @param   {Array}  patterns The glob patterns.
+     * @returns {{include: Array, exclude: Array}}
+     */
+    function compileFilter(patterns) {
+        var filter = {
+            include: [],
+            exclude: []
+        };
+
+        patterns.forEach(function (pattern) {
+            var exclude = (pattern.charAt(0) === "!"),
+                glob = exclude ? pattern.substring(1) : pattern;
+
+            (exclude ? filter.exclude : filter.include).push({
+                pattern: compile(glob),
+                matchName: (glob.indexOf("/") === -1)
+            });
+        });
+
+        return filter;
+    }
+
+    /**
+     * Determines if a relative path matches one of the compiled patterns.
+     *
+     * @private
+     *
+     * @param   {Array}   patterns     The compiled patterns.
+     * @param   {string}  relativePath The relative path.
+     * @returns {boolean}
+     */
+    function _matchesAny(patterns, relativePath) {
+        var name = relativePath.substring(relativePath.lastIndexOf("/") + 1);
+
+        return patterns.some(function (compiled) {
+            return compiled.pattern.test(compiled.matchName ? name : relativePath);
+        });
+    }
+
+    /**
+     * Determines if a relative path is selected by a filter.
+     *
+     * @param   {{include: Array, exclude: Array}} filter       The compiled filter.
+     * @param   {string}                           relativePath The relative path, using "/" separators.
+     * @returns {boolean}
+     */
+    function matchesFilter(filter, relativePath) {
+        if (filter.include.length > 0 && !_matchesAny(filter.include, relativePath)) {
+            return false;
+        }
+
+        return !_matchesAny(filter.exclude, relativePath);
+    }
+
+    exports.compile = compile;
+    exports.isGlob = isGlob;
+    exports.compileFilter = compileFilter;
+    exports.matchesFilter = matchesFilter;
+});
\ No newline at end of file
@@ -0,0 +1,348 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * IgnoreRules decides which words the "generic-utilities" ignore files of the
+ * Linguistics dictionary extension ignore.
+ *
+ * An ignore file is a JSON object with an "ignore" list of words. Files without
+ * any conditions ignore their words everywhere. The others only ignore them in
+ * certain places:
+ *
+ *     - "ignoreAfter"
+ *           Where the word directly follows this string (the word separators before it).
+ *     - "ignoreMode"
+ *           In text of one of these CodeMirror modes ("Mode.all" matches any).
+ *     - "ignoreWhenDocumentContains"
+ *           Together with "ignoreMode", in documents containing one of these strings.
+ *
+ * Files with "mustBeManuallyLoaded" set are only used for "ignoreAfter". The
+ * mode and document conditions need a word separator before the word.
+ *
+ * This module does not depend on Brackets: the UtilityManager feeds it the files
+ * and the active document, and the command-line checker does the same from disk.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var StringUtils = require("src/utils/Strings");
+
+    /**
+     * The properties that make an ignore file conditional.
+     *
+     * @const
+     * @type {Array}
+     */
+    var CONDITION_PROPERTIES = [
+        "ignoreAfter",
+        "ignoreMode",
+        "ignoreWhenDocumentContains"
+    ];
+
+    /**
+     * Words that are ignored regardless of the ignore files.
+     *
+     * @const
+     * @type {Array}
+     */
+    var ALWAYS_IGNORED_WORDS = [
+        "alice"
+    ];
+
+    /**
+     * Parses the contents of an ignore file.
+     *
+     * @param   {string}  text The contents of the file.
+     * @returns {?object} The ignore file, or null when it is not valid.
+     */
+    function parseUtility(text) {
+        var data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+
+        if (data === null || typeof data !== "object" || !Array.isArray(data.ignore)) {
+            return null;
+        }
+
+        return data;
+    }
+
+    /**
+     * Determines if an ignore file has any conditions.
+     *
+     * @private
+     *
+     * @param   {object}  data The ignore file.
+     * @returns {boolean}
+     */
+    function _containsCondition(data) {
+        return CONDITION_PROPERTIES.some(function (conditionName) {
+            return typeof data[conditionName] !== "undefined" && data[conditionName].length > 0;
+        });
+    }
+
+    /**
+     * @constructor
+     */
+    function IgnoreRules() {
+        this._alwaysIgnore = ALWAYS_IGNORED_WORDS.slice();
+        this._ignoreOnlyWithCondition = [];
+        this._modeName = "Mode.all";
+
+        /**
+         * The number of times each "ignoreWhenDocumentContains" string appears in
+         * the current document, keyed by the string. A null value means there is
+         * no document.
+         *
+         * @type {?object}
+         */
+        this._documentContainsCounts = null;
+    }
+
+    /**
+     * Adds an ignore file.
+     *
+     * Conditional files that look at the document contents only take effect
+     * with the next call to `setDocumentContents`.
+     *
+     * @param {object} data The ignore file (see `parseUtility`).
+     */
+    IgnoreRules.prototype.addUtility = function (data) {
+        if (_containsCondition(data)) {
+            this._ignoreOnlyWithCondition.push(data);
+        } else {
+            this._alwaysIgnore = this._alwaysIgnore.concat(data.ignore);
+        }
+    };
+
+    /**
+     * Sets the name of the CodeMirror mode of the text being checked.
+     *
+     * @param {string} modeName The mode name.
+     */
+    IgnoreRules.prototype.setModeName = function (modeName) {
+        this._modeName = modeName;
+    };
+
+    /**
+     * Gets every "ignoreWhenDocumentContains" string from the ignore files.
+     *
+     * @private
+     *
+     * @returns {Array}
+     */
+    IgnoreRules.prototype._getDocumentContainsStrings = function () {
+        var strings = [];
+
+        this._ignoreOnlyWithCondition.forEach(function (ignoreList) {
+            if (ignoreList.hasOwnProperty("ignoreWhenDocumentContains")) {
+                ignoreList.ignoreWhenDocumentContains.forEach(function (string) {
+                    if (string.length > 0 && strings.indexOf(string) === -1) {
+                        strings.push(string);
+                    }
+                });
+            }
+        });
+
+        return strings;
+    };
+
+    /**
+     * Sets the contents of the current document, counting the
+     * "ignoreWhenDocumentContains" strings in it.
+     *
+     * @param {?string} contents The document contents, or null when there is no document.
+     */
+    IgnoreRules.prototype.setDocumentContents = function (contents) {
+        var counts;
+
+        if (contents === null) {
+            this._documentContainsCounts = null;
+            return;
+        }
+
+        counts = Object.create(null);
+
+        this._getDocumentContainsStrings().forEach(function (string) {
+            counts[string] = StringUtils.occurrences(contents, string, false);
+        });
+
+        this._documentContainsCounts = counts;
+    };
+
+    /**
+     * Indicates whether there is a current document.
+     *
+     * @returns {boolean}
+     */
+    IgnoreRules.prototype.hasDocumentContents = function () {
+        return this._documentContainsCounts !== null;
+    };
+
+    /**
+     * Updates the "ignoreWhenDocumentContains" counts after part of the
+     * document has been replaced, without counting the whole document again.
+     *
+     * @param {string} oldText The text that was replaced.
+     * @param {string} newText The text that replaced it.
+     */
+    IgnoreRules.prototype.updateDocumentContents = function (oldText, newText) {
+        var string;
+
+        if (this._documentContainsCounts === null) {
+            return;
+        }
+
+        for (string in this._documentContainsCounts) {
+            this._documentContainsCounts[string] += StringUtils.occurrences(newText, string, false) -
+                StringUtils.occurrences(oldText, string, false);
+        }
+    };
+
+    /**
+     * Determines if an ignore file applies to the current mode.
+     *
+     * @private
+     *
+     * @param   {object}  ignoreList The ignore file.
+     * @returns {boolean}
+     */
+    IgnoreRules.prototype._isValidMode = function (ignoreList) {
+        return ignoreList.ignoreMode.indexOf("Mode.all") > -1 ||
+            ignoreList.ignoreMode.indexOf(this._modeName) > -1;
+    };
+
+    /**
+     * Determines if an ignore file ignores a word because of the word
+     * separators before it.
+     *
+     * @private
+     *
+     * @param   {object}  ignoreList    The ignore file.
+     * @param   {string}  beforeContext The word separators before the word.
+     * @param   {string}  word          The word.
+     * @returns {?boolean} True when the word is ignored, otherwise null.
+     */
+    IgnoreRules.prototype._checkIgnoreAfter = function (ignoreList, beforeContext, word) {
+        if (ignoreList.hasOwnProperty("ignoreAfter") && ignoreList.ignoreAfter.length > 0) {
+            if (ignoreList.ignoreAfter === beforeContext && ignoreList.ignore.indexOf(word) > -1) {
+                return true;
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Determines if an ignore file ignores a word because the document
+     * contains one of its strings.
+     *
+     * @private
+     *
+     * @param   {object}  ignoreList The ignore file.
+     * @param   {string}  word       The word.
+     * @returns {?boolean} True when the word is ignored, otherwise null.
+     */
+    IgnoreRules.prototype._checkDocumentContents = function (ignoreList, word) {
+        var counts = this._documentContainsCounts,
+            i;
+
+        if (ignoreList.hasOwnProperty("ignoreWhenDocumentContains") && ignoreList.ignoreWhenDocumentContains.length > 0 && counts !== null) {
+            for (i = 0; i < ignoreList.ignoreWhenDocumentContains.length; i++) {
+                if (counts[ignoreList.ignoreWhenDocumentContains[i]] > 0 && ignoreList.ignore.indexOf(word) > -1) {
+                    return true;
+                }
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Determines if a word is ignored by a conditional ignore file.
+     *
+     * @private
+     *
+     * @param   {string}  word          The word.
+     * @param   {string}  beforeContext The word separators before the word.
+     * @returns {boolean}
+     */
+    IgnoreRules.prototype._isIgnoredWithContext = function (word, beforeContext) {
+        var ignoreList,
+            i;
+
+        for (i = 0; i < this._ignoreOnlyWithCondition.length; i++) {
+            ignoreList = this._ignoreOnlyWithCondition[i];
+
+            // Check first to see if the current word should be ignored based
+            // on the current context and the items in the ignore list.
+            if (this._checkIgnoreAfter(ignoreList, beforeContext, word) !== null) {
+                return true;
+            }
+
+            if (ignoreList.hasOwnProperty("ignoreMode") && ignoreList.ignoreMode.length > 0 &&
+                    this._isValidMode(ignoreList) && ignoreList.mustBeManuallyLoaded !== true) {
+                if (this._checkDocumentContents(ignoreList, word) !== null) {
+                    return true;
+                }
+
+                // This handles cases where words should just be ignored
+                // only based on the current mode.
+                if (ignoreList.ignore.indexOf(word) > -1) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    };
+
+    /**
+     * Determines if a word should be ignored.
+     *
+     * @param   {string}  word          The word to check.
+     * @param   {string}  beforeContext The word separators that came before the word.
+     * @returns {boolean}
+     */
+    IgnoreRules.prototype.shouldIgnore = function (word, beforeContext) {
+        if (this._alwaysIgnore.indexOf(word) > -1) {
+            return true;
+        }
+
+        if (beforeContext === null || beforeContext.length === 0) {
+            return false;
+        }
+
+        return this._isIgnoredWithContext(word, beforeContext);
+    };
+
+    exports.parseUtility = parseUtility;
+    exports.IgnoreRules = IgnoreRules;
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Parses the dictionary profiles from the "user-profiles" directory of the
+ * Linguistics dictionary extension (see the ProfileManager for what a profile
+ * is). This module does not depend on Brackets, so the command-line checker
+ * reads profiles exactly the way the extension does.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    /**
+     * The item type used when a profile item does not have one.
+     *
+     * @const
+     * @type {string}
+     */
+    var DEFAULT_ITEM_TYPE = "dictionary";
+
+    /**
+     * Parses the contents of a profile file.
+     *
+     * Profiles without any items are ignored. Items without a type are
+     * dictionaries.
+     *
+     * @param   {string}  text The contents of the file.
+     * @returns {?object} The profile, or null when the file is not a usable profile.
+     */
+    function parseProfile(text) {
+        var profile;
+
+        try {
+            profile = JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+
+        if (profile === null || typeof profile !== "object" || typeof profile.profile !== "string" ||
+                !Array.isArray(profile.items) || profile.items.length === 0) {
+            return null;
+        }
+
+        profile.isProfile = true;
+
+        // Kind of a bridge to make the API between profiles and
+        // dictionaries a little easier to work with.
+        profile.locale = profile.profile;
+
+        profile.items.forEach(function (item) {
+            if (typeof item.type === "undefined") {
+                item.type = DEFAULT_ITEM_TYPE;
+            }
+        });
+
+        return profile;
+    }
+
+    exports.DEFAULT_ITEM_TYPE = DEFAULT_ITEM_TYPE;
+    exports.parseProfile = parseProfile;
+});
\ No newline at end of file
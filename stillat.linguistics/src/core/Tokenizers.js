@@ -0,0 +1,335 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * The Tokenizers decide how the text of each CodeMirror mode is split into the
+ * words that are checked, and which context the ignore files get to see for
+ * each of them (see `UtilityManager.shouldIgnore`).
+ *
+ * A tokenizer is an object with a `tokenizeLine` function and, when it needs to
+ * remember something from one line to the next, the `startState` and
+ * `copyState` functions CodeMirror modes have:
+ *
+ *     {
+ *         startState: function () {
+ *             return { inComment: false };
+ *         },
+ *         tokenizeLine: function (line, state) {
+ *             return [{ word: "Hello", ch: 0, endCh: 5, beforeContext: "" }];
+ *         }
+ *     }
+ *
+ * `tokenizeLine` is called for every line of a document in order, blank lines
+ * included, with the state the previous line has left behind. It returns the
+ * words of the line that should be checked, in order, along with the text
+ * directly before each of them that the ignore files' "ignoreAfter" condition
+ * is compared against. Whatever is not returned is not checked.
+ *
+ * Tokenizers are looked up by the name of the CodeMirror mode. The built-in
+ * tokenizer the user has picked for a mode (see `setModeTokenizers`) comes
+ * first, then the tokenizer an extension has registered and then the built-in
+ * one. Modes without a tokenizer are split on the word separators, like
+ * before tokenizers existed (see "WordTokenizer.js").
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var WordTokenizer = require("src/core/WordTokenizer"),
+        PlainTextTokenizer = require("src/core/tokenizers/PlainTextTokenizer"),
+        MarkdownTokenizer = require("src/core/tokenizers/MarkdownTokenizer"),
+        HtmlTokenizer = require("src/core/tokenizers/HtmlTokenizer"),
+        LatexTokenizer = require("src/core/tokenizers/LatexTokenizer");
+
+    /**
+     * The name of the tokenizer used for modes without a tokenizer.
+     *
+     * @const
+     * @type {string}
+     */
+    var DEFAULT_TOKENIZER = "separators";
+
+    /**
+     * The built-in tokenizers, keyed by name.
+     *
+     * @type {object}
+     */
+    var _builtInTokenizers = {
+        "separators": {
+            tokenizeLine: function (line) {
+                return WordTokenizer.tokenizeLine(line);
+            }
+        },
+        "text": PlainTextTokenizer,
+        "markdown": MarkdownTokenizer,
+        "html": HtmlTokenizer,
+        "latex": LatexTokenizer
+    };
+
+    /**
+     * The names of the built-in tokenizers used for CodeMirror modes, keyed by mode name.
+     *
+     * @type {object}
+     */
+    var _builtInModes = {
+        "null": "text",
+        "text": "text",
+        "markdown": "markdown",
+        "gfm": "markdown",
+        "aliceMarkdown": "markdown",
+        "deskMarkdown": "markdown",
+        "htmlmixed": "html",
+        "xml": "html",
+        "stex": "latex"
+    };
+
+    /**
+     * The tokenizers extensions have registered, keyed by mode name.
+     *
+     * @type {object}
+     */
+    var _registeredTokenizers = Object.create(null);
+
+    /**
+     * The built-in tokenizers the user has picked, keyed by mode name.
+     *
+     * @type {object}
+     */
+    var _modeTokenizers = Object.create(null);
+
+    /**
+     * Gets a built-in tokenizer.
+     *
+     * @param   {string}  name The tokenizer's name: "separators", "text", "markdown", "html" or "latex".
+     * @returns {?object} Null when there is no such tokenizer.
+     */
+    function getBuiltInTokenizer(name) {
+        return _builtInTokenizers.hasOwnProperty(name) ? _builtInTokenizers[name] : null;
+    }
+
+    /**
+     * Registers a tokenizer for one or more CodeMirror modes, replacing the
+     * built-in tokenizer and any tokenizer registered before.
+     *
+     * @param {string|Array} modeNames The mode name(s).
+     * @param {object}       tokenizer The tokenizer.
+     */
+    function registerTokenizer(modeNames, tokenizer) {
+        if (!tokenizer || typeof tokenizer.tokenizeLine !== "function") {
+            console.error("Linguistics: A tokenizer needs a tokenizeLine function", modeNames);
+            return;
+        }
+
+        [].concat(modeNames).forEach(function (modeName) {
+            _registeredTokenizers[modeName] = tokenizer;
+        });
+    }
+
+    /**
+     * Removes the tokenizer registered for one or more CodeMirror modes.
+     *
+     * @param {string|Array} modeNames The mode name(s).
+     */
+    function unregisterTokenizer(modeNames) {
+        [].concat(modeNames).forEach(function (modeName) {
+            delete _registeredTokenizers[modeName];
+        });
+    }
+
+    /**
+     * Sets the built-in tokenizers the user has picked for CodeMirror modes.
+     *
+     * @param   {object}  modeTokenizers The names of the built-in tokenizers, keyed by mode name.
+     * @returns {boolean} True when this changed the tokenizer of any mode.
+     */
+    function setModeTokenizers(modeTokenizers) {
+        var previous = JSON.stringify(_modeTokenizers),
+            modeName;
+
+        _modeTokenizers = Object.create(null);
+
+        for (modeName in modeTokenizers) {
+            if (modeTokenizers.hasOwnProperty(modeName)) {
+                if (getBuiltInTokenizer(modeTokenizers[modeName]) === null) {
+                    console.error("Linguistics: There is no \"" + modeTokenizers[modeName] + "\" tokenizer for the " + modeName + " mode");
+                } else {
+                    _modeTokenizers[modeName] = modeTokenizers[modeName];
+                }
+            }
+        }
+
+        return (JSON.stringify(_modeTokenizers) !== previous);
+    }
+
+    /**
+     * Gets the tokenizer for a CodeMirror mode.
+     *
+     * @param   {?string} modeName The mode name.
+     * @returns {object}
+     */
+    function getTokenizer(modeName) {
+        modeName = String(modeName);
+
+        if (_modeTokenizers[modeName]) {
+            return _builtInTokenizers[_modeTokenizers[modeName]];
+        }
+
+        if (_registeredTokenizers[modeName]) {
+            return _registeredTokenizers[modeName];
+        }
+
+        if (_builtInModes.hasOwnProperty(modeName)) {
+            return _builtInTokenizers[_builtInModes[modeName]];
+        }
+
+        return _builtInTokenizers[DEFAULT_TOKENIZER];
+    }
+
+    /**
+     * Gets a tokenizer's state at the start of a document.
+     *
+     * @param   {object} tokenizer The tokenizer.
+     * @returns {*}      Null for tokenizers without a state.
+     */
+    function startState(tokenizer) {
+        return tokenizer.startState ? tokenizer.startState() : null;
+    }
+
+    /**
+     * Copies a tokenizer's state. States are copied one level deep when
+     * the tokenizer does not know how to copy them itself.
+     *
+     * @param   {object} tokenizer The tokenizer.
+     * @param   {*}      state     The state.
+     * @returns {*}
+     */
+    function copyState(tokenizer, state) {
+        var copy,
+            key;
+
+        if (tokenizer.copyState) {
+            return tokenizer.copyState(state);
+        }
+
+        if (state === null || typeof state !== "object") {
+            return state;
+        }
+
+        copy = {};
+
+        for (key in state) {
+            if (state.hasOwnProperty(key)) {
+                copy[key] = Array.isArray(state[key]) ? state[key].slice() : state[key];
+            }
+        }
+
+        return copy;
+    }
+
+    /**
+     * Splits text into words.
+     *
+     * @param   {string}  text     The text.
+     * @param   {?string} modeName The CodeMirror mode name of the text.
+     * @returns {Array}   A list of { line, word, ch, endCh, beforeContext } objects.
+     */
+    function tokenize(text, modeName) {
+        var tokenizer = getTokenizer(modeName),
+            state = startState(tokenizer),
+            words = [];
+
+        text.split(/\r\n|\r|\n/).forEach(function (line, lineNumber) {
+            tokenizer.tokenizeLine(line, state).forEach(function (word) {
+                words.push({
+                    line: lineNumber,
+                    word: word.word,
+                    ch: word.ch,
+                    endCh: word.endCh,
+                    beforeContext: word.beforeContext || ""
+                });
+            });
+        });
+
+        return words;
+    }
+
+    /**
+     * Remembers the state of a tokenizer at the start of every line of a document,
+     * so that a single line can be tokenized without going over the lines before
+     * it again.
+     *
+     * @constructor
+     *
+     * @param {object} tokenizer The tokenizer.
+     */
+    function LineStates(tokenizer) {
+        this._tokenizer = tokenizer;
+        this._states = [startState(tokenizer)];
+    }
+
+    /**
+     * Gets the state at the start of a line.
+     *
+     * @param   {function(number): string} getLine Gets the text of a line.
+     * @param   {number}                   line    The line number.
+     * @returns {*}      A copy of the state, for the caller to advance past the line.
+     */
+    LineStates.prototype.getState = function (getLine, line) {
+        var state;
+
+        if (this._states[0] === null) {
+            return null;
+        }
+
+        while (this._states.length <= line) {
+            state = copyState(this._tokenizer, this._states[this._states.length - 1]);
+            this._tokenizer.tokenizeLine(getLine(this._states.length - 1), state);
+            this._states.push(state);
+        }
+
+        return copyState(this._tokenizer, this._states[line]);
+    };
+
+    /**
+     * Forgets the states that depend on a line that has changed.
+     *
+     * @param {number} line The first line that has changed.
+     */
+    LineStates.prototype.invalidate = function (line) {
+        this._states.length = Math.max(1, Math.min(this._states.length, line + 1));
+    };
+
+    exports.DEFAULT_TOKENIZER = DEFAULT_TOKENIZER;
+
+    exports.getBuiltInTokenizer = getBuiltInTokenizer;
+    exports.registerTokenizer = registerTokenizer;
+    exports.unregisterTokenizer = unregisterTokenizer;
+    exports.setModeTokenizers = setModeTokenizers;
+    exports.getTokenizer = getTokenizer;
+    exports.startState = startState;
+    exports.copyState = copyState;
+    exports.tokenize = tokenize;
+    exports.LineStates = LineStates;
+});
\ No newline at end of file
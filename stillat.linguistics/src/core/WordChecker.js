@@ -0,0 +1,267 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * The WordChecker decides whether a single word is spelled correctly.
+ *
+ * It holds the rules that sit in front of the dictionaries: common programming
+ * terms, the global ignore list, numbers, uppercase words, quoted words and
+ * camelCased words. The dictionaries themselves are reached through the
+ * `check` function the WordChecker is created with, which makes this module
+ * independent of Brackets; the SpellChecker passes `DictionaryManager.check`,
+ * while the command-line checker passes a function that asks Typo directly.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var StringUtils = require("src/utils/Strings");
+
+    /**
+     * A list of very common programming keywords. It is safe to assume that a lot
+     * of Linguistics users are also programmers; they shouldn't have to add
+     * these common terms to their dictionaries.
+     *
+     * @const
+     * @type {Array}
+     */
+    var COMMON_PROGRAMMING_KEYWORDS = [
+        "foreach", "json", "aff", "dic", "url", "src"
+    ];
+
+    /**
+     * Simply a way to internally toggle experimental features.
+     *
+     * @const
+     * @type {object}
+     */
+    var EXPERIMENTAL_FEATURES = {
+        attemptIntelligentQuoteDetection: true,
+        automaticallyDetectCamelCaseWords: true
+    };
+
+    /**
+     * @constructor
+     *
+     * @param {function(string): boolean} check Checks a word against the dictionaries.
+     */
+    function WordChecker(check) {
+        this._check = check;
+        this._ignoreUppercase = true;
+        this._globalIgnoreList = Object.create(null);
+    }
+
+    /**
+     * Sets whether uppercase words (which are assumed to be acronyms) are ignored.
+     *
+     * @param {boolean} shouldIgnore Whether or not to ignore uppercase words.
+     */
+    WordChecker.prototype.setIgnoreUppercase = function (shouldIgnore) {
+        this._ignoreUppercase = shouldIgnore;
+    };
+
+    /**
+     * Sets the list of words that are always considered correct.
+     *
+     * @param {Array} words The words to ignore.
+     */
+    WordChecker.prototype.setGlobalIgnoreList = function (words) {
+        var globalIgnoreList = Object.create(null);
+
+        words.forEach(function (word) {
+            globalIgnoreList[word] = true;
+        });
+
+        this._globalIgnoreList = globalIgnoreList;
+    };
+
+    /**
+     * Determines if a word is in the global ignore list.
+     *
+     * @private
+     *
+     * @param   {string}  word The word to check.
+     * @returns {boolean}
+     */
+    WordChecker.prototype._isGloballyIgnored = function (word) {
+        return (this._globalIgnoreList[word] === true || this._globalIgnoreList[word.toLowerCase()] === true);
+    };
+
+    /**
+     * Checks the spelling of camel-cased words.
+     *
+     * A return value of "false" means that the word is spelled incorrectly and
+     * that no further processing is required. A return value of "true" means
+     * that the word may be spelled correctly, but further processing might be
+     * required.
+     *
+     * @private
+     *
+     * @param   {string}  word The word to check.
+     * @returns {boolean}
+     */
+    WordChecker.prototype._checkCamelCaseWord = function (word) {
+        var wordParts = StringUtils.splitByUpperCase(word),
+            i;
+
+        for (i = 0; i < wordParts.length; i++) {
+            // Return as soon as we can.
+            if (!this._check(wordParts[i])) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+
+    /**
+     * Checks the spelling of a word surrounded by a certain character.
+     *
+     * A return value of "false" means that the word is spelled incorrectly and
+     * that no further processing is required. A return value of "true" means
+     * that the word may be spelled correctly, but further processing might be
+     * required. A return value of -1 means that the word is correct and that
+     * no further processing is required.
+     *
+     * @private
+     *
+     * @param   {string}          word      The word to check.
+     * @param   {string}          character The character that surrounds the word.
+     * @returns {boolean|number}
+     */
+    WordChecker.prototype._checkBetweenCharacter = function (word, character) {
+        var baseWord = null,
+            seemsCorrect = null;
+
+        if (StringUtils.startsWith(word, character) && StringUtils.endsWith(word, character)) {
+            baseWord = StringUtils.trimChar(word, character);
+            if (StringUtils.isCamelCase(baseWord)) {
+                seemsCorrect = this._checkCamelCaseWord(baseWord);
+            } else {
+                seemsCorrect = this._check(baseWord);
+            }
+        } else if (StringUtils.endsWith(word, character)) {
+            baseWord = word.substr(0, word.length - 1);
+            seemsCorrect = this._check(baseWord);
+        } else if (StringUtils.startsWith(word, character)) {
+            baseWord = word.substr(1, word.length - 1);
+            seemsCorrect = this._check(baseWord);
+        }
+
+        if (seemsCorrect !== null && !seemsCorrect) {
+            return false;
+        }
+
+        if (seemsCorrect) {
+            return -1;
+        }
+
+        return true;
+    };
+
+    /**
+     * Determines if a word is spelled correctly.
+     *
+     * The idea here is to not ask the dictionaries about a word unless it is
+     * absolutely needed, and to eliminate as many false positives as possible.
+     *
+     * @param   {string}  word The word to check.
+     * @returns {boolean}
+     */
+    WordChecker.prototype.hasCorrectSpelling = function (word) {
+        var baseWord,
+            firstCharacter,
+            quotesSeemCorrect,
+            doubleQuotesSeemCorrect;
+
+        // Check if a word is "correct" by default.
+        if (COMMON_PROGRAMMING_KEYWORDS.indexOf(word) > -1 || this._isGloballyIgnored(word)) {
+            return true;
+        }
+
+        // If the word we are checking is a valid number, let's not flag
+        // it as a misspelling.
+        if (!isNaN(parseFloat(word))) {
+            return true;
+        }
+
+        if (this._ignoreUppercase) {
+            // If a word is all capitalized we will assume it is an acronym
+            // of some sort.
+            if (word === word.toUpperCase()) {
+                return true;
+            }
+
+            // This handles uppercase words that might have a plural ending
+            // that is not necessarily uppercased.
+            if (StringUtils.endsWith(word, "'s")) {
+                baseWord = word.substr(0, word.length - 2);
+                if (baseWord === baseWord.toUpperCase()) {
+                    return true;
+                }
+            }
+
+            // This will handle cases like "Joneses'".
+            if (StringUtils.endsWith(word, "'") && !StringUtils.startsWith(word, "'")) {
+                baseWord = word.substr(0, word.length - 1);
+                firstCharacter = word.substr(0, 1);
+
+                if (firstCharacter === firstCharacter.toUpperCase()) {
+                    return this._check(baseWord);
+                }
+            }
+        }
+
+        if (EXPERIMENTAL_FEATURES.attemptIntelligentQuoteDetection) {
+            quotesSeemCorrect = true;
+            doubleQuotesSeemCorrect = true;
+
+            if (StringUtils.startsWith(word, "'") || StringUtils.endsWith(word, "'")) {
+                quotesSeemCorrect = this._checkBetweenCharacter(word, "'");
+            }
+
+            if (StringUtils.startsWith(word, '"') || StringUtils.endsWith(word, '"')) {
+                doubleQuotesSeemCorrect = this._checkBetweenCharacter(word, '"');
+            }
+
+            if (quotesSeemCorrect === -1 || doubleQuotesSeemCorrect === -1) {
+                return true;
+            }
+
+            if (quotesSeemCorrect === false || doubleQuotesSeemCorrect === false) {
+                return false;
+            }
+        }
+
+        if (EXPERIMENTAL_FEATURES.automaticallyDetectCamelCaseWords && StringUtils.isCamelCase(word)) {
+            return this._checkCamelCaseWord(word);
+        }
+
+        // At this point, the dictionaries have to decide.
+        return this._check(word);
+    };
+
+    exports.WordChecker = WordChecker;
+});
\ No newline at end of file
@@ -0,0 +1,98 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Reads and writes the word list file format shared by the personal and the
+ * project word lists: one word per line, with blank lines and lines starting
+ * with a "#" skipped. Words are kept in a map of word to true.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    /**
+     * Converts the contents of a word list file into a word map.
+     *
+     * @param   {string} data The file contents.
+     * @returns {object}
+     */
+    function parseWordList(data) {
+        var words = Object.create(null);
+
+        data.split(/\r?\n/).forEach(function (line) {
+            var word = line.trim();
+
+            if (word.length > 0 && word.charAt(0) !== "#") {
+                words[word] = true;
+            }
+        });
+
+        return words;
+    }
+
+    /**
+     * Adds words to the contents of a word list file, one per line at the end.
+     *
+     * The rest of the file (its comments, blank lines and the order of the words)
+     * is left as it is, and words the file already has are not added again.
+     *
+     * @param   {string} data  The file contents.
+     * @param   {Array}  words The words to add.
+     * @returns {string}
+     */
+    function appendWords(data, words) {
+        var existing = parseWordList(data),
+            newline = (data.indexOf("\r\n") > -1) ? "\r\n" : "\n",
+            added = words.filter(function (word, index) {
+                return existing[word] !== true && words.indexOf(word) === index;
+            });
+
+        if (added.length === 0) {
+            return data;
+        }
+
+        if (data.length > 0 && data.charAt(data.length - 1) !== "\n") {
+            data += newline;
+        }
+
+        return data + added.join(newline) + newline;
+    }
+
+    /**
+     * Determines if a word map contains a word, either exactly or by its
+     * lowercase form (so that a word at the start of a sentence is also accepted).
+     *
+     * @param   {object}  words The word map.
+     * @param   {string}  word  The word to look for.
+     * @returns {boolean}
+     */
+    function hasWord(words, word) {
+        return (words[word] === true || words[word.toLowerCase()] === true);
+    }
+
+    exports.parseWordList = parseWordList;
+    exports.appendWords = appendWords;
+    exports.hasWord = hasWord;
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Splits plain text into words the same way the editor overlay does: a word is
+ * a run of characters that are not word separators (see `Strings.isWordSeparator`),
+ * and the separators directly before a word are its "before context" (which is
+ * what the ignore files' "ignoreAfter" condition is compared against).
+ *
+ * This is also the tokenizer used for modes without a tokenizer of their own
+ * (see "Tokenizers.js").
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var StringUtils = require("src/utils/Strings");
+
+    /**
+     * Splits a single line (or a part of it) into words.
+     *
+     * @param   {string} line  The line's text.
+     * @param   {number} start Where to start. Optional.
+     * @param   {number} end   Where to stop. Optional.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function tokenizeLine(line, start, end) {
+        var words = [],
+            beforeContext = "",
+            wordStart,
+            ch = start || 0;
+
+        if (typeof end !== "number") {
+            end = line.length;
+        }
+
+        while (ch < end) {
+            if (StringUtils.isWordSeparator(line.charAt(ch))) {
+                beforeContext += line.charAt(ch);
+                ch++;
+            } else {
+                wordStart = ch;
+
+                while (ch < end && !StringUtils.isWordSeparator(line.charAt(ch))) {
+                    ch++;
+                }
+
+                words.push({
+                    word: line.substring(wordStart, ch),
+                    ch: wordStart,
+                    endCh: ch,
+                    beforeContext: beforeContext
+                });
+
+                beforeContext = "";
+            }
+        }
+
+        return words;
+    }
+
+    /**
+     * Splits text into words.
+     *
+     * @param   {string} text The text.
+     * @returns {Array}  A list of { line, word, ch, endCh, beforeContext } objects.
+     */
+    function tokenize(text) {
+        var words = [];
+
+        text.split(/\r\n|\r|\n/).forEach(function (line, lineNumber) {
+            tokenizeLine(line).forEach(function (token) {
+                token.line = lineNumber;
+                words.push(token);
+            });
+        });
+
+        return words;
+    }
+
+    exports.tokenizeLine = tokenizeLine;
+    exports.tokenize = tokenize;
+});
\ No newline at end of file
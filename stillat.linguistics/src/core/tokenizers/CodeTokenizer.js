@@ -0,0 +1,213 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * The tokenizer for source code, outside of CodeMirror. Only the comments
+ * (and, for whole files, the strings) are checked, the way the "auto" check
+ * scope checks code in the editor. Identifiers and keywords are skipped.
+ *
+ * The editor gets comments and strings from the CodeMirror mode's styles, so
+ * these tokenizers are used where there is no mode to ask: the comments of
+ * Markdown's fenced code blocks and the code files "linguistics-check" reads.
+ *
+ * Block comments may span several lines, so the state keeps track of the
+ * string that ends the comment the previous line left open. Strings end at
+ * the end of their line.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var PlainTextTokenizer = require("src/core/tokenizers/PlainTextTokenizer");
+
+    /**
+     * How comments are written in a few families of languages: the strings that
+     * start a comment running to the end of the line, the pairs of strings around
+     * block comments, and the quotes around strings (which may contain any of
+     * those without starting a comment).
+     *
+     * @const
+     * @type {object}
+     */
+    var COMMENT_STYLES = {
+        c: { line: ["//"], block: [["/*", "*/"]], quotes: "\"'`" },
+        css: { line: [], block: [["/*", "*/"]], quotes: "\"'" },
+        hash: { line: ["#"], block: [], quotes: "\"'" },
+        dash: { line: ["--"], block: [], quotes: "\"'" },
+        html: { line: [], block: [["<!--", "-->"]], quotes: "" },
+        percent: { line: ["%"], block: [], quotes: "" },
+        php: { line: ["//", "#"], block: [["/*", "*/"]], quotes: "\"'`" },
+        semicolon: { line: [";"], block: [], quotes: "\"" }
+    };
+
+    /**
+     * The comment styles (see `COMMENT_STYLES`) of the CodeMirror modes of code files.
+     *
+     * @const
+     * @type {object}
+     */
+    var MODE_COMMENT_STYLES = {
+        javascript: "c",
+        css: "css",
+        php: "php",
+        python: "hash",
+        ruby: "hash"
+    };
+
+    /**
+     * Determines which of a few strings a line has at a position.
+     *
+     * @private
+     *
+     * @param   {string} line    The line's text.
+     * @param   {number} ch      The position.
+     * @param   {Array}  strings The strings to look for.
+     * @returns {?string} The string at `ch`, or null when none of them is there.
+     */
+    function _startsWithAny(line, ch, strings) {
+        var i;
+
+        for (i = 0; i < strings.length; i++) {
+            if (line.substr(ch, strings[i].length) === strings[i]) {
+                return strings[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the state at the start of a document.
+     *
+     * @param   {string}  comments The name of the comment style (see `COMMENT_STYLES`).
+     * @param   {boolean} strings  Whether the strings are checked as well as the comments.
+     * @returns {object}
+     */
+    function startState(comments, strings) {
+        return {
+            comments: comments,
+            strings: strings,
+            blockCommentEnd: null
+        };
+    }
+
+    /**
+     * Splits the comments (and strings, when the state says so) on a line into
+     * words, keeping track of block comments that continue on the next line.
+     *
+     * @param   {string} line  The line's text.
+     * @param   {object} state The state, which is advanced past the line.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function tokenizeLine(line, state) {
+        var style = COMMENT_STYLES[state.comments],
+            words = [],
+            ch = 0,
+            start,
+            commentEnd,
+            lineComment,
+            quote,
+            i;
+
+        function addWords(start, end) {
+            words = words.concat(PlainTextTokenizer.tokenizeRange(line, start, end));
+        }
+
+        while (ch < line.length) {
+            if (state.blockCommentEnd !== null) {
+                commentEnd = line.indexOf(state.blockCommentEnd, ch);
+
+                if (commentEnd === -1) {
+                    addWords(ch, line.length);
+                    break;
+                }
+
+                addWords(ch, commentEnd);
+                ch = commentEnd + state.blockCommentEnd.length;
+                state.blockCommentEnd = null;
+            } else if (style.quotes.indexOf(line.charAt(ch)) > -1) {
+                quote = line.charAt(ch);
+                start = ch + 1;
+
+                for (ch++; ch < line.length && line.charAt(ch) !== quote; ch++) {
+                    if (line.charAt(ch) === "\\") {
+                        ch++;
+                    }
+                }
+
+                if (state.strings) {
+                    addWords(start, Math.min(ch, line.length));
+                }
+
+                ch++;
+            } else if ((lineComment = _startsWithAny(line, ch, style.line)) !== null) {
+                addWords(ch + lineComment.length, line.length);
+                break;
+            } else {
+                for (i = 0; i < style.block.length; i++) {
+                    if (line.substr(ch, style.block[i][0].length) === style.block[i][0]) {
+                        state.blockCommentEnd = style.block[i][1];
+                        ch += style.block[i][0].length;
+                        break;
+                    }
+                }
+
+                if (state.blockCommentEnd === null) {
+                    ch++;
+                }
+            }
+        }
+
+        return words;
+    }
+
+    /**
+     * Creates the tokenizer for the code files of a CodeMirror mode, which checks
+     * their comments and strings.
+     *
+     * @param   {string}  modeName The mode name.
+     * @returns {?object} Null when the mode is not a known code mode (see `MODE_COMMENT_STYLES`).
+     */
+    function createModeTokenizer(modeName) {
+        var comments = MODE_COMMENT_STYLES.hasOwnProperty(modeName) ? MODE_COMMENT_STYLES[modeName] : null;
+
+        if (comments === null) {
+            return null;
+        }
+
+        return {
+            startState: function () {
+                return startState(comments, true);
+            },
+            tokenizeLine: tokenizeLine
+        };
+    }
+
+    exports.MODE_COMMENT_STYLES = MODE_COMMENT_STYLES;
+
+    exports.startState = startState;
+    exports.tokenizeLine = tokenizeLine;
+    exports.createModeTokenizer = createModeTokenizer;
+});
\ No newline at end of file
@@ -0,0 +1,338 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * The tokenizer for HTML (and XML). The text between the tags is checked,
+ * along with the attributes people read (see `CHECKED_ATTRIBUTES`). Tag and
+ * attribute names, other attribute values, comments, character references
+ * and the contents of script and style elements are skipped.
+ *
+ * Tags, comments and script elements may span several lines, so the state
+ * keeps track of where the previous line left off.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var PlainTextTokenizer = require("src/core/tokenizers/PlainTextTokenizer");
+
+    /**
+     * The attributes whose values are checked.
+     *
+     * @const
+     * @type {Array}
+     */
+    var CHECKED_ATTRIBUTES = ["alt", "title", "placeholder", "aria-label"];
+
+    /**
+     * The elements whose contents are not HTML (and not prose either).
+     *
+     * @const
+     * @type {Array}
+     */
+    var RAW_TEXT_ELEMENTS = ["script", "style"];
+
+    /**
+     * Matches character references, such as "&amp;" and "&#8212;".
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var CHARACTER_REFERENCE_PATTERN = /&(?:#x?[0-9a-f]+|[a-z][a-z0-9]*);/gi;
+
+    /**
+     * Matches a tag name, an attribute name or an unquoted attribute value.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var NAME_PATTERN = /[^\s=>\/"']+/g;
+
+    /**
+     * Gets the state at the start of a document.
+     *
+     * @returns {object}
+     */
+    function startState() {
+        return {
+            comment: false,
+            rawText: null,
+            tag: null
+        };
+    }
+
+    /**
+     * Copies a state.
+     *
+     * @param   {object} state The state to copy.
+     * @returns {object}
+     */
+    function copyState(state) {
+        var tag = null,
+            key;
+
+        if (state.tag !== null) {
+            tag = {};
+
+            for (key in state.tag) {
+                if (state.tag.hasOwnProperty(key)) {
+                    tag[key] = state.tag[key];
+                }
+            }
+        }
+
+        return {
+            comment: state.comment,
+            rawText: state.rawText,
+            tag: tag
+        };
+    }
+
+    /**
+     * Splits text between tags into words, leaving out character references.
+     *
+     * @private
+     *
+     * @param {string} line  The line's text.
+     * @param {number} start The start of the text.
+     * @param {number} end   The end of the text.
+     * @param {Array}  words The list to add the words to.
+     */
+    function _tokenizeText(line, start, end, words) {
+        var text = line.substring(start, end),
+            ch = start,
+            match;
+
+        CHARACTER_REFERENCE_PATTERN.lastIndex = 0;
+
+        while ((match = CHARACTER_REFERENCE_PATTERN.exec(text)) !== null) {
+            Array.prototype.push.apply(words, PlainTextTokenizer.tokenizeRange(line, ch, start + match.index));
+            ch = start + match.index + match[0].length;
+        }
+
+        Array.prototype.push.apply(words, PlainTextTokenizer.tokenizeRange(line, ch, end));
+    }
+
+    /**
+     * Finds the next "<" that starts a tag, a comment or a declaration.
+     *
+     * @private
+     *
+     * @param   {string} line  The line's text.
+     * @param   {number} start Where to start looking.
+     * @param   {number} end   Where to stop looking.
+     * @returns {number} The position of the "<", or `end` when there is none.
+     */
+    function _findTagStart(line, start, end) {
+        var ch = line.indexOf("<", start);
+
+        while (ch !== -1 && ch < end) {
+            if (/[a-z\/!?]/i.test(line.charAt(ch + 1))) {
+                return ch;
+            }
+
+            ch = line.indexOf("<", ch + 1);
+        }
+
+        return end;
+    }
+
+    /**
+     * Reads the next part of a tag: a name, an attribute value or punctuation.
+     *
+     * @private
+     *
+     * @param   {string} line  The line's text.
+     * @param   {number} ch    The position to read from.
+     * @param   {number} end   Where to stop reading.
+     * @param   {object} state The state.
+     * @param   {Array}  words The list to add the words of checked attribute values to.
+     * @returns {number} The position after the part that was read.
+     */
+    function _readTag(line, ch, end, state, words) {
+        var tag = state.tag,
+            character = line.charAt(ch),
+            valueEnd,
+            nameEnd,
+            name;
+
+        if (tag.quote !== null) {
+            valueEnd = line.indexOf(tag.quote, ch);
+
+            // The value continues on the next line.
+            if (valueEnd === -1 || valueEnd >= end) {
+                valueEnd = end;
+            }
+
+            if (tag.checkValue) {
+                _tokenizeText(line, ch, valueEnd, words);
+            }
+
+            if (valueEnd === end) {
+                return end;
+            }
+
+            tag.quote = null;
+            return valueEnd + 1;
+        }
+
+        if (character === ">") {
+            if (!tag.closing && !tag.selfClosing && RAW_TEXT_ELEMENTS.indexOf(tag.name) > -1) {
+                state.rawText = tag.name;
+            }
+
+            state.tag = null;
+            return ch + 1;
+        }
+
+        if (character === "/") {
+            tag.selfClosing = true;
+            return ch + 1;
+        }
+
+        tag.selfClosing = false;
+
+        if (/\s/.test(character)) {
+            return ch + 1;
+        }
+
+        if (character === "=") {
+            tag.expectValue = true;
+            return ch + 1;
+        }
+
+        if (character === "\"" || character === "'") {
+            if (tag.expectValue) {
+                tag.quote = character;
+                tag.checkValue = (CHECKED_ATTRIBUTES.indexOf(tag.attribute) > -1);
+                tag.expectValue = false;
+            }
+
+            return ch + 1;
+        }
+
+        NAME_PATTERN.lastIndex = ch;
+        nameEnd = Math.min(ch + NAME_PATTERN.exec(line)[0].length, end);
+        name = line.substring(ch, nameEnd).toLowerCase();
+
+        if (tag.name === null) {
+            tag.name = name;
+        } else if (tag.expectValue) {
+            if (CHECKED_ATTRIBUTES.indexOf(tag.attribute) > -1) {
+                _tokenizeText(line, ch, nameEnd, words);
+            }
+
+            tag.expectValue = false;
+        } else {
+            tag.attribute = name;
+        }
+
+        return nameEnd;
+    }
+
+    /**
+     * Splits a range of a line into words.
+     *
+     * This lets other tokenizers (Markdown allows HTML, for example) hand over
+     * the parts of a line that may contain HTML.
+     *
+     * @param   {string} line  The line's text.
+     * @param   {number} start The start of the range.
+     * @param   {number} end   The end of the range.
+     * @param   {object} state The state, which is advanced past the range.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function tokenizeRange(line, start, end, state) {
+        var words = [],
+            ch = start,
+            next;
+
+        while (ch < end) {
+            if (state.comment) {
+                next = line.indexOf("-->", ch);
+
+                if (next === -1 || next + 3 > end) {
+                    break;
+                }
+
+                state.comment = false;
+                ch = next + 3;
+            } else if (state.rawText !== null) {
+                next = line.toLowerCase().indexOf("</" + state.rawText, ch);
+
+                if (next === -1 || next >= end) {
+                    break;
+                }
+
+                // The closing tag itself is read like any other tag.
+                state.rawText = null;
+                ch = next;
+            } else if (state.tag !== null) {
+                ch = _readTag(line, ch, end, state, words);
+            } else {
+                next = _findTagStart(line, ch, end);
+                _tokenizeText(line, ch, next, words);
+
+                if (next < end) {
+                    if (line.substr(next, 4) === "<!--") {
+                        state.comment = true;
+                        ch = next + 4;
+                    } else {
+                        state.tag = {
+                            name: null,
+                            attribute: null,
+                            closing: (line.charAt(next + 1) === "/"),
+                            selfClosing: false,
+                            expectValue: false,
+                            quote: null,
+                            checkValue: false
+                        };
+                        ch = next + (state.tag.closing ? 2 : 1);
+                    }
+                } else {
+                    ch = end;
+                }
+            }
+        }
+
+        return words;
+    }
+
+    /**
+     * Splits a line into words.
+     *
+     * @param   {string} line  The line's text.
+     * @param   {object} state The state, which is advanced past the line.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function tokenizeLine(line, state) {
+        return tokenizeRange(line, 0, line.length, state);
+    }
+
+    exports.startState = startState;
+    exports.copyState = copyState;
+    exports.tokenizeRange = tokenizeRange;
+    exports.tokenizeLine = tokenizeLine;
+});
\ No newline at end of file
@@ -0,0 +1,349 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * The tokenizer for LaTeX. The text of the document is checked, including the
+ * arguments of commands like "\section" and "\emph", and so are comments.
+ * Command names, math, the arguments that are not prose (labels, references,
+ * citations, packages, file names and so on) and environments whose contents
+ * are not prose (see `SKIPPED_ENVIRONMENTS`) are skipped.
+ *
+ * Math, environments and arguments may span several lines, so the state keeps
+ * track of where the previous line left off.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var PlainTextTokenizer = require("src/core/tokenizers/PlainTextTokenizer");
+
+    /**
+     * The commands whose arguments are skipped, with the number of arguments
+     * to skip. Optional arguments in brackets before them are skipped too.
+     *
+     * @const
+     * @type {object}
+     */
+    var SKIPPED_ARGUMENTS = {
+        "begin": 1,
+        "end": 1,
+        "label": 1,
+        "ref": 1,
+        "eqref": 1,
+        "pageref": 1,
+        "autoref": 1,
+        "cref": 1,
+        "Cref": 1,
+        "cite": 1,
+        "citep": 1,
+        "citet": 1,
+        "citeauthor": 1,
+        "citeyear": 1,
+        "nocite": 1,
+        "documentclass": 1,
+        "usepackage": 1,
+        "RequirePackage": 1,
+        "input": 1,
+        "include": 1,
+        "includeonly": 1,
+        "includegraphics": 1,
+        "bibliography": 1,
+        "bibliographystyle": 1,
+        "url": 1,
+        "href": 1,
+        "pagestyle": 1,
+        "thispagestyle": 1,
+        "pagenumbering": 1,
+        "newcommand": 1,
+        "renewcommand": 1,
+        "providecommand": 1,
+        "newenvironment": 1,
+        "renewenvironment": 1,
+        "color": 1,
+        "textcolor": 1,
+        "lstinputlisting": 1,
+        "setlength": 2,
+        "addtolength": 2,
+        "setcounter": 2,
+        "addtocounter": 2,
+        "definecolor": 3
+    };
+
+    /**
+     * The environments whose contents are skipped.
+     *
+     * @const
+     * @type {Array}
+     */
+    var SKIPPED_ENVIRONMENTS = [
+        "equation",
+        "align",
+        "alignat",
+        "flalign",
+        "gather",
+        "multline",
+        "eqnarray",
+        "math",
+        "displaymath",
+        "verbatim",
+        "Verbatim",
+        "lstlisting",
+        "minted",
+        "comment",
+        "tikzpicture"
+    ];
+
+    /**
+     * The math delimiters, and the delimiters that close them.
+     *
+     * @const
+     * @type {object}
+     */
+    var MATH_DELIMITERS = {
+        "$$": "$$",
+        "$": "$",
+        "\\(": "\\)",
+        "\\[": "\\]"
+    };
+
+    /**
+     * Gets the state at the start of a document.
+     *
+     * @returns {object}
+     */
+    function startState() {
+        return {
+            math: null,
+            environment: null,
+            skippedArguments: 0,
+            argumentDepth: 0,
+            optionalArgument: false,
+            argument: null
+        };
+    }
+
+    /**
+     * Copies a state.
+     *
+     * @param   {object} state The state to copy.
+     * @returns {object}
+     */
+    function copyState(state) {
+        return {
+            math: state.math,
+            environment: state.environment,
+            skippedArguments: state.skippedArguments,
+            argumentDepth: state.argumentDepth,
+            optionalArgument: state.optionalArgument,
+            argument: state.argument
+        };
+    }
+
+    /**
+     * Determines if an environment's contents are skipped.
+     *
+     * @private
+     *
+     * @param   {string}  name The environment name, which may end with a "*".
+     * @returns {boolean}
+     */
+    function _isSkippedEnvironment(name) {
+        return (SKIPPED_ENVIRONMENTS.indexOf(name.replace(/\*$/, "")) > -1);
+    }
+
+    /**
+     * Reads the next character of the arguments that are being skipped.
+     *
+     * @private
+     *
+     * @param   {string} line  The line's text.
+     * @param   {number} ch    The position to read from.
+     * @param   {object} state The state.
+     * @returns {number} The position after what was read.
+     */
+    function _readSkippedArgument(line, ch, state) {
+        var character = line.charAt(ch);
+
+        if (state.optionalArgument) {
+            if (character === "]") {
+                state.optionalArgument = false;
+            }
+
+            return ch + 1;
+        }
+
+        if (state.argumentDepth === 0) {
+            if (character === "[") {
+                state.optionalArgument = true;
+            } else if (character === "{") {
+                state.argumentDepth = 1;
+                state.argument = (state.argument === null) ? null : "";
+            } else if (!/\s/.test(character)) {
+                // The command was used without (the rest of) its arguments.
+                state.skippedArguments = 0;
+                state.argument = null;
+                return ch;
+            }
+
+            return ch + 1;
+        }
+
+        if (character === "\\") {
+            return ch + 2;
+        }
+
+        if (character === "{") {
+            state.argumentDepth++;
+        } else if (character === "}") {
+            state.argumentDepth--;
+        }
+
+        if (state.argumentDepth > 0) {
+            if (state.argument !== null) {
+                state.argument += character;
+            }
+
+            return ch + 1;
+        }
+
+        state.skippedArguments--;
+
+        // "\begin" has its argument read to find out which environment it starts.
+        if (state.argument !== null) {
+            if (_isSkippedEnvironment(state.argument)) {
+                state.environment = state.argument;
+            }
+
+            state.argument = null;
+        }
+
+        return ch + 1;
+    }
+
+    /**
+     * Reads a command, or an escaped character.
+     *
+     * @private
+     *
+     * @param   {string} line  The line's text.
+     * @param   {number} ch    The position of the backslash.
+     * @param   {object} state The state.
+     * @returns {number} The position after the command.
+     */
+    function _readCommand(line, ch, state) {
+        var match = /^\\([a-zA-Z]+)\*?/.exec(line.substring(ch)),
+            name;
+
+        if (match === null) {
+            if (line.charAt(ch + 1) === "(" || line.charAt(ch + 1) === "[") {
+                state.math = MATH_DELIMITERS[line.substr(ch, 2)];
+            }
+
+            return ch + 2;
+        }
+
+        name = match[1];
+
+        if (name === "verb") {
+            // "\verb|text|" uses any character to delimit its argument.
+            ch += match[0].length;
+            ch = line.indexOf(line.charAt(ch), ch + 1);
+
+            return (ch === -1) ? line.length : ch + 1;
+        }
+
+        if (SKIPPED_ARGUMENTS.hasOwnProperty(name)) {
+            state.skippedArguments = SKIPPED_ARGUMENTS[name];
+            state.argument = (name === "begin") ? "" : null;
+        }
+
+        return ch + match[0].length;
+    }
+
+    /**
+     * Splits a line into words.
+     *
+     * @param   {string} line  The line's text.
+     * @param   {object} state The state, which is advanced past the line.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function tokenizeLine(line, state) {
+        var words = [],
+            ch = 0,
+            next,
+            character;
+
+        while (ch < line.length) {
+            character = line.charAt(ch);
+
+            if (state.environment !== null) {
+                next = line.indexOf("\\end{" + state.environment + "}", ch);
+
+                if (next === -1) {
+                    break;
+                }
+
+                state.environment = null;
+                ch = next;
+            } else if (state.math !== null) {
+                next = line.indexOf(state.math, ch);
+
+                // Escaped dollar signs do not end the math.
+                while (next > 0 && state.math === "$" && line.charAt(next - 1) === "\\") {
+                    next = line.indexOf(state.math, next + 1);
+                }
+
+                if (next === -1) {
+                    break;
+                }
+
+                ch = next + state.math.length;
+                state.math = null;
+            } else if (state.skippedArguments > 0) {
+                ch = _readSkippedArgument(line, ch, state);
+            } else if (character === "\\") {
+                ch = _readCommand(line, ch, state);
+            } else if (character === "$") {
+                state.math = (line.charAt(ch + 1) === "$") ? "$$" : "$";
+                ch += state.math.length;
+            } else if (character === "%") {
+                Array.prototype.push.apply(words, PlainTextTokenizer.tokenizeRange(line, ch + 1, line.length));
+                break;
+            } else {
+                next = line.substring(ch).search(/[\\$%]/);
+                next = (next === -1) ? line.length : ch + next;
+
+                Array.prototype.push.apply(words, PlainTextTokenizer.tokenizeRange(line, ch, next));
+                ch = next;
+            }
+        }
+
+        return words;
+    }
+
+    exports.startState = startState;
+    exports.copyState = copyState;
+    exports.tokenizeLine = tokenizeLine;
+});
\ No newline at end of file
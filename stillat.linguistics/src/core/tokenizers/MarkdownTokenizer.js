@@ -0,0 +1,353 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * The tokenizer for Markdown. Only the prose is checked: paragraphs, headings,
+ * list items, link text and image alt text.
+ *
+ * Code spans, fenced code blocks, link destinations (and titles), reference
+ * definitions and the keys of YAML front matter are skipped. Markdown may contain HTML, so the
+ * rest of the text is split up by the HTML tokenizer: inline tags, comments,
+ * autolinks ("<https://...>") and character references are skipped, and so
+ * are web addresses and email addresses in the text itself.
+ *
+ * The comments inside fenced code blocks are only checked when that has been
+ * turned on (see `setCheckCodeComments`), and only for the languages in
+ * `FENCE_LANGUAGES`.
+ *
+ * Unlike in HTML, a tag cannot continue past a blank line, so a stray "<"
+ * (as in "x <y") only affects its own paragraph.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var CodeTokenizer = require("src/core/tokenizers/CodeTokenizer"),
+        HtmlTokenizer = require("src/core/tokenizers/HtmlTokenizer"),
+        PlainTextTokenizer = require("src/core/tokenizers/PlainTextTokenizer");
+
+    /**
+     * The comment styles (see `CodeTokenizer`) of the languages fenced code blocks
+     * are commonly marked with, keyed by the first word of the fence's info string.
+     *
+     * @const
+     * @type {object}
+     */
+    var FENCE_LANGUAGES = {
+        c: "c", cpp: "c", "c++": "c", cs: "c", csharp: "c", go: "c", java: "c", javascript: "c", js: "c",
+        json5: "c", jsx: "c", kotlin: "c", php: "c", rust: "c", scala: "c", scss: "c", less: "c", swift: "c",
+        ts: "c", tsx: "c", typescript: "c",
+        css: "css",
+        bash: "hash", coffee: "hash", coffeescript: "hash", dockerfile: "hash", makefile: "hash", perl: "hash",
+        powershell: "hash", ps1: "hash", py: "hash", python: "hash", r: "hash", rb: "hash", ruby: "hash",
+        sh: "hash", shell: "hash", toml: "hash", yaml: "hash", yml: "hash", zsh: "hash",
+        haskell: "dash", hs: "dash", lua: "dash", sql: "dash",
+        html: "html", markdown: "html", md: "html", svg: "html", vue: "html", xml: "html",
+        erlang: "percent", latex: "percent", matlab: "percent", tex: "percent",
+        clojure: "semicolon", ini: "semicolon", lisp: "semicolon", scheme: "semicolon"
+    };
+
+    /**
+     * Matches the line a fenced code block starts with, capturing the fence
+     * and the first word of the info string.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*\{?\.?([^\s`{}]*)/;
+
+    /**
+     * Matches a line that can close a fenced code block. Unlike the
+     * opening fence, a closing fence cannot have an info string.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var CLOSING_FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*$/;
+
+    /**
+     * Matches a reference definition ("[id]: https://... "Title").
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var REFERENCE_DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:\s*\S/;
+
+    /**
+     * Matches the key of a line of YAML front matter (including the "- " of a list item).
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var FRONT_MATTER_KEY_PATTERN = /^\s*(?:-\s+)?[^\s#'"][^:#]*:(?=\s|$)/;
+
+    /**
+     * Indicates if the comments inside fenced code blocks are checked.
+     *
+     * @type {boolean}
+     */
+    var _checkCodeComments = false;
+
+    /**
+     * Sets whether the comments inside fenced code blocks are checked.
+     *
+     * @param {boolean} enabled
+     */
+    function setCheckCodeComments(enabled) {
+        _checkCodeComments = Boolean(enabled);
+    }
+
+    /**
+     * Indicates whether the comments inside fenced code blocks are checked.
+     *
+     * @returns {boolean}
+     */
+    function isCheckingCodeComments() {
+        return _checkCodeComments;
+    }
+
+    /**
+     * Gets the state at the start of a document.
+     *
+     * @returns {object}
+     */
+    function startState() {
+        return {
+            html: HtmlTokenizer.startState(),
+            firstLine: true,
+            frontMatter: false,
+            fence: null
+        };
+    }
+
+    /**
+     * Copies a state.
+     *
+     * @param   {object} state The state to copy.
+     * @returns {object}
+     */
+    function copyState(state) {
+        var fence = null;
+
+        if (state.fence !== null) {
+            fence = {
+                marker: state.fence.marker,
+                comments: state.fence.comments,
+                strings: false,
+                blockCommentEnd: state.fence.blockCommentEnd
+            };
+        }
+
+        return {
+            html: HtmlTokenizer.copyState(state.html),
+            firstLine: state.firstLine,
+            frontMatter: state.frontMatter,
+            fence: fence
+        };
+    }
+
+    /**
+     * Finds the backticks that close a code span.
+     *
+     * @private
+     *
+     * @param   {string} line   The line's text.
+     * @param   {number} ch     The position after the opening backticks.
+     * @param   {number} length The number of opening backticks.
+     * @returns {number} The position after the closing backticks, or -1 when the span is not closed.
+     */
+    function _findCodeSpanEnd(line, ch, length) {
+        var run;
+
+        while ((ch = line.indexOf("`", ch)) !== -1) {
+            run = /^`+/.exec(line.substring(ch))[0].length;
+
+            if (run === length) {
+                return ch + run;
+            }
+
+            ch += run;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Finds the parenthesis that closes a link destination.
+     *
+     * @private
+     *
+     * @param   {string} line The line's text.
+     * @param   {number} ch   The position after the opening parenthesis.
+     * @returns {number} The position after the closing parenthesis, or -1 when there is none.
+     */
+    function _findDestinationEnd(line, ch) {
+        var depth = 1;
+
+        while (ch < line.length) {
+            if (line.charAt(ch) === "\\") {
+                ch++;
+            } else if (line.charAt(ch) === "(") {
+                depth++;
+            } else if (line.charAt(ch) === ")" && --depth === 0) {
+                return ch + 1;
+            }
+
+            ch++;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Splits the inline content of a line into words, leaving out code spans,
+     * link destinations and reference labels.
+     *
+     * @private
+     *
+     * @param   {string} line  The line's text.
+     * @param   {object} state The state, which is advanced past the line.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function _tokenizeInline(line, state) {
+        var words = [],
+            textStart = 0,
+            ch = 0,
+            skipTo,
+            run;
+
+        while (ch < line.length) {
+            skipTo = -1;
+
+            if (line.charAt(ch) === "\\") {
+                ch += 2;
+                continue;
+            }
+
+            if (line.charAt(ch) === "`") {
+                run = /^`+/.exec(line.substring(ch))[0].length;
+                skipTo = _findCodeSpanEnd(line, ch + run, run);
+
+                if (skipTo === -1) {
+                    ch += run;
+                    continue;
+                }
+            } else if (line.substr(ch, 2) === "](") {
+                skipTo = _findDestinationEnd(line, ch + 2);
+            } else if (line.substr(ch, 2) === "][") {
+                skipTo = line.indexOf("]", ch + 2);
+                skipTo = (skipTo === -1 ? -1 : skipTo + 1);
+            }
+
+            if (skipTo === -1) {
+                ch++;
+            } else {
+                words = words.concat(HtmlTokenizer.tokenizeRange(line, textStart, ch, state.html));
+                textStart = ch = skipTo;
+            }
+        }
+
+        return words.concat(HtmlTokenizer.tokenizeRange(line, textStart, line.length, state.html));
+    }
+
+    /**
+     * Splits a line into words.
+     *
+     * @param   {string} line  The line's text.
+     * @param   {object} state The state, which is advanced past the line.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function tokenizeLine(line, state) {
+        var firstLine = state.firstLine,
+            words,
+            match;
+
+        state.firstLine = false;
+
+        if (firstLine && /^---\s*$/.test(line)) {
+            state.frontMatter = true;
+            return [];
+        }
+
+        if (state.frontMatter) {
+            if (/^(?:---|\.\.\.)\s*$/.test(line)) {
+                state.frontMatter = false;
+                return [];
+            }
+
+            match = FRONT_MATTER_KEY_PATTERN.exec(line);
+
+            return PlainTextTokenizer.tokenizeRange(line, match ? match[0].length : 0, line.length);
+        }
+
+        if (state.fence !== null) {
+            match = CLOSING_FENCE_PATTERN.exec(line);
+
+            // A fence is closed by a fence of the same kind that is at least as long.
+            if (match && match[1].charAt(0) === state.fence.marker.charAt(0) && match[1].length >= state.fence.marker.length) {
+                state.fence = null;
+                return [];
+            }
+
+            if (state.fence.comments === null) {
+                return [];
+            }
+
+            // The block comments are followed even when they are not checked.
+            words = CodeTokenizer.tokenizeLine(line, state.fence);
+
+            return _checkCodeComments ? words : [];
+        }
+
+        match = FENCE_PATTERN.exec(line);
+
+        if (match && !(match[1].charAt(0) === "`" && line.indexOf("`", match[0].length) > -1)) {
+            state.fence = {
+                marker: match[1],
+                comments: FENCE_LANGUAGES[match[2].toLowerCase()] || null,
+                strings: false,
+                blockCommentEnd: null
+            };
+            return [];
+        }
+
+        if (/^\s*$/.test(line)) {
+            state.html.tag = null;
+            return [];
+        }
+
+        if (REFERENCE_DEFINITION_PATTERN.test(line)) {
+            return [];
+        }
+
+        return _tokenizeInline(line, state);
+    }
+
+    exports.setCheckCodeComments = setCheckCodeComments;
+    exports.isCheckingCodeComments = isCheckingCodeComments;
+    exports.startState = startState;
+    exports.copyState = copyState;
+    exports.tokenizeLine = tokenizeLine;
+});
\ No newline at end of file
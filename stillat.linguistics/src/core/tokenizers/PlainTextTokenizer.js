@@ -0,0 +1,121 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * The tokenizer for plain text. Words are split on the word separators like
+ * everywhere else, but web addresses and email addresses are skipped as a
+ * whole instead of having each of their parts checked.
+ *
+ * The other built-in tokenizers hand the prose they find to `tokenizeRange`.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var WordTokenizer = require("src/core/WordTokenizer");
+
+    /**
+     * Matches web addresses, with or without a scheme.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var URL_PATTERN = /\b(?:[a-z][a-z0-9+.\-]*:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)\]]/gi;
+
+    /**
+     * Matches email addresses.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var EMAIL_PATTERN = /[a-z0-9._%+\-]+@[a-z0-9\-]+(?:\.[a-z0-9\-]+)*\.[a-z]{2,}/gi;
+
+    /**
+     * Finds the parts of a range of a line that should not be checked.
+     *
+     * @private
+     *
+     * @param   {string} line  The line's text.
+     * @param   {number} start The start of the range.
+     * @param   {number} end   The end of the range.
+     * @returns {Array}  A list of { start, end } objects, sorted by their start.
+     */
+    function _findSkippedRanges(line, start, end) {
+        var text = line.substring(start, end),
+            ranges = [];
+
+        [URL_PATTERN, EMAIL_PATTERN].forEach(function (pattern) {
+            var match;
+
+            pattern.lastIndex = 0;
+
+            while ((match = pattern.exec(text)) !== null) {
+                ranges.push({ start: start + match.index, end: start + match.index + match[0].length });
+            }
+        });
+
+        return ranges.sort(function (a, b) {
+            return a.start - b.start;
+        });
+    }
+
+    /**
+     * Splits a range of a line into words.
+     *
+     * @param   {string} line  The line's text.
+     * @param   {number} start The start of the range.
+     * @param   {number} end   The end of the range.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function tokenizeRange(line, start, end) {
+        var words = [],
+            ch = start;
+
+        _findSkippedRanges(line, start, end).forEach(function (range) {
+            if (range.start >= ch) {
+                words = words.concat(WordTokenizer.tokenizeLine(line, ch, range.start));
+                ch = range.end;
+            } else if (range.end > ch) {
+                // An email address inside a web address, for example.
+                ch = range.end;
+            }
+        });
+
+        return words.concat(WordTokenizer.tokenizeLine(line, ch, end));
+    }
+
+    /**
+     * Splits a line into words.
+     *
+     * @param   {string} line The line's text.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function tokenizeLine(line) {
+        return tokenizeRange(line, 0, line.length);
+    }
+
+    exports.tokenizeRange = tokenizeRange;
+    exports.tokenizeLine = tokenizeLine;
+});
\ No newline at end of file
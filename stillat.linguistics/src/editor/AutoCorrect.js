@@ -0,0 +1,418 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * AutoCorrect fixes typos while the user types.
+ *
+ * When a word separator is typed right after a misspelled word, the word is
+ * replaced with its correction from one of two places:
+ *
+ *    - The auto-correct table. It is a plain text file next to the user's
+ *      dictionary profiles with one typo per line, followed by its correction:
+ *
+ *          teh the
+ *          alot a lot
+ *
+ *      Blank lines and lines starting with a "#" are skipped. Typos that are
+ *      listed with more than one correction are never corrected, since there
+ *      is no way to tell which one was meant.
+ *    - The corrections the user has picked before (see CorrectionHistory), when
+ *      auto-correcting known typos is turned on.
+ *
+ * Only words that the spell checker would underline are corrected, and never
+ * inside code tokens. The replacement is a single change with its own origin,
+ * so one undo brings the typo back. A short notice in the status bar tells the
+ * user what happened.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var BracketsEditorManager = brackets.getModule("editor/EditorManager"),
+        FileSystem = brackets.getModule("filesystem/FileSystem"),
+        FileUtils = brackets.getModule("file/FileUtils"),
+        CommandManager = brackets.getModule("command/CommandManager"),
+        Commands = brackets.getModule("command/Commands"),
+        Menus = brackets.getModule("command/Menus"),
+        StatusBar = brackets.getModule("widgets/StatusBar"),
+        AppInit = brackets.getModule("utils/AppInit"),
+        StringUtils = require("src/utils/Strings"),
+        Dictionary = require("src/utils/Dictionary"),
+        CorrectionHistory = require("src/spelling/CorrectionHistory"),
+        EditorManager = require("src/editor/EditorManager");
+
+    var COMMAND_EDIT_AUTO_CORRECT_TABLE = "linguistics.editAutoCorrectTable";
+
+    /**
+     * The change origin used for automatic corrections. It differs from the
+     * origin of typed text, so CodeMirror keeps the correction in its own
+     * undo event.
+     *
+     * @const
+     * @type {string}
+     */
+    var ORIGIN_AUTO_CORRECT = "+linguisticsAutoCorrect";
+
+    /**
+     * The status bar indicator used for the auto-correct notice.
+     *
+     * @const
+     * @type {string}
+     */
+    var INDICATOR_ID = "status-linguistics-auto-correct";
+
+    /**
+     * How long the auto-correct notice is shown, in milliseconds.
+     *
+     * @const
+     * @type {number}
+     */
+    var NOTICE_DURATION = 3000;
+
+    /**
+     * The token styles that belong to code rather than prose.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var CODE_STYLES = /\b(keyword|variable(-[23])?|def|property|atom|number|operator|builtin|tag|attribute|meta|qualifier|type|bracket)\b/;
+
+    /**
+     * The modes that use the "comment" style for code spans and blocks.
+     *
+     * @const
+     * @type {array}
+     */
+    var COMMENT_STYLED_CODE_MODES = ["markdown", "gfm"];
+
+    /**
+     * Indicates if the auto-correct table is used.
+     *
+     * @type {boolean}
+     */
+    var _enabled = false;
+
+    /**
+     * Indicates if known typos are corrected automatically.
+     *
+     * @type {boolean}
+     */
+    var _knownTyposEnabled = false;
+
+    /**
+     * The auto-correct table. Typos with more than one correction map to null.
+     *
+     * @type {object}
+     */
+    var _table = Object.create(null);
+
+    /**
+     * The location of the auto-correct table.
+     *
+     * @type {?string}
+     */
+    var _tablePath = null;
+
+    /**
+     * The document that is being watched.
+     *
+     * @type {?Document}
+     */
+    var _document = null;
+
+    /**
+     * The timer that hides the auto-correct notice.
+     *
+     * @type {?number}
+     */
+    var _noticeTimer = null;
+
+    /**
+     * Converts the contents of the auto-correct table file into a table.
+     *
+     * @private
+     *
+     * @param   {string} data The file contents.
+     * @returns {object}
+     */
+    function _parseTable(data) {
+        var table = Object.create(null);
+
+        data.split(/\r?\n/).forEach(function (line) {
+            var parts = /^(\S+)\s+(\S.*)$/.exec(line.trim()),
+                correction;
+
+            if (parts === null || parts[1].charAt(0) === "#") {
+                return;
+            }
+
+            correction = parts[2].trim();
+
+            if (typeof table[parts[1]] === "undefined") {
+                table[parts[1]] = correction;
+            } else if (table[parts[1]] !== correction) {
+                table[parts[1]] = null;
+            }
+        });
+
+        return table;
+    }
+
+    /**
+     * Reads the auto-correct table from disk. A missing file is treated as an empty table.
+     *
+     * @private
+     */
+    function _loadTable() {
+        FileSystem.getFileForPath(_tablePath).read({ encoding: "utf8" }, function (err, data) {
+            _table = (err === null) ? _parseTable(data) : Object.create(null);
+        });
+    }
+
+    /**
+     * Gets the correction for a typo from the auto-correct table.
+     *
+     * Typos are looked up as they were typed, then in lowercase. Corrections
+     * found for the lowercase form are capitalized like the typo.
+     *
+     * @private
+     *
+     * @param   {string}  word The typo.
+     * @returns {?string}
+     */
+    function _getTableCorrection(word) {
+        var lowercase = word.toLowerCase();
+
+        if (typeof _table[word] !== "undefined") {
+            return _table[word];
+        }
+
+        if (lowercase !== word && typeof _table[lowercase] === "string") {
+            return StringUtils.matchCase(word, _table[lowercase]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the single correction to apply for a typo.
+     *
+     * @private
+     *
+     * @param   {string}  word The typo.
+     * @returns {?string} The correction, or null when there is no confident correction.
+     */
+    function _getCorrection(word) {
+        var correction = null;
+
+        if (_enabled) {
+            correction = _getTableCorrection(word);
+        }
+
+        if (correction === null && _knownTyposEnabled) {
+            correction = CorrectionHistory.getAutoCorrection(word);
+        }
+
+        return (correction !== word) ? correction : null;
+    }
+
+    /**
+     * Determines if the word at a position is part of a code token.
+     *
+     * @private
+     *
+     * @param   {Editor}                     editor The editor.
+     * @param   {{line: number, ch: number}} start  The start of the word.
+     * @returns {boolean}
+     */
+    function _isInCode(editor, start) {
+        var cm = editor._codeMirror,
+            style = cm.getTokenAt({ line: start.line, ch: start.ch + 1 }, true).type;
+
+        if (style === null) {
+            return false;
+        }
+
+        if (/\bcomment\b/.test(style)) {
+            return COMMENT_STYLED_CODE_MODES.indexOf(cm.getMode().name) !== -1;
+        }
+
+        return (!/\bstring(-2)?\b/.test(style) && CODE_STYLES.test(style));
+    }
+
+    /**
+     * Briefly shows what was corrected in the status bar.
+     *
+     * @private
+     *
+     * @param {string} word       The typo.
+     * @param {string} correction The correction.
+     */
+    function _showNotice(word, correction) {
+        $("#" + INDICATOR_ID).text("Auto-corrected “" + word + "” to “" + correction + "”");
+        StatusBar.updateIndicator(INDICATOR_ID, true);
+
+        window.clearTimeout(_noticeTimer);
+        _noticeTimer = window.setTimeout(function () {
+            StatusBar.updateIndicator(INDICATOR_ID, false);
+            _noticeTimer = null;
+        }, NOTICE_DURATION);
+    }
+
+    /**
+     * Corrects the word in front of a freshly typed word separator.
+     *
+     * @private
+     *
+     * @param {$.Event}  e          The event.
+     * @param {Document} doc        The document that changed.
+     * @param {array}    changeList The changes.
+     */
+    function _handleDocumentChange(e, doc, changeList) {
+        var editor = doc._masterEditor,
+            change = changeList[changeList.length - 1],
+            misspelling,
+            correction;
+
+        if ((!_enabled && !_knownTyposEnabled) || !editor || changeList.length !== 1 || change.origin !== "+input" ||
+                change.text.length !== 1 || change.text[0].length !== 1 || !StringUtils.isWordSeparator(change.text[0])) {
+            return;
+        }
+
+        misspelling = EditorManager.getMisspelledWordAt(editor, change.from);
+
+        // The separator has to end the word; typing inside of a word splits it instead.
+        if (misspelling === null || misspelling.end.ch !== change.from.ch || _isInCode(editor, misspelling.start)) {
+            return;
+        }
+
+        correction = _getCorrection(misspelling.word);
+
+        if (correction !== null) {
+            doc.replaceRange(correction, misspelling.start, misspelling.end, ORIGIN_AUTO_CORRECT);
+            _showNotice(misspelling.word, correction);
+        }
+    }
+
+    /**
+     * Starts watching the document of the active editor.
+     *
+     * @private
+     *
+     * @param {$.Event} e       The event.
+     * @param {?Editor} current The editor that became active.
+     */
+    function _handleActiveEditorChange(e, current) {
+        if (_document !== null) {
+            _document.off("change", _handleDocumentChange);
+        }
+
+        _document = current ? current.document : null;
+
+        if (_document !== null) {
+            _document.on("change", _handleDocumentChange);
+        }
+    }
+
+    /**
+     * Reloads the auto-correct table when it (or a directory containing it) changes on disk.
+     *
+     * @private
+     *
+     * @param {$.Event}          event The event.
+     * @param {?File|Directory}  entry The entry that changed. A null value means "everything changed".
+     */
+    function _handleFileSystemChange(event, entry) {
+        if (!entry || entry.fullPath === _tablePath || (entry.isDirectory && _tablePath.indexOf(entry.fullPath) === 0)) {
+            _loadTable();
+        }
+    }
+
+    /**
+     * Opens the auto-correct table in an editor, creating it first when it does not exist yet.
+     *
+     * @private
+     */
+    function _handleEditTable() {
+        var file = FileSystem.getFileForPath(_tablePath);
+
+        file.exists(function (err, exists) {
+            if (exists) {
+                CommandManager.execute(Commands.FILE_OPEN, { fullPath: _tablePath });
+                return;
+            }
+
+            FileSystem.getDirectoryForPath(FileUtils.getDirectoryPath(_tablePath)).create(function () {
+                file.write("# Each line holds a typo followed by its correction, e.g. \"teh the\".\n", { blind: true }, function (err) {
+                    if (err) {
+                        console.error("Linguistics: Could not create the auto-correct table at " + _tablePath, err);
+                        return;
+                    }
+
+                    CommandManager.execute(Commands.FILE_OPEN, { fullPath: _tablePath });
+                });
+            });
+        });
+    }
+
+    /**
+     * Turns auto-correcting with the auto-correct table on or off.
+     *
+     * @param {boolean} enabled Whether the auto-correct table should be used.
+     */
+    function setEnabled(enabled) {
+        _enabled = (enabled === true);
+    }
+
+    /**
+     * Turns the automatic correction of known typos on or off.
+     *
+     * @param {boolean} enabled Whether known typos should be corrected.
+     */
+    function setKnownTyposEnabled(enabled) {
+        _knownTyposEnabled = (enabled === true);
+    }
+
+    AppInit.appReady(function () {
+        StatusBar.addIndicator(INDICATOR_ID, $("<div>"), false, "", "Linguistics auto-correct");
+
+        _tablePath = Dictionary.getAutoCorrectTableFile();
+        _loadTable();
+        FileSystem.on("change", _handleFileSystemChange);
+
+        CommandManager.register("Edit Auto-Correct Table", COMMAND_EDIT_AUTO_CORRECT_TABLE, _handleEditTable);
+        Menus.getMenu(Menus.AppMenuBar.EDIT_MENU).addMenuItem(COMMAND_EDIT_AUTO_CORRECT_TABLE);
+
+        BracketsEditorManager.on("activeEditorChange", _handleActiveEditorChange);
+        _handleActiveEditorChange(null, BracketsEditorManager.getActiveEditor());
+    });
+
+    exports.ORIGIN_AUTO_CORRECT = ORIGIN_AUTO_CORRECT;
+
+    exports.setEnabled = setEnabled;
+    exports.setKnownTyposEnabled = setKnownTyposEnabled;
+
+});
\ No newline at end of file
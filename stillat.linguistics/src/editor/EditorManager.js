@@ -22,7 +22,7 @@
  */
 
 /*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
-/*global define, $, window, brackets */
+/*global define, $, window, document, brackets */
 
 /**
  * EditorManager handles the UI interactions for the spelling and grammar extensions.
@@ -30,16 +30,50 @@
 define(function (require, exports, module) {
     "use strict";
 
-    var EditorManager = brackets.getModule("editor/EditorManager"),
+    var _ = require("thirdparty/lodash"),
+        EditorManager = brackets.getModule("editor/EditorManager"),
+        DocumentManager = brackets.getModule("document/DocumentManager"),
         SpellChecker = require("src/spelling/SpellChecker"),
+        Tokenizers = require("src/core/Tokenizers"),
+        MarkdownTokenizer = require("src/core/tokenizers/MarkdownTokenizer"),
+        DictionaryManager = require("src/spelling/DictionaryManager"),
+        WordListManager = require("src/spelling/WordListManager"),
+        GrammarManager = require("src/grammar/GrammarManager"),
+        ViewportChecker = require("src/editor/ViewportChecker"),
+        Preferences = require("src/preferences/PreferencesManager"),
         Menus = brackets.getModule("command/Menus"),
         EditorContextMenu = Menus.getContextMenu(Menus.ContextMenuIds.EDITOR_MENU),
         AppInit = brackets.getModule("utils/AppInit"),
-        StringUtils = require("src/utils/Strings"),
         CommandManager = brackets.getModule("command/CommandManager"),
         StatusBar = brackets.getModule("widgets/StatusBar");
 
     var COMMAND_NO_SUGGESTIONS = "linguistics.noSuggestions";
+    var COMMAND_LOOKING_UP_SUGGESTIONS = "linguistics.lookingUpSuggestions";
+    var COMMAND_ADD_TO_DICTIONARY = "linguistics.addToDictionary";
+    var COMMAND_ADD_TO_PROJECT_DICTIONARY = "linguistics.addToProjectDictionary";
+    var COMMAND_IGNORE_WORD = "linguistics.ignoreWord";
+    var COMMAND_IGNORE_WORD_IN_DOCUMENT = "linguistics.ignoreWordInDocument";
+    var COMMAND_NEXT_SPELLING_ERROR = "linguistics.nextSpellingError";
+    var COMMAND_PREVIOUS_SPELLING_ERROR = "linguistics.previousSpellingError";
+    var COMMAND_LOG_CACHE_STATS = "linguistics.logCacheStats";
+    
+    /**
+     * The name of the gutter used to mark lines that contain misspelled words.
+     * 
+     * @const
+     * @type {string}
+     */
+    var GUTTER_SPELLING_ERRORS = "spelling-errors";
+    
+    /**
+     * The change origin used when every occurrence of a misspelled word is replaced.
+     * It does not start with a "+", so CodeMirror never merges the replacement
+     * with other changes in the undo history.
+     * 
+     * @const
+     * @type {string}
+     */
+    var ORIGIN_REPLACE_ALL = "linguisticsReplaceAll";
     
     /**
      * Indicates if the spell checker is enabled or not.
@@ -47,46 +81,44 @@ define(function (require, exports, module) {
      * @type {boolean}
      */
     var _spellCheckEnabled = false;
-
+    
     /**
-     * The supported CodeMirror modes.
+     * The words from the user's "globalIgnoreList" preference.
      *
      * @type {Array}
      */
-    var _validCodeMirrorModes = [
-        "null",
-        "markdown",
-        "gfm",
-        "aliceMarkdown",
-        "deskMarkdown"
-    ];
+    var _globalIgnoreList = [];
 
     var editorsWithGutters = [];
     
     /**
-     * The spell checker overlay instance.
+     * Gets the check scope for an editor.
      * 
-     * We need to keep track of this using a local variable so that
-     * we can reliably remove it from CodeMirror instances.
-     *
-     * @type {Object}
+     * Each editor gets its own spell checker overlay (see `linguisticsOverlay`
+     * on the editor), built for the editor's CodeMirror mode and check scope.
+     * We need to keep track of the overlay on the editor so that we can
+     * reliably remove it from the CodeMirror instance later.
+     * 
+     * @private
+     * 
+     * @param   {Editor} editor The editor.
+     * @returns {string}
      */
-    var _spellCheckOverlay = SpellChecker.getOverlay();
+    function _getCheckScope(editor) {
+        var _checkScope = Preferences.getCheckScope(editor.document.file.fullPath, editor.document.getLanguage().getId());
+        
+        return SpellChecker.resolveCheckScope(_checkScope, editor._codeMirror.getMode().name);
+    }
 
     /**
-     * Determines if a CodeMirror instance has a supported mode for spell checking.
+     * Determines if a check scope allows spell checking at all.
      * @private
      * 
-     * @param   {Object}  codeMirror The CodeMirror instance. 
+     * @param   {string}  checkScope The resolved check scope.
      * @returns {boolean}
      */
-    function _isValidMode(codeMirror) {
-        return true;
-        
-        // It may be required to later revert this function
-        // to check the mode to see if it is valid or not.
-        // var _modeName = codeMirror.getMode().name;
-        // return (_validCodeMirrorModes.indexOf(_modeName) > -1);
+    function _isValidMode(checkScope) {
+        return (checkScope !== SpellChecker.SCOPE_OFF);
     }
 
     /**
@@ -121,11 +153,9 @@ define(function (require, exports, module) {
         // add our gutter if its not already available
         var cm = editor._codeMirror;
 
-        var gutterName = "spelling-errors";
-
         var gutters = cm.getOption("gutters").slice(0);
-        if (gutters.indexOf(gutterName) === -1) {
-            gutters.unshift(gutterName);
+        if (gutters.indexOf(GUTTER_SPELLING_ERRORS) === -1) {
+            gutters.unshift(GUTTER_SPELLING_ERRORS);
             cm.setOption("gutters", gutters);
         }
 
@@ -140,7 +170,64 @@ define(function (require, exports, module) {
         marker.innerHTML = "●";
         return marker;
     }
+    
+    /**
+     * Marks the lines of an open document that contain misspelled words.
+     * 
+     * Any markers from a previous call are removed first, so calling
+     * this with an empty list clears the gutter.
+     * 
+     * @param {string} fullPath The document's path.
+     * @param {Array}  lines    The zero-based line numbers to mark.
+     */
+    function setSpellingGutterMarkers(fullPath, lines) {
+        var doc = DocumentManager.getOpenDocumentForPath(fullPath),
+            editor = doc ? doc._masterEditor : null,
+            cm = editor ? editor._codeMirror : null;
+        
+        if (!cm) {
+            return;
+        }
+        
+        prepareGutter(editor);
+        
+        cm.operation(function () {
+            cm.clearGutter(GUTTER_SPELLING_ERRORS);
+            
+            lines.forEach(function (line) {
+                cm.setGutterMarker(line, GUTTER_SPELLING_ERRORS, _getSpellingMarker());
+            });
+        });
+    }
 
+    /**
+     * Switches a large document's editor over to the ViewportChecker.
+     * 
+     * @private
+     * 
+     * @param {Editor} editor     The editor.
+     * @param {string} checkScope The resolved check scope.
+     */
+    function _updateViewportChecker(editor, checkScope) {
+        var cm = editor._codeMirror;
+        
+        // The document may have grown past the limit while it was open.
+        if (_editorHasSpellCheckOverlay(cm)) {
+            cm.removeOverlay(editor.linguisticsOverlay);
+        }
+        
+        if (!_spellCheckEnabled || !_isValidMode(checkScope)) {
+            ViewportChecker.detach(editor);
+            return;
+        }
+        
+        ViewportChecker.attach(editor, checkScope);
+        
+        if (editor.linguisticsRequestingRefresh) {
+            ViewportChecker.refresh(editor);
+        }
+    }
+    
     /**
      * Updates the CodeMirror instance by removing or adding overlays as necessary.
      */
@@ -149,11 +236,19 @@ define(function (require, exports, module) {
             cm = editor ? editor._codeMirror : null;
 
         if (cm) {
-            var _hasValidMode = _isValidMode(cm);
+            var _checkScope = _getCheckScope(editor);
+            var _hasValidMode = _isValidMode(_checkScope);
             var _hasOverlay = _editorHasSpellCheckOverlay(cm);
             var _needsRefresh = false;
             SpellChecker.setModeName(cm.getMode().name);
             
+            if (ViewportChecker.isLargeDocument(cm)) {
+                _updateViewportChecker(editor, _checkScope);
+                return;
+            }
+            
+            ViewportChecker.detach(editor);
+            
             // Check if the editor needs to be refreshed. This is super important
             // as it will allow us to see "immediate" results in the active
             // document when switching languages. See the `_initialize`
@@ -163,10 +258,16 @@ define(function (require, exports, module) {
                 _needsRefresh = true;
             }
             
+            // An overlay that was built for a different mode, check scope or path
+            // (the language, preferences or file name may have changed) has to go.
+            if (_hasOverlay && (editor.linguisticsOverlay.checkScope !== _checkScope || editor.linguisticsOverlay.baseMode !== cm.getMode() ||
+                    editor.linguisticsOverlay.fullPath !== editor.document.file.fullPath)) {
+                _needsRefresh = true;
+            }
+            
             if (!_hasValidMode || _needsRefresh || !_spellCheckEnabled) {
                 if (_hasOverlay) {
-                    cm.setOption("styleSelectedText", false);
-                    cm.removeOverlay(_spellCheckOverlay);
+                    cm.removeOverlay(editor.linguisticsOverlay);
                     if (_needsRefresh) {
                         _hasOverlay = false;
                     } else {
@@ -181,17 +282,154 @@ define(function (require, exports, module) {
             }
             
             if (_spellCheckEnabled && _hasValidMode && !_hasOverlay) {
-                // The "styleSelectedText" option is not used by Brackets,
-                // so we can take advantage of that later when we have
-                // to implement the spell checking context menu.
-                cm.setOption("styleSelectedText", true);
-                cm.addOverlay(_spellCheckOverlay);
+                editor.linguisticsOverlay = SpellChecker.getOverlay(cm.getMode(), _checkScope, editor.document.file.fullPath);
+                cm.addOverlay(editor.linguisticsOverlay);
                 cm.refresh();
             }
         }
 
     }
 
+    /**
+     * Replaces the spell checker overlay of an editor with a new one for the same
+     * mode, check scope and path, which makes CodeMirror re-render its lines.
+     * 
+     * @private
+     * 
+     * @param {Editor} editor The editor.
+     */
+    function _replaceOverlay(editor) {
+        var cm = editor._codeMirror,
+            overlay = editor.linguisticsOverlay;
+        
+        cm.removeOverlay(overlay);
+        editor.linguisticsOverlay = SpellChecker.getOverlay(overlay.baseMode, overlay.checkScope, overlay.fullPath);
+        cm.addOverlay(editor.linguisticsOverlay);
+    }
+    
+    /**
+     * Re-renders every open editor that has the spell checker overlay or is
+     * checked by the ViewportChecker.
+     * 
+     * CodeMirror caches the styles an overlay produces, so things like adding a
+     * word to a word list would otherwise not be reflected until the affected
+     * lines are edited. Replacing the overlay forces CodeMirror to ask the spell
+     * checker about every line once more, and the new overlay picks up the
+     * tokenizer for the mode in case that has changed.
+     */
+    function refreshEditors() {
+        DocumentManager.getAllOpenDocuments().forEach(function (doc) {
+            var editor = doc._masterEditor,
+                cm = editor ? editor._codeMirror : null;
+            
+            if (cm && _editorHasSpellCheckOverlay(cm)) {
+                _replaceOverlay(editor);
+            } else if (editor && ViewportChecker.isAttached(editor)) {
+                ViewportChecker.refresh(editor);
+            }
+        });
+    }
+
+    /**
+     * The words the worker has sent back results for since the editors were last
+     * refreshed, in lowercase.
+     * 
+     * @private
+     * @type {object}
+     */
+    var _checkedWords = {};
+    
+    /**
+     * Picks out the words a line is waiting on that the worker has answered for.
+     * 
+     * The worker is asked about the parts and variants of a word (the halves of
+     * a camelCase identifier, the word without quotes and so on), so a pending
+     * word counts as answered when any of the checked words appears in it.
+     * 
+     * @private
+     * @param   {Array} pendingWords The words considered correct until the worker answers.
+     * @param   {Array} checkedWords The lowercase words the worker has answered for.
+     * @returns {Array}
+     */
+    function _getAnsweredWords(pendingWords, checkedWords) {
+        return pendingWords.filter(function (pendingWord) {
+            var lowercase = pendingWord.toLowerCase();
+            
+            return checkedWords.some(function (word) {
+                return lowercase.indexOf(word) > -1;
+            });
+        });
+    }
+    
+    /**
+     * Re-renders the open editors that were waiting on a word the worker has sent
+     * back a result for.
+     * 
+     * Until the worker has answered, those words are considered to be spelled
+     * correctly. The overlay and the ViewportChecker remember the words they have
+     * guessed for, so editors without any of them keep their cached styles, and
+     * the ViewportChecker only checks the lines that had them again.
+     * 
+     * @private
+     */
+    function _refreshCheckedWords() {
+        var words = Object.keys(_checkedWords);
+        
+        _checkedWords = {};
+        
+        if (words.length === 0) {
+            return;
+        }
+        
+        DocumentManager.getAllOpenDocuments().forEach(function (doc) {
+            var editor = doc._masterEditor,
+                cm = editor ? editor._codeMirror : null,
+                answered;
+            
+            if (cm && _editorHasSpellCheckOverlay(cm)) {
+                answered = _getAnsweredWords(Object.keys(editor.linguisticsOverlay.pendingWords), words);
+                
+                // The new overlay starts out without pending words, and
+                // guesses again for the words the worker is still checking.
+                if (answered.length > 0) {
+                    _replaceOverlay(editor);
+                }
+            } else if (editor && ViewportChecker.isAttached(editor)) {
+                answered = _getAnsweredWords(ViewportChecker.getPendingWords(editor), words);
+                
+                if (answered.length > 0) {
+                    ViewportChecker.refreshPendingWords(editor, answered);
+                }
+            }
+        });
+    }
+    
+    /**
+     * The worker answers in batches, so the lines are re-rendered once it has
+     * been quiet for a moment rather than for every batch.
+     * 
+     * @private
+     * @type {function}
+     */
+    var _refreshCheckedWordsDebounced = _.debounce(_refreshCheckedWords, 50);
+    
+    /**
+     * Queues the words the worker has sent back results for, so that the lines
+     * containing them are re-rendered.
+     * 
+     * @private
+     * @param {jQuery.Event} e          The event.
+     * @param {string}       localeName The locale name.
+     * @param {Array}        words      The words.
+     */
+    function _handleCheckResultsAvailable(e, localeName, words) {
+        (words || []).forEach(function (word) {
+            _checkedWords[word.toLowerCase()] = true;
+        });
+        
+        _refreshCheckedWordsDebounced();
+    }
+    
     /**
      * Sets the locale string used by the internal spell checker.
      * 
@@ -218,6 +456,78 @@ define(function (require, exports, module) {
         
     }
     
+    /**
+     * Sets the list of words the spell checker should always ignore.
+     * 
+     * Open editors are re-checked whenever the list actually changes.
+     * 
+     * @param {Array} words The words to ignore.
+     */
+    function setGlobalIgnoreList(words) {
+        var _needToRefreshEditors = (_globalIgnoreList.join("\n") !== words.join("\n"));
+        
+        _globalIgnoreList = words.slice(0);
+        SpellChecker.setGlobalIgnoreList(_globalIgnoreList);
+        
+        if (_needToRefreshEditors) {
+            refreshEditors();
+        }
+    }
+    
+    /**
+     * Sets the built-in tokenizers the user has picked for CodeMirror modes
+     * (see `Tokenizers.setModeTokenizers`).
+     * 
+     * Open editors are re-checked whenever this changes the tokenizer of a mode.
+     * 
+     * @param {object} modeTokenizers The names of the built-in tokenizers, keyed by mode name.
+     */
+    function setModeTokenizers(modeTokenizers) {
+        if (Tokenizers.setModeTokenizers(modeTokenizers)) {
+            refreshEditors();
+        }
+    }
+    
+    /**
+     * Sets whether the comments in Markdown's fenced code blocks are checked.
+     * 
+     * Open editors are re-checked whenever this changes.
+     * 
+     * @param {boolean} isEnabled
+     */
+    function setCheckMarkdownCodeComments(isEnabled) {
+        var _needToRefreshEditors = (MarkdownTokenizer.isCheckingCodeComments() !== Boolean(isEnabled));
+        
+        MarkdownTokenizer.setCheckCodeComments(isEnabled);
+        
+        if (_needToRefreshEditors) {
+            refreshEditors();
+        }
+    }
+    
+    /**
+     * Registers a tokenizer for one or more CodeMirror modes and re-checks
+     * the open editors with it (see `Tokenizers.registerTokenizer`).
+     * 
+     * @param {string|Array} modeNames The mode name(s).
+     * @param {object}       tokenizer The tokenizer.
+     */
+    function registerTokenizer(modeNames, tokenizer) {
+        Tokenizers.registerTokenizer(modeNames, tokenizer);
+        refreshEditors();
+    }
+    
+    /**
+     * Removes the tokenizer registered for one or more CodeMirror modes and
+     * re-checks the open editors without it.
+     * 
+     * @param {string|Array} modeNames The mode name(s).
+     */
+    function unregisterTokenizer(modeNames) {
+        Tokenizers.unregisterTokenizer(modeNames);
+        refreshEditors();
+    }
+    
     /**
      * Indicates whether the spell checker is enabled.
      * 
@@ -227,61 +537,401 @@ define(function (require, exports, module) {
         return _spellCheckEnabled;
     }
     
-    function _isValidSelection(editor) {
-        if (editor.getSelections().length === 1) {
-            var selection = editor.getSelection();
-            if (selection.start.line === selection.end.line) {
-                var selectedText = editor.document.getRange(selection.start, selection.end);
-                // The check that determines if a selection contains word separators could later
-                // be expanded on so that snake_cased_words are allowed, and any leading or
-                // trailing word separators are appropriately accounted for.
-                if (StringUtils.containsWordSeparator(selectedText) === false) {
-                    return selectedText;
+    /**
+     * Compares two editor positions.
+     * 
+     * @private
+     * 
+     * @param   {{line: number, ch: number}} a The first position.
+     * @param   {{line: number, ch: number}} b The second position.
+     * @returns {number} A negative number, zero or a positive number when `a` is before, at or after `b`.
+     */
+    function _comparePositions(a, b) {
+        return (a.line - b.line) || (a.ch - b.ch);
+    }
+    
+    /**
+     * Selects the misspelled word after (or before) the selection, wrapping around the document.
+     * 
+     * @private
+     * 
+     * @param {Editor}  editor        The editor.
+     * @param {Array}   misspellings  The misspelled words in the document, in order.
+     * @param {boolean} forward       Whether to search forward from the selection.
+     */
+    function _selectSpellingError(editor, misspellings, forward) {
+        var _selection = editor.getSelection(),
+            _target = null,
+            i;
+        
+        if (forward) {
+            for (i = 0; i < misspellings.length; i++) {
+                if (_comparePositions(misspellings[i], _selection.end) >= 0) {
+                    _target = misspellings[i];
+                    break;
+                }
+            }
+            _target = _target || misspellings[0];
+        } else {
+            for (i = misspellings.length - 1; i >= 0; i--) {
+                if (_comparePositions(misspellings[i], _selection.start) < 0) {
+                    _target = misspellings[i];
+                    break;
                 }
             }
+            _target = _target || misspellings[misspellings.length - 1];
+        }
+        
+        // Selecting the word (rather than just moving the cursor to it)
+        // lets the context menu offer suggestions for it right away.
+        editor.setSelection({ line: _target.line, ch: _target.ch }, { line: _target.line, ch: _target.endCh }, true);
+    }
+    
+    /**
+     * Selects the next (or previous) misspelled word in the focused editor,
+     * wrapping around the document.
+     * 
+     * The document is run through the same overlay the editor uses, so the
+     * words that are visited are exactly the words that are underlined. Parts
+     * of the document that have never been rendered may have words the worker
+     * has not checked yet, so the cursor is only moved once it has.
+     * 
+     * @private
+     * 
+     * @param {boolean} forward Whether to search forward from the cursor.
+     */
+    function _goToSpellingError(forward) {
+        var editor = EditorManager.getFocusedEditor() || EditorManager.getActiveEditor(),
+            cm = editor ? editor._codeMirror : null,
+            _checkScope,
+            _text;
+        
+        if (!cm || !_spellCheckEnabled) {
+            return;
+        }
+        
+        _checkScope = _getCheckScope(editor);
+        
+        if (!_isValidMode(_checkScope)) {
+            return;
+        }
+        
+        _text = cm.getValue();
+        
+        SpellChecker.findMisspellingsAsync(_text, cm.getMode(), _checkScope, editor.document.file.fullPath).done(function (misspellings) {
+            // The positions no longer match if the document was edited in the meantime.
+            if (misspellings.length > 0 && cm.getValue() === _text) {
+                _selectSpellingError(editor, misspellings, forward);
+            }
+        });
+    }
+    
+    function _handleNextSpellingError() {
+        _goToSpellingError(true);
+    }
+    
+    function _handlePreviousSpellingError() {
+        _goToSpellingError(false);
+    }
+    
+    function _handleLogCacheStats() {
+        console.info("Linguistics: Cache statistics", SpellChecker.getCacheStats());
+    }
+    
+    /**
+     * Finds the misspelled word at a position in an editor.
+     * 
+     * The line is split into words the same way the spell checker overlay
+     * splits it and the word is checked directly, so this does not depend on
+     * how (or if) the editor has rendered the word.
+     * 
+     * @param   {Editor}                     editor The editor.
+     * @param   {{line: number, ch: number}} pos    The position.
+     * @returns {?{word: string, start: {line: number, ch: number}, end: {line: number, ch: number}}}
+     */
+    function getMisspelledWordAt(editor, pos) {
+        var cm = editor._codeMirror,
+            _checkScope = _getCheckScope(editor),
+            _word = null;
+        
+        if (!_spellCheckEnabled || !_isValidMode(_checkScope) || !editor.document.getLine(pos.line)) {
+            return null;
+        }
+        
+        // Only the words in the check scope are underlined, so words
+        // outside of it (in code, for example) are not misspellings.
+        SpellChecker.getCheckedWords(cm, pos.line, _checkScope).forEach(function (word) {
+            if (word.ch <= pos.ch && pos.ch <= word.endCh) {
+                _word = word;
+            }
+        });
+        
+        if (_word === null || !SpellChecker.isMisspelled(_word.word, _word.beforeContext, editor.document.file.fullPath)) {
+            return null;
         }
         
-        return false;
+        return {
+            word: _word.word,
+            start: { line: pos.line, ch: _word.ch },
+            end: { line: pos.line, ch: _word.endCh }
+        };
     }
     
     var _suggestions = [];
-    var _createdContextMenuCommands = [];
     var _createdMenuCommandPrefix = "stillat.linguistics.command";
     var _numberOfCreatedMenuCommands = 0;
     var _createdMenuItems = [];
     
+    /**
+     * The misspelled word the spelling context menu was last opened for
+     * (see `getMisspelledWordAt`).
+     *
+     * @type {?{word: string, start: {line: number, ch: number}, end: {line: number, ch: number}}}
+     */
+    var _contextMenuMisspelling = null;
+    
+    /**
+     * The editor the spelling context menu was last opened in.
+     *
+     * @type {?Editor}
+     */
+    var _contextMenuEditor = null;
+    
+    /**
+     * Incremented every time the context menu is opened. Suggestions that arrive
+     * for an older request than this one are no longer wanted.
+     *
+     * @type {number}
+     */
+    var _contextMenuRequest = 0;
+    
     function _getNewContextMenuCommandId() {
         _numberOfCreatedMenuCommands++;
-        return _createdContextMenuCommands + _numberOfCreatedMenuCommands;
+        return _createdMenuCommandPrefix + _numberOfCreatedMenuCommands;
     }
     
     function _handleNoSuggestions() {
         return;
     }
     
+    /**
+     * Adds the word the context menu was opened for to the user's personal word list.
+     */
+    function _handleAddToDictionary() {
+        if (_contextMenuMisspelling !== null) {
+            WordListManager.addWord(_contextMenuMisspelling.word);
+        }
+    }
+    
+    /**
+     * Adds the word the context menu was opened for to the project's word list.
+     */
+    function _handleAddToProjectDictionary() {
+        if (_contextMenuMisspelling !== null) {
+            WordListManager.addProjectWord(_contextMenuMisspelling.word);
+        }
+    }
+    
+    /**
+     * Ignores the word the context menu was opened for until Brackets is closed.
+     */
+    function _handleIgnoreWord() {
+        if (_contextMenuMisspelling !== null) {
+            WordListManager.ignoreWord(_contextMenuMisspelling.word);
+        }
+    }
+    
+    /**
+     * Ignores the word the context menu was opened for in the current document, across sessions.
+     */
+    function _handleIgnoreWordInDocument() {
+        if (_contextMenuMisspelling !== null && _contextMenuEditor !== null) {
+            WordListManager.ignoreWordInDocument(_contextMenuMisspelling.word, _contextMenuEditor.document.file.fullPath);
+        }
+    }
+    
     function _cleanupSpellingContextMenu() {
         if (_createdMenuItems.length > 0) {
             _createdMenuItems.forEach(function (item, index, array) {
-                EditorContextMenu.removeMenuItem(item._command._id);
+                if (item.isDivider) {
+                    EditorContextMenu.removeMenuDivider(item.id);
+                } else {
+                    EditorContextMenu.removeMenuItem(item._command._id);
+                }
             });
         }
+        
+        _createdMenuItems = [];
     }
     
-    function _replaceSelectionWith(newWord) {
-        var editor = EditorManager.getActiveEditor(),
-            cm = editor ? editor._codeMirror : null;
+    /**
+     * Replaces the word the context menu was opened for.
+     * 
+     * @private
+     * 
+     * @param {string} newWord The replacement.
+     */
+    function _replaceContextMenuWordWith(newWord) {
+        if (_contextMenuMisspelling !== null && _contextMenuEditor !== null) {
+            SpellChecker.acceptSuggestion(_contextMenuMisspelling.word, newWord);
+            _contextMenuEditor.document.replaceRange(newWord, _contextMenuMisspelling.start, _contextMenuMisspelling.end);
+        }
+    }
+    
+    /**
+     * Replaces every occurrence of the word the context menu was opened for.
+     * 
+     * Only the occurrences that are flagged as misspelled are replaced, so the
+     * same word in code (outside of the check scope) is left alone. The
+     * occurrences are selected with Brackets' multiple selections and replaced
+     * in one go, which makes the whole replacement a single undo step.
+     * 
+     * @private
+     * 
+     * @param {string} newWord The replacement.
+     */
+    function _replaceAllContextMenuWordWith(newWord) {
+        var editor = _contextMenuEditor,
+            misspelling = _contextMenuMisspelling,
+            cm,
+            selections,
+            primary = 0;
         
-        if (cm) {
-            cm.replaceSelection(newWord);
+        if (misspelling === null || editor === null) {
+            return;
+        }
+        
+        cm = editor._codeMirror;
+        selections = SpellChecker.findMisspellings(cm.getValue(), cm.getMode(), _getCheckScope(editor), editor.document.file.fullPath).filter(function (found) {
+            return (found.word === misspelling.word);
+        }).map(function (found, index) {
+            if (found.line === misspelling.start.line && found.ch === misspelling.start.ch) {
+                primary = index;
+            }
+            
+            return {
+                start: { line: found.line, ch: found.ch },
+                end: { line: found.line, ch: found.endCh }
+            };
+        });
+        
+        if (selections.length === 0) {
+            _replaceContextMenuWordWith(newWord);
+            return;
+        }
+        
+        SpellChecker.acceptSuggestion(misspelling.word, newWord);
+        
+        editor.setSelections(selections);
+        cm.replaceSelection(newWord, null, ORIGIN_REPLACE_ALL);
+        
+        // Leave a single cursor behind the word the menu was opened for.
+        editor.setCursorPos(cm.listSelections()[primary].head);
+    }
+    
+    /**
+     * Replaces the "looking up suggestions" placeholder in the context menu
+     * with the actual suggestions.
+     * 
+     * Brackets' menus are regular DOM elements, so adding items while
+     * the menu is already open works just fine.
+     */
+    function _addSuggestionMenuItems() {
+        if (_suggestions !== null && _suggestions.length > 0) {
+            // If we have suggestions, we should add a context
+            // menu item for each suggestion. Clicking on a
+            // suggestion in the menu should automatically
+            // replace the misspelled word for the user.
+            _suggestions.forEach(function (suggestion, index, array) {
+                var _newMenuCommand = _getNewContextMenuCommandId();
+                CommandManager.register(suggestion, _newMenuCommand, function () {
+                    _replaceContextMenuWordWith(suggestion);
+                    EditorContextMenu.close();
+                });
+                var menuItem = EditorContextMenu.addMenuItem(_newMenuCommand, "", Menus.BEFORE, COMMAND_LOOKING_UP_SUGGESTIONS);
+                _createdMenuItems.push(menuItem);
+            });
+            
+            // Fixing a word that is misspelled all over the document should
+            // not take a trip to the context menu for every occurrence, whichever
+            // of the suggestions is the right one.
+            _createdMenuItems.push(EditorContextMenu.addMenuDivider(Menus.BEFORE, COMMAND_LOOKING_UP_SUGGESTIONS));
+            _suggestions.forEach(function (suggestion) {
+                var _replaceAllCommand = _getNewContextMenuCommandId();
+                CommandManager.register("Replace all in document with \u201c" + suggestion + "\u201d", _replaceAllCommand, function () {
+                    _replaceAllContextMenuWordWith(suggestion);
+                    EditorContextMenu.close();
+                });
+                _createdMenuItems.push(EditorContextMenu.addMenuItem(_replaceAllCommand, "", Menus.BEFORE, COMMAND_LOOKING_UP_SUGGESTIONS));
+            });
+        } else {
+            // If there are no suggestions, we can add a few
+            // "placeholder" menu items to give some sort
+            // of feedback to the user to ensure them
+            // that the spell checker is running.
+            var menuItem = EditorContextMenu.addMenuItem(COMMAND_NO_SUGGESTIONS, "", Menus.BEFORE, COMMAND_LOOKING_UP_SUGGESTIONS);
+            _createdMenuItems.push(menuItem);
+        }
+        
+        EditorContextMenu.removeMenuItem(COMMAND_LOOKING_UP_SUGGESTIONS);
+        _createdMenuItems = _createdMenuItems.filter(function (item) {
+            return (item.isDivider || item._command._id !== COMMAND_LOOKING_UP_SUGGESTIONS);
+        });
+    }
+    
+    /**
+     * Gets the context menu label for the fix of a grammar problem.
+     * 
+     * @private
+     * 
+     * @param   {Editor} editor The editor.
+     * @param   {object} found  The problem, as returned by `GrammarManager.getIssueAt`.
+     * @returns {string}
+     */
+    function _getGrammarFixLabel(editor, found) {
+        var replacement = found.issue.replacement;
+        
+        if (replacement === "") {
+            return "Remove \"" + editor.document.getRange(found.from, found.to).trim() + "\"";
+        }
+        
+        if (replacement.trim() === "") {
+            return "Replace with a single space";
+        }
+        
+        return "Change to \"" + replacement + "\"";
+    }
+    
+    /**
+     * Adds the explanation and fix for a grammar problem to the context menu.
+     * 
+     * @private
+     * 
+     * @param {Editor} editor The editor.
+     * @param {object} found  The problem, as returned by `GrammarManager.getIssueAt`.
+     */
+    function _addGrammarMenuItems(editor, found) {
+        var _explanationCommand = _getNewContextMenuCommandId(),
+            _fixCommand;
+        
+        _createdMenuItems.push(EditorContextMenu.addMenuDivider());
+        
+        // The explanation is only there to be read.
+        CommandManager.register(found.issue.message, _explanationCommand, _handleNoSuggestions);
+        _createdMenuItems.push(EditorContextMenu.addMenuItem(_explanationCommand));
+        
+        if (found.issue.replacement !== null) {
+            _fixCommand = _getNewContextMenuCommandId();
+            CommandManager.register(_getGrammarFixLabel(editor, found), _fixCommand, function () {
+                GrammarManager.applyFix(editor, found);
+                GrammarManager.updateEditor(editor);
+            });
+            _createdMenuItems.push(EditorContextMenu.addMenuItem(_fixCommand));
         }
     }
     
     function _handleContextMenuOpen() {
-        // Show the busy indicator so the user knows that something
-        // is happening behind the scenes. The suggestion system
-        // can take a while to return, based on the length of
-        // the word that is being looked up.
-        StatusBar.showBusyIndicator();
+        var _request = ++_contextMenuRequest;
         
         // Reset the suggestions.
         _suggestions = [];
@@ -295,38 +945,63 @@ define(function (require, exports, module) {
         _cleanupSpellingContextMenu();
         
         var editor = EditorManager.getActiveEditor();
-        var selectedWord = _isValidSelection(editor);
-        if (selectedWord !== false) {
-            var isSpellingError = $(".CodeMirror-selectedtext:first").hasClass("cm-alice-spelling-visualization");
-            if (isSpellingError) {
-                _suggestions = SpellChecker.suggest(selectedWord);
-                if (_suggestions.length > 0) {
-                    // If we have suggestions, we should add a context
-                    // menu item for each suggestion. Clicking on a
-                    // suggestion in the menu should automatically
-                    // replace the misspelled word for the user.
-                    _suggestions.forEach(function (suggestion, index, array) {
-                        var _newMenuCommand = _getNewContextMenuCommandId();
-                        CommandManager.register(suggestion, _newMenuCommand, function () {
-                            _replaceSelectionWith(suggestion);
-                            EditorContextMenu.close();
-                        });
-                        var menuItem = EditorContextMenu.addMenuItem(_newMenuCommand);
-                        _createdMenuItems.push(menuItem);
-                    });
-                } else {
-                    // If there are no suggestions, we can add a few
-                    // "placeholder" menu items to give some sort
-                    // of feedback to the user to ensure them
-                    // that the spell checker is running.
-                    var menuItem = EditorContextMenu.addMenuItem(COMMAND_NO_SUGGESTIONS);
-                    _createdMenuItems.push(menuItem);
-                }
-            }
+        
+        _contextMenuEditor = editor;
+        _contextMenuMisspelling = null;
+        
+        if (!editor) {
+            return;
         }
         
-        // Hide the busy indicator.
-        StatusBar.hideBusyIndicator();
+        // Brackets moves the cursor to the position that was right clicked
+        // (unless that position is inside the selection), so the word
+        // under the cursor is the word the menu was opened for.
+        var misspelling = getMisspelledWordAt(editor, editor.getSelection().start),
+            grammarIssue = GrammarManager.getIssueAt(editor, editor.getSelection().start);
+        
+        if (grammarIssue !== null) {
+            _addGrammarMenuItems(editor, grammarIssue);
+        }
+        
+        if (misspelling !== null) {
+            // The suggestions are generated in the background, so the menu
+            // starts out with a placeholder that is swapped for the
+            // suggestions once they arrive.
+            _createdMenuItems.push(EditorContextMenu.addMenuItem(COMMAND_LOOKING_UP_SUGGESTIONS));
+            
+            // Let the user teach the spell checker about the word.
+            _contextMenuMisspelling = misspelling;
+            _createdMenuItems.push(EditorContextMenu.addMenuDivider());
+            _createdMenuItems.push(EditorContextMenu.addMenuItem(COMMAND_ADD_TO_DICTIONARY));
+            _createdMenuItems.push(EditorContextMenu.addMenuItem(COMMAND_ADD_TO_PROJECT_DICTIONARY));
+            _createdMenuItems.push(EditorContextMenu.addMenuItem(COMMAND_IGNORE_WORD));
+            _createdMenuItems.push(EditorContextMenu.addMenuItem(COMMAND_IGNORE_WORD_IN_DOCUMENT));
+            
+            // Show the busy indicator so the user knows that something
+            // is happening behind the scenes. The suggestion system
+            // can take a while to return, based on the length of
+            // the word that is being looked up.
+            StatusBar.showBusyIndicator();
+            
+            var _showSuggestions = function (suggestions) {
+                // Hide the busy indicator.
+                StatusBar.hideBusyIndicator();
+                
+                // The menu has been opened again since this request was made.
+                if (_request !== _contextMenuRequest) {
+                    return;
+                }
+                
+                _suggestions = suggestions;
+                _addSuggestionMenuItems();
+            };
+            
+            // The request fails when the spelling worker has run into an
+            // error, which leaves the menu without suggestions.
+            SpellChecker.suggest(misspelling.word).done(_showSuggestions).fail(function () {
+                _showSuggestions(null);
+            });
+        }
     }
     
     function getActiveContents() {
@@ -342,13 +1017,49 @@ define(function (require, exports, module) {
     
     AppInit.appReady(function () {
         CommandManager.register("No spelling suggestions", COMMAND_NO_SUGGESTIONS, _handleNoSuggestions);
+        CommandManager.register("Looking up suggestions\u2026", COMMAND_LOOKING_UP_SUGGESTIONS, _handleNoSuggestions);
+        CommandManager.register("Add to personal dictionary", COMMAND_ADD_TO_DICTIONARY, _handleAddToDictionary);
+        CommandManager.register("Add to project dictionary", COMMAND_ADD_TO_PROJECT_DICTIONARY, _handleAddToProjectDictionary);
+        CommandManager.register("Ignore in this session", COMMAND_IGNORE_WORD, _handleIgnoreWord);
+        CommandManager.register("Ignore all in this document", COMMAND_IGNORE_WORD_IN_DOCUMENT, _handleIgnoreWordInDocument);
+        CommandManager.register("Go to Next Spelling Error", COMMAND_NEXT_SPELLING_ERROR, _handleNextSpellingError);
+        CommandManager.register("Go to Previous Spelling Error", COMMAND_PREVIOUS_SPELLING_ERROR, _handlePreviousSpellingError);
+        
+        var navigateMenu = Menus.getMenu(Menus.AppMenuBar.NAVIGATE_MENU);
+        navigateMenu.addMenuDivider();
+        navigateMenu.addMenuItem(COMMAND_NEXT_SPELLING_ERROR, "F7");
+        navigateMenu.addMenuItem(COMMAND_PREVIOUS_SPELLING_ERROR, "Shift-F7");
+        
+        // The Debug menu is added by one of Brackets' default extensions, which may be disabled.
+        CommandManager.register("Log Linguistics Cache Statistics", COMMAND_LOG_CACHE_STATS, _handleLogCacheStats);
+        var debugMenu = Menus.getMenu(Menus.AppMenuBar.DEBUG_MENU);
+        if (debugMenu) {
+            debugMenu.addMenuItem(COMMAND_LOG_CACHE_STATS);
+        }
+        
         EditorContextMenu.on("beforeContextMenuOpen", _handleContextMenuOpen);
     });
+    
+    // Words that were added to (or loaded into) a word list should
+    // stop being flagged in every open editor right away.
+    WordListManager.on("wordListChanged", refreshEditors);
+    
+    // Words that were rendered before the worker had checked them
+    // may turn out to be misspelled.
+    DictionaryManager.on("checkResultsAvailable", _handleCheckResultsAvailable);
 
     exports.updateInterface = updateInterface;
+    exports.refreshEditors = refreshEditors;
     exports.setLocale = setLocale;
     exports.setSpellCheckEnabled = setSpellCheckEnabled;
+    exports.setGlobalIgnoreList = setGlobalIgnoreList;
+    exports.setModeTokenizers = setModeTokenizers;
+    exports.setCheckMarkdownCodeComments = setCheckMarkdownCodeComments;
+    exports.registerTokenizer = registerTokenizer;
+    exports.unregisterTokenizer = unregisterTokenizer;
     exports.isSpellCheckEnabled = isSpellCheckEnabled;
     exports.getActiveContents = getActiveContents;
+    exports.setSpellingGutterMarkers = setSpellingGutterMarkers;
+    exports.getMisspelledWordAt = getMisspelledWordAt;
 
 });
\ No newline at end of file
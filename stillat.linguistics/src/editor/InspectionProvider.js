@@ -0,0 +1,270 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The InspectionProvider reports misspelled words to Brackets' CodeInspection
+ * so that they are listed in the Problems panel, and marks the lines that
+ * contain them in the editor's gutter.
+ *
+ * The provider is registered for every language. The check scope of the file
+ * (see the "checkScope" preference) decides which parts of it are checked.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var CodeInspection = brackets.getModule("language/CodeInspection"),
+        LanguageManager = brackets.getModule("language/LanguageManager"),
+        DocumentManager = brackets.getModule("document/DocumentManager"),
+        CodeMirror = brackets.getModule("thirdparty/CodeMirror/lib/codemirror"),
+        Async = brackets.getModule("utils/Async"),
+        AppInit = brackets.getModule("utils/AppInit"),
+        SpellChecker = require("src/spelling/SpellChecker"),
+        WordListManager = require("src/spelling/WordListManager"),
+        CorrectionHistory = require("src/spelling/CorrectionHistory"),
+        LRUCache = require("src/utils/LRUCache").LRUCache,
+        Preferences = require("src/preferences/PreferencesManager"),
+        EditorManager = require("src/editor/EditorManager");
+
+    /**
+     * The name shown for the provider in the Problems panel.
+     *
+     * @const
+     * @type {string}
+     */
+    var PROVIDER_NAME = "Linguistics";
+
+    /**
+     * The number of suggestions included with each problem.
+     *
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_SUGGESTIONS = 3;
+
+    /**
+     * The number of words to look up suggestions for in a single run. Suggestions
+     * are by far the most expensive thing the worker does, and the worker checks
+     * the words the editor renders in between, so every run only looks up a few
+     * words. The other words get their suggestions in later runs.
+     *
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_SUGGESTION_LOOKUPS = 3;
+
+    /**
+     * The number of words whose suggestions are kept.
+     *
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_CACHED_SUGGESTIONS = 500;
+
+    /**
+     * The suggestions included with the problems, keyed by locale name and word.
+     *
+     * The Problems panel is updated every time a file is saved or switched to,
+     * so the suggestions are looked up once rather than for every run.
+     *
+     * @type {LRUCache}
+     */
+    var _suggestionCache = new LRUCache(MAXIMUM_CACHED_SUGGESTIONS);
+
+    /**
+     * Gets the CodeMirror mode for a file.
+     *
+     * The mode of an open editor is preferred since it is exactly the
+     * mode the spell checker overlay of that editor was built for.
+     *
+     * @private
+     *
+     * @param   {string}   fullPath The file's path.
+     * @param   {Language} language The file's language.
+     * @returns {object}
+     */
+    function _getMode(fullPath, language) {
+        var doc = DocumentManager.getOpenDocumentForPath(fullPath);
+
+        if (doc && doc._masterEditor) {
+            return doc._masterEditor._codeMirror.getMode();
+        }
+
+        return CodeMirror.getMode(CodeMirror.defaults, language.getMode() || "null");
+    }
+
+    /**
+     * Looks up the suggestions for the misspelled words.
+     *
+     * Only the first few words that have not been looked up before are sent to
+     * the worker; the other words have no suggestions until a later run.
+     *
+     * @private
+     *
+     * @param   {Array}     misspellings The results of `SpellChecker.findMisspellingsAsync`.
+     * @returns {$.Promise} A promise resolved with an object mapping each word to its suggestions.
+     */
+    function _getSuggestions(misspellings) {
+        var deferred = new $.Deferred(),
+            localeName = SpellChecker.getLocaleName(),
+            suggestions = Object.create(null),
+            promises = [];
+
+        misspellings.forEach(function (misspelling) {
+            var word = misspelling.word,
+                cacheKey = localeName + "\n" + word;
+
+            if (typeof suggestions[word] !== "undefined") {
+                return;
+            }
+
+            suggestions[word] = _suggestionCache.get(cacheKey) || [];
+
+            if (_suggestionCache.has(cacheKey) || promises.length >= MAXIMUM_SUGGESTION_LOOKUPS) {
+                return;
+            }
+
+            promises.push(SpellChecker.suggest(word).done(function (wordSuggestions) {
+                suggestions[word] = (wordSuggestions || []).slice(0, MAXIMUM_SUGGESTIONS);
+                _suggestionCache.set(cacheKey, suggestions[word]);
+            }));
+        });
+
+        Async.waitForAll(promises, false).always(function () {
+            deferred.resolve(suggestions);
+        });
+
+        return deferred.promise();
+    }
+
+    /**
+     * Creates the Problems panel message for a misspelled word.
+     *
+     * @private
+     *
+     * @param   {string} word        The misspelled word.
+     * @param   {Array}  suggestions The word's suggestions.
+     * @returns {string}
+     */
+    function _getMessage(word, suggestions) {
+        var message = "\"" + word + "\" may be misspelled";
+
+        if (suggestions && suggestions.length > 0) {
+            message += " (suggestions: " + suggestions.join(", ") + ")";
+        }
+
+        return message;
+    }
+
+    /**
+     * Finds the misspelled words in a file.
+     *
+     * The file's language and check scope decide how it is checked, exactly
+     * like they do for an editor showing the file.
+     *
+     * @param   {string}    text     The file's contents.
+     * @param   {string}    fullPath The file's path.
+     * @returns {$.Promise} A promise resolved with the results of `SpellChecker.findMisspellingsAsync`,
+     *                      or null when the file is not spell checked.
+     */
+    function findMisspellingsInFile(text, fullPath) {
+        var language = LanguageManager.getLanguageForPath(fullPath),
+            baseMode = _getMode(fullPath, language),
+            checkScope = SpellChecker.resolveCheckScope(Preferences.getCheckScope(fullPath, language.getId()), baseMode.name);
+
+        if (!SpellChecker.isSpellCheckEnabled() || checkScope === SpellChecker.SCOPE_OFF) {
+            return new $.Deferred().resolve(null).promise();
+        }
+
+        return SpellChecker.findMisspellingsAsync(text, baseMode, checkScope, fullPath);
+    }
+
+    /**
+     * Checks a file for misspelled words.
+     *
+     * @private
+     *
+     * @param   {string}    text     The file's contents.
+     * @param   {string}    fullPath The file's path.
+     * @returns {$.Promise} A promise resolved with the CodeInspection results, or null.
+     */
+    function _scanFileAsync(text, fullPath) {
+        var deferred = new $.Deferred();
+
+        findMisspellingsInFile(text, fullPath).done(function (misspellings) {
+            if (misspellings === null) {
+                EditorManager.setSpellingGutterMarkers(fullPath, []);
+                deferred.resolve(null);
+                return;
+            }
+
+            _getSuggestions(misspellings).done(function (suggestions) {
+                var lines = [],
+                    errors = misspellings.map(function (misspelling) {
+                        if (lines.indexOf(misspelling.line) === -1) {
+                            lines.push(misspelling.line);
+                        }
+
+                        return {
+                            pos: { line: misspelling.line, ch: misspelling.ch },
+                            endPos: { line: misspelling.line, ch: misspelling.endCh },
+                            message: _getMessage(misspelling.word, suggestions[misspelling.word]),
+                            type: CodeInspection.Type.WARNING
+                        };
+                    });
+
+                EditorManager.setSpellingGutterMarkers(fullPath, lines);
+                deferred.resolve({ errors: errors });
+            });
+        }).fail(function (message) {
+            console.error("Linguistics: Could not spell check " + fullPath, message);
+            EditorManager.setSpellingGutterMarkers(fullPath, []);
+            deferred.resolve(null);
+        });
+
+        return deferred.promise();
+    }
+
+    AppInit.appReady(function () {
+        CodeInspection.register("*", {
+            name: PROVIDER_NAME,
+            scanFileAsync: _scanFileAsync
+        });
+
+        // Words that were added to a word list should disappear
+        // from the Problems panel without having to save the file.
+        WordListManager.on("wordListChanged", function () {
+            CodeInspection.requestRun();
+        });
+
+        // Picking a correction changes the order of the word's suggestions.
+        CorrectionHistory.on("historyChanged", function () {
+            _suggestionCache.clear();
+        });
+    });
+
+    exports.findMisspellingsInFile = findMisspellingsInFile;
+
+});
\ No newline at end of file
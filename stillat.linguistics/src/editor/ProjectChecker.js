@@ -0,0 +1,160 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The ProjectChecker spell checks every file in the current project.
+ *
+ * Files are found through Brackets' project model, so anything Brackets
+ * excludes from the project (including binary files) is skipped. The
+ * "projectCheckFilter" preference narrows the files down further with glob
+ * patterns that are matched against the project-relative path (see `Glob`).
+ *
+ * Each file is checked the same way an editor showing it would be (see
+ * `InspectionProvider.findMisspellingsInFile`). The misspellings that are
+ * reported also carry the text of their line (as `lineText`), since most of
+ * the files are not open.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var ProjectManager = brackets.getModule("project/ProjectManager"),
+        DocumentManager = brackets.getModule("document/DocumentManager"),
+        LanguageManager = brackets.getModule("language/LanguageManager"),
+        Async = brackets.getModule("utils/Async"),
+        Glob = require("src/core/Glob"),
+        InspectionProvider = require("src/editor/InspectionProvider");
+
+    /**
+     * Identifies the current check. Checks that are no longer current stop
+     * at the next file.
+     *
+     * @type {number}
+     */
+    var _currentCheck = 0;
+
+    /**
+     * Determines if a file should be checked.
+     *
+     * @private
+     *
+     * @param   {{include: Array, exclude: Array}} filter The compiled filter.
+     * @param   {File}                             file   The file.
+     * @returns {boolean}
+     */
+    function _shouldCheck(filter, file) {
+        var relativePath = ProjectManager.makeProjectRelativeIfPossible(file.fullPath);
+
+        if (LanguageManager.getLanguageForPath(file.fullPath).isBinary()) {
+            return false;
+        }
+
+        return Glob.matchesFilter(filter, relativePath);
+    }
+
+    /**
+     * Spell checks the files of the current project.
+     *
+     * The returned promise is notified with the number of files checked so far
+     * and the total number of files as the check progresses. It is rejected when
+     * the check is cancelled (see `cancel`).
+     *
+     * @param   {Array}     patterns The glob patterns selecting the files to check.
+     * @returns {$.Promise} A promise resolved with a list of { fullPath, misspellings } objects,
+     *                      one for every file that has misspelled words.
+     */
+    function checkProject(patterns) {
+        var deferred = new $.Deferred(),
+            check = ++_currentCheck,
+            filter = Glob.compileFilter(patterns || []),
+            results = [];
+
+        ProjectManager.getAllFiles(function (file) {
+            return _shouldCheck(filter, file);
+        }).done(function (files) {
+            var checked = 0;
+
+            deferred.notify(checked, files.length);
+
+            Async.doSequentially(files, function (file) {
+                var fileDeferred = new $.Deferred();
+
+                if (check !== _currentCheck) {
+                    return fileDeferred.reject().promise();
+                }
+
+                DocumentManager.getDocumentText(file).done(function (text) {
+                    InspectionProvider.findMisspellingsInFile(text, file.fullPath).done(function (misspellings) {
+                        var lines;
+
+                        if (misspellings !== null && misspellings.length > 0) {
+                            lines = text.split(/\r\n|\r|\n/);
+                            misspellings.forEach(function (misspelling) {
+                                misspelling.lineText = lines[misspelling.line];
+                            });
+
+                            results.push({
+                                fullPath: file.fullPath,
+                                misspellings: misspellings
+                            });
+                        }
+
+                        fileDeferred.resolve();
+                    }).fail(function () {
+                        // Files that cannot be checked are skipped like unreadable ones.
+                        fileDeferred.resolve();
+                    });
+                }).fail(function () {
+                    // Files that cannot be read are simply left out of the report.
+                    fileDeferred.resolve();
+                });
+
+                return fileDeferred.always(function () {
+                    deferred.notify(++checked, files.length);
+                }).promise();
+            }, true).done(function () {
+                deferred.resolve(results);
+            }).fail(function () {
+                deferred.reject();
+            });
+        }).fail(function () {
+            deferred.reject();
+        });
+
+        return deferred.promise();
+    }
+
+    /**
+     * Stops the project check that is running, if any.
+     */
+    function cancel() {
+        _currentCheck++;
+    }
+
+    exports.checkProject = checkProject;
+    exports.cancel = cancel;
+
+});
\ No newline at end of file
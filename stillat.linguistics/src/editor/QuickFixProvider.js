@@ -0,0 +1,250 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The QuickFixProvider shows the suggestions for the misspelled word under the
+ * cursor in an inline hint list, so that misspellings can be fixed without
+ * using the mouse or selecting the word first.
+ *
+ * The list is a regular Brackets code hint list: it is opened by the quick fix
+ * command and can be navigated with the arrow keys, Enter and Escape.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var CodeHintManager = brackets.getModule("editor/CodeHintManager"),
+        BracketsEditorManager = brackets.getModule("editor/EditorManager"),
+        CommandManager = brackets.getModule("command/CommandManager"),
+        Commands = brackets.getModule("command/Commands"),
+        Menus = brackets.getModule("command/Menus"),
+        AppInit = brackets.getModule("utils/AppInit"),
+        SpellChecker = require("src/spelling/SpellChecker"),
+        WordListManager = require("src/spelling/WordListManager"),
+        EditorManager = require("src/editor/EditorManager");
+
+    var COMMAND_QUICK_FIX = "linguistics.quickFix";
+
+    var ACTION_ADD_TO_DICTIONARY = "addToDictionary";
+    var ACTION_ADD_TO_PROJECT_DICTIONARY = "addToProjectDictionary";
+    var ACTION_IGNORE_WORD = "ignoreWord";
+
+    /**
+     * The priority of the hint provider. The provider only ever offers hints when
+     * the quick fix command asks for them, but it has to be asked before the
+     * language's own hint providers are.
+     *
+     * @const
+     * @type {number}
+     */
+    var PROVIDER_PRIORITY = 100;
+
+    /**
+     * Indicates if the quick fix command is currently opening the hint list.
+     *
+     * @type {boolean}
+     */
+    var _quickFixRequested = false;
+
+    /**
+     * The misspelled word the hint list was opened for.
+     *
+     * @type {?{word: string, start: {line: number, ch: number}, end: {line: number, ch: number}}}
+     */
+    var _misspelling = null;
+
+    /**
+     * The editor the hint list was opened in.
+     *
+     * @type {?Editor}
+     */
+    var _editor = null;
+
+    /**
+     * Indicates if the hints have already been handed to the hint list.
+     *
+     * @type {boolean}
+     */
+    var _hintsProvided = false;
+
+    /**
+     * Creates a hint list item that performs an action instead of inserting a suggestion.
+     *
+     * @private
+     *
+     * @param   {string} label  The text shown in the list.
+     * @param   {string} action The action to perform.
+     * @returns {jQuery}
+     */
+    function _createActionHint(label, action) {
+        return $("<span>")
+            .addClass("linguistics-quick-fix-action")
+            .text(label)
+            .data("action", action);
+    }
+
+    /**
+     * Creates the hint list items for a word.
+     *
+     * @private
+     *
+     * @param   {Array}  suggestions The word's suggestions.
+     * @returns {Array}
+     */
+    function _createHints(suggestions) {
+        var hints = (suggestions || []).map(function (suggestion) {
+            return $("<span>").text(suggestion).data("suggestion", suggestion);
+        });
+
+        hints.push(_createActionHint("Add to personal dictionary", ACTION_ADD_TO_DICTIONARY));
+        hints.push(_createActionHint("Add to project dictionary", ACTION_ADD_TO_PROJECT_DICTIONARY));
+        hints.push(_createActionHint("Ignore in this session", ACTION_IGNORE_WORD));
+
+        return hints;
+    }
+
+    /**
+     * Determines whether the provider has hints for the editor.
+     *
+     * @private
+     *
+     * @param   {Editor}  editor       The editor.
+     * @param   {?string} implicitChar The character that was typed, or null when hints were requested explicitly.
+     * @returns {boolean}
+     */
+    function _hasHints(editor, implicitChar) {
+        if (!_quickFixRequested || implicitChar !== null) {
+            return false;
+        }
+
+        _editor = editor;
+        _misspelling = EditorManager.getMisspelledWordAt(editor, editor.getCursorPos());
+        _hintsProvided = false;
+
+        return (_misspelling !== null);
+    }
+
+    /**
+     * Gets the hints for the misspelled word.
+     *
+     * The list is closed as soon as the user types, since the suggestions
+     * no longer apply to the word at that point.
+     *
+     * @private
+     *
+     * @param   {?string}    implicitChar The character that was typed, if any.
+     * @returns {?$.Promise} A promise resolved with the hint response.
+     */
+    function _getHints(implicitChar) {
+        var deferred = new $.Deferred();
+
+        if (_hintsProvided || _misspelling === null) {
+            return null;
+        }
+
+        _hintsProvided = true;
+
+        function _resolveHints(suggestions) {
+            deferred.resolve({
+                hints: _createHints(suggestions),
+                match: null,
+                selectInitial: true,
+                handleWideResults: false
+            });
+        }
+
+        // The actions are still offered when the suggestions could not be made.
+        SpellChecker.suggest(_misspelling.word).done(_resolveHints).fail(function () {
+            _resolveHints(null);
+        });
+
+        return deferred.promise();
+    }
+
+    /**
+     * Replaces the misspelled word with the chosen suggestion, or performs the chosen action.
+     *
+     * @private
+     *
+     * @param   {jQuery}  $hint The chosen hint.
+     * @returns {boolean} Always false; the hint list should not be reopened.
+     */
+    function _insertHint($hint) {
+        var action = $hint.data("action"),
+            word = _misspelling.word;
+
+        switch (action) {
+        case ACTION_ADD_TO_DICTIONARY:
+            WordListManager.addWord(word);
+            break;
+        case ACTION_ADD_TO_PROJECT_DICTIONARY:
+            WordListManager.addProjectWord(word);
+            break;
+        case ACTION_IGNORE_WORD:
+            WordListManager.ignoreWord(word);
+            break;
+        default:
+            SpellChecker.acceptSuggestion(word, $hint.data("suggestion"));
+            _editor.document.replaceRange($hint.data("suggestion"), _misspelling.start, _misspelling.end);
+            break;
+        }
+
+        _misspelling = null;
+
+        return false;
+    }
+
+    /**
+     * Opens the hint list for the misspelled word under the cursor.
+     *
+     * @private
+     */
+    function _handleQuickFix() {
+        var editor = BracketsEditorManager.getFocusedEditor();
+
+        // The code hints command falls back to the language's own hints when
+        // this provider has nothing to offer, so it is only run for misspellings.
+        if (!editor || EditorManager.getMisspelledWordAt(editor, editor.getCursorPos()) === null) {
+            return;
+        }
+
+        _quickFixRequested = true;
+        CommandManager.execute(Commands.SHOW_CODE_HINTS);
+        _quickFixRequested = false;
+    }
+
+    AppInit.appReady(function () {
+        CodeHintManager.registerHintProvider({
+            hasHints: _hasHints,
+            getHints: _getHints,
+            insertHint: _insertHint
+        }, ["all"], PROVIDER_PRIORITY);
+
+        CommandManager.register("Show Spelling Suggestions", COMMAND_QUICK_FIX, _handleQuickFix);
+        Menus.getMenu(Menus.AppMenuBar.EDIT_MENU).addMenuItem(COMMAND_QUICK_FIX, "Ctrl-.");
+    });
+
+});
\ No newline at end of file
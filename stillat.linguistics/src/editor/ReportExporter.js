@@ -0,0 +1,263 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The ReportExporter spell checks files and writes the results to disk in one
+ * of the formats of ReportFormatter (JSON, CSV, Checkstyle XML or SARIF).
+ *
+ * Other extensions can use it too:
+ *
+ *     ReportExporter.exportFiles(["/project/readme.md"], "sarif", "/project/spelling.sarif");
+ *
+ * Files are checked the same way an editor showing them would be (see
+ * `InspectionProvider.findMisspellingsInFile`), using the current locale.
+ *
+ * Suggestions are looked up one word at a time, and only for the first
+ * MAXIMUM_SUGGESTED_WORDS words, so that the spelling worker can still
+ * check the words of the editor while a report is being created.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileSystem = brackets.getModule("filesystem/FileSystem"),
+        DocumentManager = brackets.getModule("document/DocumentManager"),
+        ProjectManager = brackets.getModule("project/ProjectManager"),
+        LanguageManager = brackets.getModule("language/LanguageManager"),
+        Async = brackets.getModule("utils/Async"),
+        SpellChecker = require("src/spelling/SpellChecker"),
+        DictionaryManager = require("src/spelling/DictionaryManager"),
+        InspectionProvider = require("src/editor/InspectionProvider"),
+        ReportFormatter = require("src/utils/ReportFormatter");
+
+    /**
+     * The number of unique words to look up suggestions for. Every lookup
+     * takes the worker a while, so the other words have no suggestions.
+     *
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_SUGGESTED_WORDS = 100;
+
+    /**
+     * Checks a single file and adds its misspellings to a report.
+     *
+     * @private
+     *
+     * @param   {object}    report   The report.
+     * @param   {string}    fullPath The file's path.
+     * @returns {$.Promise}
+     */
+    function _checkFile(report, fullPath) {
+        var deferred = new $.Deferred();
+
+        DocumentManager.getDocumentText(FileSystem.getFileForPath(fullPath)).done(function (text) {
+            InspectionProvider.findMisspellingsInFile(text, fullPath).done(function (misspellings) {
+                if (misspellings !== null && misspellings.length > 0) {
+                    report.files.push({
+                        fullPath: fullPath,
+                        misspellings: misspellings
+                    });
+                }
+
+                deferred.resolve();
+            }).fail(function () {
+                // Files that cannot be checked are skipped like unreadable ones.
+                deferred.resolve();
+            });
+        }).fail(function () {
+            // Files that cannot be read are simply left out of the report.
+            deferred.resolve();
+        });
+
+        return deferred.promise();
+    }
+
+    /**
+     * Adds the suggestions for the misspelled words to a report.
+     *
+     * The words are looked up one after the other rather than all at once, so
+     * the worker answers the editor's checks in between.
+     *
+     * @private
+     *
+     * @param   {object}    report The report.
+     * @returns {$.Promise}
+     */
+    function _addSuggestions(report) {
+        var suggestions = Object.create(null),
+            words = [];
+
+        report.files.forEach(function (file) {
+            file.misspellings.forEach(function (misspelling) {
+                var word = misspelling.word;
+
+                if (typeof suggestions[word] !== "undefined") {
+                    return;
+                }
+
+                suggestions[word] = [];
+
+                if (words.length < MAXIMUM_SUGGESTED_WORDS) {
+                    words.push(word);
+                }
+            });
+        });
+
+        return Async.doSequentially(words, function (word) {
+            return SpellChecker.suggest(word).done(function (wordSuggestions) {
+                suggestions[word] = wordSuggestions || [];
+            });
+        }, false).always(function () {
+            report.files.forEach(function (file) {
+                file.misspellings.forEach(function (misspelling) {
+                    misspelling.suggestions = suggestions[misspelling.word];
+                });
+            });
+        });
+    }
+
+    /**
+     * Spell checks files and collects the results in a report (see ReportFormatter).
+     *
+     * @param   {Array}     fullPaths            The paths of the files to check.
+     * @param   {object}    options              Optional.
+     * @param   {boolean}   options.suggestions  Whether to look up suggestions for the misspelled words. Defaults to true.
+     * @returns {$.Promise} A promise resolved with the report.
+     */
+    function createReport(fullPaths, options) {
+        var deferred = new $.Deferred(),
+            projectRoot = ProjectManager.getProjectRoot(),
+            report = {
+                locale: DictionaryManager.getDefaultLocale(),
+                root: projectRoot ? projectRoot.fullPath : null,
+                files: []
+            };
+
+        Async.doSequentially(fullPaths, function (fullPath) {
+            return _checkFile(report, fullPath);
+        }, false).always(function () {
+            if (options && options.suggestions === false) {
+                deferred.resolve(report);
+                return;
+            }
+
+            _addSuggestions(report).always(function () {
+                deferred.resolve(report);
+            });
+        });
+
+        return deferred.promise();
+    }
+
+    /**
+     * Gets the paths of the files inside a folder (and its subfolders) that can be spell checked.
+     *
+     * Files and folders Brackets excludes from projects are skipped, as are binary files.
+     *
+     * @param   {string}    folderPath The folder's path.
+     * @returns {$.Promise} A promise resolved with the paths, or rejected with a FileSystem error.
+     */
+    function getFolderFiles(folderPath) {
+        var deferred = new $.Deferred(),
+            fullPaths = [];
+
+        FileSystem.getDirectoryForPath(folderPath).visit(function (entry) {
+            if (!ProjectManager.shouldShow(entry)) {
+                return false;
+            }
+
+            if (entry.isFile && !LanguageManager.getLanguageForPath(entry.fullPath).isBinary()) {
+                fullPaths.push(entry.fullPath);
+            }
+
+            return true;
+        }, function (err) {
+            if (err) {
+                deferred.reject(err);
+            } else {
+                deferred.resolve(fullPaths.sort());
+            }
+        });
+
+        return deferred.promise();
+    }
+
+    /**
+     * Writes a report to disk.
+     *
+     * @param   {object}    report          The report, as created by `createReport`.
+     * @param   {string}    formatName      The format: "json", "csv", "checkstyle" or "sarif".
+     * @param   {string}    destinationPath The path of the file to write.
+     * @returns {$.Promise} A promise resolved once the file is written, or rejected with an error.
+     */
+    function exportReport(report, formatName, destinationPath) {
+        var deferred = new $.Deferred(),
+            contents = ReportFormatter.format(report, formatName);
+
+        if (contents === null) {
+            return deferred.reject("Unknown report format: " + formatName).promise();
+        }
+
+        FileSystem.getFileForPath(destinationPath).write(contents, { blind: true }, function (err) {
+            if (err) {
+                deferred.reject(err);
+            } else {
+                deferred.resolve();
+            }
+        });
+
+        return deferred.promise();
+    }
+
+    /**
+     * Spell checks files and writes the report to disk.
+     *
+     * @param   {Array}     fullPaths       The paths of the files to check.
+     * @param   {string}    formatName      The format: "json", "csv", "checkstyle" or "sarif".
+     * @param   {string}    destinationPath The path of the file to write.
+     * @param   {object}    options         The options of `createReport`. Optional.
+     * @returns {$.Promise} A promise resolved with the report once the file is written, or rejected with an error.
+     */
+    function exportFiles(fullPaths, formatName, destinationPath, options) {
+        return createReport(fullPaths, options).then(function (report) {
+            return exportReport(report, formatName, destinationPath).then(function () {
+                return report;
+            });
+        });
+    }
+
+    exports.FORMAT_JSON = ReportFormatter.FORMAT_JSON;
+    exports.FORMAT_CSV = ReportFormatter.FORMAT_CSV;
+    exports.FORMAT_CHECKSTYLE = ReportFormatter.FORMAT_CHECKSTYLE;
+    exports.FORMAT_SARIF = ReportFormatter.FORMAT_SARIF;
+
+    exports.createReport = createReport;
+    exports.getFolderFiles = getFolderFiles;
+    exports.exportReport = exportReport;
+    exports.exportFiles = exportFiles;
+
+});
\ No newline at end of file
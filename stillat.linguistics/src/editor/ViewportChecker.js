@@ -0,0 +1,342 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The ViewportChecker spell checks very large documents without an overlay.
+ *
+ * Overlays are re-run by CodeMirror for every line it re-renders, and the
+ * tokenizers that carry state from line to line have to go over all of the
+ * lines before the one being rendered at least once. For documents
+ * with many thousands of lines that becomes noticeable, so instead only the
+ * lines in the viewport are checked and their misspellings are marked with
+ * text markers. A line is only checked again when it (or, when lines depend
+ * on the lines before them, an earlier line) is edited or when something
+ * that affects every line (a dictionary, a word list) changes, or when the
+ * worker has checked a word the line was waiting on.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var _ = require("thirdparty/lodash"),
+        SpellChecker = require("src/spelling/SpellChecker"),
+        Tokenizers = require("src/core/Tokenizers");
+
+    /**
+     * The CSS classes given to misspelling marks. These are the
+     * same classes the spell checker overlay uses.
+     *
+     * @const
+     * @type {string}
+     */
+    var MARK_CLASS_NAME = "cm-alice-error-visualization cm-alice-spelling-visualization";
+
+    /**
+     * Documents with more lines than this are considered large.
+     *
+     * @const
+     * @type {number}
+     */
+    var LARGE_DOCUMENT_LINE_COUNT = 10000;
+
+    /**
+     * The number of milliseconds to wait after scrolling or editing before checking the viewport.
+     *
+     * @const
+     * @type {number}
+     */
+    var CHECK_DELAY = 100;
+
+    /**
+     * The last generation that was handed out.
+     *
+     * Every line that has been checked remembers the generation it was checked
+     * in. Bumping an editor's generation makes every line of it stale at once,
+     * without having to visit the lines. Generations are unique across editors
+     * so that linked documents never mistake each other's lines for checked.
+     *
+     * @type {number}
+     */
+    var _lastGeneration = 0;
+
+    /**
+     * Removes the misspelling marks from a range of lines.
+     *
+     * @private
+     *
+     * @param {object} cm       The CodeMirror instance.
+     * @param {number} fromLine The first line.
+     * @param {number} toLine   The last line.
+     */
+    function _clearMarks(cm, fromLine, toLine) {
+        cm.findMarks({ line: fromLine, ch: 0 }, { line: toLine, ch: cm.getLine(toLine).length }).forEach(function (mark) {
+            if (mark.linguisticsSpelling) {
+                mark.clear();
+            }
+        });
+    }
+
+    /**
+     * Determines if the words the spell checker finds on a line depend on the lines before it.
+     *
+     * That is the case for the tokenizers that carry state from line to line, and for
+     * the comments scopes, which depend on the state of the editor's mode.
+     *
+     * @private
+     *
+     * @param   {object}  cm         The CodeMirror instance.
+     * @param   {string}  checkScope The resolved check scope.
+     * @returns {boolean}
+     */
+    function _hasLineState(cm, checkScope) {
+        if (checkScope !== SpellChecker.SCOPE_EVERYTHING) {
+            return true;
+        }
+
+        return (typeof Tokenizers.getTokenizer(cm.getMode().name).startState === "function");
+    }
+
+    /**
+     * Checks a single line and marks its misspellings.
+     *
+     * @private
+     *
+     * @param {object} cm         The CodeMirror instance.
+     * @param {object} state      The editor's checker state.
+     * @param {object} lineHandle The line.
+     */
+    function _checkLine(cm, state, lineHandle) {
+        var line = cm.getLineNumber(lineHandle),
+            guessedWords = Object.create(null);
+
+        _clearMarks(cm, line, line);
+
+        SpellChecker.findMisspellingsOnLine(cm, line, state.checkScope, state.fullPath, guessedWords).forEach(function (misspelling) {
+            cm.markText(
+                { line: line, ch: misspelling.ch },
+                { line: line, ch: misspelling.endCh },
+                {
+                    className: MARK_CLASS_NAME,
+                    linguisticsSpelling: true
+                }
+            );
+        });
+
+        Object.keys(guessedWords).forEach(function (word) {
+            state.pendingLines[word] = state.pendingLines[word] || [];
+            state.pendingLines[word].push(lineHandle);
+        });
+
+        lineHandle.linguisticsSpellingGeneration = state.generation;
+    }
+
+    /**
+     * Checks the stale lines in an editor's viewport.
+     *
+     * @private
+     *
+     * @param {Editor} editor The editor.
+     */
+    function _checkViewport(editor) {
+        var cm = editor._codeMirror,
+            state = editor.linguisticsViewportChecker,
+            viewport;
+
+        if (!state) {
+            return;
+        }
+
+        viewport = cm.getViewport();
+
+        cm.operation(function () {
+            cm.eachLine(viewport.from, viewport.to, function (lineHandle) {
+                if (lineHandle.linguisticsSpellingGeneration !== state.generation) {
+                    _checkLine(cm, state, lineHandle);
+                }
+            });
+        });
+    }
+
+    /**
+     * Determines if a document is large enough that it should only be checked a viewport at a time.
+     *
+     * @param   {object}  cm The CodeMirror instance.
+     * @returns {boolean}
+     */
+    function isLargeDocument(cm) {
+        return (cm.lineCount() > LARGE_DOCUMENT_LINE_COUNT);
+    }
+
+    /**
+     * Determines if an editor is being checked by the ViewportChecker.
+     *
+     * @param   {Editor}  editor The editor.
+     * @returns {boolean}
+     */
+    function isAttached(editor) {
+        return (typeof editor.linguisticsViewportChecker !== "undefined");
+    }
+
+    /**
+     * Stops checking an editor and removes its misspelling marks.
+     *
+     * @param {Editor} editor The editor.
+     */
+    function detach(editor) {
+        var cm = editor._codeMirror,
+            state = editor.linguisticsViewportChecker;
+
+        if (!state) {
+            return;
+        }
+
+        cm.off("viewportChange", state.check);
+        cm.off("change", state.handleChange);
+
+        cm.operation(function () {
+            cm.getAllMarks().forEach(function (mark) {
+                if (mark.linguisticsSpelling) {
+                    mark.clear();
+                }
+            });
+        });
+
+        delete editor.linguisticsViewportChecker;
+    }
+
+    /**
+     * Starts checking an editor.
+     *
+     * Attaching an editor that is already being checked with the
+     * same check scope does nothing.
+     *
+     * @param {Editor} editor     The editor.
+     * @param {string} checkScope The resolved check scope.
+     */
+    function attach(editor, checkScope) {
+        var cm = editor._codeMirror,
+            state = editor.linguisticsViewportChecker;
+
+        if (state && state.checkScope === checkScope && state.fullPath === editor.document.file.fullPath) {
+            return;
+        }
+
+        detach(editor);
+
+        state = {
+            checkScope: checkScope,
+            fullPath: editor.document.file.fullPath,
+            generation: ++_lastGeneration,
+            pendingLines: Object.create(null),
+            check: _.debounce(function () {
+                _checkViewport(editor);
+            }, CHECK_DELAY)
+        };
+
+        // Only the lines that were touched by an edit have to be checked again,
+        // unless the words of a line depend on the lines before it. Opening a
+        // code fence or a block comment changes how every later line is checked.
+        state.handleChange = function (cm, change) {
+            var lastLine = change.from.line + change.text.length - 1;
+
+            if (_hasLineState(cm, state.checkScope)) {
+                lastLine = cm.lastLine();
+            }
+
+            cm.eachLine(change.from.line, lastLine + 1, function (lineHandle) {
+                lineHandle.linguisticsSpellingGeneration = 0;
+            });
+
+            state.check();
+        };
+
+        cm.on("viewportChange", state.check);
+        cm.on("change", state.handleChange);
+
+        editor.linguisticsViewportChecker = state;
+        _checkViewport(editor);
+    }
+
+    /**
+     * Gets the words on the checked lines of an editor that the worker had not
+     * checked yet (and were considered correct for the time being).
+     *
+     * @param   {Editor} editor The editor.
+     * @returns {Array}
+     */
+    function getPendingWords(editor) {
+        return isAttached(editor) ? Object.keys(editor.linguisticsViewportChecker.pendingLines) : [];
+    }
+
+    /**
+     * Checks the lines that were waiting on some words again, now that the worker
+     * has checked them.
+     *
+     * Lines outside of the viewport are checked once they are scrolled to.
+     *
+     * @param {Editor} editor The editor.
+     * @param {Array}  words  The words, as returned by `getPendingWords`.
+     */
+    function refreshPendingWords(editor, words) {
+        var state = editor.linguisticsViewportChecker;
+
+        if (!state) {
+            return;
+        }
+
+        words.forEach(function (word) {
+            (state.pendingLines[word] || []).forEach(function (lineHandle) {
+                lineHandle.linguisticsSpellingGeneration = 0;
+            });
+
+            delete state.pendingLines[word];
+        });
+
+        _checkViewport(editor);
+    }
+
+    /**
+     * Checks every line of an editor again, starting with the viewport.
+     *
+     * @param {Editor} editor The editor.
+     */
+    function refresh(editor) {
+        if (isAttached(editor)) {
+            editor.linguisticsViewportChecker.generation = ++_lastGeneration;
+            editor.linguisticsViewportChecker.pendingLines = Object.create(null);
+            _checkViewport(editor);
+        }
+    }
+
+    exports.attach = attach;
+    exports.detach = detach;
+    exports.refresh = refresh;
+    exports.getPendingWords = getPendingWords;
+    exports.refreshPendingWords = refreshPendingWords;
+    exports.isAttached = isAttached;
+    exports.isLargeDocument = isLargeDocument;
+
+});
\ No newline at end of file
@@ -0,0 +1,368 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The GrammarChecker is a small, offline, rule-based grammar checker for English.
+ *
+ * It does not try to understand sentences. Each rule looks for a common mistake
+ * with a regular expression and describes the problem it found:
+ *
+ *     {
+ *         rule:        The name of the rule that found the problem.
+ *         start:       The offset of the problem in the checked text.
+ *         end:         The offset of the end of the problem in the checked text.
+ *         message:     An explanation of the problem.
+ *         replacement: The text that fixes the problem, or null if there is no fix.
+ *     }
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var StringUtils = require("src/utils/Strings");
+
+    var RULE_REPEATED_WORD = "repeatedWord";
+    var RULE_INDEFINITE_ARTICLE = "indefiniteArticle";
+    var RULE_SENTENCE_CAPITALIZATION = "sentenceCapitalization";
+    var RULE_CONFUSABLE = "confusable";
+    var RULE_MULTIPLE_SPACES = "multipleSpaces";
+
+    /**
+     * Words that are commonly (and correctly) repeated.
+     *
+     * @type {Array}
+     */
+    var _allowedRepeatedWords = [
+        "had", "that", "is", "bye", "no", "so", "very", "ha", "la"
+    ];
+
+    /**
+     * Words that start with a vowel, but not with a vowel sound ("a unicorn").
+     *
+     * Only whole stems are listed, since most words starting with "uni" or
+     * "one" do start with a vowel sound ("an uninstaller", "an onerous task").
+     *
+     * @type {RegExp}
+     */
+    var _consonantSoundPattern = /^(eu|ewe|uni(?:corn|cycle|form|lateral|on|que|son|t|vers)|us(?:e|ual|ur)|util|ura|ure|urin|one(?:s|self)?\b|once\b|ouija|ubiq|ukr|uter)/i;
+
+    /**
+     * Words that start with a consonant, but with a vowel sound ("an hour").
+     *
+     * @type {RegExp}
+     */
+    var _vowelSoundPattern = /^(hour|honest|honou?r|heir)/i;
+
+    /**
+     * Abbreviations that end with a period, but usually do not end a sentence.
+     *
+     * @type {RegExp}
+     */
+    var _abbreviationPattern = /(\b(e\.g|i\.e|etc|vs|cf|approx|al|no|fig|Mr|Mrs|Ms|Dr|St|Jr|Sr|Inc|Ltd)|\.\.)$/i;
+
+    /**
+     * Commonly confused words and phrases.
+     *
+     * Each pattern's first group is the text that is wrong, and the
+     * replacement is used in place of that group.
+     *
+     * @type {Array}
+     */
+    var _confusables = [
+        {
+            pattern: /\b(?:could|should|would|must|might) (of)\b/gi,
+            replacement: "have",
+            message: "Use \"have\" instead of \"of\" after \"could\", \"should\", \"would\", \"must\" and \"might\"."
+        },
+        {
+            pattern: /\b(alot)\b/gi,
+            replacement: "a lot",
+            message: "\"A lot\" is written as two words."
+        },
+        {
+            // Only at the end of a sentence or clause, unlike "your welcome package".
+            pattern: /\b(your) welcome(?=\s*(?:[.!?,;:]|$))/gi,
+            replacement: "you're",
+            message: "\"You're\" is short for \"you are\"; \"your\" shows possession."
+        },
+        {
+            pattern: /\b(it's) own\b/gi,
+            replacement: "its",
+            message: "\"Its\" shows possession; \"it's\" is short for \"it is\"."
+        },
+        {
+            pattern: /\b(?:more|less|better|worse|rather|other|greater|smaller|larger|faster|slower) (then)\b/gi,
+            replacement: "than",
+            message: "Use \"than\" for comparisons and \"then\" for time."
+        },
+        {
+            pattern: /\b(suppose) to\b/gi,
+            replacement: "supposed",
+            message: "The phrase is \"supposed to\"."
+        },
+        {
+            pattern: /\b(could care less)\b/gi,
+            replacement: "couldn't care less",
+            message: "The phrase is \"couldn't care less\"."
+        },
+        {
+            pattern: /\b(one in the same)\b/gi,
+            replacement: "one and the same",
+            message: "The phrase is \"one and the same\"."
+        },
+        {
+            pattern: /\b(for all intensive purposes)\b/gi,
+            replacement: "for all intents and purposes",
+            message: "The phrase is \"for all intents and purposes\"."
+        }
+    ];
+
+    /**
+     * Calls a function for every match of a global regular expression.
+     *
+     * @private
+     *
+     * @param {string}   text     The text to search.
+     * @param {RegExp}   pattern  The global regular expression.
+     * @param {Function} callback Called with each match.
+     */
+    function _eachMatch(text, pattern, callback) {
+        var match;
+
+        pattern.lastIndex = 0;
+
+        while ((match = pattern.exec(text)) !== null) {
+            callback(match);
+
+            // Patterns that can match an empty string would never advance.
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+            }
+        }
+    }
+
+    /**
+     * Finds words that are repeated ("the the").
+     *
+     * @private
+     *
+     * @param   {string} text The text to check.
+     * @returns {Array}
+     */
+    function _checkRepeatedWords(text) {
+        var issues = [];
+
+        _eachMatch(text, /\b([A-Za-z']+)(\s+)\1\b/gi, function (match) {
+            if (_allowedRepeatedWords.indexOf(match[1].toLowerCase()) > -1) {
+                return;
+            }
+
+            // The problem is the second word (and the space before it).
+            issues.push({
+                rule: RULE_REPEATED_WORD,
+                start: match.index + match[1].length,
+                end: match.index + match[0].length,
+                message: "The word \"" + match[1] + "\" is repeated.",
+                replacement: ""
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Determines if a word is pronounced with a leading vowel sound.
+     *
+     * @private
+     *
+     * @param   {string}  word The word.
+     * @returns {boolean}
+     */
+    function _startsWithVowelSound(word) {
+        if (_vowelSoundPattern.test(word)) {
+            return true;
+        }
+
+        if (_consonantSoundPattern.test(word)) {
+            return false;
+        }
+
+        return (/^[aeiou]/i).test(word);
+    }
+
+    /**
+     * Finds "a" and "an" used in front of the wrong kind of word ("a apple").
+     *
+     * @private
+     *
+     * @param   {string} text The text to check.
+     * @returns {Array}
+     */
+    function _checkIndefiniteArticles(text) {
+        var issues = [];
+
+        _eachMatch(text, /\b(a|an)(\s+)([A-Za-z][A-Za-z'\-]*)/gi, function (match) {
+            var article = match[1],
+                word = match[3],
+                expected;
+
+            // Acronyms are pronounced letter by letter ("an FAQ", "a URL"),
+            // which the rules above cannot account for.
+            if (word.length > 1 && word === word.toUpperCase()) {
+                return;
+            }
+
+            expected = _startsWithVowelSound(word) ? "an" : "a";
+
+            if (article.toLowerCase() === expected) {
+                return;
+            }
+
+            issues.push({
+                rule: RULE_INDEFINITE_ARTICLE,
+                start: match.index,
+                end: match.index + article.length,
+                message: expected === "an" ?
+                        "Use \"an\" in front of words that start with a vowel sound." :
+                        "Use \"a\" in front of words that start with a consonant sound.",
+                replacement: StringUtils.matchCase(article, expected)
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Finds sentences that do not start with a capital letter.
+     *
+     * @private
+     *
+     * @param   {string} text The text to check.
+     * @returns {Array}
+     */
+    function _checkSentenceCapitalization(text) {
+        var issues = [];
+
+        _eachMatch(text, /([.!?])(\s+)([a-z][a-z']*)/g, function (match) {
+            var before = text.substr(0, match.index);
+
+            if (match[1] === "." && _abbreviationPattern.test(before)) {
+                return;
+            }
+
+            issues.push({
+                rule: RULE_SENTENCE_CAPITALIZATION,
+                start: match.index + match[1].length + match[2].length,
+                end: match.index + match[0].length,
+                message: "Sentences should start with a capital letter.",
+                replacement: match[3].charAt(0).toUpperCase() + match[3].substr(1)
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Finds commonly confused words and phrases ("could of").
+     *
+     * @private
+     *
+     * @param   {string} text The text to check.
+     * @returns {Array}
+     */
+    function _checkConfusables(text) {
+        var issues = [];
+
+        _confusables.forEach(function (confusable) {
+            _eachMatch(text, confusable.pattern, function (match) {
+                var start = match.index + match[0].lastIndexOf(match[1]);
+
+                issues.push({
+                    rule: RULE_CONFUSABLE,
+                    start: start,
+                    end: start + match[1].length,
+                    message: confusable.message,
+                    replacement: StringUtils.matchCase(match[1], confusable.replacement)
+                });
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Finds multiple spaces between words.
+     *
+     * @private
+     *
+     * @param   {string} text The text to check.
+     * @returns {Array}
+     */
+    function _checkMultipleSpaces(text) {
+        var issues = [];
+
+        _eachMatch(text, /(\S)( {2,})(?=\S)/g, function (match) {
+            issues.push({
+                rule: RULE_MULTIPLE_SPACES,
+                start: match.index + 1,
+                end: match.index + match[0].length,
+                message: "There is more than one space between these words.",
+                replacement: " "
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Checks a piece of prose for grammar problems.
+     *
+     * @param   {string} text The text to check.
+     * @returns {Array}  The problems, ordered by their position in the text.
+     */
+    function check(text) {
+        var issues = [].concat(
+            _checkRepeatedWords(text),
+            _checkIndefiniteArticles(text),
+            _checkSentenceCapitalization(text),
+            _checkConfusables(text),
+            _checkMultipleSpaces(text)
+        );
+
+        return issues.sort(function (a, b) {
+            return (a.start - b.start) || (a.end - b.end);
+        });
+    }
+
+    exports.RULE_REPEATED_WORD = RULE_REPEATED_WORD;
+    exports.RULE_INDEFINITE_ARTICLE = RULE_INDEFINITE_ARTICLE;
+    exports.RULE_SENTENCE_CAPITALIZATION = RULE_SENTENCE_CAPITALIZATION;
+    exports.RULE_CONFUSABLE = RULE_CONFUSABLE;
+    exports.RULE_MULTIPLE_SPACES = RULE_MULTIPLE_SPACES;
+
+    exports.check = check;
+
+});
\ No newline at end of file
@@ -0,0 +1,424 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The GrammarManager runs the GrammarChecker over the prose in the active editor
+ * and marks the problems it finds with the grammar visualization.
+ *
+ * Prose documents (see `SpellChecker.resolveCheckScope`) are checked in full,
+ * except for the parts the mode's tokenizer skips (Markdown code and link
+ * addresses, for example). In source code, only comments are checked, since
+ * strings are rarely sentences. The lines of a paragraph (or of a comment that
+ * spans several lines) are checked together, so sentences may be wrapped.
+ * Large documents (see `ViewportChecker.isLargeDocument`) are only checked
+ * in the viewport, which is checked again as the editor is scrolled.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var _ = require("thirdparty/lodash"),
+        EditorManager = brackets.getModule("editor/EditorManager"),
+        DocumentManager = brackets.getModule("document/DocumentManager"),
+        GrammarChecker = require("src/grammar/GrammarChecker"),
+        SpellChecker = require("src/spelling/SpellChecker"),
+        ViewportChecker = require("src/editor/ViewportChecker"),
+        Preferences = require("src/preferences/PreferencesManager");
+
+    /**
+     * The CSS classes given to grammar marks. These match the classes that
+     * the StyleManager creates the grammar visualization for.
+     *
+     * @const
+     * @type {string}
+     */
+    var MARK_CLASS_NAME = "cm-alice-error-visualization cm-alice-grammar-visualization";
+
+    /**
+     * The number of milliseconds to wait after the last edit before checking the document again.
+     *
+     * @const
+     * @type {number}
+     */
+    var CHECK_DELAY = 500;
+
+    /**
+     * Matches a letter. Words that are separated by text with letters in it were
+     * split up by something the tokenizer skipped, like a Markdown code span.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var LETTER_PATTERN = /[A-Za-z\u00C0-\u024F]/;
+
+    /**
+     * Matches the punctuation after a word that still belongs to the sentence.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var TRAILING_PUNCTUATION_PATTERN = /^[.!?,;:'")\]\u2019\u201D]*/;
+
+    /**
+     * Matches the comment markers at the start of a comment.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var COMMENT_START_PATTERN = /^(\/\/+|\/\*+|\*+|#+|<!--|--|;+|%+)?\s*/;
+
+    /**
+     * Matches the comment markers at the end of a comment.
+     *
+     * @const
+     * @type {RegExp}
+     */
+    var COMMENT_END_PATTERN = /\s*(\*+\/|-->)?\s*$/;
+
+    /**
+     * Indicates if grammar checking is enabled.
+     *
+     * @type {boolean}
+     */
+    var _grammarCheckEnabled = false;
+
+    /**
+     * Removes the grammar marks from an editor.
+     *
+     * @private
+     *
+     * @param {Editor} editor The editor.
+     */
+    function _clearMarks(editor) {
+        if (editor.linguisticsGrammarMarks) {
+            editor.linguisticsGrammarMarks.forEach(function (mark) {
+                mark.clear();
+            });
+        }
+
+        editor.linguisticsGrammarMarks = [];
+    }
+
+    /**
+     * Gets the prose on a line from the words the spell checker checks on it.
+     *
+     * Words are put together as long as there is nothing but spaces and punctuation
+     * between them, so anything the tokenizer has skipped splits the prose up.
+     *
+     * @private
+     *
+     * @param   {object} cm   The CodeMirror instance.
+     * @param   {number} line The line number.
+     * @returns {Array}  A list of { start, end } objects.
+     */
+    function _getLineProse(cm, line) {
+        var text = cm.getLine(line),
+            segments = [],
+            segment = null;
+
+        SpellChecker.getCheckedWords(cm, line, SpellChecker.SCOPE_EVERYTHING).forEach(function (word) {
+            if (segment !== null && !LETTER_PATTERN.test(text.substring(segment.end, word.ch))) {
+                segment.end = word.endCh;
+            } else {
+                segment = { start: word.ch, end: word.endCh };
+                segments.push(segment);
+            }
+        });
+
+        segments.forEach(function (segment) {
+            segment.end += TRAILING_PUNCTUATION_PATTERN.exec(text.substring(segment.end))[0].length;
+        });
+
+        return segments;
+    }
+
+    /**
+     * Gets the comments on a line, without their comment markers.
+     *
+     * @private
+     *
+     * @param   {object} cm   The CodeMirror instance.
+     * @param   {number} line The line number.
+     * @returns {Array}  A list of { start, end } objects.
+     */
+    function _getLineComments(cm, line) {
+        var segments = [],
+            segment = null;
+
+        // Neighbouring comment tokens (doc comment tags, for example)
+        // are joined so the sentences in them are not split up.
+        cm.getLineTokens(line, true).forEach(function (token) {
+            if (SpellChecker.isStyleInScope(token.type, SpellChecker.SCOPE_COMMENTS)) {
+                if (segment === null) {
+                    segment = { start: token.start, end: token.end };
+                    segments.push(segment);
+                }
+                segment.end = token.end;
+            } else {
+                segment = null;
+            }
+        });
+
+        return segments.map(function (segment) {
+            var text = cm.getLine(line).substring(segment.start, segment.end),
+                start = COMMENT_START_PATTERN.exec(text)[0].length;
+
+            return {
+                start: segment.start + start,
+                end: segment.start + Math.max(start, COMMENT_END_PATTERN.exec(text).index),
+                startsLine: /^\s*$/.test(cm.getLine(line).substring(0, segment.start))
+            };
+        }).filter(function (segment) {
+            return segment.end > segment.start;
+        });
+    }
+
+    /**
+     * Gets the prose that should be grammar checked.
+     *
+     * The prose on consecutive lines is joined into a single region (with a line
+     * break in between), so that sentences that are wrapped are checked as a
+     * whole. In code, only comments that take up a whole line are joined with
+     * the comment on the line before them.
+     *
+     * @private
+     *
+     * @param   {object} cm         The CodeMirror instance.
+     * @param   {string} checkScope The resolved check scope.
+     * @param   {{from: number, to: number}} range The lines to look at (the end is exclusive).
+     * @returns {Array}  A list of { text, segments } objects. Each segment is a
+     *                   { line, start, end, offset } object, where the offset is
+     *                   the position of the segment in the region's text.
+     */
+    function _getProseRegions(cm, checkScope, range) {
+        var regions = [],
+            region = null,
+            line;
+
+        for (line = range.from; line < range.to; line++) {
+            (checkScope === SpellChecker.SCOPE_EVERYTHING ? _getLineProse(cm, line) : _getLineComments(cm, line)).forEach(function (segment, index) {
+                var previous = region && region.segments[region.segments.length - 1],
+                    continues = (index === 0 && previous && previous.line === line - 1 &&
+                        (checkScope === SpellChecker.SCOPE_EVERYTHING || (previous.startsLine && segment.startsLine)));
+
+                if (continues) {
+                    region.text += "\n";
+                } else {
+                    region = { text: "", segments: [] };
+                    regions.push(region);
+                }
+
+                region.segments.push({
+                    line: line,
+                    start: segment.start,
+                    end: segment.end,
+                    startsLine: segment.startsLine,
+                    offset: region.text.length
+                });
+                region.text += cm.getLine(line).substring(segment.start, segment.end);
+            });
+        }
+
+        return regions;
+    }
+
+    /**
+     * Converts an offset in the text of a region into a position in the editor.
+     *
+     * @private
+     *
+     * @param   {object}  region The region.
+     * @param   {number}  offset The offset.
+     * @param   {boolean} isEnd  Whether the offset is the end of a range. An end
+     *                           at the start of a segment belongs to the one before.
+     * @returns {{line: number, ch: number}}
+     */
+    function _getPosition(region, offset, isEnd) {
+        var segment = region.segments[0],
+            i;
+
+        for (i = 1; i < region.segments.length; i++) {
+            if (isEnd ? region.segments[i].offset >= offset : region.segments[i].offset > offset) {
+                break;
+            }
+
+            segment = region.segments[i];
+        }
+
+        return { line: segment.line, ch: segment.start + Math.min(offset - segment.offset, segment.end - segment.start) };
+    }
+
+    /**
+     * Checks an editor for grammar problems and marks them.
+     *
+     * @param {Editor} editor The editor.
+     */
+    function updateEditor(editor) {
+        var cm = editor._codeMirror,
+            range = ViewportChecker.isLargeDocument(cm) ? cm.getViewport() : { from: cm.firstLine(), to: cm.lastLine() + 1 },
+            checkScope;
+
+        cm.operation(function () {
+            _clearMarks(editor);
+
+            if (!_grammarCheckEnabled) {
+                return;
+            }
+
+            checkScope = SpellChecker.resolveCheckScope(
+                Preferences.getCheckScope(editor.document.file.fullPath, editor.document.getLanguage().getId()),
+                cm.getMode().name
+            );
+
+            if (checkScope === SpellChecker.SCOPE_OFF) {
+                return;
+            }
+
+            _getProseRegions(cm, checkScope, range).forEach(function (region) {
+                GrammarChecker.check(region.text).forEach(function (issue) {
+                    var from = _getPosition(region, issue.start, false),
+                        to = _getPosition(region, issue.end, true);
+
+                    // A problem that spans lines may include text that is not part
+                    // of the region (the "> " of a Markdown quote, for example),
+                    // which the fix would remove along with it.
+                    if (cm.getRange(from, to) !== region.text.substring(issue.start, issue.end)) {
+                        issue = _.extend({}, issue, { replacement: null });
+                    }
+
+                    editor.linguisticsGrammarMarks.push(cm.markText(from, to, {
+                        className: MARK_CLASS_NAME,
+                        linguisticsGrammarIssue: issue
+                    }));
+                });
+            });
+        });
+    }
+
+    /**
+     * Checks the active editor for grammar problems.
+     */
+    function updateInterface() {
+        var editor = EditorManager.getActiveEditor();
+
+        if (!editor) {
+            return;
+        }
+
+        if (!editor.linguisticsGrammarViewportHandler) {
+            editor.linguisticsGrammarViewportHandler = _.debounce(function () {
+                if (ViewportChecker.isLargeDocument(editor._codeMirror) && EditorManager.getActiveEditor() === editor) {
+                    updateEditor(editor);
+                }
+            }, CHECK_DELAY);
+            editor._codeMirror.on("viewportChange", editor.linguisticsGrammarViewportHandler);
+        }
+
+        updateEditor(editor);
+    }
+
+    /**
+     * Sets whether or not grammar checking is enabled.
+     *
+     * Disabling grammar checking removes the marks from every open editor. Call
+     * `updateInterface` afterwards to check the active editor.
+     *
+     * @param {boolean} isEnabled Whether or not grammar checking is enabled.
+     */
+    function setGrammarCheckEnabled(isEnabled) {
+        if (_grammarCheckEnabled === isEnabled) {
+            return;
+        }
+
+        _grammarCheckEnabled = isEnabled;
+
+        if (!isEnabled) {
+            DocumentManager.getAllOpenDocuments().forEach(function (doc) {
+                if (doc._masterEditor) {
+                    _clearMarks(doc._masterEditor);
+                }
+            });
+        }
+    }
+
+    /**
+     * Finds the grammar problem at a position in an editor.
+     *
+     * @param   {Editor}                     editor The editor.
+     * @param   {{line: number, ch: number}} pos    The position.
+     * @returns {?{issue: object, from: {line: number, ch: number}, to: {line: number, ch: number}}}
+     */
+    function getIssueAt(editor, pos) {
+        var marks = editor._codeMirror.findMarksAt(pos),
+            range,
+            i;
+
+        for (i = 0; i < marks.length; i++) {
+            if (marks[i].linguisticsGrammarIssue) {
+                range = marks[i].find();
+
+                if (range) {
+                    return {
+                        issue: marks[i].linguisticsGrammarIssue,
+                        from: range.from,
+                        to: range.to
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Replaces the text of a grammar problem with its fix.
+     *
+     * @param {Editor} editor The editor.
+     * @param {object} found  The problem, as returned by `getIssueAt`.
+     */
+    function applyFix(editor, found) {
+        if (found.issue.replacement !== null) {
+            editor.document.replaceRange(found.issue.replacement, found.from, found.to);
+        }
+    }
+
+    // Marks move along with the text while the user is typing, so there
+    // is no need to check the document again after every keystroke.
+    DocumentManager.on("documentChange", _.debounce(function (e, doc) {
+        var editor = EditorManager.getActiveEditor();
+
+        if (editor && editor.document === doc) {
+            updateEditor(editor);
+        }
+    }, CHECK_DELAY));
+
+    exports.updateEditor = updateEditor;
+    exports.updateInterface = updateInterface;
+    exports.setGrammarCheckEnabled = setGrammarCheckEnabled;
+    exports.getIssueAt = getIssueAt;
+    exports.applyFix = applyFix;
+
+});
\ No newline at end of file
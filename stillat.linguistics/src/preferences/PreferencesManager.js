@@ -89,6 +89,14 @@ define(function (require, exports, module) {
      */
     var PREFERENCE_GLOBAL_USER_IGNORE_LIST = "globalIgnoreList";
     
+    /**
+     * The preference name that determines which parts of a document are spell checked.
+     * 
+     * @const
+     * @type {string}
+     */
+    var PREFERENCE_CHECK_SCOPE = "checkScope";
+    
     /**
      * The preference name that determines the preferred locale name.
      * 
@@ -105,6 +113,62 @@ define(function (require, exports, module) {
      */
     var PREFERENCE_USE_DEFAULT_LANGUAGE = "useDefaultLanguage";
     
+    /**
+     * The preference name that determines the keyboard layout used to rank spelling suggestions.
+     * 
+     * @const
+     * @type {string}
+     */
+    var PREFERENCE_KEYBOARD_LAYOUT = "keyboardLayout";
+    
+    /**
+     * The preference name that determines how many spelling suggestions are offered.
+     * 
+     * @const
+     * @type {string}
+     */
+    var PREFERENCE_MAXIMUM_SUGGESTIONS = "maximumSuggestions";
+    
+    /**
+     * The preference name that determines if known typos are corrected while typing.
+     * 
+     * @const
+     * @type {string}
+     */
+    var PREFERENCE_AUTO_CORRECT_KNOWN_TYPOS = "autoCorrectKnownTypos";
+    
+    /**
+     * The preference name that determines if words are corrected from the auto-correct table while typing.
+     * 
+     * @const
+     * @type {string}
+     */
+    var PREFERENCE_AUTO_CORRECT_ENABLED = "autoCorrectEnabled";
+    
+    /**
+     * The preference name that holds the glob patterns selecting the files a project check covers.
+     * 
+     * @const
+     * @type {string}
+     */
+    var PREFERENCE_PROJECT_CHECK_FILTER = "projectCheckFilter";
+    
+    /**
+     * The preference name that holds the built-in tokenizers picked for CodeMirror modes.
+     * 
+     * @const
+     * @type {string}
+     */
+    var PREFERENCE_TOKENIZERS = "tokenizers";
+    
+    /**
+     * The preference name that determines if the comments in Markdown's fenced code blocks are spell checked.
+     * 
+     * @const
+     * @type {string}
+     */
+    var PREFERENCE_CHECK_MARKDOWN_CODE_COMMENTS = "checkMarkdownCodeComments";
+    
     // Extension preferences.
     var _spellCheckEnabled = true,
         _grammarCheckEnabled = true,
@@ -112,7 +176,16 @@ define(function (require, exports, module) {
         _grammarVisualizationColor = "#2ecc71",
         _localeName = "en_US",
         _useDefaultLanguage = true,
-        _ignoreUppercaseSpelling = true;
+        _ignoreUppercaseSpelling = true,
+        _globalIgnoreList = [],
+        _checkScope = "auto",
+        _keyboardLayout = "qwerty",
+        _maximumSuggestions = 5,
+        _autoCorrectKnownTypos = false,
+        _autoCorrectEnabled = false,
+        _projectCheckFilter = [],
+        _tokenizers = {},
+        _checkMarkdownCodeComments = false;
     
     /**
      * Defines a new boolean preference with the preferences manager.
@@ -140,13 +213,45 @@ define(function (require, exports, module) {
         });
     }
     
+    /**
+     * Defines a new array preference with the preferences manager.
+     * 
+     * @param {string} preferenceName The preference name.
+     * @param {any}    defaultValue   The preference default value.
+     * @param {string} description    The preference description.
+     */
+    function _defineArray(preferenceName, defaultValue, description) {
+        _prefs.definePreference(preferenceName, "array", defaultValue, {
+            description: description
+        });
+    }
+    
     _defineBoolean(PREFERENCE_SPELL_CHECK_ENABLED, _spellCheckEnabled, "Determines if spell checking is enabled.");
     _defineBoolean(PREFERENCE_GRAMMAR_CHECK_ENABLED, _grammarCheckEnabled, "Determines if grammar checking is enabled.");
     _defineBoolean(PREFERENCE_USE_DEFAULT_LANGUAGE, _useDefaultLanguage, "Determines if Linguistics should attempt to use Brackets' configured language.");
     _defineBoolean(PREFERENCE_SPELLING_IGNORE_UPPERCASE, _ignoreUppercaseSpelling, "Determines if the Linguistics spell checker should ignore uppercase words.");
+    _defineBoolean(PREFERENCE_AUTO_CORRECT_KNOWN_TYPOS, _autoCorrectKnownTypos, "Determines if typos the user has corrected before are corrected automatically while typing.");
+    _defineBoolean(PREFERENCE_AUTO_CORRECT_ENABLED, _autoCorrectEnabled, "Determines if typos listed in the auto-correct table are corrected automatically while typing.");
+    _defineBoolean(PREFERENCE_CHECK_MARKDOWN_CODE_COMMENTS, _checkMarkdownCodeComments, "Determines if the comments in fenced code blocks of Markdown documents are spell checked.");
     _defineString(PREFERENCE_LOCALE_NAME, _localeName, "Determines the language name that Linguistics should use.");
     _defineString(PREFERENCE_SPELLING_VISUALIZATION_COLOR, _spellingVisualizationColor, "Determines the spelling error visualization color.");
     _defineString(PREFERENCE_GRAMMAR_VISUALIZATION_COLOR, _grammarVisualizationColor, "Determines the grammar error visualization color.");
+    _prefs.definePreference(PREFERENCE_CHECK_SCOPE, "string", _checkScope, {
+        description: "Determines which parts of a document are spell checked: \"auto\", \"comments\", \"commentsAndStrings\", \"everything\" or \"off\".",
+        values: ["auto", "comments", "commentsAndStrings", "everything", "off"]
+    });
+    _prefs.definePreference(PREFERENCE_KEYBOARD_LAYOUT, "string", _keyboardLayout, {
+        description: "Determines the keyboard layout used to rank spelling suggestions: \"qwerty\", \"azerty\" or \"qwertz\".",
+        values: ["qwerty", "azerty", "qwertz"]
+    });
+    _prefs.definePreference(PREFERENCE_MAXIMUM_SUGGESTIONS, "number", _maximumSuggestions, {
+        description: "Determines how many spelling suggestions are offered for a misspelled word."
+    });
+    _defineArray(PREFERENCE_GLOBAL_USER_IGNORE_LIST, _globalIgnoreList, "A list of words that the Linguistics spell checker should always ignore.");
+    _defineArray(PREFERENCE_PROJECT_CHECK_FILTER, _projectCheckFilter, "Glob patterns for the files \"Check Spelling in Project\" looks at. Patterns starting with \"!\" exclude files.");
+    _prefs.definePreference(PREFERENCE_TOKENIZERS, "object", _tokenizers, {
+        description: "The tokenizers that split documents into words, keyed by CodeMirror mode name: \"separators\", \"text\", \"markdown\", \"html\" or \"latex\"."
+    });
     
     /**
      * Gets the Linguistic preferences.
@@ -169,10 +274,22 @@ define(function (require, exports, module) {
         exports.spellingVisualizationColor = _spellingVisualizationColor;
         exports.grammarVisualizationColor = _grammarVisualizationColor;
         exports.spellingIgnoreUppercase = _ignoreUppercaseSpelling;
+        exports.globalIgnoreList = _globalIgnoreList;
+        exports.keyboardLayout = _keyboardLayout;
+        exports.maximumSuggestions = _maximumSuggestions;
+        exports.autoCorrectKnownTypos = _autoCorrectKnownTypos;
+        exports.autoCorrectEnabled = _autoCorrectEnabled;
+        exports.projectCheckFilter = _projectCheckFilter;
+        exports.tokenizers = _tokenizers;
+        exports.checkMarkdownCodeComments = _checkMarkdownCodeComments;
     }
     
     /**
      * Updates the preferences with current values.
+     * 
+     * Preferences are read for the file that is currently being edited, so values
+     * from the user's preferences file, the project's ".brackets.json" file and
+     * any "language" sections in either of them are all taken into account.
      */
     function updatePreferences() {
         _spellCheckEnabled = _prefs.get(PREFERENCE_SPELL_CHECK_ENABLED);
@@ -182,10 +299,59 @@ define(function (require, exports, module) {
         _localeName = _prefs.get(PREFERENCE_LOCALE_NAME);
         _useDefaultLanguage = _prefs.get(PREFERENCE_USE_DEFAULT_LANGUAGE);
         _ignoreUppercaseSpelling = _prefs.get(PREFERENCE_SPELLING_IGNORE_UPPERCASE);
+        _globalIgnoreList = _prefs.get(PREFERENCE_GLOBAL_USER_IGNORE_LIST);
+        _keyboardLayout = _prefs.get(PREFERENCE_KEYBOARD_LAYOUT);
+        _maximumSuggestions = _prefs.get(PREFERENCE_MAXIMUM_SUGGESTIONS);
+        _autoCorrectKnownTypos = _prefs.get(PREFERENCE_AUTO_CORRECT_KNOWN_TYPOS);
+        _autoCorrectEnabled = _prefs.get(PREFERENCE_AUTO_CORRECT_ENABLED);
+        _projectCheckFilter = _prefs.get(PREFERENCE_PROJECT_CHECK_FILTER);
+        _tokenizers = _prefs.get(PREFERENCE_TOKENIZERS);
+        _checkMarkdownCodeComments = _prefs.get(PREFERENCE_CHECK_MARKDOWN_CODE_COMMENTS);
+        
+        // The preferences system will happily hand back whatever the user has
+        // typed into their preferences file, so make sure we end up with a
+        // list of strings to work with.
+        if (!Array.isArray(_globalIgnoreList)) {
+            _globalIgnoreList = [];
+        }
+        
+        _globalIgnoreList = _globalIgnoreList.filter(function (word) {
+            return (typeof word === "string" && word.length > 0);
+        });
+        
+        if (!Array.isArray(_projectCheckFilter)) {
+            _projectCheckFilter = [];
+        }
+        
+        _projectCheckFilter = _projectCheckFilter.filter(function (pattern) {
+            return (typeof pattern === "string" && pattern.length > 0);
+        });
+        
+        if (_tokenizers === null || typeof _tokenizers !== "object" || Array.isArray(_tokenizers)) {
+            _tokenizers = {};
+        }
         
         _updatePreferenceExports();
     }
     
+    /**
+     * Gets the check scope for a given file.
+     * 
+     * The check scope is read for the file's path and language (instead of the file that
+     * is currently being edited), so that "language" sections in the preference files
+     * can turn checking code on or off for each language.
+     * 
+     * @param   {string} filePath   The full path of the file.
+     * @param   {string} languageId The file's language identifier.
+     * @returns {string}
+     */
+    function getCheckScope(filePath, languageId) {
+        return _prefs.get(PREFERENCE_CHECK_SCOPE, {
+            path: filePath,
+            language: languageId
+        });
+    }
+    
     /**
      * Persists a preference value.
      * 
@@ -199,6 +365,7 @@ define(function (require, exports, module) {
     exports.updatePreferences = updatePreferences;
     exports.getPreferencesSystem = getPreferencesSystem;
     exports.set = set;
+    exports.getCheckScope = getCheckScope;
     
     exports.PREFERENCE_SPELL_CHECK_ENABLED = PREFERENCE_SPELL_CHECK_ENABLED;
     exports.PREFERENCE_GRAMMAR_CHECK_ENABLED = PREFERENCE_GRAMMAR_CHECK_ENABLED;
@@ -206,7 +373,16 @@ define(function (require, exports, module) {
     exports.PREFERENCE_GRAMMAR_VISUALIZATION_COLOR = PREFERENCE_GRAMMAR_VISUALIZATION_COLOR;
     exports.PREFERENCE_SPELLING_IGNORE_UPPERCASE = PREFERENCE_SPELLING_IGNORE_UPPERCASE;
     exports.PREFERENCE_LOCALE_NAME = PREFERENCE_LOCALE_NAME;
+    exports.PREFERENCE_GLOBAL_USER_IGNORE_LIST = PREFERENCE_GLOBAL_USER_IGNORE_LIST;
+    exports.PREFERENCE_CHECK_SCOPE = PREFERENCE_CHECK_SCOPE;
     exports.PREFERENCE_USE_DEFAULT_LANGUAGE = PREFERENCE_USE_DEFAULT_LANGUAGE;
+    exports.PREFERENCE_KEYBOARD_LAYOUT = PREFERENCE_KEYBOARD_LAYOUT;
+    exports.PREFERENCE_MAXIMUM_SUGGESTIONS = PREFERENCE_MAXIMUM_SUGGESTIONS;
+    exports.PREFERENCE_AUTO_CORRECT_KNOWN_TYPOS = PREFERENCE_AUTO_CORRECT_KNOWN_TYPOS;
+    exports.PREFERENCE_AUTO_CORRECT_ENABLED = PREFERENCE_AUTO_CORRECT_ENABLED;
+    exports.PREFERENCE_PROJECT_CHECK_FILTER = PREFERENCE_PROJECT_CHECK_FILTER;
+    exports.PREFERENCE_TOKENIZERS = PREFERENCE_TOKENIZERS;
+    exports.PREFERENCE_CHECK_MARKDOWN_CODE_COMMENTS = PREFERENCE_CHECK_MARKDOWN_CODE_COMMENTS;
     
     _updatePreferenceExports();
 });
\ No newline at end of file
@@ -0,0 +1,340 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The CorrectionHistory remembers which suggestion the user picked for each
+ * misspelling, so that the same correction can be offered first the next time
+ * (and, when the user wants it, applied automatically while typing).
+ *
+ * The history is stored as a JSON file next to the user's dictionary profiles.
+ * It maps every misspelling to the corrections picked for it, and how often:
+ *
+ *     { "teh": { "the": 4 }, "recieve": { "receive": 1 } }
+ *
+ * This module dispatches a few events:
+ *
+ *
+ *    - historyLoaded -- When the history has been read from disk.
+ *    - historyChanged -- When a correction has been recorded or removed.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileSystem = brackets.getModule("filesystem/FileSystem"),
+        FileUtils = brackets.getModule("file/FileUtils"),
+        AppInit = brackets.getModule("utils/AppInit"),
+        EventDispatcher = brackets.getModule("utils/EventDispatcher"),
+        Dictionary = require("src/utils/Dictionary"),
+        StringUtils = require("src/utils/Strings");
+
+    /**
+     * The corrections picked for each misspelling, and how often.
+     *
+     * @type {object}
+     */
+    var _history = Object.create(null);
+
+    /**
+     * How often each correction has been picked for any misspelling, keyed by
+     * its lowercase form. Built from the history when first needed.
+     *
+     * @type {?object}
+     */
+    var _pickCounts = null;
+
+    /**
+     * The location of the history file.
+     *
+     * @type {?string}
+     */
+    var _path = null;
+
+    /**
+     * Whether the history file has been read. Nothing is written before then,
+     * so that the file is not replaced by the corrections recorded so far.
+     *
+     * @type {boolean}
+     */
+    var _loaded = false;
+
+    /**
+     * Converts the contents of the history file into a history map.
+     *
+     * Anything that does not look like a misspelling, correction and count is skipped.
+     *
+     * @private
+     *
+     * @param   {string} data The file contents.
+     * @returns {object}
+     */
+    function _parseHistory(data) {
+        var history = Object.create(null),
+            stored;
+
+        try {
+            stored = JSON.parse(data);
+        } catch (e) {
+            console.error("Linguistics: The correction history in " + _path + " could not be read", e);
+            return history;
+        }
+
+        if (!stored || typeof stored !== "object") {
+            return history;
+        }
+
+        Object.keys(stored).forEach(function (misspelling) {
+            var corrections = stored[misspelling];
+
+            if (!corrections || typeof corrections !== "object") {
+                return;
+            }
+
+            Object.keys(corrections).forEach(function (correction) {
+                if (typeof corrections[correction] === "number" && corrections[correction] > 0) {
+                    history[misspelling] = history[misspelling] || Object.create(null);
+                    history[misspelling][correction] = corrections[correction];
+                }
+            });
+        });
+
+        return history;
+    }
+
+    /**
+     * Reads the history from disk. A missing file is treated as an empty history.
+     *
+     * Corrections recorded before the file was read are added to the loaded ones
+     * and saved.
+     *
+     * @private
+     */
+    function _loadHistory() {
+        FileSystem.getFileForPath(_path).read({ encoding: "utf8" }, function (err, data) {
+            var recorded = _history;
+
+            _history = (err === null) ? _parseHistory(data) : Object.create(null);
+            _pickCounts = null;
+            _loaded = true;
+
+            Object.keys(recorded).forEach(function (misspelling) {
+                _history[misspelling] = _history[misspelling] || Object.create(null);
+
+                Object.keys(recorded[misspelling]).forEach(function (correction) {
+                    _history[misspelling][correction] = (_history[misspelling][correction] || 0) + recorded[misspelling][correction];
+                });
+            });
+
+            if (Object.keys(recorded).length > 0) {
+                _saveHistory();
+            }
+
+            exports.trigger("historyLoaded");
+            exports.trigger("historyChanged");
+        });
+    }
+
+    /**
+     * Writes the history back to disk.
+     *
+     * @private
+     */
+    function _saveHistory() {
+        if (!_loaded) {
+            return;
+        }
+
+        FileSystem.getDirectoryForPath(FileUtils.getDirectoryPath(_path)).create(function () {
+            FileSystem.getFileForPath(_path).write(JSON.stringify(_history, null, 4) + "\n", { blind: true }, function (err) {
+                if (err) {
+                    console.error("Linguistics: Could not save the correction history to " + _path, err);
+                }
+            });
+        });
+    }
+
+    /**
+     * Remembers that a misspelling was replaced with a correction.
+     *
+     * @param {string} misspelling The misspelled word.
+     * @param {string} correction  The correction that was picked.
+     */
+    function recordCorrection(misspelling, correction) {
+        if (typeof misspelling !== "string" || typeof correction !== "string" ||
+                misspelling.length === 0 || correction.length === 0 || misspelling === correction) {
+            return;
+        }
+
+        _history[misspelling] = _history[misspelling] || Object.create(null);
+        _history[misspelling][correction] = (_history[misspelling][correction] || 0) + 1;
+        _pickCounts = null;
+        _saveHistory();
+
+        exports.trigger("historyChanged");
+    }
+
+    /**
+     * Gets the corrections picked for a misspelling before, most often picked first.
+     *
+     * When the misspelling itself has no history, the history of its lowercase
+     * form is used, capitalized like the misspelling (so that picking "the" for
+     * "teh" also helps with "Teh" at the start of a sentence).
+     *
+     * @param   {string} misspelling The misspelled word.
+     * @returns {array}
+     */
+    function getCorrections(misspelling) {
+        var corrections = _history[misspelling],
+            lowercase = misspelling.toLowerCase(),
+            matchCase = false;
+
+        if (typeof corrections === "undefined" && lowercase !== misspelling) {
+            corrections = _history[lowercase];
+            matchCase = true;
+        }
+
+        if (typeof corrections === "undefined") {
+            return [];
+        }
+
+        return Object.keys(corrections).sort(function (a, b) {
+            return corrections[b] - corrections[a];
+        }).map(function (correction) {
+            return matchCase ? StringUtils.matchCase(misspelling, correction) : correction;
+        });
+    }
+
+    /**
+     * Gets how often a word has been picked as the correction of any misspelling, ignoring case.
+     *
+     * @param   {string} correction The word.
+     * @returns {number}
+     */
+    function getPickCount(correction) {
+        if (_pickCounts === null) {
+            _pickCounts = Object.create(null);
+
+            Object.keys(_history).forEach(function (misspelling) {
+                Object.keys(_history[misspelling]).forEach(function (picked) {
+                    var key = picked.toLowerCase();
+
+                    _pickCounts[key] = (_pickCounts[key] || 0) + _history[misspelling][picked];
+                });
+            });
+        }
+
+        return _pickCounts[correction.toLowerCase()] || 0;
+    }
+
+    /**
+     * Gets the correction to apply automatically for a known typo.
+     *
+     * @param   {string}  misspelling The misspelled word.
+     * @returns {?string} The most often picked correction, or null when the typo is not known.
+     */
+    function getAutoCorrection(misspelling) {
+        var corrections = getCorrections(misspelling);
+
+        return (corrections.length > 0) ? corrections[0] : null;
+    }
+
+    /**
+     * Puts the corrections picked before at the top of a list of suggestions.
+     *
+     * The list keeps its length, unless there are more earlier corrections than suggestions.
+     *
+     * @param   {string} misspelling The misspelled word.
+     * @param   {?array} suggestions The suggestions.
+     * @returns {?array}
+     */
+    function prioritize(misspelling, suggestions) {
+        var corrections = getCorrections(misspelling),
+            length;
+
+        if (corrections.length === 0) {
+            return suggestions;
+        }
+
+        suggestions = suggestions || [];
+        length = Math.max(suggestions.length, corrections.length);
+
+        return corrections.concat(suggestions.filter(function (suggestion) {
+            return corrections.indexOf(suggestion) === -1;
+        })).slice(0, length);
+    }
+
+    /**
+     * Gets every known typo along with the correction that would be applied for it.
+     *
+     * @returns {array} The typos, sorted by misspelling: [{ misspelling::string, correction::string, count::number }]
+     */
+    function getKnownTypos() {
+        return Object.keys(_history).sort(function (a, b) {
+            return a.toLowerCase().localeCompare(b.toLowerCase());
+        }).map(function (misspelling) {
+            var correction = getAutoCorrection(misspelling);
+
+            return {
+                misspelling: misspelling,
+                correction: correction,
+                count: _history[misspelling][correction]
+            };
+        });
+    }
+
+    /**
+     * Forgets everything recorded for a misspelling.
+     *
+     * @param {string} misspelling The misspelled word.
+     */
+    function removeMisspelling(misspelling) {
+        if (typeof _history[misspelling] === "undefined") {
+            return;
+        }
+
+        delete _history[misspelling];
+        _pickCounts = null;
+        _saveHistory();
+
+        exports.trigger("historyChanged");
+    }
+
+    AppInit.appReady(function () {
+        _path = Dictionary.getCorrectionHistoryFile();
+        _loadHistory();
+    });
+
+    EventDispatcher.makeEventDispatcher(exports);
+
+    exports.recordCorrection = recordCorrection;
+    exports.getCorrections = getCorrections;
+    exports.getPickCount = getPickCount;
+    exports.getAutoCorrection = getAutoCorrection;
+    exports.prioritize = prioritize;
+    exports.getKnownTypos = getKnownTypos;
+    exports.removeMisspelling = removeMisspelling;
+
+});
\ No newline at end of file
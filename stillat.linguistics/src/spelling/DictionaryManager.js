@@ -28,8 +28,22 @@
  * The DictionaryManager is responsible for managing the various
  * dictionaries that may have been loaded by the spell checker.
  * 
- * Each dictionary contains its own instance of Typo, as well as any
- * data it needs (e.g. the affix and dictionary data).
+ * The Typo instances for each dictionary live inside a Web Worker (see
+ * "TypoWorker.js") so that building dictionaries, checking words and
+ * generating suggestions never blocks the editor. The manager keeps a
+ * cache of the results the worker has sent back; words that have not been
+ * checked yet are considered correct until their result arrives.
+ * 
+ * On top of that, the final result of `check` (after the word lists and every
+ * dictionary of a profile have been consulted) is memoized per locale or
+ * profile. Both caches are bounded and evict the least recently used words;
+ * see `getCacheStats` for how well they are doing.
+ * 
+ * Expanding a dictionary's affix rules is slow for big locales, so the worker
+ * hands back a precompiled copy of every dictionary it builds. The copy is
+ * written to the dictionary cache directory and sent along with the source
+ * files the next time the locale is loaded; the worker rebuilds it whenever
+ * the source files have changed.
  * 
  * This module dispatches a few events:
  * 
@@ -44,6 +58,11 @@
  *          (e, localeName::string)
  *    - languageListLoaded -- When the list of available languages has loaded.
  *          (e, availableLanguages::array)
+ *    - checkResultsAvailable -- When the worker has sent back the results for words
+ *          that were not checked before. The lines containing those words should
+ *          be re-rendered. Also dispatched, without words, when the worker has
+ *          reported an error and the checks it was asked for are given up on.
+ *          (e, localeName::string, words::array)
  *          
  * To listen for events, do something like this: (see EventDispatcher for details on this pattern)
  *    `DictionaryManager.on("eventname", handler);
@@ -53,7 +72,6 @@ define(function (require, exports, module) {
     
     // Load required modules.
     var _ = require("thirdparty/lodash"),
-        TypoLib = require("thirdparty/typo"),
         FileSystem = brackets.getModule("filesystem/FileSystem"),
         EventDispatcher = brackets.getModule("utils/EventDispatcher"),
         FileUtils = brackets.getModule("file/FileUtils"),
@@ -62,7 +80,12 @@ define(function (require, exports, module) {
         Async = brackets.getModule("utils/Async"),
         AppInit = brackets.getModule("utils/AppInit"),
         FileSystemImpl = brackets.getModule("fileSystemImpl"),
-        ProfileManager = require("src/spelling/ProfileManager");
+        ExtensionUtils = brackets.getModule("utils/ExtensionUtils"),
+        ProfileManager = require("src/spelling/ProfileManager"),
+        WordListManager = require("src/spelling/WordListManager"),
+        SuggestionRanker = require("src/spelling/SuggestionRanker"),
+        LRUCache = require("src/utils/LRUCache").LRUCache,
+        DictionaryLookup = require("src/core/DictionaryLookup").DictionaryLookup;
     
     /**
      * The default locale.
@@ -104,8 +127,139 @@ define(function (require, exports, module) {
      */
     var _allowAffixFailures = true;
     
+    /**
+     * The worker that owns the Typo instances.
+     *
+     * @type {Worker}
+     */
+    var _worker = null;
+    
+    /**
+     * The identifier given to the last request that was sent to the worker.
+     *
+     * @type {number}
+     */
+    var _lastRequestId = 0;
+    
+    /**
+     * The suggestion requests that are waiting on the worker, keyed by request identifier.
+     *
+     * @type {object}
+     */
+    var _suggestionRequests = Object.create(null);
+    
+    /**
+     * The words waiting to be sent to the worker, keyed by locale name.
+     *
+     * Words are batched up while CodeMirror renders and sent to the
+     * worker all at once, instead of sending one message per word.
+     *
+     * @type {object}
+     */
+    var _checkQueue = Object.create(null);
+    
+    /**
+     * Indicates if the check queue has already been scheduled to be sent to the worker.
+     *
+     * @type {boolean}
+     */
+    var _checkQueueScheduled = false;
+    
+    /**
+     * The number of check requests the worker has not answered yet.
+     *
+     * @type {number}
+     */
+    var _outstandingCheckRequests = 0;
+    
+    /**
+     * The number of worker results kept for each dictionary.
+     * 
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_CACHED_RESULTS = 50000;
+    
+    /**
+     * The number of `check` results that are memoized, across all locales and profiles.
+     * 
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_CACHED_CHECKS = 50000;
+    
+    /**
+     * The number of candidate suggestions requested from the worker. The
+     * SuggestionRanker picks the best ones from these.
+     * 
+     * @const
+     * @type {number}
+     */
+    var SUGGESTION_CANDIDATES = 20;
+    
+    /**
+     * The memoized `check` results, keyed by the locale (or profile) name and the word.
+     * 
+     * @type {LRUCache}
+     */
+    var _checkCache = new LRUCache(MAXIMUM_CACHED_CHECKS);
+    
+    /**
+     * Decides what the word lists and the worker's dictionaries say about a word.
+     * 
+     * Profile dictionaries that have not been loaded yet start loading as soon as
+     * a word needs them. The timing difference between the loading of the
+     * dictionary and the styling of the word is usually small enough that it
+     * doesn't matter all that much.
+     * 
+     * @type {DictionaryLookup}
+     */
+    var _lookup = new DictionaryLookup({
+        hasWord: WordListManager.hasWord,
+        getProfileItems: ProfileManager.getProfileItems,
+        hasDictionary: function (localeName) {
+            return hasDictionary(localeName, true);
+        },
+        checkWithDictionary: _checkWithDictionary,
+        loadDictionary: loadDictionary
+    });
+    
+    /**
+     * Indicates if the `check` that is running had to queue a word for the
+     * worker. Its result is only a guess in that case and must not be memoized.
+     * 
+     * @type {boolean}
+     */
+    var _checkWasQueued = false;
+    
+    /**
+     * The number of words that have been queued for the worker so far. Callers
+     * that memoize results compare it before and after a check to find out if
+     * the result was only a guess.
+     * 
+     * @type {number}
+     */
+    var _queuedCheckCount = 0;
+    
+    /**
+     * Sends a message to the worker.
+     *
+     * @private
+     *
+     * @param {object} message The message.
+     */
+    function _postToWorker(message) {
+        if (_worker !== null) {
+            _worker.postMessage(message);
+        }
+    }
+    
     /**
      * Gets a dictionary object for the given locale name.
+     * 
+     * The dictionary object holds the state of the dictionary and the
+     * cached check results. It does not contain a Typo instance.
+     * 
      * @param   {string}     localeName The locale name.
      * @returns {object}
      */
@@ -125,39 +279,117 @@ define(function (require, exports, module) {
      */
     function unloadDictionary(localeName) {
         delete _dictionaries[localeName];
+        _postToWorker({ command: "unload", locale: localeName });
+        SuggestionRanker.removeFrequencyList(localeName);
+        _checkCache.clear();
+        
         exports.trigger("dictionaryUnloaded", localeName);
     }
     
     /**
      * Initializes a dictionaries Typo instance.
      * 
-     * @private
-     * 
      * This function will only initialize a Typo instance if both the dictionary and affix
-     * data is available.
+     * data is available, and the precompiled cache has been read (or found to be missing).
+     * The Typo instance is created by the worker; the dictionary is considered ready once
+     * the worker reports back (see `_handleTypoInitialized`).
+     * 
+     * @private
      * 
      * @param {string} localeName The locale name.
      */
     function _performTypoInitializationOnLocale(localeName) {
-        if (_dictionaries[localeName].affixLoaded === true && _dictionaries[localeName].dictionaryLoaded === true) {
+        if (_dictionaries[localeName].affixLoaded === true && _dictionaries[localeName].dictionaryLoaded === true &&
+                _dictionaries[localeName].cacheLoaded === true) {
             // The dictionary and affix data has been loaded, so we can
             // go ahead and create the Typo instance for the dictionary.
-            _dictionaries[localeName].typo = new Typo(localeName, _dictionaries[localeName].affixData, _dictionaries[localeName].dictionaryData);
-            // Indicate that the dictionary is ready to be used.
-            _dictionaries[localeName].initialized = true;
-            // Hide the busy indicator at this point.
-            StatusBar.hideBusyIndicator();
+            _postToWorker({
+                command: "load",
+                locale: localeName,
+                affixData: _dictionaries[localeName].affixData,
+                dictionaryData: _dictionaries[localeName].dictionaryData,
+                cacheData: _dictionaries[localeName].cacheData
+            });
             
-            // Indicate that the dictionary is already being loaded. The dictionary
-            // will be present in the dictionaries list, so we can safely remove
-            // it from this list as the dictionary loader consults that list
-            // before attempting to load a dictionary.
-            delete _dictionariesBeingLoaded[localeName];
-            console.info("Linguistics: Dictionary has been loaded successfully for  " + localeName);
-            exports.trigger("dictionaryLoaded", localeName);
+            // The worker has its own copy of the data now.
+            _dictionaries[localeName].sentToWorker = true;
+            _dictionaries[localeName].affixData = null;
+            _dictionaries[localeName].dictionaryData = null;
+            _dictionaries[localeName].cacheData = null;
         }
     }
     
+    /**
+     * Writes a precompiled dictionary to the dictionary cache directory.
+     * 
+     * @private
+     * 
+     * @param {string} localeName The locale name.
+     * @param {string} cacheData  The precompiled dictionary.
+     */
+    function _saveDictionaryCache(localeName, cacheData) {
+        var path = Dictionary.getDictionaryCacheFile(localeName);
+        
+        // Creating a directory that already exists only reports an error,
+        // so it is safe to always attempt it before writing.
+        FileSystem.getDirectoryForPath(Dictionary.getDictionaryCacheDirectory()).create(function () {
+            FileSystem.getFileForPath(path).write(cacheData, { blind: true }, function (err) {
+                if (err) {
+                    console.error("Linguistics: Could not save the dictionary cache for " + localeName + " to " + path, err);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Marks a dictionary as ready once the worker has created its Typo instance.
+     * 
+     * @private
+     * 
+     * @param {string}  localeName The locale name.
+     * @param {?string} cacheData  The precompiled dictionary, when the worker had to build a new one.
+     */
+    function _handleTypoInitialized(localeName, cacheData) {
+        if (typeof cacheData === "string") {
+            _saveDictionaryCache(localeName, cacheData);
+        }
+        
+        // The dictionary may have been unloaded while the worker was busy.
+        if (typeof _dictionaries[localeName] === "undefined") {
+            return;
+        }
+        
+        // Indicate that the dictionary is ready to be used.
+        _dictionaries[localeName].initialized = true;
+        // Hide the busy indicator at this point.
+        StatusBar.hideBusyIndicator();
+        
+        // Indicate that the dictionary is already being loaded. The dictionary
+        // will be present in the dictionaries list, so we can safely remove
+        // it from this list as the dictionary loader consults that list
+        // before attempting to load a dictionary.
+        delete _dictionariesBeingLoaded[localeName];
+        console.info("Linguistics: Dictionary has been loaded successfully for  " + localeName);
+        _checkCache.clear();
+        exports.trigger("dictionaryLoaded", localeName);
+    }
+    
+    /**
+     * Cleans up after the worker failed to create a Typo instance.
+     * 
+     * @private
+     * 
+     * @param {string} localeName The locale name.
+     * @param {string} message    The error reported by the worker.
+     */
+    function _handleTypoInitializationFailure(localeName, message) {
+        console.error("Linguistics: Can't create the dictionary for " + localeName, message);
+        unloadDictionary(localeName);
+        delete _dictionariesBeingLoaded[localeName];
+        StatusBar.hideBusyIndicator();
+        exports.trigger("dictionaryFailedToLoad", localeName);
+    }
+    
     /**
      * Checks to see if a dictionary needs to be removed due to loading failures.
      * 
@@ -181,15 +413,16 @@ define(function (require, exports, module) {
     /**
      * Initializes a dictionaries affix and dictionary data.
      * 
-     * This function will load both the affix and dictionary data asynchronously.
-     * To be notified when a dictionary has been loaded, listen for the appropriate
-     * event.
+     * This function will load the affix and dictionary data, along with the
+     * precompiled cache, asynchronously. To be notified when a dictionary has
+     * been loaded, listen for the appropriate event.
      * 
      * @param {string} localeName     The locale name.
      * @param {File}   affixFile      The affix file.
      * @param {File}   dictionaryFile The dictionary file.
+     * @param {File}   cacheFile      The precompiled cache file. It does not have to exist.
      */
-    function _initializeDictionaryData(localeName, affixFile, dictionaryFile) {
+    function _initializeDictionaryData(localeName, affixFile, dictionaryFile, cacheFile) {
         affixFile.read({ encoding: "utf8" }, function (err, data, stats) {
             if (err === null) {
                 _dictionaries[localeName].affixData = data;
@@ -215,6 +448,58 @@ define(function (require, exports, module) {
                 _checkDictionaryForCleanUp(localeName);
             }
         });
+        
+        cacheFile.read({ encoding: "utf8" }, function (err, data) {
+            // The dictionary may have failed to load while the cache was being read.
+            if (typeof _dictionaries[localeName] === "undefined") {
+                return;
+            }
+            
+            // A missing or unreadable cache is not an error; the
+            // worker will simply build the dictionary from scratch.
+            _dictionaries[localeName].cacheData = (err === null) ? data : null;
+            _dictionaries[localeName].cacheLoaded = true;
+            _performTypoInitializationOnLocale(localeName);
+        });
+    }
+    
+    /**
+     * Loads the word frequency list for the given locale, when there is one.
+     * 
+     * The list shipped with the dictionary extension is preferred over the
+     * one bundled with Linguistics. Languages without a list simply rank
+     * their suggestions without one.
+     * 
+     * @private
+     * 
+     * @param {string} localeName The locale name.
+     */
+    function _loadFrequencyList(localeName) {
+        var paths = [
+            Dictionary.getFrequencyListFile(localeName),
+            Dictionary.getBundledFrequencyListFile(localeName)
+        ];
+        
+        function readNextList() {
+            if (paths.length === 0) {
+                return;
+            }
+            
+            FileSystem.getFileForPath(paths.shift()).read({ encoding: "utf8" }, function (err, data) {
+                // The dictionary may have been unloaded while the list was being read.
+                if (typeof _dictionaries[localeName] === "undefined") {
+                    return;
+                }
+                
+                if (err === null) {
+                    SuggestionRanker.setFrequencyList(localeName, data);
+                } else {
+                    readNextList();
+                }
+            });
+        }
+        
+        readNextList();
     }
     
     /**
@@ -248,15 +533,21 @@ define(function (require, exports, module) {
         
         var _affixFile = FileSystem.getFileForPath(_affixPath);
         var _dictionaryFile = FileSystem.getFileForPath(_dictionaryPath);
+        var _cacheFile = FileSystem.getFileForPath(Dictionary.getDictionaryCacheFile(localeName));
         
         _dictionaries[localeName] = {
             initialized: false,
             dictionaryLoaded: false,
             affixLoaded: false,
+            cacheLoaded: false,
+            sentToWorker: false,
             affixData: null,
             dictionaryData: null,
-            typo: null,
-            locale: localeName
+            cacheData: null,
+            locale: localeName,
+            results: new LRUCache(MAXIMUM_CACHED_RESULTS),
+            pending: Object.create(null),
+            suggestions: Object.create(null)
         };
         
         if (_affixFile && _dictionaryFile) {
@@ -269,7 +560,8 @@ define(function (require, exports, module) {
             // console.info("Linguistics: Loading dictionary " + localeName);
             // console.info("Linguistics: Affix file path " + _affixPath);
             // console.info("Linguistics: Dictionary file path " + _dictionaryPath);
-            _initializeDictionaryData(localeName, _affixFile, _dictionaryFile);
+            _initializeDictionaryData(localeName, _affixFile, _dictionaryFile, _cacheFile);
+            _loadFrequencyList(localeName);
         } else {
             // console.error("Linguistics: Failed to initialze files for affix or dictionary files.", _affixPath, _dictionaryPath);
             // Unload the dictionary from the list.
@@ -303,7 +595,11 @@ define(function (require, exports, module) {
      * Unloads all the dictionaries that have been loaded.
      */
     function unloadAllDictionaries() {
+        Object.keys(_dictionaries).forEach(SuggestionRanker.removeFrequencyList);
         _dictionaries = Object.create(null);
+        _postToWorker({ command: "unloadAll" });
+        _checkCache.clear();
+        
         exports.trigger("dictionariesUnloaded");
     }
     
@@ -325,6 +621,160 @@ define(function (require, exports, module) {
         _defaultLocale = defaultLocale;
     }
     
+    /**
+     * Sends the queued words to the worker.
+     * 
+     * @private
+     */
+    function _flushCheckQueue() {
+        var localeName;
+        
+        _checkQueueScheduled = false;
+        
+        for (localeName in _checkQueue) {
+            _outstandingCheckRequests++;
+            _postToWorker({
+                command: "check",
+                id: ++_lastRequestId,
+                locale: localeName,
+                words: _checkQueue[localeName]
+            });
+        }
+        
+        _checkQueue = Object.create(null);
+    }
+    
+    /**
+     * Queues a word to be checked by the worker.
+     * 
+     * @private
+     * 
+     * @param {string} localeName The locale name.
+     * @param {string} word       The word to check.
+     */
+    function _queueCheck(localeName, word) {
+        var dictionary = _dictionaries[localeName];
+        
+        if (dictionary.pending[word] === true) {
+            return;
+        }
+        
+        dictionary.pending[word] = true;
+        
+        if (typeof _checkQueue[localeName] === "undefined") {
+            _checkQueue[localeName] = [];
+        }
+        
+        _checkQueue[localeName].push(word);
+        
+        if (!_checkQueueScheduled) {
+            _checkQueueScheduled = true;
+            window.setTimeout(_flushCheckQueue, 0);
+        }
+    }
+    
+    /**
+     * Checks a word against a single, initialized dictionary.
+     * 
+     * The result comes from the result cache when the worker has already checked the
+     * word. Otherwise the word is queued for the worker and is considered to be spelled
+     * correctly for now; the "checkResultsAvailable" event is dispatched once the
+     * worker has answered.
+     * 
+     * @private
+     * 
+     * @param   {string}       localeName The locale name.
+     * @param   {string}       word       The word to check.
+     * @returns {boolean|null}
+     */
+    function _checkWithDictionary(localeName, word) {
+        var dictionary = _dictionaries[localeName],
+            result = dictionary.results.get(word);
+        
+        if (typeof result !== "undefined") {
+            return result;
+        }
+        
+        _queueCheck(localeName, word);
+        _checkWasQueued = true;
+        _queuedCheckCount++;
+        
+        return true;
+    }
+    
+    /**
+     * Stores the results the worker has sent back for a batch of words.
+     * 
+     * @private
+     * 
+     * @param {string}  localeName The locale name.
+     * @param {object}  results    The results, keyed by word.
+     * @param {?string} error      The error Typo ran into while checking, if any.
+     */
+    function _handleCheckResults(localeName, results, error) {
+        var dictionary = _dictionaries[localeName],
+            word;
+        
+        if (error) {
+            console.error("Linguistics: The spelling worker could not check every word", error);
+        }
+        
+        // The counter has been reset if the worker reported an error in the meantime.
+        _outstandingCheckRequests = Math.max(0, _outstandingCheckRequests - 1);
+        
+        // The dictionary may have been unloaded while the worker was busy.
+        if (typeof dictionary !== "undefined") {
+            for (word in results) {
+                dictionary.results.set(word, results[word]);
+                delete dictionary.pending[word];
+            }
+        }
+        
+        exports.trigger("checkResultsAvailable", localeName, Object.keys(results));
+    }
+    
+    /**
+     * Indicates if there are words waiting for the worker to check them.
+     * 
+     * @returns {boolean}
+     */
+    function hasPendingChecks() {
+        return (_outstandingCheckRequests > 0 || Object.keys(_checkQueue).length > 0);
+    }
+    
+    /**
+     * Gets the number of words that have been queued for the worker so far.
+     * 
+     * A `check` that changes this number returned a guess rather than the
+     * dictionary's answer.
+     * 
+     * @returns {number}
+     */
+    function getQueuedCheckCount() {
+        return _queuedCheckCount;
+    }
+    
+    /**
+     * Gets a promise that is resolved once the worker has answered every queued check.
+     * 
+     * @returns {$.Promise}
+     */
+    function whenChecksComplete() {
+        var deferred = new $.Deferred();
+        
+        function _resolveWhenIdle() {
+            if (!hasPendingChecks()) {
+                exports.off("checkResultsAvailable", _resolveWhenIdle);
+                deferred.resolve();
+            }
+        }
+        
+        exports.on("checkResultsAvailable", _resolveWhenIdle);
+        _resolveWhenIdle();
+        
+        return deferred.promise();
+    }
+    
     /**
      * Checks if a word is spelled incorrectly.
      * 
@@ -333,6 +783,12 @@ define(function (require, exports, module) {
      * of dictionaries used by the profile. This function will then check if a word is
      * considered to be misspelled by any of the dictionaries included in the profile.
      * 
+     * Words in the user's word lists are always considered correct, regardless of the
+     * locale or profile that is being used.
+     * 
+     * Results are memoized until a dictionary is loaded or unloaded, a word list
+     * changes or the profiles are reloaded.
+     * 
      * @param   {string}  word       The word to check.
      * @param   {string}  localeName The locale to use when checking. Optional.
      * @returns {boolean|null}
@@ -342,66 +798,196 @@ define(function (require, exports, module) {
             localeName = _defaultLocale;
         }
         
-        if (ProfileManager.hasProfile(localeName)) {
-            var _profileItems = ProfileManager.getProfileItems(localeName);
+        var _cacheKey = localeName + "\n" + word,
+            _result = _checkCache.get(_cacheKey);
+        
+        if (typeof _result === "undefined") {
+            _checkWasQueued = false;
+            _result = _checkUncached(word, localeName);
             
-            // If the _profileItems hasn't been properly initialized yet we will just
-            // default to checking as if the profile didn't exist yet. This is done
-            // to prevent every word from being flagged as incorrect while the
-            // profile and dictionaries are being loaded.
-            if (_profileItems !== null) {
-                var _i = 0;
-                for (_i; _i < _profileItems.length; _i++) {
-                    var _profileName = _profileItems[_i].name;
-
-                    // Check if the DictionaryManager has the dictionary specified in the profile.
-                    if (hasDictionary(_profileName, true)) {
-                        // console.info("Profile name check");
-                        // console.info(_profileName, _dictionaries[_profileName]);
-                        if (_dictionaries[_profileName].typo.check(word)) {
-                            return true;
-                        }
-                    } else {
-                        // This will start the loading process of the dictionary. We can get
-                        // away with this because of the way CodeMirror's mode system works.
-                        // The timing difference between the loading of the dictionary and
-                        // the styling of the word if it is incorrect is usually small
-                        // enough where it doesn't matter all that much.
-                        loadDictionary(_profileName);
-                        // console.info("Attempting to load something from the dictionary..." + _profileName);
-                    }
-                }
-
-                // Assume that the word is spelled incorrectly.
-                return false;
+            if (!_checkWasQueued && _result !== null) {
+                _checkCache.set(_cacheKey, _result);
             }
-            
         }
         
-        if (hasDictionary(localeName, true)) {
-            return _dictionaries[localeName].typo.check(word);
+        return _result;
+    }
+    
+    /**
+     * Gets the statistics of the result caches, for debugging.
+     * 
+     * The "check" entry describes the memoized `check` results, and the
+     * "dictionaries" entry has the worker result cache of each dictionary.
+     * 
+     * @returns {{check: object, dictionaries: object}}
+     */
+    function getCacheStats() {
+        var stats = {
+                check: _checkCache.getStats(),
+                dictionaries: {}
+            },
+            localeName;
+        
+        for (localeName in _dictionaries) {
+            stats.dictionaries[localeName] = _dictionaries[localeName].results.getStats();
         }
         
-        return null;
+        return stats;
     }
     
     /**
-     * Returns a list of suggestions for a misspelled word.
+     * Checks a word without consulting the memoized results.
+     * 
+     * @private
      * 
-     * @param   {string}     word       The word to check.
-     * @param   {string}     localeName The locale to use when checking. Optional.
-     * @returns {array|null}
+     * @param   {string}       word       The word to check.
+     * @param   {string}       localeName The locale (or profile) name.
+     * @returns {boolean|null}
+     */
+    function _checkUncached(word, localeName) {
+        return _lookup.check(word, localeName);
+    }
+    
+    /**
+     * Gets a list of suggestions for a misspelled word.
+     * 
+     * Suggestions are generated by the worker, so this function returns a promise. The
+     * promise is resolved with the list of suggestions, or a literal `null` value when
+     * there is no dictionary to get suggestions from.
+     * 
+     * The worker's candidates are kept for each word, and ranked by the SuggestionRanker
+     * every time they are asked for (the user's picks may have changed in the meantime).
+     * 
+     * @param   {string}  word       The word to check.
+     * @param   {string}  localeName The locale to use when checking. Optional.
+     * @returns {$.Promise}
      */
     function suggest(word, localeName) {
+        var deferred = new $.Deferred(),
+            requestId;
+        
         if (!localeName) {
             localeName = _defaultLocale;
         }
         
-        if (hasDictionary(localeName)) {
-            return _dictionaries[localeName].typo.suggest(word);
+        if (!hasDictionary(localeName, true)) {
+            return deferred.resolve(null).promise();
+        }
+        
+        if (word in _dictionaries[localeName].suggestions) {
+            return deferred.resolve(SuggestionRanker.rank(word, _dictionaries[localeName].suggestions[word], localeName)).promise();
+        }
+        
+        requestId = ++_lastRequestId;
+        _suggestionRequests[requestId] = deferred;
+        _postToWorker({ command: "suggest", id: requestId, locale: localeName, word: word, limit: SUGGESTION_CANDIDATES });
+        
+        return deferred.promise();
+    }
+    
+    /**
+     * Resolves a suggestion request with the suggestions the worker has sent back.
+     * 
+     * @private
+     * 
+     * @param {object} message The "suggested" message from the worker.
+     */
+    function _handleSuggestions(message) {
+        var deferred = _suggestionRequests[message.id],
+            candidates = null;
+        
+        delete _suggestionRequests[message.id];
+        
+        if (message.error) {
+            console.error("Linguistics: The spelling worker could not make suggestions for \"" + message.word + "\"", message.error);
+            
+            if (deferred) {
+                deferred.reject("The suggestions could not be made: " + message.error);
+            }
+            
+            return;
+        }
+        
+        if (message.suggestions !== null) {
+            candidates = message.suggestions.map(function (suggestion, index) {
+                return { word: suggestion, category: message.categories[index] };
+            });
+            
+            if (typeof _dictionaries[message.locale] !== "undefined") {
+                _dictionaries[message.locale].suggestions[message.word] = candidates;
+            }
         }
         
-        return null;
+        if (deferred) {
+            deferred.resolve(candidates === null ? null : SuggestionRanker.rank(message.word, candidates, message.locale));
+        }
+    }
+    
+    /**
+     * Gives up on everything the worker has been asked for after it has reported an error.
+     * 
+     * The worker may never answer those requests, which would leave everything that
+     * waits for the checks to complete waiting forever. The suggestion requests are
+     * rejected, and the words that were waiting are queued again the next time they
+     * are checked. The dictionaries the worker was creating are given up on the same
+     * way as when it fails to create one, so that whatever waits for them to load
+     * (the busy indicator, the editors and `LinguisticsAPI`) hears about it.
+     * 
+     * @private
+     * 
+     * @param {string} errorMessage The error message.
+     */
+    function _handleWorkerError(errorMessage) {
+        var requests = _suggestionRequests,
+            localeName,
+            requestId;
+        
+        console.error("Linguistics: The spelling worker reported an error", errorMessage);
+        
+        _suggestionRequests = Object.create(null);
+        _checkQueue = Object.create(null);
+        _outstandingCheckRequests = 0;
+        
+        for (localeName in _dictionaries) {
+            _dictionaries[localeName].pending = Object.create(null);
+        }
+        
+        for (requestId in requests) {
+            requests[requestId].reject("The spelling worker reported an error: " + errorMessage);
+        }
+        
+        Object.keys(_dictionariesBeingLoaded).filter(function (name) {
+            return (typeof _dictionaries[name] !== "undefined" && _dictionaries[name].sentToWorker);
+        }).forEach(function (name) {
+            _handleTypoInitializationFailure(name, errorMessage);
+        });
+        
+        // Lets anything waiting in `whenChecksComplete` carry on.
+        exports.trigger("checkResultsAvailable", _defaultLocale, []);
+    }
+    
+    /**
+     * Routes the messages sent by the worker.
+     * 
+     * @private
+     * 
+     * @param {object} message The message.
+     */
+    function _handleWorkerMessage(message) {
+        switch (message.command) {
+        case "loaded":
+            _handleTypoInitialized(message.locale, message.cache);
+            break;
+        case "failed":
+            _handleTypoInitializationFailure(message.locale, message.message);
+            break;
+        case "checked":
+            _handleCheckResults(message.locale, message.results, message.error);
+            break;
+        case "suggested":
+            _handleSuggestions(message);
+            break;
+        }
     }
     
     /**
@@ -531,6 +1117,15 @@ define(function (require, exports, module) {
      * Initializes data that is required by other parts of the system.
      */
     function _initialize() {
+        // Start the worker that will hold the Typo instances.
+        _worker = new window.Worker(ExtensionUtils.getModulePath(module, "TypoWorker.js"));
+        _worker.addEventListener("message", function (e) {
+            _handleWorkerMessage(e.data);
+        });
+        _worker.addEventListener("error", function (e) {
+            _handleWorkerError(e.message);
+        });
+        
         // Load the available dictionaries.
         /**
         _languagePathNameFile = Dictionary.getRelativeDictionaryFile("languages.json");
@@ -557,6 +1152,14 @@ define(function (require, exports, module) {
         });
     }
     
+    WordListManager.on("wordListChanged", function () {
+        _checkCache.clear();
+    });
+    
+    ProfileManager.on("userProfilesLoaded", function () {
+        _checkCache.clear();
+    });
+    
     AppInit.appReady(_initialize);
     
     EventDispatcher.makeEventDispatcher(exports);
@@ -571,6 +1174,10 @@ define(function (require, exports, module) {
     exports.setDefaultLocale = setDefaultLocale;
     exports.check = check;
     exports.suggest = suggest;
+    exports.hasPendingChecks = hasPendingChecks;
+    exports.getQueuedCheckCount = getQueuedCheckCount;
+    exports.getCacheStats = getCacheStats;
+    exports.whenChecksComplete = whenChecksComplete;
     exports.getAvailableDictionaries = getAvailableDictionaries;
     exports.getAvailableDictionaryProfiles = getAvailableDictionaryProfiles;
     exports.dictionaryExists = dictionaryExists;
@@ -79,6 +79,7 @@ define(function (require, exports, module) {
     // Load required modules.
     var FileSystem = brackets.getModule("filesystem/FileSystem"),
         Dictionary = require("src/utils/Dictionary"),
+        Profiles = require("src/core/Profiles"),
         FileUtils =  brackets.getModule("file/FileUtils"),
         Async = brackets.getModule("utils/Async"),
         AppInit = brackets.getModule("utils/AppInit"),
@@ -116,28 +117,14 @@ define(function (require, exports, module) {
                     
                     profilePath.read({encoding: "utf8"}, function (err, data, status) {
                         if (err === null) {
-                            var _profileData = JSON.parse(data);
-                            _profileData.isProfile = true;
+                            var _profileData = Profiles.parseProfile(data);
                             
-                            // Kind of a bridge to make the API between profiles and
-                            // dictionaries a little easier to work with.
-                            _profileData.locale = _profileData.profile;
-                            
-                            // If the profile has no items, we are just going to ignore it.
-                            if (typeof _profileData.items === undefined || _profileData.items.length === 0) {
+                            // Profiles that cannot be used (no items, for example) are ignored.
+                            if (_profileData === null) {
                                 _profile.reject();
                                 return;
                             }
                             
-                            var _i = 0;
-                            
-                            // Set the default item type.
-                            for (_i; _i < _profileData.items.length; _i++) {
-                                if (typeof _profileData.items[_i].type === "undefined") {
-                                    _profileData.items[_i].type = "dictionary";
-                                }
-                            }
-                            
                             userProfiles[_profileData.profile] = _profileData;
                             jsonFiles.push(profilePath);
                             _profile.resolve();
@@ -26,14 +26,81 @@
 
 /**
  * The SpellChecker contains the logic for marking spelling errors in the document.
+ * 
+ * This module dispatches one event:
+ * 
+ * 
+ *    - localeChanged -- When the locale (or profile) words are checked with has changed.
+ *          (e, localeName::string)
  */
 define(function (require, exports, module) {
     "use strict";
 
-    var DictionaryManager = require("src/spelling/DictionaryManager"),
-        StringUtils = require("src/utils/Strings"),
+    var CodeMirror = brackets.getModule("thirdparty/CodeMirror/lib/codemirror"),
+        EventDispatcher = brackets.getModule("utils/EventDispatcher"),
+        DictionaryManager = require("src/spelling/DictionaryManager"),
+        WordListManager = require("src/spelling/WordListManager"),
+        CorrectionHistory = require("src/spelling/CorrectionHistory"),
+        LRUCache = require("src/utils/LRUCache").LRUCache,
+        WordChecker = require("src/core/WordChecker").WordChecker,
+        WordTokenizer = require("src/core/WordTokenizer"),
+        Tokenizers = require("src/core/Tokenizers"),
         UtilityManager = require("src/spelling/UtilityManager");
     
+    /**
+     * Check scope: let Linguistics decide based on the CodeMirror mode.
+     * 
+     * @const
+     * @type {string}
+     */
+    var SCOPE_AUTO = "auto";
+    
+    /**
+     * Check scope: only check text the base mode considers to be a comment.
+     * 
+     * @const
+     * @type {string}
+     */
+    var SCOPE_COMMENTS = "comments";
+    
+    /**
+     * Check scope: only check comments and strings.
+     * 
+     * @const
+     * @type {string}
+     */
+    var SCOPE_COMMENTS_AND_STRINGS = "commentsAndStrings";
+    
+    /**
+     * Check scope: check every word in the document.
+     * 
+     * @const
+     * @type {string}
+     */
+    var SCOPE_EVERYTHING = "everything";
+    
+    /**
+     * Check scope: do not check the document at all.
+     * 
+     * @const
+     * @type {string}
+     */
+    var SCOPE_OFF = "off";
+    
+    /**
+     * The CodeMirror modes that are mostly prose. Every word in these
+     * modes is checked when the check scope is set to "auto".
+     *
+     * @type {Array}
+     */
+    var _proseModes = [
+        "null",
+        "markdown",
+        "gfm",
+        "aliceMarkdown",
+        "deskMarkdown"
+    ];
+    
     /**
      * The locale name.
      * 
@@ -49,39 +116,53 @@ define(function (require, exports, module) {
     var _spellCheckEnabled = false;
     
     /**
-     * Indicates if the Linguistics spell checker should ignore upper case words.
+     * The locale words are checked with instead of the active one, while
+     * text is checked for another locale. Null when the active one is used.
      * 
-     * @type {boolean}
+     * @type {?string}
      */
-    var _spellingIgnoreUppercase = true;
+    var _checkLocaleName = null;
     
     /**
-     * Indicates if the spell checker is ready.
+     * Decides whether a single word is spelled correctly.
      * 
-     * @type {boolean}
+     * @type {WordChecker}
      */
-    var _initialized = false;
+    var _wordChecker = new WordChecker(function (word) {
+        if (_checkLocaleName !== null) {
+            return DictionaryManager.check(word, _checkLocaleName);
+        }
+        
+        return DictionaryManager.check(word);
+    });
     
     /**
-     * A list of very common programming keywords. It is safe to assume that a lot
-     * of Linguistics users are also programmers; they shouldn't have to add
-     * these common terms to their dictionaries.
-     *
-     * @type {array}
+     * The number of words whose results are kept in the word cache.
+     * 
+     * @const
+     * @type {number}
      */
-    var _commonProgrammingKeywords = [
-        "foreach", "json", "aff", "dic", "url", "src"
-    ];
+    var MAXIMUM_CACHED_WORDS = 50000;
     
     /**
-     * Simply a way to internally toggle experimental features.
-     *
-     * @type {object}
+     * The results of `WordChecker.hasCorrectSpelling`, keyed by word (prefixed
+     * with the locale name when it is not the active locale).
+     * 
+     * CodeMirror re-renders lines all the time (while scrolling, for example), and
+     * the same few words make up most of any document, so this saves a lot of
+     * trips through the camelCase, quote and dictionary checks. Identifiers in
+     * particular would otherwise be split up and checked part by part every time.
+     * 
+     * @type {LRUCache}
      */
-    var _experimentalFeatures = {
-        attemptIntelligentQuoteDetection: true,
-        automaticallyDetectCamelCaseWords: true
-    };
+    var _wordCache = new LRUCache(MAXIMUM_CACHED_WORDS);
+    
+    /**
+     * Indicates if the spell checker is ready.
+     * 
+     * @type {boolean}
+     */
+    var _initialized = false;
     
     var _currentMode = "Mode.all";
     
@@ -101,236 +182,525 @@ define(function (require, exports, module) {
      * @param {boolean} shouldIgnore Whether or not to ignore uppercase words.
      */
     function shouldSpellingIgnoreUppercaseWords(shouldIgnore) {
-        _spellingIgnoreUppercase = shouldIgnore;
+        _wordChecker.setIgnoreUppercase(shouldIgnore);
+        clearWordCache();
+    }
+    
+    /**
+     * Forgets the cached result of every word.
+     * 
+     * This has to happen whenever something that affects the result of a
+     * word changes: the dictionaries, the word lists or the preferences.
+     */
+    function clearWordCache() {
+        _wordCache.clear();
+    }
+    
+    /**
+     * Gets the statistics of the word cache and the dictionary caches, for debugging.
+     * 
+     * @returns {{words: object, dictionaries: object}}
+     */
+    function getCacheStats() {
+        return {
+            words: _wordCache.getStats(),
+            dictionaries: DictionaryManager.getCacheStats()
+        };
+    }
+    
+    /**
+     * Sets the list of words the spell checker should always ignore.
+     * 
+     * @param {array} words The words to ignore.
+     */
+    function setGlobalIgnoreList(words) {
+        _wordChecker.setGlobalIgnoreList(words);
+        clearWordCache();
     }
     
     /**
-     * Determines if a word is in the list of common programming keywords.
+     * Determines if a word is spelled "incorrectly", using the word cache.
+     * 
+     * Words the worker has not checked yet are considered correct for now; those
+     * guesses are not cached so the word is looked up again once it has answered.
+     * 
      * @private
      * 
-     * @param   {string}  word The word to check.
+     * @param   {string}  word         The word to check.
+     * @param   {object}  guessedWords Optional. The word is added to it when its result is such a guess.
      * @returns {boolean}
      */
-    function _isCommonTerm(word) {
-        return (_commonProgrammingKeywords.indexOf(word) > -1);
+    function _hasCorrectSpellingCached(word, guessedWords) {
+        var _cacheKey = (_checkLocaleName === null ? word : _checkLocaleName + "\n" + word),
+            _result = _wordCache.get(_cacheKey),
+            _queuedCheckCount;
+        
+        if (typeof _result === "undefined") {
+            _queuedCheckCount = DictionaryManager.getQueuedCheckCount();
+            _result = _wordChecker.hasCorrectSpelling(word);
+            
+            if (DictionaryManager.getQueuedCheckCount() === _queuedCheckCount) {
+                _wordCache.set(_cacheKey, _result);
+            } else if (guessedWords) {
+                guessedWords[word] = true;
+            }
+        }
+        
+        return _result;
     }
     
     /**
-     * Checks the spelling of camel-cased words.
+     * The style the overlay gives misspelled words.
+     * 
+     * @const
+     * @type {string}
+     */
+    var MISSPELLING_STYLE = "alice-error-visualization alice-spelling-visualization";
+    
+    /**
+     * Determines if a word that has been split off by a tokenizer is misspelled.
      * 
      * @private
      * 
-     * This function returns a boolean value. The meaning of this return value
-     * may seem a little ambiguous. A return value of "false" means that the
-     * function has determined the word is spelled incorrectly, and that no
-     * further processing should be required. A return value of "true" means
-     * that the function has determined the word may be spelled correctly, but
-     * further processing might be required.
+     * @param   {string}  word          The word to check.
+     * @param   {string}  beforeContext The text directly before the word.
+     * @param   {string}  fullPath      The path of the document being checked. Optional.
+     * @param   {object}  guessedWords  Optional. See `_hasCorrectSpellingCached`.
+     * @returns {boolean}
+     */
+    function _isMisspelledWord(word, beforeContext, fullPath, guessedWords) {
+        // Typically we would just make a call to _typo.check, but we want a
+        // little more control over what is considered a "mispelled" word.
+        return (!_hasCorrectSpellingCached(word, guessedWords) && !UtilityManager.shouldIgnore(word, beforeContext || "") &&
+                !(fullPath && WordListManager.isIgnoredInDocument(word, fullPath)));
+    }
+    
+    /**
+     * Runs the base CodeMirror mode over a single line and records where each of its tokens end.
      * 
-     * @param  {string} word The word to check.
-     * @return {boolean}
+     * @private
+     * 
+     * @param   {object} baseMode  The base CodeMirror mode.
+     * @param   {object} baseState The base mode's state. This is advanced past the line.
+     * @param   {string} line      The line's text.
+     * @returns {Array}  A list of { end, style } objects.
      */
-    function _checkSpellingOfCamelCaseWord(word) {
-        var _wordParts = StringUtils.splitByUpperCase(word);
-        var _i = 0;
+    function _tokenizeBaseLine(baseMode, baseState, line) {
+        var _stream = new CodeMirror.StringStream(line, 4),
+            _tokens = [],
+            _style = null;
         
-        for (_i; _i < _wordParts.length; _i++) {
-            // Return as soon as we can.
-            if (!DictionaryManager.check(_wordParts[_i])) {
-                return false;
+        while (!_stream.eol()) {
+            _style = baseMode.token(_stream, baseState);
+            
+            // Modes are required to advance the stream, but let's not
+            // hang the editor if one of them misbehaves.
+            if (_stream.pos === _stream.start) {
+                _stream.next();
             }
+            
+            _tokens.push({ end: _stream.pos, style: _style });
+            _stream.start = _stream.pos;
         }
         
-        return true;
+        return _tokens;
     }
     
     /**
-     * Checks the spelling of a word surrounded by a certain character.
+     * Reads the base mode's tokens for the line an overlay is at.
      * 
-     * This function returns a boolean value. The meaning of this return value
-     * may seem a little ambiguous. A return value of "false" means that the
-     * function has determined the word is spelled incorrectly, and that no
-     * further processing should be required. A return value of "true" means
-     * that the function has determined the word may be spelled correctly,
-     * but further processing might be required.
+     * CodeMirror hands overlays the base mode's tokens through `stream.baseToken`
+     * (since 5.31). Older versions do not, in which case the line is run through
+     * the base mode on its own, and comments that span several lines are missed.
      * 
-     * This function may return a literal numeric value of "-1". When this value
-     * is returned it is indicating that the function has determined that the
-     * word checked is actually correct and no further processing should
-     * be required.
+     * @private
      * 
-     * @param   {string}  word      The word to check.
-     * @param   {string}  character The character that surrounds the word.
-     * @returns {boolean|integer}
+     * @param   {StringStream} stream   The overlay's stream, at the start of the line.
+     * @param   {object}       baseMode The base CodeMirror mode.
+     * @returns {Array}        A list of { end, style } objects.
      */
-    function _checkSpellingBetweenCharacter(word, character) {
-        var _baseWord = null;
-        var _seemsCorrect = null;
+    function _readBaseTokens(stream, baseMode) {
+        var _tokens = [],
+            _token;
         
-        if (StringUtils.startsWith(word, character) && StringUtils.endsWith(word, character)) {
-            _baseWord = StringUtils.trimChar(word, character);
-            if (StringUtils.isCamelCase(_baseWord)) {
-                _seemsCorrect = _checkSpellingOfCamelCaseWord(_baseWord);
-            } else {
-                _seemsCorrect = DictionaryManager.check(_baseWord);
-            }
-        } else if (StringUtils.endsWith(word, character)) {
-            _baseWord = word.substr(0, word.length - 1);
-            _seemsCorrect = DictionaryManager.check(_baseWord);
-        } else if (StringUtils.startsWith(word, character)) {
-            _baseWord = word.substr(1, word.length - 1);
-            _seemsCorrect = DictionaryManager.check(_baseWord);
+        if (typeof stream.baseToken !== "function" || !stream.baseToken()) {
+            return _tokenizeBaseLine(baseMode, CodeMirror.startState(baseMode), stream.string);
         }
         
-        if (_seemsCorrect !== null && !_seemsCorrect) {
-            return false;
+        while (stream.pos < stream.string.length && (_token = stream.baseToken()) && _token.size > 0) {
+            stream.pos += _token.size;
+            _tokens.push({ end: stream.pos, style: _token.type || null });
+        }
+        
+        stream.pos = 0;
+        
+        return _tokens;
+    }
+    
+    /**
+     * Splits the parts of a line that are in a check scope into words.
+     * 
+     * The base mode has already told the text apart from the code, so the words
+     * are split on the word separators. Each base token is split on its own, and
+     * only the separators inside the token count as a word's before context.
+     * 
+     * @private
+     * 
+     * @param   {string} line       The line's text.
+     * @param   {Array}  baseTokens The base mode's tokens for the line (see `_tokenizeBaseLine`).
+     * @param   {string} checkScope The resolved check scope.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function _getWordsInScope(line, baseTokens, checkScope) {
+        var _words = [],
+            _start = 0;
+        
+        baseTokens.forEach(function (token) {
+            if (isStyleInScope(token.style, checkScope)) {
+                _words = _words.concat(WordTokenizer.tokenizeLine(line, _start, token.end));
+            }
+            
+            _start = token.end;
+        });
+        
+        return _words;
+    }
+    
+    /**
+     * Gets the tokenizer states at the start of each line of a CodeMirror document.
+     * 
+     * The states are kept on the document itself, so that every editor showing it
+     * shares them, and the states after a change are forgotten as soon as it happens.
+     * 
+     * @private
+     * 
+     * @param   {Doc}        doc       The CodeMirror document.
+     * @param   {object}     tokenizer The tokenizer.
+     * @returns {LineStates}
+     */
+    function _getLineStates(doc, tokenizer) {
+        var _entry = null;
+        
+        if (!doc.linguisticsLineStates) {
+            doc.linguisticsLineStates = [];
+            
+            doc.on("change", function (doc, change) {
+                doc.linguisticsLineStates.forEach(function (entry) {
+                    entry.lineStates.invalidate(change.from.line);
+                });
+            });
         }
         
-        if (_seemsCorrect) {
-            return -1;
+        doc.linguisticsLineStates.forEach(function (entry) {
+            if (entry.tokenizer === tokenizer) {
+                _entry = entry;
+            }
+        });
+        
+        if (_entry === null) {
+            _entry = { tokenizer: tokenizer, lineStates: new Tokenizers.LineStates(tokenizer) };
+            doc.linguisticsLineStates.push(_entry);
         }
         
-        return true;
+        return _entry.lineStates;
     }
     
     /**
-     * Determines if a word is spelled "incorrectly".
+     * Splits a line of a CodeMirror document into words with a tokenizer.
+     * 
      * @private
      * 
-     * @param {string} word The word to check.
-     * @return {boolean}
+     * @param   {Doc}    doc        The CodeMirror document.
+     * @param   {number} lineNumber The line number.
+     * @param   {object} tokenizer  The tokenizer.
+     * @returns {Array}  A list of { word, ch, endCh, beforeContext } objects.
      */
-    function _hasCorrectSpelling(word) {
-        // The idea here is we don't want to make a call to _typo.check() unless
-        // we absolutely need to. We also want to eliminate as many false
-        // positives as possible.
+    function _tokenizeDocumentLine(doc, lineNumber, tokenizer) {
+        var _state = _getLineStates(doc, tokenizer).getState(function (line) {
+            return doc.getLine(line);
+        }, lineNumber);
         
-        // Check if a word is "correct" by default.
-        if (_isCommonTerm(word)) {
-            return true;
+        return tokenizer.tokenizeLine(doc.getLine(lineNumber), _state);
+    }
+    
+    /**
+     * Determines if a base mode token style falls within a check scope.
+     * 
+     * @param   {string|null} style      The base mode's token style.
+     * @param   {string}      checkScope The check scope.
+     * @returns {boolean}
+     */
+    function isStyleInScope(style, checkScope) {
+        if (style === null) {
+            return false;
         }
         
-        // If the word we are checking is a valid number, let's not flag
-        // it as a misspelling.
-        if (!isNaN(parseFloat(word))) {
+        // Doc comments are styled as comments (with a few extra
+        // classes for the tags) by the CodeMirror modes.
+        if (/\bcomment\b/.test(style)) {
             return true;
         }
         
-        if (_spellingIgnoreUppercase) {
-            var _baseWord = null;
-            // If a word is all capitalized we will assume it is an acronym
-            // of some sort.
-            if (word === word.toUpperCase()) {
-                return true;
-            }
-            
-            // This handles uppercase words that might have a plural ending
-            // that is not necessarily uppercased.
-            if (StringUtils.endsWith(word, "'s")) {
-                _baseWord = word.substr(0, word.length - 2);
-                if (_baseWord === _baseWord.toUpperCase()) {
-                    return true;
-                }
-            }
-            
-            // This will handle cases like "Joneses'".
-            if (StringUtils.endsWith(word, "'") && !StringUtils.startsWith(word, "'")) {
-                _baseWord = word.substr(0, word.length - 1);
-                var _firstCharacter = word.substr(0, 1);
-                
-                if (_firstCharacter === _firstCharacter.toUpperCase()) {
-                    return DictionaryManager.check(_baseWord);
-                }
-            }
+        return (checkScope === SCOPE_COMMENTS_AND_STRINGS && /\bstring(-2)?\b/.test(style));
+    }
+    
+    /**
+     * Resolves the "auto" check scope for a given CodeMirror mode.
+     * 
+     * Prose modes (plain text and Markdown) have every word checked, while programming
+     * modes only have their comments and strings checked.
+     * 
+     * @param   {string} checkScope The check scope.
+     * @param   {string} modeName   The CodeMirror mode name.
+     * @returns {string}
+     */
+    function resolveCheckScope(checkScope, modeName) {
+        if (checkScope === SCOPE_COMMENTS || checkScope === SCOPE_COMMENTS_AND_STRINGS ||
+                checkScope === SCOPE_EVERYTHING || checkScope === SCOPE_OFF) {
+            return checkScope;
         }
         
-        if (_experimentalFeatures.attemptIntelligentQuoteDetection) {
-            var _quotesSeemCorrect = true;
-            var _doubleQuotesSeemCorrect = true;
-            
-            if (StringUtils.startsWith(word, "'") || StringUtils.endsWith(word, "'")) {
-                _quotesSeemCorrect = _checkSpellingBetweenCharacter(word, "'");
-            }
-            
-            if (StringUtils.startsWith(word, '"') || StringUtils.endsWith(word, '"')) {
-                _doubleQuotesSeemCorrect = _checkSpellingBetweenCharacter(word, '"');
-            }
-            
-            // The quoted word appears correct, so let's indicate that
-            // to the CodeMirror mode.
-            if (_quotesSeemCorrect === -1 || _doubleQuotesSeemCorrect === -1) {
-                return true;
-            }
-            
-            // The quoted word appears to be incorrect, so let's tell
-            // that to the CodeMirror mode.
-            if (_quotesSeemCorrect === false || _doubleQuotesSeemCorrect === false) {
-                return false;
-            }
-            
+        if (_proseModes.indexOf(String(modeName)) > -1) {
+            return SCOPE_EVERYTHING;
         }
         
-        if (_experimentalFeatures.automaticallyDetectCamelCaseWords) {
-            if (StringUtils.isCamelCase(word)) {
-                return _checkSpellingOfCamelCaseWord(word);
-            }
+        return SCOPE_COMMENTS_AND_STRINGS;
+    }
+    
+    /**
+     * Gets the words on a line of an editor that are checked, split up
+     * the same way the spell checker overlay splits them.
+     * 
+     * @param   {CodeMirror} cm         The CodeMirror instance.
+     * @param   {number}     lineNumber The line number.
+     * @param   {string}     checkScope The resolved check scope.
+     * @returns {Array}      A list of { word, ch, endCh, beforeContext } objects.
+     */
+    function getCheckedWords(cm, lineNumber, checkScope) {
+        if (checkScope === SCOPE_OFF) {
+            return [];
         }
         
-        // At this point, we can make a call to _typo.check() to see what
-        // it has to say about a particular word case.
-        return DictionaryManager.check(word);
+        if (checkScope !== SCOPE_EVERYTHING) {
+            return _getWordsInScope(cm.getLine(lineNumber), cm.getLineTokens(lineNumber, true).map(function (token) {
+                return { end: token.end, style: token.type };
+            }), checkScope);
+        }
+        
+        return _tokenizeDocumentLine(cm.getDoc(), lineNumber, Tokenizers.getTokenizer(cm.getMode().name));
     }
     
-    var _lastWordSeparatorDirty = true;
-    var _lastWordSeparator = "";
+    /**
+     * Finds the misspelled words on a line of an editor.
+     * 
+     * @param   {CodeMirror} cm           The CodeMirror instance.
+     * @param   {number}     lineNumber   The line number.
+     * @param   {string}     checkScope   The resolved check scope.
+     * @param   {string}     fullPath     The path of the document. Optional.
+     * @param   {object}     guessedWords Optional. The words the worker has not checked yet
+     *                                    (which count as correct for now) are added to it.
+     * @returns {Array}      A list of { line, ch, endCh, word } objects.
+     */
+    function findMisspellingsOnLine(cm, lineNumber, checkScope, fullPath, guessedWords) {
+        if (!_isInitialized()) {
+            return [];
+        }
+        
+        return getCheckedWords(cm, lineNumber, checkScope).filter(function (word) {
+            return _isMisspelledWord(word.word, word.beforeContext, fullPath, guessedWords);
+        }).map(function (word) {
+            return { line: lineNumber, ch: word.ch, endCh: word.endCh, word: word.word };
+        });
+    }
 
     /**
      * Gets a spell checker overlay that can be used by a CodeMirror instance.
      * 
+     * When every word is checked, the line is split up by the tokenizer for the base
+     * mode (see "Tokenizers.js"). When the check scope is limited to comments (and
+     * strings), the overlay asks CodeMirror how the base mode has styled the line and
+     * splits the parts in scope on the word separators.
+     * 
+     * CodeMirror hands overlays no state of their own, so the words of the line are
+     * worked out when CodeMirror starts on the line and handed out one by one after.
+     * Tokenizers that carry state from one line to the next get it from the document.
+     * 
+     * Words the user has ignored in the document at `fullPath` are not flagged. The
+     * words the worker has not checked yet are kept in the overlay's `pendingWords`,
+     * so that the overlay can be replaced once the worker has answered.
+     * 
+     * @param   {object} baseMode   The editor's CodeMirror mode. Optional when checking everything.
+     * @param   {string} checkScope The resolved check scope. Defaults to "everything".
+     * @param   {string} fullPath   The path of the document the overlay is for. Optional.
      * @returns {object|string} The spell checker overlay.
      */
-    function getOverlay() {
+    function getOverlay(baseMode, checkScope, fullPath) {
+        var _tokenizer = Tokenizers.getTokenizer(baseMode ? baseMode.name : null),
+            _pendingWords = Object.create(null),
+            _words = [],
+            _index = 0;
+        
+        if (typeof checkScope === "undefined" || !baseMode) {
+            checkScope = SCOPE_EVERYTHING;
+        }
+        
+        function _getLineWords(stream) {
+            var _oracle = stream.lineOracle;
+            
+            if (checkScope !== SCOPE_EVERYTHING) {
+                return _getWordsInScope(stream.string, _readBaseTokens(stream, baseMode), checkScope);
+            }
+            
+            if (_oracle && _oracle.doc && typeof _oracle.line === "number") {
+                return _tokenizeDocumentLine(_oracle.doc, _oracle.line, _tokenizer);
+            }
+            
+            return _tokenizer.tokenizeLine(stream.string, Tokenizers.startState(_tokenizer));
+        }
+        
         return {
             spellCheckOverlay: true,
-            token: function (stream, state) {
+            checkScope: checkScope,
+            baseMode: baseMode,
+            fullPath: fullPath,
+            tokenizer: _tokenizer,
+            pendingWords: _pendingWords,
+            token: function (stream) {
+                var _word;
                 
-                if (_lastWordSeparatorDirty) {
-                    _lastWordSeparator = "";
-                    _lastWordSeparatorDirty = false;
+                if (stream.sol()) {
+                    _words = _isInitialized() ? _getLineWords(stream) : [];
+                    _index = 0;
                 }
                 
-                if (!_isInitialized()) {
+                while (_index < _words.length && _words[_index].endCh <= stream.pos) {
+                    _index++;
+                }
+                
+                if (_index === _words.length) {
                     stream.skipToEnd();
                     return null;
                 }
                 
-                var _character = stream.peek();
-                var _word = "";
+                _word = _words[_index];
                 
-                if (StringUtils.isWordSeparator(_character)) {
-                    stream.next();
-                    _lastWordSeparator += _character;
+                if (stream.pos < _word.ch) {
+                    stream.pos = _word.ch;
                     return null;
                 }
                 
-                while (StringUtils.isString(_character = stream.peek()) && !StringUtils.isWordSeparator(_character)) {
-                    _word += _character;
-                    stream.next();
-                }
-                
-                // Typically we would just make a call to _typo.check, but we want a
-                // little more control over what is considered a "mispelled" word.
-                if (!_hasCorrectSpelling(_word) && !UtilityManager.shouldIgnore(_word, _lastWordSeparator)) {
-                    _lastWordSeparatorDirty = true;
-                    return "alice-error-visualization alice-spelling-visualization";
-                }
+                stream.pos = _word.endCh;
+                _index++;
                 
-                _lastWordSeparatorDirty = true;
-                return null;
+                return _isMisspelledWord(_word.word, _word.beforeContext, fullPath, _pendingWords) ? MISSPELLING_STYLE : null;
             }
         };
     }
 
+    /**
+     * The number of times `findMisspellingsAsync` will scan a document while waiting
+     * for the worker. Profiles only consult their next dictionary once the previous
+     * one has rejected a word, so a single scan is not always enough.
+     * 
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_SCANS = 5;
+    
+    /**
+     * Finds the misspelled words in a piece of text.
+     * 
+     * The text is split up the same way the overlay splits up the lines of an editor,
+     * so the results match what the user sees in the editor. Words the worker has not
+     * checked yet are considered correct (see `findMisspellingsAsync`).
+     * 
+     * @param   {string} text       The text to check.
+     * @param   {object} baseMode   The CodeMirror mode to use for the text.
+     * @param   {string} checkScope The resolved check scope.
+     * @param   {string} fullPath   The path of the document the text belongs to. Optional.
+     * @param   {string} localeName The locale (or profile) to check the text with. Defaults to the active one.
+     * @returns {Array}  A list of { line, ch, endCh, word } objects.
+     */
+    function findMisspellings(text, baseMode, checkScope, fullPath, localeName) {
+        var _tokenizer = Tokenizers.getTokenizer(baseMode ? baseMode.name : null),
+            _state = Tokenizers.startState(_tokenizer),
+            _baseState = baseMode ? CodeMirror.startState(baseMode) : null,
+            _previousMode = _currentMode,
+            _results = [];
+        
+        if (!_isInitialized() || checkScope === SCOPE_OFF) {
+            return _results;
+        }
+        
+        // The utility ignore lists depend on the mode of the text being checked,
+        // which is not necessarily the mode of the active editor.
+        UtilityManager.setModeName(baseMode ? baseMode.name : _currentMode);
+        _checkLocaleName = (localeName && localeName !== _localeName) ? localeName : null;
+        
+        text.split(/\r\n|\r|\n/).forEach(function (line, lineNumber) {
+            var _words;
+            
+            if (typeof checkScope === "undefined" || checkScope === SCOPE_EVERYTHING || !baseMode) {
+                _words = _tokenizer.tokenizeLine(line, _state);
+            } else if (line.length === 0) {
+                if (baseMode.blankLine) {
+                    baseMode.blankLine(_baseState);
+                }
+                return;
+            } else {
+                _words = _getWordsInScope(line, _tokenizeBaseLine(baseMode, _baseState, line), checkScope);
+            }
+            
+            _words.forEach(function (word) {
+                if (_isMisspelledWord(word.word, word.beforeContext, fullPath)) {
+                    _results.push({
+                        line: lineNumber,
+                        ch: word.ch,
+                        endCh: word.endCh,
+                        word: word.word
+                    });
+                }
+            });
+        });
+        
+        UtilityManager.setModeName(_previousMode);
+        _checkLocaleName = null;
+        
+        return _results;
+    }
+    
+    /**
+     * Finds the misspelled words in a piece of text, waiting for the worker to check
+     * any words it has not seen before.
+     * 
+     * @param   {string}    text       The text to check.
+     * @param   {object}    baseMode   The CodeMirror mode to use for the text.
+     * @param   {string}    checkScope The resolved check scope.
+     * @param   {string}    fullPath   The path of the document the text belongs to. Optional.
+     * @param   {string}    localeName The locale (or profile) to check the text with. Defaults to the active one.
+     * @returns {$.Promise} A promise resolved with the same results as `findMisspellings`.
+     */
+    function findMisspellingsAsync(text, baseMode, checkScope, fullPath, localeName) {
+        var _deferred = new $.Deferred(),
+            _scans = 0;
+        
+        function _scan() {
+            var _results = findMisspellings(text, baseMode, checkScope, fullPath, localeName);
+            
+            _scans++;
+            
+            if (!DictionaryManager.hasPendingChecks() || _scans >= MAXIMUM_SCANS) {
+                _deferred.resolve(_results);
+            } else {
+                DictionaryManager.whenChecksComplete().done(_scan);
+            }
+        }
+        
+        _scan();
+        
+        return _deferred.promise();
+    }
+
     /**
      * Sets whether or not the spell checker is enabled.
      * 
@@ -340,22 +710,135 @@ define(function (require, exports, module) {
         _spellCheckEnabled = isEnabled;
     }
     
+    /**
+     * Indicates whether the spell checker is enabled.
+     * 
+     * @returns {boolean}
+     */
+    function isSpellCheckEnabled() {
+        return _spellCheckEnabled;
+    }
+    
     /**
      * Sets the locale name used by the spell checker.
      * 
      * @param {string} localeName The locale name.
      */
     function setLocaleName(localeName) {
+        var _changed = (_localeName !== localeName);
+        
         _localeName = localeName;
         DictionaryManager.setDefaultLocale(localeName);
+        clearWordCache();
         
         // The dictionary manager will not load the same dictionary twice, so we
         // can safely abuse this function.
         DictionaryManager.loadDictionary(localeName);
+        
+        if (_changed) {
+            exports.trigger("localeChanged", localeName);
+        }
+    }
+    
+    /**
+     * Gets the locale name used by the spell checker.
+     * 
+     * @returns {?string} Null until the locale has been set.
+     */
+    function getLocaleName() {
+        return _localeName;
+    }
+    
+    /**
+     * Gets the suggestions for a misspelled word.
+     * 
+     * Corrections the user has picked for the word before come first.
+     * 
+     * @param   {string}    word       The misspelled word.
+     * @param   {string}    localeName The locale to suggest words from. Defaults to the active one.
+     * @returns {$.Promise} A promise resolved with the list of suggestions, or rejected
+     *                      with a message when the spelling worker has run into an error.
+     */
+    function suggest(word, localeName) {
+        return DictionaryManager.suggest(word, localeName).then(function (suggestions) {
+            return CorrectionHistory.prioritize(word, suggestions);
+        });
+    }
+    
+    /**
+     * Lets the spell checker know that the user has replaced a misspelled word
+     * with one of its suggestions, so that it is ranked higher from now on.
+     * The pick is recorded in the CorrectionHistory, which the SuggestionRanker reads.
+     * 
+     * @param {string} word       The misspelled word.
+     * @param {string} suggestion The suggestion that was picked.
+     */
+    function acceptSuggestion(word, suggestion) {
+        CorrectionHistory.recordCorrection(word, suggestion);
     }
     
-    function suggest(word) {
-        return DictionaryManager.suggest(word);
+    /**
+     * Determines if a single word would be flagged by the spell checker overlay.
+     * 
+     * @param   {string}  word          The word to check.
+     * @param   {string}  beforeContext The word separators that came before the word.
+     * @param   {string}  fullPath      The path of the document the word is in. Optional.
+     * @returns {boolean}
+     */
+    function isMisspelled(word, beforeContext, fullPath) {
+        if (!_isInitialized() || !_spellCheckEnabled) {
+            return false;
+        }
+        
+        return _isMisspelledWord(word, beforeContext, fullPath);
+    }
+    
+    /**
+     * Determines if a single word is spelled correctly, regardless of the ignore
+     * files and of whether the spell checker is enabled.
+     * 
+     * Words the worker has not checked yet are considered correct, as they
+     * are by `findMisspellings`.
+     * 
+     * @param   {string}  word       The word to check.
+     * @param   {string}  localeName The locale (or profile) to check the word with. Defaults to the active one.
+     * @returns {boolean}
+     */
+    function hasCorrectSpelling(word, localeName) {
+        var _result;
+        
+        _checkLocaleName = (localeName && localeName !== _localeName) ? localeName : null;
+        _result = _hasCorrectSpellingCached(word);
+        _checkLocaleName = null;
+        
+        // Words are not considered correct when there is no dictionary to check them with.
+        return (_result === true);
+    }
+    
+    /**
+     * Determines if a single word is spelled correctly, with the same rules
+     * `findMisspellings` applies to the words of a text: the ignore files and
+     * word lists as well as the preferences. Unlike `isMisspelled`, this does
+     * not depend on whether the spell checker is enabled.
+     * 
+     * Words the worker has not checked yet are considered correct.
+     * 
+     * @param   {string}  word       The word to check.
+     * @param   {string}  localeName The locale (or profile) to check the word with. Defaults to the active one.
+     * @returns {boolean}
+     */
+    function isCorrectWord(word, localeName) {
+        var _result;
+        
+        if (!_isInitialized()) {
+            return true;
+        }
+        
+        _checkLocaleName = (localeName && localeName !== _localeName) ? localeName : null;
+        _result = !_isMisspelledWord(word, "");
+        _checkLocaleName = null;
+        
+        return _result;
     }
     
     function setModeName(mode) {
@@ -367,21 +850,49 @@ define(function (require, exports, module) {
     // if the spell checker is in an "initialized" state.
     DictionaryManager.on("dictionariesUnloaded", function (e, localeName) {
         _initialized = false;
+        clearWordCache();
     });
     
     DictionaryManager.on("dictionaryUnloaded", function (e, localeName) {
         _initialized = DictionaryManager.hasDictionariesLoaded();
+        clearWordCache();
     });
     
     DictionaryManager.on("dictionaryLoaded", function (e, localeName) {
         _initialized = true;
+        clearWordCache();
     });
     
+    WordListManager.on("wordListChanged", clearWordCache);
+    
+    EventDispatcher.makeEventDispatcher(exports);
+    
     exports.setLocaleName = setLocaleName;
+    exports.getLocaleName = getLocaleName;
     exports.setSpellCheckEnabled = setSpellCheckEnabled;
+    exports.isSpellCheckEnabled = isSpellCheckEnabled;
     exports.getOverlay = getOverlay;
     exports.shouldIgnoreUppercaseWords = shouldSpellingIgnoreUppercaseWords;
+    exports.setGlobalIgnoreList = setGlobalIgnoreList;
+    exports.clearWordCache = clearWordCache;
+    exports.getCacheStats = getCacheStats;
     exports.suggest = suggest;
+    exports.acceptSuggestion = acceptSuggestion;
     exports.setModeName = setModeName;
+    exports.resolveCheckScope = resolveCheckScope;
+    exports.isStyleInScope = isStyleInScope;
+    exports.isMisspelled = isMisspelled;
+    exports.getCheckedWords = getCheckedWords;
+    exports.findMisspellingsOnLine = findMisspellingsOnLine;
+    exports.hasCorrectSpelling = hasCorrectSpelling;
+    exports.isCorrectWord = isCorrectWord;
+    exports.findMisspellings = findMisspellings;
+    exports.findMisspellingsAsync = findMisspellingsAsync;
+    
+    exports.SCOPE_AUTO = SCOPE_AUTO;
+    exports.SCOPE_COMMENTS = SCOPE_COMMENTS;
+    exports.SCOPE_COMMENTS_AND_STRINGS = SCOPE_COMMENTS_AND_STRINGS;
+    exports.SCOPE_EVERYTHING = SCOPE_EVERYTHING;
+    exports.SCOPE_OFF = SCOPE_OFF;
 
 });
\ No newline at end of file
@@ -0,0 +1,737 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+
+/**
+ * The SuggestionEngine generates the suggestions for misspelled words. It is
+ * loaded into the TypoWorker next to Typo, which is still used to decide
+ * which of the generated candidates are real words.
+ *
+ * Besides the usual edits (deleting, swapping, replacing or inserting one or two
+ * of the affix file's TRY characters), the engine uses the affix file's tables:
+ *
+ *    - REP -- Common misspellings, such as "f" typed for "ph". Every occurrence is
+ *          tried, "_" stands for a space and "^"/"$" anchor the pattern to the
+ *          start or end of the word.
+ *    - MAP -- Groups of related characters, such as "aáâ" or "(ss)ß". The word's
+ *          characters are swapped for other members of their group. Words that
+ *          only differ from the misspelling by their accents are always found.
+ *    - PHONE -- Phonetic rules in aspell's format. Dictionary words that sound
+ *          the same as the misspelling are suggested when they are close enough.
+ *          Literal letters, one "(group)", trailing "-" characters, "^" and "$"
+ *          are understood; the "<" and priority markers are accepted but ignored.
+ *
+ * Suggestions from the REP and MAP tables come first, followed by the edits and
+ * then the phonetic matches. Each group is ordered by how far the suggestion is
+ * from the misspelling; between equally distant words, the ones made of the same
+ * letters as the misspelling (swapped letters are the most common slip) win.
+ */
+var SuggestionEngine = (function () {
+    "use strict";
+
+    /**
+     * The number of suggestions returned when no limit is given.
+     *
+     * @const
+     * @type {number}
+     */
+    var DEFAULT_LIMIT = 5;
+
+    /**
+     * The characters tried by the edits when the affix file has no TRY line.
+     *
+     * @const
+     * @type {string}
+     */
+    var DEFAULT_TRY_CHARACTERS = "abcdefghijklmnopqrstuvwxyz";
+
+    /**
+     * The maximum number of MAP variants that are checked for a single word.
+     *
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_MAP_VARIANTS = 256;
+
+    /**
+     * The suggestion categories, in the order they are returned.
+     *
+     * @const
+     * @type {number}
+     */
+    var CATEGORY_REPLACEMENT = 0,
+        CATEGORY_MAP = 1,
+        CATEGORY_EDIT = 2,
+        CATEGORY_PHONETIC = 3;
+
+    /**
+     * Escapes a string so it can be used inside a regular expression.
+     *
+     * @param   {string} text The text to escape.
+     * @returns {string}
+     */
+    function _escapeRegExp(text) {
+        return text.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&");
+    }
+
+    /**
+     * Removes the accents from a word and lowercases it.
+     *
+     * @param   {string} word The word.
+     * @returns {string}
+     */
+    function _fold(word) {
+        if (typeof word.normalize === "function") {
+            word = word.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+        }
+
+        return word.toLowerCase();
+    }
+
+    /**
+     * Converts a REP entry into a replacement.
+     *
+     * @param   {string} from The pattern.
+     * @param   {string} to   The replacement.
+     * @returns {object} The replacement: { pattern::RegExp, replacement::string }
+     */
+    function _parseReplacement(from, to) {
+        var source = from,
+            anchorStart = false,
+            anchorEnd = false;
+
+        if (source.length > 1 && source.charAt(0) === "^") {
+            anchorStart = true;
+            source = source.substring(1);
+        }
+
+        if (source.length > 1 && source.charAt(source.length - 1) === "$") {
+            anchorEnd = true;
+            source = source.substring(0, source.length - 1);
+        }
+
+        return {
+            pattern: new RegExp((anchorStart ? "^" : "") + _escapeRegExp(source.replace(/_/g, " ")) + (anchorEnd ? "$" : ""), "g"),
+            replacement: to.replace(/_/g, " ")
+        };
+    }
+
+    /**
+     * Converts a MAP entry into a list of related characters.
+     *
+     * @param   {string} entry The entry, for example "aáâ" or "(ss)ß".
+     * @returns {array}
+     */
+    function _parseMap(entry) {
+        return (entry.match(/\([^)]*\)|./g) || []).map(function (member) {
+            return (member.length > 1) ? member.substring(1, member.length - 1) : member;
+        }).filter(function (member) {
+            return member.length > 0;
+        });
+    }
+
+    /**
+     * Converts a PHONE entry into a phonetic rule.
+     *
+     * @param   {string} pattern     The pattern.
+     * @param   {string} replacement The replacement. "_" stands for nothing.
+     * @returns {?object} The rule, or null when the pattern is not understood.
+     */
+    function _parsePhoneRule(pattern, replacement) {
+        var parts = /^([^(\-<\^$0-9]*)(?:\(([^)]*)\))?(-*)(<?)([0-9]?)(\^*)(\$?)$/.exec(pattern);
+
+        if (parts === null || (parts[1].length === 0 && typeof parts[2] === "undefined")) {
+            return null;
+        }
+
+        return {
+            letters: parts[1],
+            group: (typeof parts[2] === "undefined") ? null : parts[2],
+            lookahead: parts[3].length,
+            start: parts[6].length > 0,
+            end: parts[7].length > 0,
+            replacement: (replacement === "_") ? "" : replacement
+        };
+    }
+
+    /**
+     * Reads the suggestion tables from the contents of an affix file.
+     *
+     * @param   {string} data The contents of the affix file.
+     * @returns {object} The tables: { tryCharacters::string, replacements::array, map::array, phone::array }
+     */
+    function parseAffix(data) {
+        var tables = {
+            tryCharacters: DEFAULT_TRY_CHARACTERS,
+            replacements: [],
+            map: [],
+            phone: []
+        };
+
+        (data || "").split(/\r?\n/).forEach(function (line) {
+            var parts = line.replace(/#.*$/, "").trim().split(/\s+/),
+                rule;
+
+            switch (parts[0]) {
+            case "TRY":
+                if (parts.length > 1) {
+                    tables.tryCharacters = parts[1];
+                }
+                break;
+            case "REP":
+                // The first REP line only holds the number of entries.
+                if (parts.length === 3) {
+                    tables.replacements.push(_parseReplacement(parts[1], parts[2]));
+                }
+                break;
+            case "MAP":
+                if (parts.length === 2 && !/^[0-9]+$/.test(parts[1])) {
+                    tables.map.push(_parseMap(parts[1]));
+                }
+                break;
+            case "PHONE":
+                if (parts.length === 3) {
+                    rule = _parsePhoneRule(parts[1], parts[2]);
+
+                    if (rule !== null) {
+                        tables.phone.push(rule);
+                    }
+                }
+                break;
+            }
+        });
+
+        return tables;
+    }
+
+    /**
+     * Groups the phonetic rules by the characters they can start with.
+     *
+     * @param   {array}  rules The phonetic rules.
+     * @returns {object}
+     */
+    function _indexPhoneRules(rules) {
+        var index = Object.create(null);
+
+        rules.forEach(function (rule) {
+            var characters = (rule.letters.length > 0) ? rule.letters.charAt(0) : rule.group;
+
+            characters.split("").forEach(function (character) {
+                if (typeof index[character] === "undefined") {
+                    index[character] = [];
+                }
+
+                if (index[character].indexOf(rule) === -1) {
+                    index[character].push(rule);
+                }
+            });
+        });
+
+        return index;
+    }
+
+    /**
+     * Determines how many characters a phonetic rule matches at a given position.
+     *
+     * @param   {object} rule     The rule.
+     * @param   {string} text     The uppercased word.
+     * @param   {number} position The position.
+     * @returns {number} The length of the match, or -1 when the rule does not match.
+     */
+    function _matchPhoneRule(rule, text, position) {
+        var length = rule.letters.length;
+
+        if (rule.start && position !== 0) {
+            return -1;
+        }
+
+        if (text.substr(position, length) !== rule.letters) {
+            return -1;
+        }
+
+        if (rule.group !== null) {
+            if (position + length >= text.length || rule.group.indexOf(text.charAt(position + length)) === -1) {
+                return -1;
+            }
+
+            length++;
+        }
+
+        if (rule.end && position + length !== text.length) {
+            return -1;
+        }
+
+        return length;
+    }
+
+    /**
+     * Gets the phonetic code of a word.
+     *
+     * The first rule (in the order of the affix file) that matches at a position
+     * wins. Characters that no rule matches are kept, and repeated characters
+     * in the result are collapsed.
+     *
+     * @param   {object} ruleIndex The phonetic rules, grouped by `_indexPhoneRules`.
+     * @param   {string} word      The word.
+     * @returns {string}
+     */
+    function _getPhoneticCode(ruleIndex, word) {
+        var text = word.toUpperCase(),
+            code = "",
+            position = 0,
+            rules,
+            length,
+            i;
+
+        while (position < text.length) {
+            rules = ruleIndex[text.charAt(position)] || [];
+            length = -1;
+
+            for (i = 0; i < rules.length; i++) {
+                length = _matchPhoneRule(rules[i], text, position);
+
+                if (length !== -1) {
+                    code += rules[i].replacement;
+                    position += Math.max(1, length - rules[i].lookahead);
+                    break;
+                }
+            }
+
+            if (length === -1) {
+                code += text.charAt(position);
+                position++;
+            }
+        }
+
+        return code.replace(/(.)\1+/g, "$1");
+    }
+
+    /**
+     * Calculates the Damerau-Levenshtein (optimal string alignment)
+     * distance between two words, ignoring case.
+     *
+     * @param   {string} a The first word.
+     * @param   {string} b The second word.
+     * @returns {number}
+     */
+    function _distance(a, b) {
+        var rows = [],
+            cost,
+            i,
+            j;
+
+        a = a.toLowerCase();
+        b = b.toLowerCase();
+
+        for (i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+        }
+
+        for (j = 0; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (i = 1; i <= a.length; i++) {
+            for (j = 1; j <= b.length; j++) {
+                cost = (a.charAt(i - 1) === b.charAt(j - 1)) ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + cost);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Sorts the characters of a word, ignoring case.
+     *
+     * @param   {string} word The word.
+     * @returns {string}
+     */
+    function _sortCharacters(word) {
+        return word.toLowerCase().split("").sort().join("");
+    }
+
+    /**
+     * Generates every word that is one edit away from the given word.
+     *
+     * @param   {string} word       The word.
+     * @param   {string} characters The characters to insert and replace with.
+     * @returns {array}
+     */
+    function _edits(word, characters) {
+        var edits = [],
+            head,
+            tail,
+            i,
+            j;
+
+        for (i = 0; i <= word.length; i++) {
+            head = word.substring(0, i);
+            tail = word.substring(i);
+
+            if (tail.length > 0) {
+                edits.push(head + tail.substring(1));
+            }
+
+            if (tail.length > 1 && tail.charAt(0) !== tail.charAt(1)) {
+                edits.push(head + tail.charAt(1) + tail.charAt(0) + tail.substring(2));
+            }
+
+            for (j = 0; j < characters.length; j++) {
+                if (tail.length > 0 && characters.charAt(j) !== tail.charAt(0)) {
+                    edits.push(head + characters.charAt(j) + tail.substring(1));
+                }
+
+                edits.push(head + characters.charAt(j) + tail);
+            }
+        }
+
+        return edits;
+    }
+
+    /**
+     * Creates a new suggestion engine for a dictionary.
+     *
+     * @constructor
+     *
+     * @param {Typo}   typo   The dictionary's Typo instance.
+     * @param {object} tables The suggestion tables, as returned by `parseAffix`.
+     */
+    function SuggestionEngine(typo, tables) {
+        this._typo = typo;
+        this._tables = tables;
+        this._lowercaseTryCharacters = tables.tryCharacters.replace(/[^a-z']/g, "") || DEFAULT_TRY_CHARACTERS;
+        this._phoneRules = (tables.phone.length > 0) ? _indexPhoneRules(tables.phone) : null;
+        this._index = null;
+        this._memoized = Object.create(null);
+    }
+
+    /**
+     * Builds the indexes of accent-free and phonetic spellings the first time they are needed.
+     *
+     * @private
+     *
+     * @returns {object} The indexes: { folded::object, phonetic::?object }
+     */
+    SuggestionEngine.prototype._getIndex = function () {
+        var table = this._typo.dictionaryTable,
+            index,
+            folded,
+            code,
+            word;
+
+        if (this._index !== null) {
+            return this._index;
+        }
+
+        index = {
+            folded: Object.create(null),
+            phonetic: (this._phoneRules !== null) ? Object.create(null) : null
+        };
+
+        for (word in table) {
+            if (table.hasOwnProperty(word)) {
+                folded = _fold(word);
+
+                // Only the words with accents are needed; the others
+                // are found by checking the folded word itself.
+                if (folded !== word.toLowerCase()) {
+                    (index.folded[folded] = index.folded[folded] || []).push(word);
+                }
+
+                if (index.phonetic !== null) {
+                    code = _getPhoneticCode(this._phoneRules, word);
+                    (index.phonetic[code] = index.phonetic[code] || []).push(word);
+                }
+            }
+        }
+
+        this._index = index;
+
+        return index;
+    };
+
+    /**
+     * Determines if a candidate may be suggested.
+     *
+     * Typo accepts words in any case once their lowercase form is known, so
+     * candidates must be spelled the way the dictionary spells them. Only
+     * when the misspelling is capitalized may a candidate be, too; words
+     * in all capitals are always accepted. Candidates containing spaces
+     * (from REP entries) are accepted when every word is.
+     *
+     * @private
+     *
+     * @param   {string}  candidate The candidate.
+     * @param   {string}  word      The misspelling.
+     * @returns {boolean}
+     */
+    SuggestionEngine.prototype._isSuggestible = function (candidate, word) {
+        var typo = this._typo,
+            capitalized = (word.charAt(0) !== word.charAt(0).toLowerCase());
+
+        return candidate.split(" ").every(function (part) {
+            var uncapitalized;
+
+            if (part.length === 0 || typo.hasFlag(part, "NOSUGGEST")) {
+                return false;
+            }
+
+            if (typo.checkExact(part)) {
+                return true;
+            }
+
+            if (part === part.toUpperCase()) {
+                return typo.check(part);
+            }
+
+            uncapitalized = part.charAt(0).toLowerCase() + part.substring(1);
+
+            return capitalized && uncapitalized !== part && typo.checkExact(uncapitalized);
+        });
+    };
+
+    /**
+     * Collects the candidates from the REP table.
+     *
+     * @private
+     *
+     * @param {string}   word The misspelling.
+     * @param {function} add  Adds a candidate: (candidate, category)
+     */
+    SuggestionEngine.prototype._addReplacements = function (word, add) {
+        this._tables.replacements.forEach(function (entry) {
+            var match;
+
+            entry.pattern.lastIndex = 0;
+
+            while ((match = entry.pattern.exec(word)) !== null) {
+                add(word.substring(0, match.index) + entry.replacement + word.substring(match.index + match[0].length), CATEGORY_REPLACEMENT);
+
+                // Overlapping occurrences are tried as well.
+                entry.pattern.lastIndex = match.index + 1;
+            }
+        });
+    };
+
+    /**
+     * Collects the candidates from the MAP table and the accent-free index.
+     *
+     * @private
+     *
+     * @param {string}   word The misspelling.
+     * @param {function} add  Adds a candidate: (candidate, category)
+     */
+    SuggestionEngine.prototype._addMapVariants = function (word, add) {
+        var map = this._tables.map,
+            variants = 0;
+
+        function vary(text, position) {
+            var i;
+
+            for (; position < text.length && variants < MAXIMUM_MAP_VARIANTS; position++) {
+                for (i = 0; i < map.length; i++) {
+                    map[i].forEach(function (member) {
+                        if (text.substr(position, member.length) !== member) {
+                            return;
+                        }
+
+                        map[i].forEach(function (other) {
+                            var variant;
+
+                            if (other === member || variants >= MAXIMUM_MAP_VARIANTS) {
+                                return;
+                            }
+
+                            variant = text.substring(0, position) + other + text.substring(position + member.length);
+                            variants++;
+                            add(variant, CATEGORY_MAP);
+                            vary(variant, position + other.length);
+                        });
+                    });
+                }
+            }
+        }
+
+        if (map.length > 0) {
+            vary(word, 0);
+        }
+
+        (this._getIndex().folded[_fold(word)] || []).forEach(function (candidate) {
+            add(candidate, CATEGORY_MAP);
+        });
+    };
+
+    /**
+     * Collects the words that sound like the misspelling.
+     *
+     * Only words that are at most half the misspelling's length away from it are kept.
+     *
+     * @private
+     *
+     * @param {string}   word The misspelling.
+     * @param {function} add  Adds a candidate: (candidate, category)
+     */
+    SuggestionEngine.prototype._addPhoneticMatches = function (word, add) {
+        var index = this._getIndex().phonetic,
+            maximumDistance = Math.max(2, Math.ceil(word.length / 2));
+
+        if (index === null) {
+            return;
+        }
+
+        (index[_getPhoneticCode(this._phoneRules, word)] || []).forEach(function (candidate) {
+            if (_distance(word, candidate) <= maximumDistance) {
+                add(candidate, CATEGORY_PHONETIC);
+            }
+        });
+    };
+
+    /**
+     * Gets the candidate suggestions for a misspelled word, along with the
+     * category of the table or edits they came from.
+     *
+     * @param   {string} word  The misspelling.
+     * @param   {number} limit The maximum number of candidates. Defaults to 5.
+     * @returns {array}  The candidates, best first: [{ word::string, category::number }]
+     */
+    SuggestionEngine.prototype.getCandidates = function (word, limit) {
+        var self = this,
+            key,
+            candidates = Object.create(null),
+            checked = Object.create(null),
+            letters = _sortCharacters(word),
+            found = 0,
+            firstEdits,
+            expanded = Object.create(null),
+            suggestions;
+
+        limit = limit || DEFAULT_LIMIT;
+        key = limit + "\n" + word;
+
+        if (this._typo.check(word)) {
+            return [];
+        }
+
+        if (typeof this._memoized[key] !== "undefined") {
+            return this._memoized[key];
+        }
+
+        function add(candidate, category) {
+            if (candidate === word) {
+                return;
+            }
+
+            if (typeof checked[candidate] === "undefined") {
+                checked[candidate] = self._isSuggestible(candidate, word);
+            }
+
+            if (!checked[candidate]) {
+                return;
+            }
+
+            if (typeof candidates[candidate] === "undefined") {
+                candidates[candidate] = {
+                    word: candidate,
+                    category: category,
+                    distance: _distance(word, candidate),
+                    anagram: _sortCharacters(candidate) === letters,
+                    weight: 0
+                };
+                found++;
+            }
+
+            candidates[candidate].category = Math.min(candidates[candidate].category, category);
+            candidates[candidate].weight++;
+        }
+
+        this._addReplacements(word, add);
+        this._addMapVariants(word, add);
+
+        firstEdits = _edits(word, this._tables.tryCharacters);
+        firstEdits.forEach(function (edit) {
+            add(edit, CATEGORY_EDIT);
+        });
+
+        // Words two edits away are only looked for when the cheaper
+        // tables did not come up with enough suggestions.
+        if (found < limit) {
+            firstEdits.forEach(function (edit) {
+                if (expanded[edit] === true) {
+                    return;
+                }
+
+                expanded[edit] = true;
+                _edits(edit, self._lowercaseTryCharacters).forEach(function (secondEdit) {
+                    add(secondEdit, CATEGORY_EDIT);
+                });
+            });
+        }
+
+        this._addPhoneticMatches(word, add);
+
+        suggestions = Object.keys(candidates).map(function (candidate) {
+            return candidates[candidate];
+        }).sort(function (a, b) {
+            return (a.category - b.category) || (a.distance - b.distance) ||
+                (b.anagram - a.anagram) || (b.weight - a.weight) || (a.word < b.word ? -1 : (a.word > b.word ? 1 : 0));
+        }).slice(0, limit).map(function (candidate) {
+            return { word: candidate.word, category: candidate.category };
+        });
+
+        this._memoized[key] = suggestions;
+
+        return suggestions;
+    };
+
+    /**
+     * Gets the suggestions for a misspelled word.
+     *
+     * @param   {string} word  The misspelling.
+     * @param   {number} limit The maximum number of suggestions. Defaults to 5.
+     * @returns {array}  The suggestions, best first. Correctly spelled words have none.
+     */
+    SuggestionEngine.prototype.suggest = function (word, limit) {
+        return this.getCandidates(word, limit).map(function (candidate) {
+            return candidate.word;
+        });
+    };
+
+    SuggestionEngine.CATEGORY_REPLACEMENT = CATEGORY_REPLACEMENT;
+    SuggestionEngine.CATEGORY_MAP = CATEGORY_MAP;
+    SuggestionEngine.CATEGORY_EDIT = CATEGORY_EDIT;
+    SuggestionEngine.CATEGORY_PHONETIC = CATEGORY_PHONETIC;
+
+    SuggestionEngine.parseAffix = parseAffix;
+    SuggestionEngine.getPhoneticCode = function (tables, word) {
+        return _getPhoneticCode(_indexPhoneRules(tables.phone), word);
+    };
+
+    return SuggestionEngine;
+}());
\ No newline at end of file
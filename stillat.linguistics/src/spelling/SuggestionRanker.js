@@ -0,0 +1,384 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The SuggestionRanker puts the suggestions generated by the worker in the
+ * order the user is most likely to want them.
+ * 
+ * Every suggestion gets a score (lower is better) made up of:
+ * 
+ *    - The category it came from. Suggestions from the affix file's REP and MAP
+ *      tables beat plain edits, which beat words that merely sound alike.
+ *    - Its edit distance from the misspelling, where hitting a key next to the
+ *      intended one (on the configured keyboard layout) only counts half.
+ *    - How common the word is, when the language ships a word frequency list.
+ *    - How often the user has picked the word from a suggestion list before, as
+ *      recorded by the CorrectionHistory.
+ * 
+ * Suggestions are capitalized like the misspelling, and the list is cut
+ * down to the configured number of suggestions.
+ * 
+ * Word frequency lists are plain text files with one word per line, the
+ * most frequent word first. Blank lines and lines starting with a "#"
+ * are skipped.
+ */
+define(function (require, exports, module) {
+    "use strict";
+    
+    var CorrectionHistory = require("src/spelling/CorrectionHistory"),
+        StringUtils = require("src/utils/Strings");
+    
+    /**
+     * The QWERTY keyboard layout.
+     * 
+     * @const
+     * @type {string}
+     */
+    var LAYOUT_QWERTY = "qwerty";
+    
+    /**
+     * The AZERTY keyboard layout.
+     * 
+     * @const
+     * @type {string}
+     */
+    var LAYOUT_AZERTY = "azerty";
+    
+    /**
+     * The QWERTZ keyboard layout.
+     * 
+     * @const
+     * @type {string}
+     */
+    var LAYOUT_QWERTZ = "qwertz";
+    
+    /**
+     * The number of suggestions returned when no other limit has been set.
+     * 
+     * @const
+     * @type {number}
+     */
+    var DEFAULT_MAXIMUM_SUGGESTIONS = 5;
+    
+    /**
+     * The cost of replacing a character with one on a neighbouring key.
+     * 
+     * @const
+     * @type {number}
+     */
+    var ADJACENT_KEY_COST = 0.5;
+    
+    /**
+     * How much each step in the suggestion categories adds to the score.
+     * 
+     * @const
+     * @type {number}
+     */
+    var CATEGORY_WEIGHT = 2;
+    
+    /**
+     * How much the most frequent word takes off its score.
+     * 
+     * @const
+     * @type {number}
+     */
+    var FREQUENCY_WEIGHT = 0.75;
+    
+    /**
+     * How much each earlier pick takes off a word's score.
+     * 
+     * @const
+     * @type {number}
+     */
+    var PICK_WEIGHT = 1.5;
+    
+    /**
+     * The number of earlier picks that count towards a word's score.
+     * 
+     * @const
+     * @type {number}
+     */
+    var MAXIMUM_COUNTED_PICKS = 3;
+    
+    /**
+     * The rows of each keyboard layout, from the top.
+     * 
+     * @type {object}
+     */
+    var _layoutRows = {};
+    
+    _layoutRows[LAYOUT_QWERTY] = ["1234567890", "qwertyuiop", "asdfghjkl", "zxcvbnm"];
+    _layoutRows[LAYOUT_AZERTY] = ["1234567890", "azertyuiop", "qsdfghjklm", "wxcvbn"];
+    _layoutRows[LAYOUT_QWERTZ] = ["1234567890", "qwertzuiopü", "asdfghjklöä", "yxcvbnm"];
+    
+    /**
+     * How far each row is shifted to the right, in keys.
+     * 
+     * @const
+     * @type {array}
+     */
+    var ROW_OFFSETS = [0, 0.5, 0.75, 1.25];
+    
+    /**
+     * The neighbouring keys of each key, keyed by layout name.
+     * 
+     * @type {object}
+     */
+    var _adjacentKeys = {};
+    
+    /**
+     * The frequency ranks of each language's words, keyed by locale name.
+     * 
+     * @type {object}
+     */
+    var _frequencyLists = Object.create(null);
+    
+    /**
+     * The current keyboard layout.
+     * 
+     * @type {string}
+     */
+    var _keyboardLayout = LAYOUT_QWERTY;
+    
+    /**
+     * The current number of suggestions to return.
+     * 
+     * @type {number}
+     */
+    var _maximumSuggestions = DEFAULT_MAXIMUM_SUGGESTIONS;
+    
+    /**
+     * Works out which keys neighbour each other on a keyboard layout.
+     * 
+     * Keys are neighbours when they are next to each other on the same row,
+     * or touch each other on the rows directly above and below.
+     * 
+     * @private
+     * 
+     * @param   {array}  rows The rows of the layout.
+     * @returns {object} The neighbouring keys of each key.
+     */
+    function _getAdjacentKeys(rows) {
+        var positions = [],
+            adjacent = Object.create(null);
+        
+        rows.forEach(function (row, y) {
+            row.split("").forEach(function (key, column) {
+                positions.push({ key: key, x: column + ROW_OFFSETS[y], y: y });
+            });
+        });
+        
+        positions.forEach(function (a) {
+            adjacent[a.key] = positions.filter(function (b) {
+                return a !== b && Math.abs(a.y - b.y) <= 1 && Math.abs(a.x - b.x) <= 1;
+            }).map(function (b) {
+                return b.key;
+            }).join("");
+        });
+        
+        return adjacent;
+    }
+    
+    _adjacentKeys[LAYOUT_QWERTY] = _getAdjacentKeys(_layoutRows[LAYOUT_QWERTY]);
+    _adjacentKeys[LAYOUT_AZERTY] = _getAdjacentKeys(_layoutRows[LAYOUT_AZERTY]);
+    _adjacentKeys[LAYOUT_QWERTZ] = _getAdjacentKeys(_layoutRows[LAYOUT_QWERTZ]);
+    
+    /**
+     * Calculates the edit distance between two words, ignoring case. Replacing a
+     * character with one on a neighbouring key costs less than other edits.
+     * 
+     * @private
+     * 
+     * @param   {string} a        The first word.
+     * @param   {string} b        The second word.
+     * @param   {object} adjacent The neighbouring keys of each key.
+     * @returns {number}
+     */
+    function _getWeightedDistance(a, b, adjacent) {
+        var rows = [],
+            cost,
+            i,
+            j;
+        
+        a = a.toLowerCase();
+        b = b.toLowerCase();
+        
+        for (i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+        }
+        
+        for (j = 0; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+        
+        for (i = 1; i <= a.length; i++) {
+            for (j = 1; j <= b.length; j++) {
+                if (a.charAt(i - 1) === b.charAt(j - 1)) {
+                    cost = 0;
+                } else if ((adjacent[a.charAt(i - 1)] || "").indexOf(b.charAt(j - 1)) !== -1) {
+                    cost = ADJACENT_KEY_COST;
+                } else {
+                    cost = 1;
+                }
+                
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                
+                if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        
+        return rows[a.length][b.length];
+    }
+    
+    /**
+     * Gets how common a word is, between 0 (unknown) and 1 (the most frequent word).
+     * 
+     * @private
+     * 
+     * @param   {string} word       The word.
+     * @param   {string} localeName The locale name.
+     * @returns {number}
+     */
+    function _getFrequency(word, localeName) {
+        var list = _frequencyLists[localeName],
+            rank;
+        
+        if (typeof list === "undefined") {
+            return 0;
+        }
+        
+        rank = list.ranks[word.toLowerCase()];
+        
+        if (typeof rank === "undefined") {
+            return 0;
+        }
+        
+        return 1 - Math.log(rank + 1) / Math.log(list.size + 1);
+    }
+    
+    /**
+     * Puts the candidate suggestions for a misspelling in order.
+     * 
+     * @param   {string} word       The misspelling.
+     * @param   {array}  candidates The candidates from the worker: [{ word::string, category::number }]
+     * @param   {string} localeName The locale the candidates came from.
+     * @returns {array}  The suggestions, best first.
+     */
+    function rank(word, candidates, localeName) {
+        var adjacent = _adjacentKeys[_keyboardLayout],
+            seen = Object.create(null);
+        
+        return candidates.map(function (candidate, position) {
+            var score = candidate.category * CATEGORY_WEIGHT +
+                _getWeightedDistance(word, candidate.word, adjacent) -
+                _getFrequency(candidate.word, localeName) * FREQUENCY_WEIGHT -
+                Math.min(CorrectionHistory.getPickCount(candidate.word), MAXIMUM_COUNTED_PICKS) * PICK_WEIGHT;
+            
+            return {
+                word: StringUtils.matchCase(word, candidate.word),
+                score: score,
+                position: position
+            };
+        }).sort(function (a, b) {
+            return (a.score - b.score) || (a.position - b.position);
+        }).filter(function (suggestion) {
+            if (seen[suggestion.word] === true) {
+                return false;
+            }
+            
+            seen[suggestion.word] = true;
+            
+            return true;
+        }).slice(0, _maximumSuggestions).map(function (suggestion) {
+            return suggestion.word;
+        });
+    }
+    
+    /**
+     * Sets the word frequency list of a language.
+     * 
+     * @param {string} localeName The locale name.
+     * @param {string} data       The contents of the word frequency list.
+     */
+    function setFrequencyList(localeName, data) {
+        var ranks = Object.create(null),
+            size = 0;
+        
+        data.split(/\r?\n/).forEach(function (line) {
+            var word = line.trim().toLowerCase();
+            
+            if (word.length > 0 && word.charAt(0) !== "#" && typeof ranks[word] === "undefined") {
+                ranks[word] = size++;
+            }
+        });
+        
+        _frequencyLists[localeName] = { ranks: ranks, size: size };
+    }
+    
+    /**
+     * Forgets the word frequency list of a language.
+     * 
+     * @param {string} localeName The locale name.
+     */
+    function removeFrequencyList(localeName) {
+        delete _frequencyLists[localeName];
+    }
+    
+    /**
+     * Sets the keyboard layout used to find neighbouring keys.
+     * 
+     * Unknown layouts fall back to QWERTY.
+     * 
+     * @param {string} layout The layout: "qwerty", "azerty" or "qwertz".
+     */
+    function setKeyboardLayout(layout) {
+        _keyboardLayout = (typeof _adjacentKeys[layout] !== "undefined") ? layout : LAYOUT_QWERTY;
+    }
+    
+    /**
+     * Sets the number of suggestions to return.
+     * 
+     * @param {number} maximum The number of suggestions. Values below one fall back to the default.
+     */
+    function setMaximumSuggestions(maximum) {
+        _maximumSuggestions = (typeof maximum === "number" && maximum >= 1) ? Math.floor(maximum) : DEFAULT_MAXIMUM_SUGGESTIONS;
+    }
+    
+    exports.LAYOUT_QWERTY = LAYOUT_QWERTY;
+    exports.LAYOUT_AZERTY = LAYOUT_AZERTY;
+    exports.LAYOUT_QWERTZ = LAYOUT_QWERTZ;
+    exports.DEFAULT_MAXIMUM_SUGGESTIONS = DEFAULT_MAXIMUM_SUGGESTIONS;
+    
+    exports.rank = rank;
+    exports.setFrequencyList = setFrequencyList;
+    exports.removeFrequencyList = removeFrequencyList;
+    exports.setKeyboardLayout = setKeyboardLayout;
+    exports.setMaximumSuggestions = setMaximumSuggestions;
+    
+});
\ No newline at end of file
@@ -0,0 +1,294 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global self, importScripts, Typo, SuggestionEngine */
+
+/**
+ * The TypoWorker owns the Typo instances for every loaded dictionary so that
+ * building the dictionaries, checking words and (especially) generating
+ * suggestions never blocks the editor.
+ *
+ * This file is loaded as a Web Worker by the DictionaryManager and is not an
+ * AMD module. All communication happens through messages with a "command"
+ * property:
+ *
+ *    - load -- Creates the Typo instance for a locale.
+ *          { locale::string, affixData::string, dictionaryData::string, cacheData::?string }
+ *          Replies with "loaded" or "failed". When the cache data was missing
+ *          or out of date, "loaded" carries a new cache in its "cache" property.
+ *    - unload -- Releases the Typo instance for a locale.
+ *          { locale::string }
+ *    - unloadAll -- Releases every Typo instance.
+ *    - check -- Checks a batch of words.
+ *          { id::number, locale::string, words::array }
+ *          Replies with "checked": { id, locale, results::object, error::?string }
+ *    - suggest -- Gets the suggestions for a single word.
+ *          { id::number, locale::string, word::string, limit::?number }
+ *          Replies with "suggested": { id, locale, word, suggestions::array, categories::array, error::?string }
+ *          The categories tell where each suggestion came from (see SuggestionEngine).
+ *
+ * Every "check" and "suggest" message is answered, even when Typo throws. The
+ * DictionaryManager counts on that to know when the worker is done; the error
+ * is passed along in the "error" property instead.
+ *
+ * Expanding the affix rules of a big dictionary takes a while, so the expanded
+ * dictionary is handed back to the DictionaryManager as a precompiled cache. The
+ * cache remembers a hash of the files it was built from; it is used instead of the
+ * files for as long as the hashes match, and is rebuilt as soon as they do not.
+ *
+ * Suggestions are generated by the SuggestionEngine, which also understands the
+ * REP, MAP and PHONE tables of the affix file.
+ */
+importScripts("../../thirdparty/typo.js", "SuggestionEngine.js");
+
+(function () {
+    "use strict";
+
+    /**
+     * The Typo instances, keyed by locale name.
+     *
+     * @type {object}
+     */
+    var _dictionaries = Object.create(null);
+
+    /**
+     * The suggestion engines, keyed by locale name.
+     *
+     * @type {object}
+     */
+    var _suggestionEngines = Object.create(null);
+
+    /**
+     * The version of the cache format. Caches with a different version are rebuilt.
+     *
+     * @const
+     * @type {number}
+     */
+    var CACHE_VERSION = 1;
+
+    /**
+     * Hashes a string with 32-bit FNV-1a.
+     *
+     * @param   {string} text The string to hash.
+     * @returns {string} The hash, as a hexadecimal string.
+     */
+    function _hash(text) {
+        var hash = 0x811c9dc5,
+            i;
+
+        for (i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+
+        return hash.toString(16);
+    }
+
+    /**
+     * Serializes the parts of a Typo instance that are needed to check words
+     * and make suggestions.
+     *
+     * Most words in the expanded dictionary have no flags, so those are
+     * stored as a single list of words instead of as table entries.
+     *
+     * @param   {Typo}   typo The Typo instance.
+     * @param   {string} hash The hash of the dictionary's source files.
+     * @returns {string}
+     */
+    function _serialize(typo, hash) {
+        var words = [],
+            table = {},
+            word,
+            entry;
+
+        for (word in typo.dictionaryTable) {
+            if (typo.dictionaryTable.hasOwnProperty(word)) {
+                entry = typo.dictionaryTable[word];
+
+                if (entry.length === 1 && entry[0].length === 0) {
+                    words.push(word);
+                } else {
+                    table[word] = entry;
+                }
+            }
+        }
+
+        return JSON.stringify({
+            version: CACHE_VERSION,
+            hash: hash,
+            dictionary: typo.dictionary,
+            flags: typo.flags,
+            replacementTable: typo.replacementTable,
+            compoundRuleCodes: typo.compoundRuleCodes,
+            compoundRules: typo.compoundRules.map(function (rule) {
+                return rule.source;
+            }),
+            words: words.join("\n"),
+            table: table
+        });
+    }
+
+    /**
+     * Creates a Typo instance from a precompiled cache.
+     *
+     * The affix rules themselves are not part of the cache; Typo only
+     * needs them to expand the dictionary, which the cache already is.
+     *
+     * @param   {?string} data The cache data.
+     * @param   {string}  hash The hash of the dictionary's current source files.
+     * @returns {?Typo}   The Typo instance, or null when the cache is missing, damaged or out of date.
+     */
+    function _deserialize(data, hash) {
+        var cache,
+            table,
+            noFlags = [[]];
+
+        if (typeof data !== "string" || data.length === 0) {
+            return null;
+        }
+
+        try {
+            cache = JSON.parse(data);
+        } catch (e) {
+            return null;
+        }
+
+        if (!cache || cache.version !== CACHE_VERSION || cache.hash !== hash) {
+            return null;
+        }
+
+        table = cache.table;
+
+        // The word lists are never modified after loading, so
+        // all of the words without flags can share one entry.
+        if (cache.words.length > 0) {
+            cache.words.split("\n").forEach(function (word) {
+                table[word] = noFlags;
+            });
+        }
+
+        return new Typo().load({
+            dictionary: cache.dictionary,
+            dictionaryTable: table,
+            flags: cache.flags,
+            replacementTable: cache.replacementTable,
+            compoundRuleCodes: cache.compoundRuleCodes,
+            compoundRules: cache.compoundRules.map(function (source) {
+                return new RegExp(source, "i");
+            })
+        });
+    }
+
+    function _load(message) {
+        var hash,
+            typo,
+            cache = null;
+
+        try {
+            hash = _hash(message.affixData) + "-" + _hash(message.dictionaryData);
+            typo = _deserialize(message.cacheData, hash);
+
+            if (typo === null) {
+                typo = new Typo(message.locale, message.affixData, message.dictionaryData);
+                cache = _serialize(typo, hash);
+            }
+
+            _dictionaries[message.locale] = typo;
+            _suggestionEngines[message.locale] = new SuggestionEngine(typo, SuggestionEngine.parseAffix(message.affixData));
+            self.postMessage({ command: "loaded", locale: message.locale, cache: cache });
+        } catch (e) {
+            self.postMessage({ command: "failed", locale: message.locale, message: String(e) });
+        }
+    }
+
+    function _check(message) {
+        var typo = _dictionaries[message.locale],
+            results = {},
+            error = null;
+
+        message.words.forEach(function (word) {
+            // A missing dictionary is reported as a "null" result, which is the
+            // same thing the DictionaryManager returns when it has no dictionary.
+            try {
+                results[word] = typo ? typo.check(word) : null;
+            } catch (e) {
+                // A word that cannot be checked is not flagged.
+                results[word] = true;
+                error = String(e);
+            }
+        });
+
+        self.postMessage({ command: "checked", id: message.id, locale: message.locale, results: results, error: error });
+    }
+
+    function _suggest(message) {
+        var engine = _suggestionEngines[message.locale],
+            candidates = null,
+            error = null;
+
+        try {
+            candidates = engine ? engine.getCandidates(message.word, message.limit) : null;
+        } catch (e) {
+            error = String(e);
+        }
+
+        self.postMessage({
+            command: "suggested",
+            id: message.id,
+            locale: message.locale,
+            word: message.word,
+            suggestions: candidates && candidates.map(function (candidate) {
+                return candidate.word;
+            }),
+            categories: candidates && candidates.map(function (candidate) {
+                return candidate.category;
+            }),
+            error: error
+        });
+    }
+
+    self.addEventListener("message", function (e) {
+        var message = e.data;
+
+        switch (message.command) {
+        case "load":
+            _load(message);
+            break;
+        case "unload":
+            delete _dictionaries[message.locale];
+            delete _suggestionEngines[message.locale];
+            break;
+        case "unloadAll":
+            _dictionaries = Object.create(null);
+            _suggestionEngines = Object.create(null);
+            break;
+        case "check":
+            _check(message);
+            break;
+        case "suggest":
+            _suggest(message);
+            break;
+        }
+    });
+}());
\ No newline at end of file
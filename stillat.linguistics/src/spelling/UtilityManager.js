@@ -31,6 +31,8 @@ define(function (require, exports, module) {
     "use strict";
     
     var Dictionary = require("src/utils/Dictionary"),
+        IgnoreRules = require("src/core/IgnoreRules"),
+        WordListManager = require("src/spelling/WordListManager"),
         FileSystem = brackets.getModule("filesystem/FileSystem"),
         AppInit = brackets.getModule("utils/AppInit"),
         EditorManager = brackets.getModule("editor/EditorManager"),
@@ -50,20 +52,15 @@ define(function (require, exports, module) {
      */
     var _isInitializing = false;
     
-    var _currentModeName = "Mode.all";
-    
-    var _currentDocumentContents = null;
+    /**
+     * The rules built from the loaded utility files.
+     * 
+     * @type {IgnoreRules}
+     */
+    var _rules = new IgnoreRules.IgnoreRules();
     
     var _hostEditor = null;
     
-    var _alwaysIgnoreFiles = [];
-    
-    var _alwaysIgnoreCachedList = [
-        "alice"
-    ];
-    
-    var _ignoreOnlyWithCondition = [];
-    
     function _getUtilityPaths(callback) {
         var utilityPath = FileSystem.getDirectoryForPath(Dictionary.getGenericUtilitiesDirectory());
         var files = [];
@@ -80,34 +77,21 @@ define(function (require, exports, module) {
         });
     }
  
-    var _validConditionProperties = [
-        "ignoreAfter",
-        "ignoreMode",
-        "ignoreWhenDocumentContains"
-    ];
-    
-    function _containsCondition(data) {
-        var i = 0;
-        
-        for (i; i < _validConditionProperties.length; i++) {
-            var conditionName = _validConditionProperties[i];
-            if (typeof data[conditionName] !== "undefined" && data[conditionName].length > 0) {
-                return true;
-            }
-        }
-        
-        return false;
-    }
-    
     function _loadUtilityFile(err, data, stats) {
+        var utilityData;
+        
         if (!err) {
-            var utilityData = JSON.parse(data);
+            utilityData = IgnoreRules.parseUtility(data);
+            
+            if (utilityData === null) {
+                return;
+            }
+            
+            _rules.addUtility(utilityData);
             
-            if (!_containsCondition(utilityData)) {
-                _alwaysIgnoreFiles.push(utilityData);
-                _alwaysIgnoreCachedList.concat(utilityData.ignore);
-            } else {
-                _ignoreOnlyWithCondition.push(utilityData);
+            // The new file may have strings that have not been counted yet.
+            if (_hostEditor !== null) {
+                setDocumentContents(_hostEditor.document.getText());
             }
         }
     }
@@ -118,88 +102,6 @@ define(function (require, exports, module) {
         });
     }
     
-    function _isValidMode(ignoreList) {
-        if (
-            (ignoreList.ignoreMode.indexOf("Mode.all") > -1) || 
-            ignoreList.ignoreMode.indexOf(_currentModeName) > -1 || 
-            (String(_currentModeName) === "null" && ignoreList.ignoreMode.indexOf("Mode.all") > -1)) {
-            return true;
-        }
-        
-        return false;
-    }
-    
-    function _utilityMustBeLoadedManually(ignoreList) {
-        if (ignoreList.hasOwnProperty("mustBeManuallyLoaded") && ignoreList.mustBeManuallyLoaded === true) {
-            return true;
-        }
-        
-        return false;
-    }
-    
-    function _checkIgnoreAfter(ignoreList, beforeContext, word) {
-        if (ignoreList.hasOwnProperty("ignoreAfter") && ignoreList.ignoreAfter.length > 0) {
-            if (ignoreList.ignoreAfter === beforeContext && ignoreList.ignore.indexOf(word) > -1) {
-                return true;
-            }
-        }
-        
-        return null;
-    }
-    
-    function _shouldWordBeIgnoredBasedOnDocumentContents(ignoreList, word) {
-        if (ignoreList.hasOwnProperty("ignoreWhenDocumentContains") && ignoreList.ignoreWhenDocumentContains.length > 0 && _currentDocumentContents !== null) {
-            
-            var i = 0;
-            for (i; i < ignoreList.ignoreWhenDocumentContains.length; i++) {
-                
-            
-                if (_currentDocumentContents.indexOf(ignoreList.ignoreWhenDocumentContains[i]) > -1) {
-                    
-                
-                    if (ignoreList.ignore.indexOf(word) > -1) {
-                        return true;
-                    }
-                }
-            }
-        }
-        
-        return null;
-    }
-    
-    function _shouldWordBeIgnoredWithContext(word, beforeContext) {
-        var i = 0;
-        for (i; i < _ignoreOnlyWithCondition.length; i++) {
-            var ignoreList = _ignoreOnlyWithCondition[i];
-            // Check first to see if the current word should be ignored based
-            // on the current context and the items in the ignore list.
-            if (_checkIgnoreAfter(ignoreList, beforeContext, word) !== null) {
-                return true;
-            }
-            
-            if (ignoreList.hasOwnProperty("ignoreMode") && ignoreList.ignoreMode.length > 0) {
-                if (_isValidMode(ignoreList) && !_utilityMustBeLoadedManually(ignoreList)) {
-                    
-                    if (_checkIgnoreAfter(ignoreList, beforeContext, word) !== null) {
-                        return true;
-                    }
-                    
-                    if (_shouldWordBeIgnoredBasedOnDocumentContents(ignoreList, word) !== null) {
-                        return true;
-                    } else {
-                        // This handles cases where words should just be ignored
-                        // only based on the current mode.
-                        if (ignoreList.ignore.indexOf(word) > -1) {
-                            return true;
-                        }
-                    }
-                }
-            }
-        }
-        
-        return false;
-    }
-    
     /**
      * Determines if a word should be ignored.
      * 
@@ -207,44 +109,85 @@ define(function (require, exports, module) {
      * @param {string} beforeContext The string that came before the word.
      */
     function shouldIgnore(word, beforeContext) {
-        // First check to see if the word is inside _alwaysIgnoreCachedList.
-        if (_alwaysIgnoreCachedList.indexOf(word) > -1) {
+        // Words from the personal and project word lists are checked as a
+        // whole here. The spell checker may only see the individual parts
+        // of a word (camelCased product names, for example).
+        if (WordListManager.hasWord(word)) {
             return true;
         }
         
-        // Check to see there is a valid beforeContext.
-        if (beforeContext === null || beforeContext.length === 0) {
-            return false;
-        }
-        
-        return _shouldWordBeIgnoredWithContext(word, beforeContext);
+        return _rules.shouldIgnore(word, beforeContext);
     }
     
     function setModeName(mode) {
-        _currentModeName = mode;
+        _rules.setModeName(mode);
     }
     
+    /**
+     * Sets the contents of the current document, counting the
+     * "ignoreWhenDocumentContains" strings in it.
+     * 
+     * @param {?string} contents The document contents, or null when there is no document.
+     */
     function setDocumentContents(contents) {
-        _currentDocumentContents = contents;
+        _rules.setDocumentContents(contents);
     }
     
-    function _handleDocumentChange() {
-        if (_hostEditor === null || _hostEditor.hasOwnProperty("_codeMirror") === false) {
+    /**
+     * Updates the "ignoreWhenDocumentContains" counts after an edit.
+     * 
+     * Only the lines touched by the edit are counted again: once as they were
+     * before the edit and once as they are now. Several edits made at once
+     * (with multiple cursors, for example) cannot easily be reconstructed this
+     * way, so those fall back to counting everything.
+     * 
+     * @private
+     * 
+     * @param {$.Event}  e          The event.
+     * @param {Document} doc        The document that changed.
+     * @param {Array}    changeList The changes made to the document.
+     */
+    function _handleDocumentChange(e, doc, changeList) {
+        var change = (changeList && changeList.length === 1) ? changeList[0] : null,
+            lastLine,
+            insertedEnd,
+            prefix,
+            suffix;
+        
+        if (!_rules.hasDocumentContents()) {
             return;
         }
         
-        _currentDocumentContents = _hostEditor._codeMirror.getValue();
+        if (change === null || !change.removed) {
+            setDocumentContents(doc.getText());
+            return;
+        }
+        
+        lastLine = doc.getLine(change.from.line + change.text.length - 1);
+        insertedEnd = (change.text.length === 1 ? change.from.ch : 0) + change.text[change.text.length - 1].length;
+        prefix = doc.getLine(change.from.line).substr(0, change.from.ch);
+        suffix = lastLine.substr(insertedEnd);
+        
+        _rules.updateDocumentContents(prefix + change.removed.join("\n") + suffix, prefix + change.text.join("\n") + suffix);
     }
     
     function _handleCurrentFileChange() {
         // Release any existing references.
         if (_hostEditor !== null) {
+            _hostEditor.document.off("change", _handleDocumentChange);
             _hostEditor.document.releaseRef();
         }
         
         _hostEditor = EditorManager.getActiveEditor();
+        
+        if (_hostEditor === null) {
+            setDocumentContents(null);
+            return;
+        }
+        
         _hostEditor.document.addRef();
         _hostEditor.document.on("change", _handleDocumentChange);
+        setDocumentContents(_hostEditor.document.getText());
     }
     
     /**
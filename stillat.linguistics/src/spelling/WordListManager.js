@@ -0,0 +1,514 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * The WordListManager keeps track of the words the user has told Linguistics
+ * to accept, regardless of the dictionary or profile that is active.
+ *
+ * There are three word lists:
+ *
+ *     - "user"
+ *           The personal word list. It is stored as a plain text file (one word
+ *           per line) next to the user's dictionary profiles and persists
+ *           between sessions.
+ *     - "project"
+ *           The project word list. It uses the same format as the personal word
+ *           list, but lives at ".linguistics/words.txt" inside the project root
+ *           so that it can be checked into the project's repository. It is
+ *           reloaded when the file changes on disk or a different project is opened.
+ *     - "session"
+ *           Words the user has chosen to ignore. These are forgotten when
+ *           Brackets is closed.
+ *
+ * Words can also be ignored in a single document. These document lists are
+ * kept in Brackets' view state, keyed by the document's path, so they are
+ * remembered between sessions. They are only consulted for their own document
+ * (see `isIgnoredInDocument`) and never by `hasWord`.
+ *
+ * This module dispatches a few events:
+ *
+ *
+ *    - wordListLoaded -- When a word list has been read from disk.
+ *          (e, listName::string)
+ *    - wordAdded -- When a word has been added to a word list.
+ *          (e, word::string, listName::string)
+ *    - wordListChanged -- When the contents of any word list have changed.
+ *          (e, listName::string)
+ *
+ * The "document" list name is passed along when a document list has changed.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileSystem = brackets.getModule("filesystem/FileSystem"),
+        FileUtils = brackets.getModule("file/FileUtils"),
+        ProjectManager = brackets.getModule("project/ProjectManager"),
+        AppInit = brackets.getModule("utils/AppInit"),
+        EventDispatcher = brackets.getModule("utils/EventDispatcher"),
+        PreferencesManager = brackets.getModule("preferences/PreferencesManager"),
+        Dictionary = require("src/utils/Dictionary"),
+        WordLists = require("src/core/WordLists");
+
+    /**
+     * The name of the personal word list.
+     *
+     * @const
+     * @type {string}
+     */
+    var LIST_USER = "user";
+
+    /**
+     * The name of the session word list.
+     *
+     * @const
+     * @type {string}
+     */
+    var LIST_SESSION = "session";
+
+    /**
+     * The name of the project word list.
+     *
+     * @const
+     * @type {string}
+     */
+    var LIST_PROJECT = "project";
+
+    /**
+     * The location of the project word list, relative to the project root.
+     *
+     * @const
+     * @type {string}
+     */
+    var PROJECT_WORD_LIST_PATH = ".linguistics/words.txt";
+
+    /**
+     * The list name used in events for the document word lists.
+     *
+     * @const
+     * @type {string}
+     */
+    var LIST_DOCUMENT = "document";
+
+    /**
+     * The view state key the document word lists are stored under.
+     *
+     * @const
+     * @type {string}
+     */
+    var VIEW_STATE_DOCUMENT_LISTS = "linguistics.documentIgnoreLists";
+
+    /**
+     * The word lists, keyed by list name. Each list keeps its words in
+     * an object so that lookups stay cheap inside the overlay.
+     *
+     * @type {object}
+     */
+    var _lists = Object.create(null);
+
+    _lists[LIST_USER] = {
+        words: Object.create(null),
+        path: null,
+        unsavedWords: [],
+        saving: false
+    };
+
+    _lists[LIST_SESSION] = {
+        words: Object.create(null),
+        path: null,
+        unsavedWords: [],
+        saving: false
+    };
+
+    _lists[LIST_PROJECT] = {
+        words: Object.create(null),
+        path: null,
+        unsavedWords: [],
+        saving: false
+    };
+
+    /**
+     * The words ignored in single documents, keyed by the document's path.
+     * These are loaded from the view state the first time they are needed.
+     *
+     * @type {?object}
+     */
+    var _documentLists = null;
+
+    /**
+     * Reads a word list from disk. A missing file is treated as an empty list.
+     *
+     * @private
+     *
+     * @param {string} listName The list name.
+     */
+    function _loadWordList(listName) {
+        var list = _lists[listName];
+
+        if (list.path === null) {
+            return;
+        }
+
+        FileSystem.getFileForPath(list.path).read({ encoding: "utf8" }, function (err, data) {
+            if (err === null) {
+                list.words = WordLists.parseWordList(data);
+            } else {
+                list.words = Object.create(null);
+            }
+
+            exports.trigger("wordListLoaded", listName);
+            exports.trigger("wordListChanged", listName);
+        });
+    }
+
+    /**
+     * Adds the words waiting to be saved to a word list's file, one file at a time.
+     *
+     * The file is read again right before it is written, and the words are added
+     * to the end of it. The rest of the file is kept as it is, so the comments of
+     * a project word list survive, and so do the words a teammate has added to it
+     * that have not been reloaded yet.
+     *
+     * @private
+     *
+     * @param {string} listName The list name.
+     */
+    function _saveUnsavedWords(listName) {
+        var list = _lists[listName],
+            path,
+            words;
+
+        if (list.unsavedWords.length === 0) {
+            list.saving = false;
+            return;
+        }
+
+        // The project may have changed in the meantime, so every word
+        // remembers the file it was added to.
+        path = list.unsavedWords[0].path;
+        words = list.unsavedWords.filter(function (unsaved) {
+            return unsaved.path === path;
+        }).map(function (unsaved) {
+            return unsaved.word;
+        });
+
+        list.unsavedWords = list.unsavedWords.filter(function (unsaved) {
+            return unsaved.path !== path;
+        });
+        list.saving = true;
+
+        // The directory holding the word list may not exist yet (this is always
+        // the case the first time a word is added to a project's word list).
+        // Creating a directory that already exists only reports an error,
+        // so it is safe to always attempt it before writing.
+        FileSystem.getDirectoryForPath(FileUtils.getDirectoryPath(path)).create(function () {
+            var file = FileSystem.getFileForPath(path);
+
+            file.read({ encoding: "utf8" }, function (err, data) {
+                file.write(WordLists.appendWords(err === null ? data : "", words), function (err) {
+                    if (err) {
+                        console.error("Linguistics: Could not save the " + listName + " word list to " + path, err);
+                    }
+
+                    _saveUnsavedWords(listName);
+                });
+            });
+        });
+    }
+
+    /**
+     * Saves a word that has been added to a word list, when the list is backed by a file.
+     *
+     * @private
+     *
+     * @param {string} word     The word.
+     * @param {string} listName The list name.
+     */
+    function _saveWord(word, listName) {
+        var list = _lists[listName];
+
+        if (list.path === null) {
+            return;
+        }
+
+        list.unsavedWords.push({ word: word, path: list.path });
+
+        if (!list.saving) {
+            _saveUnsavedWords(listName);
+        }
+    }
+
+    /**
+     * Adds a word to the given list, persisting the list when it is backed by a file.
+     *
+     * @private
+     *
+     * @param {string} word     The word to add.
+     * @param {string} listName The list name.
+     */
+    function _addWordToList(word, listName) {
+        var list = _lists[listName];
+
+        if (typeof word !== "string" || word.length === 0 || list.words[word] === true) {
+            return;
+        }
+
+        list.words[word] = true;
+        _saveWord(word, listName);
+
+        exports.trigger("wordAdded", word, listName);
+        exports.trigger("wordListChanged", listName);
+    }
+
+    /**
+     * Determines if a word is contained in a given word list.
+     *
+     * @private
+     *
+     * @param   {string}  word     The word to look for.
+     * @param   {string}  listName The list name.
+     * @returns {boolean}
+     */
+    function _listHasWord(word, listName) {
+        return WordLists.hasWord(_lists[listName].words, word);
+    }
+
+    /**
+     * Determines if a word is contained in the word lists.
+     *
+     * Words are matched exactly, or by their lowercase form so that a word
+     * at the start of a sentence is also accepted. When no list name is
+     * given, every word list is consulted.
+     *
+     * @param   {string}  word     The word to look for.
+     * @param   {string}  listName The list name. Optional.
+     * @returns {boolean}
+     */
+    function hasWord(word, listName) {
+        if (typeof listName !== "undefined") {
+            return (typeof _lists[listName] !== "undefined" && _listHasWord(word, listName));
+        }
+
+        for (listName in _lists) {
+            if (_listHasWord(word, listName)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Adds a word to the user's personal word list.
+     *
+     * @param {string} word The word to add.
+     */
+    function addWord(word) {
+        _addWordToList(word, LIST_USER);
+    }
+
+    /**
+     * Adds a word to the current project's word list.
+     *
+     * @param {string} word The word to add.
+     */
+    function addProjectWord(word) {
+        _addWordToList(word, LIST_PROJECT);
+    }
+
+    /**
+     * Ignores a word until Brackets is closed.
+     *
+     * @param {string} word The word to ignore.
+     */
+    function ignoreWord(word) {
+        _addWordToList(word, LIST_SESSION);
+    }
+
+    /**
+     * Gets the document word lists, loading them from the view state the first time.
+     *
+     * @private
+     *
+     * @returns {object}
+     */
+    function _getDocumentLists() {
+        var stored;
+
+        if (_documentLists === null) {
+            stored = PreferencesManager.getViewState(VIEW_STATE_DOCUMENT_LISTS);
+            _documentLists = Object.create(null);
+
+            if (stored && typeof stored === "object") {
+                Object.keys(stored).forEach(function (fullPath) {
+                    if (!Array.isArray(stored[fullPath])) {
+                        return;
+                    }
+
+                    _documentLists[fullPath] = Object.create(null);
+                    stored[fullPath].forEach(function (word) {
+                        if (typeof word === "string" && word.length > 0) {
+                            _documentLists[fullPath][word] = true;
+                        }
+                    });
+                });
+            }
+        }
+
+        return _documentLists;
+    }
+
+    /**
+     * Writes the document word lists to the view state.
+     *
+     * @private
+     */
+    function _saveDocumentLists() {
+        var lists = _getDocumentLists(),
+            stored = {};
+
+        Object.keys(lists).forEach(function (fullPath) {
+            stored[fullPath] = Object.keys(lists[fullPath]).sort();
+        });
+
+        PreferencesManager.setViewState(VIEW_STATE_DOCUMENT_LISTS, stored);
+    }
+
+    /**
+     * Ignores a word in a single document, across sessions.
+     *
+     * @param {string} word     The word to ignore.
+     * @param {string} fullPath The document's path.
+     */
+    function ignoreWordInDocument(word, fullPath) {
+        var lists = _getDocumentLists();
+
+        if (lists[fullPath] && lists[fullPath][word] === true) {
+            return;
+        }
+
+        lists[fullPath] = lists[fullPath] || Object.create(null);
+        lists[fullPath][word] = true;
+        _saveDocumentLists();
+
+        exports.trigger("wordAdded", word, LIST_DOCUMENT);
+        exports.trigger("wordListChanged", LIST_DOCUMENT);
+    }
+
+    /**
+     * Determines if a word is ignored in a document.
+     *
+     * Like `hasWord`, words are matched exactly or by their lowercase form.
+     *
+     * @param   {string}  word     The word to look for.
+     * @param   {string}  fullPath The document's path.
+     * @returns {boolean}
+     */
+    function isIgnoredInDocument(word, fullPath) {
+        var words = _getDocumentLists()[fullPath];
+
+        return (typeof words !== "undefined" && WordLists.hasWord(words, word));
+    }
+
+    /**
+     * Gets the words in a given list.
+     *
+     * @param   {string} listName The list name.
+     * @returns {array}
+     */
+    function getWords(listName) {
+        if (typeof _lists[listName] === "undefined") {
+            return [];
+        }
+
+        return Object.keys(_lists[listName].words);
+    }
+
+    /**
+     * Points the project word list at the current project and reloads it.
+     *
+     * @private
+     */
+    function _handleProjectOpen() {
+        var projectRoot = ProjectManager.getProjectRoot();
+
+        _lists[LIST_PROJECT].words = Object.create(null);
+        _lists[LIST_PROJECT].path = projectRoot ? projectRoot.fullPath + PROJECT_WORD_LIST_PATH : null;
+
+        if (_lists[LIST_PROJECT].path === null) {
+            exports.trigger("wordListChanged", LIST_PROJECT);
+            return;
+        }
+
+        _loadWordList(LIST_PROJECT);
+    }
+
+    /**
+     * Reloads the project word list when it (or a directory containing it) changes on disk.
+     *
+     * @private
+     *
+     * @param {$.Event}          event The event.
+     * @param {?File|Directory}  entry The entry that changed. A null value means "everything changed".
+     */
+    function _handleFileSystemChange(event, entry) {
+        var path = _lists[LIST_PROJECT].path;
+
+        if (path === null) {
+            return;
+        }
+
+        if (!entry || entry.fullPath === path || (entry.isDirectory && path.indexOf(entry.fullPath) === 0)) {
+            _loadWordList(LIST_PROJECT);
+        }
+    }
+
+    function _initialize() {
+        _lists[LIST_USER].path = Dictionary.getUserWordListFile();
+        _loadWordList(LIST_USER);
+        _handleProjectOpen();
+
+        ProjectManager.on("projectOpen", _handleProjectOpen);
+        FileSystem.on("change", _handleFileSystemChange);
+    }
+
+    AppInit.appReady(_initialize);
+
+    EventDispatcher.makeEventDispatcher(exports);
+
+    exports.LIST_USER = LIST_USER;
+    exports.LIST_SESSION = LIST_SESSION;
+    exports.LIST_PROJECT = LIST_PROJECT;
+    exports.LIST_DOCUMENT = LIST_DOCUMENT;
+
+    exports.hasWord = hasWord;
+    exports.addWord = addWord;
+    exports.addProjectWord = addProjectWord;
+    exports.ignoreWord = ignoreWord;
+    exports.getWords = getWords;
+    exports.ignoreWordInDocument = ignoreWordInDocument;
+    exports.isIgnoredInDocument = isIgnoredInDocument;
+
+});
\ No newline at end of file
@@ -0,0 +1,186 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets, Mustache */
+
+/**
+ * The export report dialog lets the user spell check the current document or
+ * a folder and save the results as JSON, CSV, Checkstyle XML or SARIF (see
+ * ReportExporter).
+ */
+define(function (require, exports, module) {
+    "use strict";
+    
+    var Dialogs = brackets.getModule("widgets/Dialogs"),
+        DefaultDialogs = brackets.getModule("widgets/DefaultDialogs"),
+        FileSystem = brackets.getModule("filesystem/FileSystem"),
+        FileUtils = brackets.getModule("file/FileUtils"),
+        BracketsEditorManager = brackets.getModule("editor/EditorManager"),
+        ProjectManager = brackets.getModule("project/ProjectManager"),
+        CommandManager = brackets.getModule("command/CommandManager"),
+        Menus = brackets.getModule("command/Menus"),
+        StatusBar = brackets.getModule("widgets/StatusBar"),
+        AppInit = brackets.getModule("utils/AppInit"),
+        ReportExporter = require("src/editor/ReportExporter"),
+        ReportFormatter = require("src/utils/ReportFormatter");
+    
+    var COMMAND_EXPORT_REPORT = "linguistics.exportReport";
+    
+    /**
+     * The formats offered in the dialog.
+     * 
+     * @const
+     * @type {Array}
+     */
+    var FORMATS = [
+        { id: ReportFormatter.FORMAT_JSON, label: "JSON" },
+        { id: ReportFormatter.FORMAT_CSV, label: "CSV" },
+        { id: ReportFormatter.FORMAT_CHECKSTYLE, label: "Checkstyle XML" },
+        { id: ReportFormatter.FORMAT_SARIF, label: "SARIF 2.1" }
+    ];
+    
+    /**
+     * The Mustache template for the dialog.
+     * 
+     * @type {string}
+     */
+    var _dialogTemplate = "<div class='modal linguistics-export-report-dialog'>" +
+        "<div class='modal-header'><h1 class='dialog-title'>Export Spelling Report</h1></div>" +
+        "<div class='modal-body'>" +
+        "<label class='radio'><input type='radio' name='linguistics-report-scope' value='document' {{^document}}disabled{{/document}} {{#document}}checked{{/document}}> " +
+        "Current document{{#document}}: {{ document }}{{/document}}</label>" +
+        "<label class='radio'><input type='radio' name='linguistics-report-scope' value='folder' {{^document}}checked{{/document}}> Folder: {{ folderName }}</label>" +
+        "<label>Format <select class='linguistics-report-format'>{{#formats}}<option value='{{ id }}'>{{ label }}</option>{{/formats}}</select></label>" +
+        "<label class='checkbox'><input type='checkbox' class='linguistics-report-suggestions' checked> Include suggestions (slower)</label>" +
+        "</div>" +
+        "<div class='modal-footer'>" +
+        "<button class='dialog-button btn' data-button-id='" + Dialogs.DIALOG_BTN_CANCEL + "'>Cancel</button>" +
+        "<button class='dialog-button btn primary' data-button-id='" + Dialogs.DIALOG_BTN_OK + "'>Export\u2026</button>" +
+        "</div>" +
+        "</div>";
+    
+    /**
+     * Gets the folder the dialog offers to check: the folder selected in the
+     * project tree (or the folder of the selected file), or the project root.
+     * 
+     * @private
+     * 
+     * @returns {?string}
+     */
+    function _getFolderPath() {
+        var selected = ProjectManager.getSelectedItem(),
+            projectRoot = ProjectManager.getProjectRoot();
+        
+        if (selected) {
+            return selected.isDirectory ? selected.fullPath : FileUtils.getDirectoryPath(selected.fullPath);
+        }
+        
+        return projectRoot ? projectRoot.fullPath : null;
+    }
+    
+    /**
+     * Shows an error message for a failed export.
+     * 
+     * @private
+     * 
+     * @param {string} message The message.
+     */
+    function _showError(message) {
+        Dialogs.showModalDialog(DefaultDialogs.DIALOG_ID_ERROR, "Export Spelling Report", message);
+    }
+    
+    /**
+     * Checks the chosen files and writes the report.
+     * 
+     * @private
+     * 
+     * @param {$.Promise} files           A promise for the paths of the files to check.
+     * @param {string}    formatName      The format.
+     * @param {string}    destinationPath The path of the report.
+     * @param {boolean}   suggestions     Whether to include suggestions.
+     */
+    function _export(files, formatName, destinationPath, suggestions) {
+        StatusBar.showBusyIndicator();
+        
+        files.then(function (fullPaths) {
+            return ReportExporter.exportFiles(fullPaths, formatName, destinationPath, { suggestions: suggestions });
+        }).fail(function (err) {
+            _showError("The spelling report could not be written to " + destinationPath + " (" + err + ").");
+        }).always(function () {
+            StatusBar.hideBusyIndicator();
+        });
+    }
+    
+    /**
+     * Shows the export dialog.
+     * 
+     * @private
+     */
+    function _showDialog() {
+        var editor = BracketsEditorManager.getActiveEditor(),
+            documentPath = editor ? editor.document.file.fullPath : null,
+            folderPath = _getFolderPath(),
+            dialog,
+            $element;
+        
+        if (documentPath === null && folderPath === null) {
+            _showError("Open a document or a project to export a spelling report.");
+            return;
+        }
+        
+        dialog = Dialogs.showModalDialogUsingTemplate(Mustache.render(_dialogTemplate, {
+            document: documentPath ? ProjectManager.makeProjectRelativeIfPossible(documentPath) : null,
+            folderName: folderPath ? (ProjectManager.makeProjectRelativeIfPossible(folderPath) || FileUtils.getBaseName(folderPath) || folderPath) : "",
+            formats: FORMATS
+        }));
+        $element = dialog.getElement();
+        
+        dialog.done(function (buttonId) {
+            var scope = $element.find("input[name='linguistics-report-scope']:checked").val(),
+                formatName = $element.find(".linguistics-report-format").val(),
+                suggestions = $element.find(".linguistics-report-suggestions").is(":checked");
+            
+            if (buttonId !== Dialogs.DIALOG_BTN_OK) {
+                return;
+            }
+            
+            FileSystem.showSaveDialog("Export Spelling Report", folderPath || FileUtils.getDirectoryPath(documentPath),
+                "spelling-report." + ReportFormatter.getExtension(formatName), function (err, destinationPath) {
+                    if (err || !destinationPath) {
+                        return;
+                    }
+                    
+                    _export(scope === "document" ? new $.Deferred().resolve([documentPath]).promise() : ReportExporter.getFolderFiles(folderPath),
+                        formatName, destinationPath, suggestions);
+                });
+        });
+    }
+    
+    AppInit.appReady(function () {
+        CommandManager.register("Export Spelling Report\u2026", COMMAND_EXPORT_REPORT, _showDialog);
+        Menus.getMenu(Menus.AppMenuBar.EDIT_MENU).addMenuItem(COMMAND_EXPORT_REPORT);
+    });
+    
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets, Mustache */
+
+/**
+ * The known typos dialog lists the misspellings the user has corrected before,
+ * along with the correction that auto-correct would apply. Typos can be removed
+ * from the list, and auto-correct can be turned on or off.
+ */
+define(function (require, exports, module) {
+    "use strict";
+    
+    var Dialogs = brackets.getModule("widgets/Dialogs"),
+        CommandManager = brackets.getModule("command/CommandManager"),
+        Menus = brackets.getModule("command/Menus"),
+        AppInit = brackets.getModule("utils/AppInit"),
+        CorrectionHistory = require("src/spelling/CorrectionHistory"),
+        Preferences = require("src/preferences/PreferencesManager");
+    
+    var COMMAND_REVIEW_KNOWN_TYPOS = "linguistics.reviewKnownTypos";
+    
+    /**
+     * The Mustache template for the dialog.
+     * 
+     * @type {string}
+     */
+    var _dialogTemplate = "<div class='modal linguistics-known-typos-dialog'>" +
+        "<div class='modal-header'><h1 class='dialog-title'>Known Typos</h1></div>" +
+        "<div class='modal-body'>" +
+        "<label><input type='checkbox' class='linguistics-auto-correct' {{#autoCorrect}}checked{{/autoCorrect}}> Auto-correct these known typos as I type</label>" +
+        "{{#typos.length}}<table class='table table-condensed'>" +
+        "<thead><tr><th>Typo</th><th>Correction</th><th>Picked</th><th></th></tr></thead><tbody>" +
+        "{{#typos}}<tr data-misspelling='{{ misspelling }}'><td>{{ misspelling }}</td><td>{{ correction }}</td><td>{{ count }}</td>" +
+        "<td><button class='btn btn-mini linguistics-remove-typo'>Remove</button></td></tr>{{/typos}}" +
+        "</tbody></table>{{/typos.length}}" +
+        "{{^typos.length}}<p>No typos have been corrected yet. Pick a spelling suggestion to teach Linguistics one.</p>{{/typos.length}}" +
+        "</div>" +
+        "<div class='modal-footer'><button class='dialog-button btn primary' data-button-id='" + Dialogs.DIALOG_BTN_OK + "'>Done</button></div>" +
+        "</div>";
+    
+    /**
+     * Shows the known typos dialog.
+     * 
+     * @private
+     */
+    function _showDialog() {
+        var dialog = Dialogs.showModalDialogUsingTemplate(Mustache.render(_dialogTemplate, {
+                autoCorrect: Preferences.autoCorrectKnownTypos,
+                typos: CorrectionHistory.getKnownTypos()
+            })),
+            $element = dialog.getElement();
+        
+        $element.on("change", ".linguistics-auto-correct", function () {
+            Preferences.set(Preferences.PREFERENCE_AUTO_CORRECT_KNOWN_TYPOS, $(this).is(":checked"));
+        });
+        
+        $element.on("click", ".linguistics-remove-typo", function () {
+            var $row = $(this).closest("tr");
+            
+            // The attribute is read directly; jQuery's data() would turn numeric typos into numbers.
+            CorrectionHistory.removeMisspelling($row.attr("data-misspelling"));
+            $row.remove();
+        });
+    }
+    
+    AppInit.appReady(function () {
+        CommandManager.register("Review Known Typos\u2026", COMMAND_REVIEW_KNOWN_TYPOS, _showDialog);
+        Menus.getMenu(Menus.AppMenuBar.EDIT_MENU).addMenuItem(COMMAND_REVIEW_KNOWN_TYPOS);
+    });
+    
+});
\ No newline at end of file
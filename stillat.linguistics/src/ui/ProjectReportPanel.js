@@ -0,0 +1,348 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets, Mustache */
+
+/**
+ * The project report panel runs a spell check over the whole project (see
+ * ProjectChecker) and lists the misspelled words in a bottom panel, grouped
+ * by file. Clicking a result opens the file at the misspelled word. Results
+ * can be selected (one by one or a file at a time) to add their words to a
+ * dictionary or ignore them in one go.
+ */
+define(function (require, exports, module) {
+    "use strict";
+    
+    var WorkspaceManager = brackets.getModule("view/WorkspaceManager"),
+        BracketsEditorManager = brackets.getModule("editor/EditorManager"),
+        ProjectManager = brackets.getModule("project/ProjectManager"),
+        CommandManager = brackets.getModule("command/CommandManager"),
+        Commands = brackets.getModule("command/Commands"),
+        Menus = brackets.getModule("command/Menus"),
+        StatusBar = brackets.getModule("widgets/StatusBar"),
+        AppInit = brackets.getModule("utils/AppInit"),
+        ProjectChecker = require("src/editor/ProjectChecker"),
+        WordListManager = require("src/spelling/WordListManager"),
+        Preferences = require("src/preferences/PreferencesManager");
+    
+    var COMMAND_CHECK_PROJECT = "linguistics.checkProject";
+    
+    /**
+     * The identifier of the bottom panel.
+     * 
+     * @const
+     * @type {string}
+     */
+    var PANEL_ID = "linguistics.projectReport";
+    
+    /**
+     * How many characters of a line are shown on either side of a misspelled word.
+     * 
+     * @const
+     * @type {number}
+     */
+    var CONTEXT_LENGTH = 40;
+    
+    /**
+     * The Mustache template for the panel.
+     * 
+     * @type {string}
+     */
+    var _panelTemplate = "<div id='linguistics-project-report' class='bottom-panel vert-resizable top-resizer linguistics-project-report'>" +
+        "<div class='toolbar simple-toolbar-layout'>" +
+        "<div class='title'>Spelling in Project</div>" +
+        "<span class='linguistics-report-summary'></span>" +
+        "<button class='btn btn-mini linguistics-report-action' data-action='add' disabled>Add to Personal Dictionary</button>" +
+        "<button class='btn btn-mini linguistics-report-action' data-action='addProject' disabled>Add to Project Dictionary</button>" +
+        "<button class='btn btn-mini linguistics-report-action' data-action='ignore' disabled>Ignore in This Session</button>" +
+        "<button class='btn btn-mini linguistics-report-run'>Check Again</button>" +
+        "<a href='#' class='close'>&times;</a>" +
+        "</div>" +
+        "<div class='table-container resizable-content'></div>" +
+        "</div>";
+    
+    /**
+     * The Mustache template for the results.
+     * 
+     * @type {string}
+     */
+    var _resultsTemplate = "<table class='bottom-panel-table table table-striped table-condensed row-highlight'><tbody>" +
+        "{{#files}}<tr class='linguistics-report-file' data-file='{{ fileIndex }}'>" +
+        "<td colspan='3'><input type='checkbox' class='linguistics-report-select-file'> " +
+        "<span class='dialog-filename'>{{ relativePath }}</span> ({{ count }})</td></tr>" +
+        "{{#items}}<tr class='linguistics-report-item' data-file='{{ fileIndex }}' data-item='{{ itemIndex }}'>" +
+        "<td><input type='checkbox' class='linguistics-report-select'></td>" +
+        "<td class='line-number'>{{ lineNumber }}</td>" +
+        "<td>{{ before }}<span class='highlight'>{{ word }}</span>{{ after }}</td></tr>{{/items}}" +
+        "{{/files}}</tbody></table>";
+    
+    /**
+     * The bottom panel.
+     * 
+     * @type {?Panel}
+     */
+    var _panel = null;
+    
+    /**
+     * The results of the last project check, as returned by `ProjectChecker.checkProject`.
+     * 
+     * @type {Array}
+     */
+    var _results = [];
+    
+    /**
+     * Indicates if a project check is running.
+     * 
+     * @type {boolean}
+     */
+    var _checking = false;
+    
+    /**
+     * Updates the text in the panel's toolbar.
+     * 
+     * @private
+     * 
+     * @param {string} summary The text.
+     */
+    function _setSummary(summary) {
+        _panel.$panel.find(".linguistics-report-summary").text(summary);
+    }
+    
+    /**
+     * Enables the bulk action buttons when any result is selected.
+     * 
+     * @private
+     */
+    function _updateActions() {
+        var hasSelection = (_panel.$panel.find(".linguistics-report-select:checked").length > 0);
+        
+        _panel.$panel.find(".linguistics-report-action").prop("disabled", !hasSelection);
+    }
+    
+    /**
+     * Renders the results of the last project check.
+     * 
+     * @private
+     */
+    function _render() {
+        var total = 0,
+            files = _results.map(function (result, fileIndex) {
+                total += result.misspellings.length;
+                
+                return {
+                    fileIndex: fileIndex,
+                    relativePath: ProjectManager.makeProjectRelativeIfPossible(result.fullPath),
+                    count: result.misspellings.length,
+                    items: result.misspellings.map(function (misspelling, itemIndex) {
+                        var lineText = misspelling.lineText || "";
+                        
+                        return {
+                            fileIndex: fileIndex,
+                            itemIndex: itemIndex,
+                            lineNumber: misspelling.line + 1,
+                            before: lineText.substring(Math.max(0, misspelling.ch - CONTEXT_LENGTH), misspelling.ch).replace(/^\s+/, ""),
+                            word: misspelling.word,
+                            after: lineText.substr(misspelling.endCh, CONTEXT_LENGTH)
+                        };
+                    })
+                };
+            });
+        
+        _panel.$panel.find(".table-container").html(Mustache.render(_resultsTemplate, { files: files }));
+        
+        if (total === 0) {
+            _setSummary("No misspelled words found");
+        } else {
+            _setSummary(total + (total === 1 ? " misspelled word" : " misspelled words") + " in " +
+                    files.length + (files.length === 1 ? " file" : " files"));
+        }
+        
+        _updateActions();
+    }
+    
+    /**
+     * Runs a project check and shows its results.
+     * 
+     * @private
+     */
+    function _checkProject() {
+        _panel.show();
+        
+        if (_checking) {
+            return;
+        }
+        
+        _panel.$panel.find(".table-container").empty();
+        _panel.$panel.find(".linguistics-report-run").prop("disabled", true);
+        _setSummary("Checking\u2026");
+        _checking = true;
+        _results = [];
+        _updateActions();
+        
+        StatusBar.showBusyIndicator();
+        
+        ProjectChecker.checkProject(Preferences.projectCheckFilter).progress(function (checked, total) {
+            _setSummary("Checking " + checked + " of " + total + " files\u2026");
+        }).done(function (results) {
+            _results = results;
+            _render();
+        }).fail(function () {
+            _setSummary("The project check was stopped");
+        }).always(function () {
+            _checking = false;
+            _panel.$panel.find(".linguistics-report-run").prop("disabled", false);
+            StatusBar.hideBusyIndicator();
+        });
+    }
+    
+    /**
+     * Opens the file of a result and selects the misspelled word.
+     * 
+     * @private
+     * 
+     * @param {string} fullPath    The file's path.
+     * @param {object} misspelling The misspelling.
+     */
+    function _goToResult(fullPath, misspelling) {
+        CommandManager.execute(Commands.FILE_OPEN, { fullPath: fullPath }).done(function () {
+            var editor = BracketsEditorManager.getCurrentFullEditor();
+            
+            if (editor) {
+                editor.setSelection({ line: misspelling.line, ch: misspelling.ch }, { line: misspelling.line, ch: misspelling.endCh }, true);
+                editor.focus();
+            }
+        });
+    }
+    
+    /**
+     * Applies a bulk action to the words of the selected results and removes
+     * every result for those words from the report.
+     * 
+     * @private
+     * 
+     * @param {string} action The action: "add", "addProject" or "ignore".
+     */
+    function _applyAction(action) {
+        var words = [];
+        
+        _panel.$panel.find(".linguistics-report-item").each(function () {
+            var $row = $(this),
+                word;
+            
+            if ($row.find(".linguistics-report-select").is(":checked")) {
+                word = _results[$row.data("file")].misspellings[$row.data("item")].word;
+                
+                if (words.indexOf(word) === -1) {
+                    words.push(word);
+                }
+            }
+        });
+        
+        words.forEach(function (word) {
+            if (action === "add") {
+                WordListManager.addWord(word);
+            } else if (action === "addProject") {
+                WordListManager.addProjectWord(word);
+            } else {
+                WordListManager.ignoreWord(word);
+            }
+        });
+        
+        _results = _results.map(function (result) {
+            return {
+                fullPath: result.fullPath,
+                misspellings: result.misspellings.filter(function (misspelling) {
+                    return (words.indexOf(misspelling.word) === -1);
+                })
+            };
+        }).filter(function (result) {
+            return (result.misspellings.length > 0);
+        });
+        
+        _render();
+    }
+    
+    /**
+     * Hides the panel, stopping the project check if it is still running.
+     * 
+     * @private
+     */
+    function _close() {
+        if (_checking) {
+            ProjectChecker.cancel();
+        }
+        
+        _panel.hide();
+    }
+    
+    AppInit.appReady(function () {
+        var $panel = $(_panelTemplate);
+        
+        _panel = WorkspaceManager.createBottomPanel(PANEL_ID, $panel, 100);
+        
+        $panel.on("click", ".close", function (e) {
+            e.preventDefault();
+            _close();
+        });
+        
+        $panel.on("click", ".linguistics-report-run", _checkProject);
+        
+        $panel.on("click", ".linguistics-report-action", function () {
+            _applyAction($(this).data("action"));
+        });
+        
+        // Selecting a file selects all of its results.
+        $panel.on("change", ".linguistics-report-select-file", function () {
+            var fileIndex = $(this).closest("tr").data("file");
+            
+            $panel.find(".linguistics-report-item[data-file='" + fileIndex + "'] .linguistics-report-select").prop("checked", $(this).is(":checked"));
+            _updateActions();
+        });
+        
+        $panel.on("change", ".linguistics-report-select", _updateActions);
+        
+        $panel.on("click", ".linguistics-report-item", function (e) {
+            var $row = $(this),
+                result;
+            
+            if ($(e.target).is("input")) {
+                return;
+            }
+            
+            result = _results[$row.data("file")];
+            _goToResult(result.fullPath, result.misspellings[$row.data("item")]);
+        });
+        
+        // The results belong to the project they were found in.
+        ProjectManager.on("projectOpen", function () {
+            _results = [];
+            _close();
+        });
+        
+        CommandManager.register("Check Spelling in Project\u2026", COMMAND_CHECK_PROJECT, _checkProject);
+        Menus.getMenu(Menus.AppMenuBar.EDIT_MENU).addMenuItem(COMMAND_CHECK_PROJECT);
+    });
+    
+});
\ No newline at end of file
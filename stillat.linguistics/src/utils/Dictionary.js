@@ -60,6 +60,14 @@ define(function (require, exports, module) {
      */
     var EXTENSION_AFFIX = "aff";
     
+    /**
+     * The expected word frequency list file extension.
+     * 
+     * @const
+     * @type {string}
+     */
+    var EXTENSION_FREQUENCY_LIST = "freq";
+    
     /**
      * The natural languages dictionary directory.
      * 
@@ -92,6 +100,46 @@ define(function (require, exports, module) {
      */
     var DIRECTORY_GENERIC_UTILITIES = "generic-utilities";
     
+    /**
+     * The user's personal word list file name.
+     * 
+     * @const
+     * @type {string}
+     */
+    var FILE_USER_WORD_LIST = "user-words.txt";
+    
+    /**
+     * The user's correction history file name.
+     * 
+     * @const
+     * @type {string}
+     */
+    var FILE_CORRECTION_HISTORY = "correction-history.json";
+    
+    /**
+     * The user's auto-correct table file name.
+     * 
+     * @const
+     * @type {string}
+     */
+    var FILE_AUTO_CORRECT_TABLE = "auto-correct.txt";
+    
+    /**
+     * The precompiled dictionary cache directory.
+     * 
+     * @const
+     * @type {string}
+     */
+    var DIRECTORY_DICTIONARY_CACHE = "dictionary-cache";
+    
+    /**
+     * The expected dictionary cache file extension.
+     * 
+     * @const
+     * @type {string}
+     */
+    var EXTENSION_DICTIONARY_CACHE = "json";
+    
     /**
      * Gets the natural language directory.
      * 
@@ -128,6 +176,62 @@ define(function (require, exports, module) {
         return Paths.getDictionaryPath(DIRECTORY_GENERIC_UTILITIES);
     }
     
+    /**
+     * Gets the user's personal word list file.
+     * 
+     * The word list lives alongside the user's dictionary profiles.
+     * 
+     * @returns {string}
+     */
+    function getUserWordListFile() {
+        return getUserProfilesDirectory() + "/" + FILE_USER_WORD_LIST;
+    }
+    
+    /**
+     * Gets the user's correction history file.
+     * 
+     * Like the personal word list, the history lives alongside the user's dictionary profiles.
+     * 
+     * @returns {string}
+     */
+    function getCorrectionHistoryFile() {
+        return getUserProfilesDirectory() + "/" + FILE_CORRECTION_HISTORY;
+    }
+    
+    /**
+     * Gets the user's auto-correct table file.
+     * 
+     * @returns {string}
+     */
+    function getAutoCorrectTableFile() {
+        return getUserProfilesDirectory() + "/" + FILE_AUTO_CORRECT_TABLE;
+    }
+    
+    /**
+     * Gets the precompiled dictionary cache directory.
+     * 
+     * The cache lives next to the user's dictionary profiles.
+     * 
+     * @returns {string}
+     */
+    function getDictionaryCacheDirectory() {
+        return Paths.getDictionaryPath(DIRECTORY_DICTIONARY_CACHE);
+    }
+    
+    /**
+     * Gets the precompiled dictionary cache file for the given localeName.
+     * 
+     * @param   {string} localeName The locale name. Defaults to "en_US".
+     * @returns {string}
+     */
+    function getDictionaryCacheFile(localeName) {
+        if (arguments.length === 0) {
+            localeName = _defaultLocaleName;
+        }
+        
+        return getDictionaryCacheDirectory() + "/" + localeName + "." + EXTENSION_DICTIONARY_CACHE;
+    }
+    
     /**
      * Generates a path relative to the natural languages directory.
      * @private
@@ -172,6 +276,38 @@ define(function (require, exports, module) {
         return _getDictionaryFilePath(localeName, EXTENSION_DICTIONARY);
     }
     
+    /**
+     * Gets a word frequency list file path for the given localeName.
+     * 
+     * Word frequency lists are optional, and sit next to a language's affix and dictionary files.
+     * 
+     * @param   {string} localeName The locale name. Defaults to "en_US".
+     * @returns {string}
+     */
+    function getFrequencyListFile(localeName) {
+        if (arguments.length === 0) {
+            localeName = _defaultLocaleName;
+        }
+        
+        return _getDictionaryFilePath(localeName, EXTENSION_FREQUENCY_LIST);
+    }
+    
+    /**
+     * Gets the path of the word frequency list bundled with Linguistics itself
+     * for the given localeName. It is used when the dictionary extension does
+     * not have a word frequency list for the language.
+     * 
+     * @param   {string} localeName The locale name. Defaults to "en_US".
+     * @returns {string}
+     */
+    function getBundledFrequencyListFile(localeName) {
+        if (arguments.length === 0) {
+            localeName = _defaultLocaleName;
+        }
+        
+        return Paths.getLinguisticsExtensionDirectory("data/" + localeName + "." + EXTENSION_FREQUENCY_LIST);
+    }
+    
     /**
      * Gets an arbitrary path relative to the dictionary path.
      * 
@@ -187,7 +323,14 @@ define(function (require, exports, module) {
     exports.getGenericUtilitiesDirectory = getGenericUtilitiesDirectory;
     exports.getAffixFile = getAffixFile;
     exports.getDictionaryFile = getDictionaryFile;
+    exports.getFrequencyListFile = getFrequencyListFile;
+    exports.getBundledFrequencyListFile = getBundledFrequencyListFile;
     exports.getRelativeDictionaryFile = getRelativeDictionaryFile;
     exports.getUserProfilesDirectory = getUserProfilesDirectory;
+    exports.getUserWordListFile = getUserWordListFile;
+    exports.getCorrectionHistoryFile = getCorrectionHistoryFile;
+    exports.getAutoCorrectTableFile = getAutoCorrectTableFile;
+    exports.getDictionaryCacheDirectory = getDictionaryCacheDirectory;
+    exports.getDictionaryCacheFile = getDictionaryCacheFile;
     
 });
\ No newline at end of file
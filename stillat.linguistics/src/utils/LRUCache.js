@@ -0,0 +1,233 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * A bounded cache that evicts the least recently used entry once it is full.
+ *
+ * The entries are kept in a doubly linked list (most recently used first) next
+ * to an object that maps keys to list entries, so that getting, setting and
+ * evicting are all constant time operations.
+ *
+ * The cache keeps count of its hits, misses and evictions (see `getStats`),
+ * which is handy when deciding whether a cache is worth having at all.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    /**
+     * Creates a new cache.
+     *
+     * @constructor
+     *
+     * @param {number} capacity The maximum number of entries to keep.
+     */
+    function LRUCache(capacity) {
+        this._capacity = Math.max(1, capacity);
+        this._entries = Object.create(null);
+        this._head = null;
+        this._tail = null;
+        this._size = 0;
+        this._hits = 0;
+        this._misses = 0;
+        this._evictions = 0;
+    }
+
+    /**
+     * Removes an entry from the linked list.
+     *
+     * @private
+     *
+     * @param {object} entry The entry.
+     */
+    LRUCache.prototype._unlink = function (entry) {
+        if (entry.previous !== null) {
+            entry.previous.next = entry.next;
+        } else {
+            this._head = entry.next;
+        }
+
+        if (entry.next !== null) {
+            entry.next.previous = entry.previous;
+        } else {
+            this._tail = entry.previous;
+        }
+
+        entry.previous = null;
+        entry.next = null;
+    };
+
+    /**
+     * Adds an entry to the front of the linked list.
+     *
+     * @private
+     *
+     * @param {object} entry The entry.
+     */
+    LRUCache.prototype._pushFront = function (entry) {
+        entry.previous = null;
+        entry.next = this._head;
+
+        if (this._head !== null) {
+            this._head.previous = entry;
+        }
+
+        this._head = entry;
+
+        if (this._tail === null) {
+            this._tail = entry;
+        }
+    };
+
+    /**
+     * Determines if the cache has an entry for a key, without
+     * counting it as a use of the entry.
+     *
+     * @param   {string}  key The key.
+     * @returns {boolean}
+     */
+    LRUCache.prototype.has = function (key) {
+        return (typeof this._entries[key] !== "undefined");
+    };
+
+    /**
+     * Gets the value for a key, marking the entry as the most recently used.
+     *
+     * @param   {string} key The key.
+     * @returns {*}      The value, or undefined when the key is not in the cache.
+     */
+    LRUCache.prototype.get = function (key) {
+        var entry = this._entries[key];
+
+        if (typeof entry === "undefined") {
+            this._misses++;
+            return undefined;
+        }
+
+        this._hits++;
+
+        if (entry !== this._head) {
+            this._unlink(entry);
+            this._pushFront(entry);
+        }
+
+        return entry.value;
+    };
+
+    /**
+     * Sets the value for a key, evicting the least recently used entry if the cache is full.
+     *
+     * @param {string} key   The key.
+     * @param {*}      value The value.
+     */
+    LRUCache.prototype.set = function (key, value) {
+        var entry = this._entries[key];
+
+        if (typeof entry !== "undefined") {
+            entry.value = value;
+            this._unlink(entry);
+            this._pushFront(entry);
+            return;
+        }
+
+        if (this._size >= this._capacity) {
+            entry = this._tail;
+            this._unlink(entry);
+            delete this._entries[entry.key];
+            this._size--;
+            this._evictions++;
+        }
+
+        entry = { key: key, value: value, previous: null, next: null };
+        this._entries[key] = entry;
+        this._pushFront(entry);
+        this._size++;
+    };
+
+    /**
+     * Removes the entry for a key.
+     *
+     * @param {string} key The key.
+     */
+    LRUCache.prototype.remove = function (key) {
+        var entry = this._entries[key];
+
+        if (typeof entry !== "undefined") {
+            this._unlink(entry);
+            delete this._entries[key];
+            this._size--;
+        }
+    };
+
+    /**
+     * Removes every entry. The statistics are kept.
+     */
+    LRUCache.prototype.clear = function () {
+        this._entries = Object.create(null);
+        this._head = null;
+        this._tail = null;
+        this._size = 0;
+    };
+
+    /**
+     * Gets the number of entries in the cache.
+     *
+     * @returns {number}
+     */
+    LRUCache.prototype.size = function () {
+        return this._size;
+    };
+
+    /**
+     * Gets the cache's statistics.
+     *
+     * @returns {{size: number, capacity: number, hits: number, misses: number, evictions: number, hitRate: number}}
+     */
+    LRUCache.prototype.getStats = function () {
+        var lookups = this._hits + this._misses;
+
+        return {
+            size: this._size,
+            capacity: this._capacity,
+            hits: this._hits,
+            misses: this._misses,
+            evictions: this._evictions,
+            hitRate: lookups === 0 ? 0 : this._hits / lookups
+        };
+    };
+
+    /**
+     * Resets the hit, miss and eviction counts.
+     */
+    LRUCache.prototype.resetStats = function () {
+        this._hits = 0;
+        this._misses = 0;
+        this._evictions = 0;
+    };
+
+    exports.LRUCache = LRUCache;
+
+});
\ No newline at end of file
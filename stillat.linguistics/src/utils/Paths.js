@@ -68,6 +68,14 @@ define(function (require, exports, module) {
      * @type {string}
      */
     var LINGUISTICS_PATH_NAME = "stillat.linguistics";
+    
+    /**
+     * The Linguistics dictionary extension directory, when it is not the one in
+     * Brackets' extensions directory (see `setDictionaryDirectory`).
+     * 
+     * @type {?string}
+     */
+    var _dictionaryDirectory = null;
 
     /**
      * Generates a path for the given name and extension.
@@ -144,13 +152,30 @@ define(function (require, exports, module) {
             path = "";
         }
         
+        if (_dictionaryDirectory !== null) {
+            return _dictionaryDirectory + "/" + path;
+        }
+        
         return getExtensionsDirectory() + "/user/" + LINGUISTICS_DICTIONARY_PATH_NAME + "/" + path;
     }
     
+    /**
+     * Sets the Linguistics dictionary extension directory.
+     * 
+     * Brackets always installs the dictionary extension in its own extensions
+     * directory; this is for the command-line checker, which runs without Brackets.
+     * 
+     * @param {string} directory The directory, without a trailing "/".
+     */
+    function setDictionaryDirectory(directory) {
+        _dictionaryDirectory = directory;
+    }
+    
     exports.getAffixFile = getAffixFile;
     exports.getDictionaryFile = getDictionaryFile;
     exports.getLinguisticsExtensionDirectory = getLinguisticsExtensionDirectory;
     exports.getExtensionsDirectory = getExtensionsDirectory;
     exports.getDictionaryPath = getDictionaryPath;
+    exports.setDictionaryDirectory = setDictionaryDirectory;
 
 });
\ No newline at end of file
@@ -0,0 +1,431 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, $, window, brackets */
+
+/**
+ * Turns spelling reports into files that other tools understand.
+ *
+ * A report is a plain object:
+ *
+ *     {
+ *         locale: "en_US",
+ *         root: "/path/to/project/",
+ *         files: [{
+ *             fullPath: "/path/to/project/docs/readme.md",
+ *             misspellings: [{ line: 0, ch: 4, endCh: 7, word: "teh", suggestions: ["the"] }]
+ *         }]
+ *     }
+ *
+ * Lines and characters are zero-based (like CodeMirror positions) in the
+ * report; every format writes them out one-based. Files inside `root` are
+ * written with project-relative paths, everything else with its full path.
+ *
+ * This module has no dependencies on Brackets, so the same output can be
+ * produced wherever a report can be built.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    /**
+     * Format: the report as JSON.
+     *
+     * @const
+     * @type {string}
+     */
+    var FORMAT_JSON = "json";
+
+    /**
+     * Format: comma separated values, one misspelling per row.
+     *
+     * @const
+     * @type {string}
+     */
+    var FORMAT_CSV = "csv";
+
+    /**
+     * Format: Checkstyle XML.
+     *
+     * @const
+     * @type {string}
+     */
+    var FORMAT_CHECKSTYLE = "checkstyle";
+
+    /**
+     * Format: SARIF 2.1.0.
+     *
+     * @const
+     * @type {string}
+     */
+    var FORMAT_SARIF = "sarif";
+
+    /**
+     * The name the reports are attributed to.
+     *
+     * @const
+     * @type {string}
+     */
+    var TOOL_NAME = "Linguistics";
+
+    /**
+     * The identifier of the spelling rule in Checkstyle and SARIF reports.
+     *
+     * @const
+     * @type {string}
+     */
+    var RULE_ID = "linguistics.spelling";
+
+    /**
+     * The file name extensions of the formats.
+     *
+     * @const
+     * @type {object}
+     */
+    var EXTENSIONS = {
+        json: "json",
+        csv: "csv",
+        checkstyle: "xml",
+        sarif: "sarif"
+    };
+
+    /**
+     * Gets the path a file is written out with.
+     *
+     * @private
+     *
+     * @param   {object} report   The report.
+     * @param   {string} fullPath The file's full path.
+     * @returns {string}
+     */
+    function _getPath(report, fullPath) {
+        if (report.root && fullPath.indexOf(report.root) === 0) {
+            return fullPath.substring(report.root.length);
+        }
+
+        return fullPath;
+    }
+
+    /**
+     * Creates the message for a misspelling.
+     *
+     * @private
+     *
+     * @param   {object} report      The report.
+     * @param   {object} misspelling The misspelling.
+     * @returns {string}
+     */
+    function _getMessage(report, misspelling) {
+        var message = "\"" + misspelling.word + "\" may be misspelled (" + report.locale + ")";
+
+        if (misspelling.suggestions && misspelling.suggestions.length > 0) {
+            message += "; suggestions: " + misspelling.suggestions.join(", ");
+        }
+
+        return message;
+    }
+
+    /**
+     * Calls a function for every misspelling in a report, in order.
+     *
+     * @private
+     *
+     * @param {object}   report   The report.
+     * @param {function} callback Called with the file's output path, the file and the misspelling.
+     */
+    function _eachMisspelling(report, callback) {
+        report.files.forEach(function (file) {
+            var path = _getPath(report, file.fullPath);
+
+            file.misspellings.forEach(function (misspelling) {
+                callback(path, file, misspelling);
+            });
+        });
+    }
+
+    /**
+     * Writes a report as JSON.
+     *
+     * @private
+     *
+     * @param   {object} report The report.
+     * @returns {string}
+     */
+    function _toJSON(report) {
+        var results = [];
+
+        _eachMisspelling(report, function (path, file, misspelling) {
+            results.push({
+                file: path,
+                line: misspelling.line + 1,
+                column: misspelling.ch + 1,
+                endColumn: misspelling.endCh + 1,
+                word: misspelling.word,
+                locale: report.locale,
+                suggestions: misspelling.suggestions || []
+            });
+        });
+
+        return JSON.stringify({ locale: report.locale, misspellings: results }, null, 4) + "\n";
+    }
+
+    /**
+     * Quotes a CSV field when it has to be.
+     *
+     * @private
+     *
+     * @param   {string|number} value The value.
+     * @returns {string}
+     */
+    function _csvField(value) {
+        var field = String(value);
+
+        if (/[",\r\n]|^\s|\s$/.test(field)) {
+            return "\"" + field.replace(/"/g, "\"\"") + "\"";
+        }
+
+        return field;
+    }
+
+    /**
+     * Writes a report as CSV. Suggestions share a single field, separated by spaces.
+     *
+     * @private
+     *
+     * @param   {object} report The report.
+     * @returns {string}
+     */
+    function _toCSV(report) {
+        var rows = [["file", "line", "column", "word", "locale", "suggestions"]];
+
+        _eachMisspelling(report, function (path, file, misspelling) {
+            rows.push([path, misspelling.line + 1, misspelling.ch + 1, misspelling.word, report.locale, (misspelling.suggestions || []).join(" ")]);
+        });
+
+        return rows.map(function (row) {
+            return row.map(_csvField).join(",");
+        }).join("\r\n") + "\r\n";
+    }
+
+    /**
+     * Escapes text for use in an XML attribute.
+     *
+     * @private
+     *
+     * @param   {string|number} value The value.
+     * @returns {string}
+     */
+    function _xmlAttribute(value) {
+        return String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/\r/g, "&#13;")
+            .replace(/\n/g, "&#10;");
+    }
+
+    /**
+     * Writes a report as Checkstyle XML.
+     *
+     * @private
+     *
+     * @param   {object} report The report.
+     * @returns {string}
+     */
+    function _toCheckstyle(report) {
+        var lines = ["<?xml version=\"1.0\" encoding=\"UTF-8\"?>", "<checkstyle version=\"4.3\">"];
+
+        report.files.forEach(function (file) {
+            lines.push("    <file name=\"" + _xmlAttribute(_getPath(report, file.fullPath)) + "\">");
+
+            file.misspellings.forEach(function (misspelling) {
+                lines.push("        <error line=\"" + (misspelling.line + 1) + "\" column=\"" + (misspelling.ch + 1) +
+                    "\" severity=\"warning\" message=\"" + _xmlAttribute(_getMessage(report, misspelling)) +
+                    "\" source=\"" + RULE_ID + "\"/>");
+            });
+
+            lines.push("    </file>");
+        });
+
+        lines.push("</checkstyle>");
+
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Converts a path into a URI reference, escaping each of its segments.
+     *
+     * @private
+     *
+     * @param   {string} path The path.
+     * @returns {string}
+     */
+    function _toURI(path) {
+        return path.split("/").map(encodeURIComponent).join("/").replace(/^([A-Za-z])%3A\//, "$1:/");
+    }
+
+    /**
+     * Converts a full path into a "file" URI.
+     *
+     * @private
+     *
+     * @param   {string} fullPath The full path.
+     * @returns {string}
+     */
+    function _toFileURI(fullPath) {
+        return "file://" + (fullPath.charAt(0) === "/" ? "" : "/") + _toURI(fullPath);
+    }
+
+    /**
+     * Writes a report as SARIF 2.1.0.
+     *
+     * Every suggestion is included as a fix that replaces the misspelled word.
+     *
+     * @private
+     *
+     * @param   {object} report The report.
+     * @returns {string}
+     */
+    function _toSARIF(report) {
+        var run = {
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    rules: [{
+                        id: RULE_ID,
+                        name: "Spelling",
+                        shortDescription: { text: "Possibly misspelled word." },
+                        defaultConfiguration: { level: "warning" }
+                    }]
+                }
+            },
+            language: String(report.locale).replace("_", "-"),
+            results: []
+        };
+
+        if (report.root) {
+            run.originalUriBaseIds = {
+                PROJECTROOT: {
+                    uri: _toFileURI(report.root)
+                }
+            };
+        }
+
+        _eachMisspelling(report, function (path, file, misspelling) {
+            var artifactLocation = { uri: (path === file.fullPath) ? _toFileURI(path) : _toURI(path) },
+                region = {
+                    startLine: misspelling.line + 1,
+                    startColumn: misspelling.ch + 1,
+                    endColumn: misspelling.endCh + 1
+                };
+
+            if (path !== file.fullPath) {
+                artifactLocation.uriBaseId = "PROJECTROOT";
+            }
+
+            run.results.push({
+                ruleId: RULE_ID,
+                ruleIndex: 0,
+                level: "warning",
+                message: { text: _getMessage(report, misspelling) },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: artifactLocation,
+                        region: {
+                            startLine: region.startLine,
+                            startColumn: region.startColumn,
+                            endColumn: region.endColumn,
+                            snippet: { text: misspelling.word }
+                        }
+                    }
+                }],
+                fixes: (misspelling.suggestions || []).map(function (suggestion) {
+                    return {
+                        description: { text: "Replace with \"" + suggestion + "\"" },
+                        artifactChanges: [{
+                            artifactLocation: artifactLocation,
+                            replacements: [{
+                                deletedRegion: region,
+                                insertedContent: { text: suggestion }
+                            }]
+                        }]
+                    };
+                }),
+                properties: {
+                    word: misspelling.word,
+                    locale: report.locale,
+                    suggestions: misspelling.suggestions || []
+                }
+            });
+        });
+
+        return JSON.stringify({
+            $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+            version: "2.1.0",
+            runs: [run]
+        }, null, 2) + "\n";
+    }
+
+    /**
+     * Writes a report in one of the supported formats.
+     *
+     * @param   {object}  report     The report.
+     * @param   {string}  formatName The format: "json", "csv", "checkstyle" or "sarif".
+     * @returns {?string} The formatted report, or null when the format is unknown.
+     */
+    function format(report, formatName) {
+        switch (formatName) {
+        case FORMAT_JSON:
+            return _toJSON(report);
+        case FORMAT_CSV:
+            return _toCSV(report);
+        case FORMAT_CHECKSTYLE:
+            return _toCheckstyle(report);
+        case FORMAT_SARIF:
+            return _toSARIF(report);
+        default:
+            return null;
+        }
+    }
+
+    /**
+     * Gets the file name extension for a format.
+     *
+     * @param   {string} formatName The format.
+     * @returns {string}
+     */
+    function getExtension(formatName) {
+        return EXTENSIONS[formatName];
+    }
+
+    exports.FORMAT_JSON = FORMAT_JSON;
+    exports.FORMAT_CSV = FORMAT_CSV;
+    exports.FORMAT_CHECKSTYLE = FORMAT_CHECKSTYLE;
+    exports.FORMAT_SARIF = FORMAT_SARIF;
+
+    exports.format = format;
+    exports.getExtension = getExtension;
+
+});
\ No newline at end of file
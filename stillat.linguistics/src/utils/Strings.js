@@ -30,8 +30,6 @@
 define(function (require, exports, module) {
     "use strict";
     
-    var StringUtils = brackets.getModule("utils/StringUtils");
-    
     /**
      * The characters that separate words.
      *
@@ -101,7 +99,7 @@ define(function (require, exports, module) {
      * @param {string} suffix
      */
     function endsWith(str, suffix) {
-        return StringUtils.endsWith(str, suffix);
+        return str.length >= suffix.length && str.indexOf(suffix, str.length - suffix.length) !== -1;
     }
     
     /**
@@ -111,7 +109,7 @@ define(function (require, exports, module) {
      * @return {Boolean}
      */
     function startsWith(str, prefix) {
-        return StringUtils.startsWith(str, prefix);
+        return str.slice(0, prefix.length) === prefix;
     }
     
     /**
@@ -125,7 +123,7 @@ define(function (require, exports, module) {
         if (!char) {
             char = " ";
         }
-        char = char.replace("/([()[{*+.$^\\|?])/g", '\\$1'); //escape char parameter if needed for regex syntax.
+        char = char.replace(/([()\[{*+.$^\\|?])/g, '\\$1'); //escape char parameter if needed for regex syntax.
         var regex_1 = new RegExp("^" + char + "+", "g");
         var regex_2 = new RegExp(char + "+$", "g");
         return string.replace(regex_1, '').replace(regex_2, '');
@@ -225,6 +223,28 @@ define(function (require, exports, module) {
         return string.split(/(?=[A-Z])/);
     }
     
+    /**
+     * Capitalizes a replacement the same way as the word it replaces.
+     * 
+     * Words in all capitals get a replacement in all capitals, and capitalized
+     * words get a capitalized replacement. Anything else is left alone.
+     * 
+     * @param   {string} word        The word being replaced.
+     * @param   {string} replacement The replacement.
+     * @returns {string}
+     */
+    function matchCase(word, replacement) {
+        if (word.length > 1 && word === word.toUpperCase() && word !== word.toLowerCase()) {
+            return replacement.toUpperCase();
+        }
+        
+        if (word.charAt(0) !== word.charAt(0).toLowerCase()) {
+            return replacement.charAt(0).toUpperCase() + replacement.substring(1);
+        }
+        
+        return replacement;
+    }
+    
     function chomp() {
         
     }
@@ -240,5 +260,6 @@ define(function (require, exports, module) {
     exports.toCamelCase = toCamelCase;
     exports.splitByUpperCase = splitByUpperCase;
     exports.containsWordSeparator = containsWordSeparator;
+    exports.matchCase = matchCase;
     
 });
\ No newline at end of file
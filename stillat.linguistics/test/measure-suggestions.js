@@ -0,0 +1,158 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+/**
+ * Measures the quality of the spelling suggestions against the corpus in
+ * "test/corpus". For every misspelling, the expected word should be the first
+ * suggestion, or at least one of the first five. Typo's own suggestions are
+ * measured as well so that the two can be compared.
+ *
+ * Usage:
+ *
+ *     node test/measure-suggestions.js [locale] [--verbose]
+ *
+ * The locale defaults to "en_US"; its dictionary is read from "data". With
+ * "--verbose", every misspelling whose expected word was not the first
+ * suggestion is listed.
+ */
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    WorkerScripts = require("../cli/WorkerScripts");
+
+var ROOT = path.join(__dirname, "..");
+
+/**
+ * The number of suggestions requested for every misspelling.
+ *
+ * @const
+ * @type {number}
+ */
+var SUGGESTION_LIMIT = 5;
+
+/**
+ * Reads the corpus for a locale.
+ *
+ * @param   {string} localeName The locale name.
+ * @returns {array}  The entries: [{ misspelling::string, expected::string }]
+ */
+function _readCorpus(localeName) {
+    var data = fs.readFileSync(path.join(__dirname, "corpus", localeName + "-suggestions.txt"), "utf8");
+
+    return data.split(/\r?\n/).filter(function (line) {
+        return line.trim().length > 0 && line.charAt(0) !== "#";
+    }).map(function (line) {
+        var parts = line.trim().split(/\s+/);
+
+        return { misspelling: parts[0], expected: parts[1] };
+    });
+}
+
+/**
+ * Runs a suggester over the corpus.
+ *
+ * @param   {array}    corpus  The corpus entries.
+ * @param   {function} suggest Gets the suggestions for a word: (word) -> array
+ * @returns {object}   The results: { first::number, topFive::number, time::number, misses::array }
+ */
+function _measure(corpus, suggest) {
+    var results = { first: 0, topFive: 0, time: 0, misses: [] };
+
+    corpus.forEach(function (entry) {
+        var start = Date.now(),
+            suggestions = suggest(entry.misspelling),
+            position = suggestions.indexOf(entry.expected);
+
+        results.time += Date.now() - start;
+
+        if (position === 0) {
+            results.first++;
+        } else {
+            results.misses.push(entry.misspelling + " -> " + entry.expected + " (got " + (suggestions.join(", ") || "nothing") + ")");
+        }
+
+        if (position !== -1) {
+            results.topFive++;
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Formats a count as a percentage of the corpus size.
+ *
+ * @param   {number} count The count.
+ * @param   {number} total The corpus size.
+ * @returns {string}
+ */
+function _percentage(count, total) {
+    return (100 * count / total).toFixed(1) + "%";
+}
+
+function main(args) {
+    var verbose = args.indexOf("--verbose") !== -1,
+        localeName = args.filter(function (arg) {
+            return arg.indexOf("--") !== 0;
+        })[0] || "en_US",
+        context = WorkerScripts.loadWorkerScripts(),
+        affixData = fs.readFileSync(path.join(ROOT, "data", localeName + ".aff"), "utf8"),
+        dictionaryData = fs.readFileSync(path.join(ROOT, "data", localeName + ".dic"), "utf8"),
+        typo = new context.Typo(localeName, affixData, dictionaryData),
+        engine = new context.SuggestionEngine(typo, context.SuggestionEngine.parseAffix(affixData)),
+        corpus = _readCorpus(localeName);
+
+    var suggesters = {
+        "Typo": function (word) {
+            return typo.suggest(word, SUGGESTION_LIMIT);
+        },
+        "SuggestionEngine": function (word) {
+            return engine.suggest(word, SUGGESTION_LIMIT);
+        }
+    };
+
+    console.log(corpus.length + " misspellings for " + localeName + "\n");
+
+    Object.keys(suggesters).forEach(function (name) {
+        var results = _measure(corpus, suggesters[name]);
+
+        console.log(name);
+        console.log("    first suggestion: " + _percentage(results.first, corpus.length));
+        console.log("    top five:         " + _percentage(results.topFive, corpus.length));
+        console.log("    average time:     " + Math.round(results.time / corpus.length) + "ms");
+
+        if (verbose) {
+            results.misses.forEach(function (miss) {
+                console.log("        " + miss);
+            });
+        }
+
+        console.log("");
+    });
+}
+
+main(process.argv.slice(2));
\ No newline at end of file
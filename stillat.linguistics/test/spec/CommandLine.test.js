@@ -0,0 +1,158 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var assert = require("assert"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    test = require("node:test"),
+    CommandLine = require("../../cli/CommandLine");
+
+var describe = test.describe,
+    it = test.it,
+    before = test.before,
+    after = test.after;
+
+/**
+ * Runs the checker, collecting what it writes.
+ *
+ * @param   {Array}  args The command-line arguments.
+ * @param   {string} cwd  The working directory.
+ * @returns {{code: number, stdout: string, stderr: string}}
+ */
+function check(args, cwd) {
+    var result = { stdout: "", stderr: "" };
+
+    result.code = CommandLine.run(args, {
+        stdout: { write: function (text) { result.stdout += text; } },
+        stderr: { write: function (text) { result.stderr += text; } }
+    }, cwd);
+
+    return result;
+}
+
+describe("linguistics-check", function () {
+    var root,
+        dictionaries;
+
+    before(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), "linguistics-"));
+        dictionaries = path.join(root, "dictionaries");
+
+        fs.mkdirSync(dictionaries);
+        fs.mkdirSync(path.join(root, "docs"));
+        fs.writeFileSync(path.join(root, "docs", "good.md"), "The quick brown fox.\n");
+        fs.writeFileSync(path.join(root, "docs", "bad.md"), "Hello\nThe wrold is round.\n");
+        fs.writeFileSync(path.join(root, "code.md"), "Call `fooo` here.\n\n```js\nfooo(); // the fooo cmnt\n```\n");
+        fs.writeFileSync(path.join(root, "app.js"), "/* Sets up the aplication. */\nfunction fooBarBaz(qux) {\n" +
+            "    var xyzzy = qux; // Keep the valeu\n    return \"Hello \" + xyzzy;\n}\n");
+    });
+
+    after(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it("exits with 0 when nothing is misspelled", function () {
+        var result = check(["-d", dictionaries, "docs/good.md"], root);
+
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.stdout, "");
+    });
+
+    it("reports misspellings and exits with 1", function () {
+        var result = check(["-d", dictionaries, "docs/*.md"], root);
+
+        assert.strictEqual(result.code, 1);
+        assert.match(result.stdout, /^docs\/bad\.md:2:5: error: "wrold" is misspelled/m);
+        assert.doesNotMatch(result.stdout, /good\.md/);
+    });
+
+    it("leaves out excluded files", function () {
+        assert.strictEqual(check(["-d", dictionaries, "docs/*.md", "!docs/bad.md"], root).code, 0);
+    });
+
+    it("ignores words given on the command line", function () {
+        assert.strictEqual(check(["-d", dictionaries, "-i", "wrold", "docs/bad.md"], root).code, 0);
+    });
+
+    it("skips Markdown code unless its comments should be checked", function () {
+        var result;
+
+        assert.strictEqual(check(["-d", dictionaries, "code.md"], root).code, 0);
+
+        result = check(["-d", dictionaries, "--check-code-comments", "code.md"], root);
+
+        assert.strictEqual(result.code, 1);
+        assert.match(result.stdout, /^code\.md:4:21: error: "cmnt" is misspelled/m);
+        assert.doesNotMatch(result.stdout, /code\.md:4:1:/);
+    });
+
+    it("checks files in the mode given on the command line", function () {
+        var result = check(["-d", dictionaries, "-m", "text", "code.md"], root);
+
+        assert.strictEqual(result.code, 1);
+        assert.match(result.stdout, /^code\.md:1:7: error: "fooo" is misspelled/m);
+    });
+
+    it("only checks the comments and strings of code", function () {
+        var result = check(["-d", dictionaries, "app.js"], root);
+
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.stdout, "app.js:1:16: error: \"aplication\" is misspelled\n" +
+            "app.js:3:34: error: \"valeu\" is misspelled\n");
+    });
+
+    it("skips symbolic links when searching directories", function () {
+        var result;
+
+        fs.mkdirSync(path.join(root, "linked"));
+        fs.writeFileSync(path.join(root, "linked", "good.md"), "The quick brown fox.\n");
+        fs.symlinkSync(path.join(root, "linked", "missing.md"), path.join(root, "linked", "dangling.md"));
+        fs.symlinkSync(path.join(root, "linked"), path.join(root, "linked", "loop"));
+
+        result = check(["-d", dictionaries, "linked"], root);
+
+        assert.strictEqual(result.code, 0);
+        assert.match(result.stderr, /in 0 of 1 file\./);
+    });
+
+    it("writes JSON reports", function () {
+        var result = check(["-d", dictionaries, "-f", "json", "docs/bad.md"], root);
+
+        assert.strictEqual(result.code, 1);
+        assert.doesNotThrow(function () {
+            JSON.parse(result.stdout);
+        });
+        assert.match(result.stdout, /"wrold"/);
+    });
+
+    it("exits with 2 on errors", function () {
+        assert.strictEqual(check(["-d", dictionaries, "--no-such-option", "docs/bad.md"], root).code, 2);
+        assert.strictEqual(check(["-d", dictionaries, "docs/missing.md"], root).code, 2);
+        assert.strictEqual(check(["-d", dictionaries, "-l", "xx_XX", "docs/bad.md"], root).code, 2);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness");
+
+var describe = test.describe,
+    it = test.it;
+
+var Glob = harness.createEnvironment().require("src/core/Glob");
+
+describe("Glob", function () {
+    it("matches \"*\" within a directory and \"**\" across directories", function () {
+        assert.strictEqual(Glob.compile("docs/*.md").test("docs/intro.md"), true);
+        assert.strictEqual(Glob.compile("docs/*.md").test("docs/guide/intro.md"), false);
+        assert.strictEqual(Glob.compile("docs/**/*.md").test("docs/guide/intro.md"), true);
+        assert.strictEqual(Glob.compile("docs/**/*.md").test("docs/intro.md"), true);
+    });
+
+    it("matches \"?\" and alternatives", function () {
+        assert.strictEqual(Glob.compile("v?.txt").test("v1.txt"), true);
+        assert.strictEqual(Glob.compile("*.{md,txt}").test("notes.txt"), true);
+        assert.strictEqual(Glob.compile("*.{md,txt}").test("notes.js"), false);
+    });
+
+    it("recognizes glob syntax", function () {
+        assert.strictEqual(Glob.isGlob("src/**/*.js"), true);
+        assert.strictEqual(Glob.isGlob("readme.md"), false);
+    });
+
+    it("treats other characters literally", function () {
+        assert.strictEqual(Glob.compile("a+b.txt").test("a+b.txt"), true);
+        assert.strictEqual(Glob.compile("a+b.txt").test("aab.txt"), false);
+    });
+
+    describe("filters", function () {
+        var filter = Glob.compileFilter(["docs/**", "*.md", "!CHANGELOG.md"]);
+
+        it("select paths matching any pattern", function () {
+            assert.strictEqual(Glob.matchesFilter(filter, "docs/api/index.html"), true);
+            assert.strictEqual(Glob.matchesFilter(filter, "src/readme.md"), true);
+            assert.strictEqual(Glob.matchesFilter(filter, "src/main.js"), false);
+        });
+
+        it("leave out paths matching a \"!\" pattern", function () {
+            assert.strictEqual(Glob.matchesFilter(filter, "CHANGELOG.md"), false);
+            assert.strictEqual(Glob.matchesFilter(filter, "docs/CHANGELOG.md"), false);
+        });
+
+        it("select every path without include patterns", function () {
+            assert.strictEqual(Glob.matchesFilter(Glob.compileFilter(["!*.min.js"]), "src/main.js"), true);
+            assert.strictEqual(Glob.matchesFilter(Glob.compileFilter(["!*.min.js"]), "lib/jquery.min.js"), false);
+        });
+    });
+});
\ No newline at end of file
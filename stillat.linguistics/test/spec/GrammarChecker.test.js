@@ -0,0 +1,130 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness");
+
+var describe = test.describe,
+    it = test.it;
+
+var GrammarChecker = harness.createEnvironment().require("src/grammar/GrammarChecker");
+
+/**
+ * Gets the problems a rule finds in some text.
+ *
+ * @param   {string} text The text.
+ * @param   {string} rule The rule's name.
+ * @returns {Array}  A list of [problem text, replacement] pairs.
+ */
+function find(text, rule) {
+    return GrammarChecker.check(text).filter(function (issue) {
+        return issue.rule === rule;
+    }).map(function (issue) {
+        return [text.substring(issue.start, issue.end), issue.replacement];
+    });
+}
+
+describe("GrammarChecker", function () {
+    describe("repeated words", function () {
+        it("finds a repeated word", function () {
+            assert.deepStrictEqual(find("Read the the manual.", GrammarChecker.RULE_REPEATED_WORD), [[" the", ""]]);
+        });
+
+        it("allows words that are commonly repeated", function () {
+            assert.deepStrictEqual(find("He had had enough, and that that was it.", GrammarChecker.RULE_REPEATED_WORD), []);
+        });
+    });
+
+    describe("indefinite articles", function () {
+        it("finds \"a\" in front of a vowel sound and \"an\" in front of a consonant sound", function () {
+            assert.deepStrictEqual(find("It is a apple and an banana.", GrammarChecker.RULE_INDEFINITE_ARTICLE), [["a", "an"], ["an", "a"]]);
+        });
+
+        it("keeps the capitalization of the article", function () {
+            assert.deepStrictEqual(find("An unicorn. A hour.", GrammarChecker.RULE_INDEFINITE_ARTICLE), [["An", "A"], ["A", "An"]]);
+        });
+
+        it("knows the words whose first letter is not pronounced the usual way", function () {
+            assert.deepStrictEqual(find("a unicorn, a uniform, a union, a unique one, a unit, a universe, a user, " +
+                "a usual day, a utility, a one-time fee, a European, an hour, an honest man", GrammarChecker.RULE_INDEFINITE_ARTICLE), []);
+        });
+
+        it("does not take every word starting with \"uni\" or \"one\" for a consonant sound", function () {
+            assert.deepStrictEqual(find("an uninstaller, an unimportant detail, an onerous task", GrammarChecker.RULE_INDEFINITE_ARTICLE), []);
+            assert.deepStrictEqual(find("a uninstaller", GrammarChecker.RULE_INDEFINITE_ARTICLE), [["a", "an"]]);
+        });
+
+        it("skips acronyms", function () {
+            assert.deepStrictEqual(find("a URL and an FAQ", GrammarChecker.RULE_INDEFINITE_ARTICLE), []);
+        });
+    });
+
+    describe("sentence capitalization", function () {
+        it("finds sentences that start with a lowercase letter", function () {
+            assert.deepStrictEqual(find("It works. then it stops!  why", GrammarChecker.RULE_SENTENCE_CAPITALIZATION), [["then", "Then"], ["why", "Why"]]);
+        });
+
+        it("skips abbreviations", function () {
+            assert.deepStrictEqual(find("Some fruit, e.g. apples, etc. and more.", GrammarChecker.RULE_SENTENCE_CAPITALIZATION), []);
+        });
+    });
+
+    describe("confusables", function () {
+        it("finds commonly confused words and phrases", function () {
+            assert.deepStrictEqual(find("I could of known. It's alot better then that.", GrammarChecker.RULE_CONFUSABLE),
+                [["of", "have"], ["alot", "a lot"], ["then", "than"]]);
+            assert.deepStrictEqual(find("The dog wagged it's own tail. Your welcome!", GrammarChecker.RULE_CONFUSABLE),
+                [["it's", "its"], ["Your", "You're"]]);
+            assert.deepStrictEqual(find("We are suppose to go, but I could care less.", GrammarChecker.RULE_CONFUSABLE),
+                [["suppose", "supposed"], ["could care less", "couldn't care less"]]);
+            assert.deepStrictEqual(find("They are one in the same, for all intensive purposes.", GrammarChecker.RULE_CONFUSABLE),
+                [["one in the same", "one and the same"], ["for all intensive purposes", "for all intents and purposes"]]);
+        });
+
+        it("only finds \"your welcome\" at the end of a sentence or clause", function () {
+            assert.deepStrictEqual(find("Open your welcome package.", GrammarChecker.RULE_CONFUSABLE), []);
+            assert.deepStrictEqual(find("Thanks, your welcome", GrammarChecker.RULE_CONFUSABLE), [["your", "you're"]]);
+            assert.deepStrictEqual(find("Oh, your welcome, really.", GrammarChecker.RULE_CONFUSABLE), [["your", "you're"]]);
+        });
+    });
+
+    describe("multiple spaces", function () {
+        it("finds more than one space between words", function () {
+            assert.deepStrictEqual(find("Two  spaces and one space.", GrammarChecker.RULE_MULTIPLE_SPACES), [["  ", " "]]);
+        });
+
+        it("leaves indentation alone", function () {
+            assert.deepStrictEqual(find("    Indented text.", GrammarChecker.RULE_MULTIPLE_SPACES), []);
+        });
+    });
+
+    it("orders the problems by their position", function () {
+        assert.deepStrictEqual(GrammarChecker.check("the the  a apple").map(function (issue) {
+            return issue.rule;
+        }), [GrammarChecker.RULE_REPEATED_WORD, GrammarChecker.RULE_MULTIPLE_SPACES, GrammarChecker.RULE_INDEFINITE_ARTICLE]);
+    });
+});
\ No newline at end of file
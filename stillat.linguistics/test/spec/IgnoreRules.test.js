@@ -0,0 +1,157 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness");
+
+var describe = test.describe,
+    it = test.it,
+    beforeEach = test.beforeEach;
+
+var IgnoreRules = harness.createEnvironment().require("src/core/IgnoreRules");
+
+describe("IgnoreRules", function () {
+    var rules;
+
+    beforeEach(function () {
+        rules = new IgnoreRules.IgnoreRules();
+    });
+
+    describe("parseUtility", function () {
+        it("parses ignore files", function () {
+            assert.deepStrictEqual(IgnoreRules.parseUtility("{\"ignore\": [\"foo\"]}"), { ignore: ["foo"] });
+        });
+
+        it("rejects files that are not ignore files", function () {
+            assert.strictEqual(IgnoreRules.parseUtility("{\"ignore\": "), null);
+            assert.strictEqual(IgnoreRules.parseUtility("[\"foo\"]"), null);
+            assert.strictEqual(IgnoreRules.parseUtility("null"), null);
+        });
+    });
+
+    it("always ignores the words of files without conditions", function () {
+        rules.addUtility({ ignore: ["lorem", "ipsum"] });
+
+        assert.strictEqual(rules.shouldIgnore("lorem", ""), true);
+        assert.strictEqual(rules.shouldIgnore("ipsum", " "), true);
+        assert.strictEqual(rules.shouldIgnore("dolor", ""), false);
+    });
+
+    describe("ignoreAfter", function () {
+        beforeEach(function () {
+            rules.addUtility({ ignore: ["username"], ignoreAfter: "@" });
+        });
+
+        it("ignores words directly after the string", function () {
+            assert.strictEqual(rules.shouldIgnore("username", "@"), true);
+        });
+
+        it("compares the whole run of separators before the word", function () {
+            assert.strictEqual(rules.shouldIgnore("username", " @"), false);
+            assert.strictEqual(rules.shouldIgnore("username", " "), false);
+            assert.strictEqual(rules.shouldIgnore("username", ""), false);
+        });
+
+        it("only ignores the listed words", function () {
+            assert.strictEqual(rules.shouldIgnore("hostname", "@"), false);
+        });
+    });
+
+    describe("ignoreMode", function () {
+        beforeEach(function () {
+            rules.addUtility({ ignore: ["href"], ignoreMode: ["html"] });
+            rules.addUtility({ ignore: ["lorem"], ignoreMode: ["Mode.all"] });
+        });
+
+        it("ignores words in the listed modes", function () {
+            rules.setModeName("html");
+
+            assert.strictEqual(rules.shouldIgnore("href", " "), true);
+        });
+
+        it("does not ignore words in other modes", function () {
+            rules.setModeName("markdown");
+
+            assert.strictEqual(rules.shouldIgnore("href", " "), false);
+        });
+
+        it("ignores words in every mode for \"Mode.all\"", function () {
+            rules.setModeName("markdown");
+
+            assert.strictEqual(rules.shouldIgnore("lorem", " "), true);
+        });
+
+        it("needs a word separator before the word", function () {
+            rules.setModeName("html");
+
+            assert.strictEqual(rules.shouldIgnore("href", ""), false);
+            assert.strictEqual(rules.shouldIgnore("href", null), false);
+        });
+
+        it("skips files that must be loaded manually", function () {
+            rules.addUtility({ ignore: ["manual"], ignoreMode: ["Mode.all"], mustBeManuallyLoaded: true });
+
+            assert.strictEqual(rules.shouldIgnore("manual", " "), false);
+        });
+    });
+
+    describe("ignoreWhenDocumentContains", function () {
+        beforeEach(function () {
+            rules.addUtility({ ignore: ["echo"], ignoreMode: ["Mode.all"], ignoreWhenDocumentContains: ["<?php"] });
+        });
+
+        it("counts the strings in the document", function () {
+            rules.setDocumentContents("<?php echo 1; ?> <?php echo 2; ?>");
+
+            assert.strictEqual(rules._documentContainsCounts["<?php"], 2);
+            assert.strictEqual(rules.shouldIgnore("echo", " "), true);
+        });
+
+        it("keeps the counts up to date as the document is edited", function () {
+            rules.setDocumentContents("<?php echo 1; ?>");
+            rules.updateDocumentContents("<?php echo 1; ?>", "echo 1; ?>");
+
+            assert.strictEqual(rules._documentContainsCounts["<?php"], 0);
+
+            rules.updateDocumentContents("", "<?php");
+
+            assert.strictEqual(rules._documentContainsCounts["<?php"], 1);
+        });
+
+        it("forgets the counts when there is no document", function () {
+            rules.setDocumentContents("<?php");
+            rules.setDocumentContents(null);
+
+            assert.strictEqual(rules.hasDocumentContents(), false);
+
+            rules.updateDocumentContents("", "<?php");
+
+            assert.strictEqual(rules.hasDocumentContents(), false);
+        });
+    });
+});
\ No newline at end of file
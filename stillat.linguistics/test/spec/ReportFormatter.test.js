@@ -0,0 +1,156 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness");
+
+var describe = test.describe,
+    it = test.it;
+
+var ReportFormatter = harness.createEnvironment().require("src/utils/ReportFormatter");
+
+/**
+ * Creates a report with a file inside the project root that has a comma and
+ * quotes in its name, and a file outside of it with a space and a "#".
+ *
+ * @returns {object}
+ */
+function createReport() {
+    return {
+        locale: "en_US",
+        root: "/project/",
+        files: [{
+            fullPath: "/project/docs/a, \"b\".md",
+            misspellings: [{ line: 0, ch: 4, endCh: 7, word: "teh", suggestions: ["the", "ten"] }]
+        }, {
+            fullPath: "/other/my notes#1.txt",
+            misspellings: [{ line: 2, ch: 0, endCh: 5, word: "wrold" }]
+        }]
+    };
+}
+
+describe("ReportFormatter", function () {
+    it("writes one-based positions and project-relative paths as JSON", function () {
+        var results = JSON.parse(ReportFormatter.format(createReport(), ReportFormatter.FORMAT_JSON));
+
+        assert.strictEqual(results.locale, "en_US");
+        assert.deepStrictEqual(results.misspellings[0], {
+            file: "docs/a, \"b\".md",
+            line: 1,
+            column: 5,
+            endColumn: 8,
+            word: "teh",
+            locale: "en_US",
+            suggestions: ["the", "ten"]
+        });
+        assert.strictEqual(results.misspellings[1].file, "/other/my notes#1.txt");
+        assert.deepStrictEqual(results.misspellings[1].suggestions, []);
+    });
+
+    describe("CSV", function () {
+        it("quotes fields with commas and quotes, and doubles the quotes", function () {
+            assert.strictEqual(ReportFormatter.format(createReport(), ReportFormatter.FORMAT_CSV), [
+                "file,line,column,word,locale,suggestions",
+                "\"docs/a, \"\"b\"\".md\",1,5,teh,en_US,the ten",
+                "/other/my notes#1.txt,3,1,wrold,en_US,",
+                ""
+            ].join("\r\n"));
+        });
+
+        it("quotes fields with line breaks or surrounding whitespace", function () {
+            var report = createReport();
+
+            report.files = [{ fullPath: " line\nbreak.txt", misspellings: [{ line: 0, ch: 0, endCh: 3, word: "teh" }] }];
+
+            assert.strictEqual(ReportFormatter.format(report, ReportFormatter.FORMAT_CSV).split("\r\n")[1], "\" line\nbreak.txt\",1,1,teh,en_US,");
+        });
+    });
+
+    describe("Checkstyle", function () {
+        it("escapes quotes in attributes", function () {
+            var xml = ReportFormatter.format(createReport(), ReportFormatter.FORMAT_CHECKSTYLE);
+
+            assert.ok(xml.indexOf("<file name=\"docs/a, &quot;b&quot;.md\">") > -1);
+            assert.ok(xml.indexOf("<error line=\"1\" column=\"5\" severity=\"warning\" message=\"&quot;teh&quot; may be misspelled (en_US); suggestions: the, ten\" source=\"linguistics.spelling\"/>") > -1);
+            assert.ok(xml.indexOf("message=\"&quot;wrold&quot; may be misspelled (en_US)\"") > -1);
+        });
+
+        it("escapes markup and line breaks in attributes", function () {
+            var report = createReport();
+
+            report.files = [{ fullPath: "/project/<a> & b\r\n.txt", misspellings: [] }];
+
+            assert.ok(ReportFormatter.format(report, ReportFormatter.FORMAT_CHECKSTYLE).indexOf("<file name=\"&lt;a&gt; &amp; b&#13;&#10;.txt\">") > -1);
+        });
+    });
+
+    describe("SARIF", function () {
+        it("writes files inside the root relative to the PROJECTROOT base", function () {
+            var run = JSON.parse(ReportFormatter.format(createReport(), ReportFormatter.FORMAT_SARIF)).runs[0],
+                location = run.results[0].locations[0].physicalLocation;
+
+            assert.deepStrictEqual(run.originalUriBaseIds, { PROJECTROOT: { uri: "file:///project/" } });
+            assert.deepStrictEqual(location.artifactLocation, { uri: "docs/a%2C%20%22b%22.md", uriBaseId: "PROJECTROOT" });
+            assert.deepStrictEqual(location.region, { startLine: 1, startColumn: 5, endColumn: 8, snippet: { text: "teh" } });
+            assert.strictEqual(run.language, "en-US");
+        });
+
+        it("writes files outside of the root as file URIs", function () {
+            var run = JSON.parse(ReportFormatter.format(createReport(), ReportFormatter.FORMAT_SARIF)).runs[0];
+
+            assert.deepStrictEqual(run.results[1].locations[0].physicalLocation.artifactLocation, { uri: "file:///other/my%20notes%231.txt" });
+        });
+
+        it("keeps the drive letter of Windows paths and leaves out the base without a root", function () {
+            var report = createReport(),
+                run;
+
+            report.root = null;
+            report.files = [{ fullPath: "C:/Users/me/a b.md", misspellings: [{ line: 0, ch: 0, endCh: 3, word: "teh" }] }];
+            run = JSON.parse(ReportFormatter.format(report, ReportFormatter.FORMAT_SARIF)).runs[0];
+
+            assert.strictEqual(run.originalUriBaseIds, undefined);
+            assert.deepStrictEqual(run.results[0].locations[0].physicalLocation.artifactLocation, { uri: "file:///C:/Users/me/a%20b.md" });
+        });
+
+        it("offers every suggestion as a fix", function () {
+            var result = JSON.parse(ReportFormatter.format(createReport(), ReportFormatter.FORMAT_SARIF)).runs[0].results[0];
+
+            assert.deepStrictEqual(result.fixes.map(function (fix) {
+                return fix.artifactChanges[0].replacements[0].insertedContent.text;
+            }), ["the", "ten"]);
+            assert.deepStrictEqual(result.fixes[0].artifactChanges[0].replacements[0].deletedRegion, { startLine: 1, startColumn: 5, endColumn: 8 });
+        });
+    });
+
+    it("knows the extension of every format and nothing about other formats", function () {
+        assert.strictEqual(ReportFormatter.getExtension(ReportFormatter.FORMAT_CHECKSTYLE), "xml");
+        assert.strictEqual(ReportFormatter.getExtension(ReportFormatter.FORMAT_SARIF), "sarif");
+        assert.strictEqual(ReportFormatter.format(createReport(), "html"), null);
+    });
+});
\ No newline at end of file
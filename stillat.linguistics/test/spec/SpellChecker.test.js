@@ -0,0 +1,343 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+/**
+ * Drives the spell checker overlay the way CodeMirror does, with the utility
+ * ignore files and word lists loaded from a stubbed file system.
+ */
+"use strict";
+
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness"),
+    CodeMirror = require("../support/CodeMirror"),
+    modes = require("../support/modes");
+
+var describe = test.describe,
+    it = test.it,
+    before = test.before,
+    afterEach = test.afterEach;
+
+var files = {};
+
+files[harness.DICTIONARY_DIRECTORY + "user-profiles/user-words.txt"] = "Stillat\n";
+files[harness.DICTIONARY_DIRECTORY + "generic-utilities/mentions.json"] = JSON.stringify({ ignore: ["username"], ignoreAfter: "@" });
+files[harness.DICTIONARY_DIRECTORY + "generic-utilities/javascript.json"] = JSON.stringify({ ignore: ["btn"], ignoreMode: ["javascript"] });
+files[harness.DICTIONARY_DIRECTORY + "generic-utilities/placeholders.json"] = JSON.stringify({ ignore: ["lorem", "ipsum"] });
+files[harness.DICTIONARY_DIRECTORY + "user-profiles/correction-history.json"] = JSON.stringify({ teh: { the: 3 }, recieve: { receive: 1 } });
+files[harness.PROJECT_ROOT + ".linguistics/words.txt"] = "# Team words\n\nBrackety\n";
+
+var env = harness.createEnvironment({ files: files }),
+    SpellChecker = env.require("src/spelling/SpellChecker"),
+    WordListManager = env.require("src/spelling/WordListManager");
+
+/**
+ * Gets the words the overlay flags in some text.
+ *
+ * @param   {object} overlay The overlay.
+ * @param   {string} text    The text.
+ * @returns {Array}
+ */
+function flagged(overlay, text) {
+    return CodeMirror.runOverlay(overlay, text).map(function (token) {
+        return token.text;
+    });
+}
+
+describe("SpellChecker before a dictionary has loaded", function () {
+    it("does not flag anything", function () {
+        assert.deepStrictEqual(flagged(SpellChecker.getOverlay(modes.text, SpellChecker.SCOPE_EVERYTHING), "Ths is wrnog"), []);
+        assert.deepStrictEqual(flagged(SpellChecker.getOverlay(modes.code, SpellChecker.SCOPE_COMMENTS), "// wrnog"), []);
+    });
+
+    it("keeps the corrections picked before the history was read", function () {
+        SpellChecker.acceptSuggestion("recieve", "receive");
+        SpellChecker.acceptSuggestion("wierd", "weird");
+
+        assert.strictEqual(env.fileSystem.files[harness.DICTIONARY_DIRECTORY + "user-profiles/correction-history.json"],
+            JSON.stringify({ teh: { the: 3 }, recieve: { receive: 1 } }));
+    });
+});
+
+describe("SpellChecker", function () {
+    before(function () {
+        env.ready();
+    });
+
+    afterEach(function () {
+        SpellChecker.shouldIgnoreUppercaseWords(true);
+        SpellChecker.setGlobalIgnoreList([]);
+        SpellChecker.setModeName("Mode.all");
+    });
+
+    describe("overlay", function () {
+        it("flags misspelled words with the error style", function () {
+            var tokens = CodeMirror.runOverlay(SpellChecker.getOverlay(modes.text, SpellChecker.SCOPE_EVERYTHING), "Ths is a tset.\n\nAll good.");
+
+            assert.deepStrictEqual(tokens, [
+                { line: 0, ch: 0, text: "Ths", style: "alice-error-visualization alice-spelling-visualization" },
+                { line: 0, ch: 9, text: "tset", style: "alice-error-visualization alice-spelling-visualization" }
+            ]);
+        });
+
+        it("checks the word between quotes", function () {
+            assert.deepStrictEqual(flagged(SpellChecker.getOverlay(), "He said 'helo' and 'hello', not \"wrold\"."), ["'helo'", "wrold"]);
+        });
+
+        it("checks the parts of camel-cased words", function () {
+            assert.deepStrictEqual(flagged(SpellChecker.getOverlay(), "myVariable myVarable"), ["myVarable"]);
+        });
+
+        it("ignores uppercase words unless told otherwise", function () {
+            var overlay = SpellChecker.getOverlay();
+
+            assert.deepStrictEqual(flagged(overlay, "NASAX's rocket"), []);
+
+            SpellChecker.shouldIgnoreUppercaseWords(false);
+
+            assert.deepStrictEqual(flagged(overlay, "NASAX's rocket"), ["NASAX's"]);
+        });
+
+        it("accepts words from the global ignore list", function () {
+            SpellChecker.setGlobalIgnoreList(["wrnog"]);
+
+            assert.deepStrictEqual(flagged(SpellChecker.getOverlay(), "wrnog Wrnog wrnong"), ["wrnong"]);
+        });
+
+        it("only checks comments in the comments scope", function () {
+            var overlay = SpellChecker.getOverlay(modes.code, SpellChecker.SCOPE_COMMENTS);
+
+            assert.deepStrictEqual(flagged(overlay, "var wrold = \"helo\"; // a commnet\n/* sevral\nlines lnog */ wrold"), ["commnet", "sevral", "lnog"]);
+        });
+
+        it("also checks strings in the comments and strings scope", function () {
+            var overlay = SpellChecker.getOverlay(modes.code, SpellChecker.SCOPE_COMMENTS_AND_STRINGS);
+
+            assert.deepStrictEqual(flagged(overlay, "var wrold = \"helo\"; // a commnet"), ["helo", "commnet"]);
+        });
+    });
+
+    describe("tokenizers", function () {
+        it("splits lines with the tokenizer for the mode", function () {
+            var overlay = SpellChecker.getOverlay(modes.html, SpellChecker.SCOPE_EVERYTHING);
+
+            assert.deepStrictEqual(flagged(overlay, "<p title=\"Nice pictre\" clss=\"x\">Helo <!-- a\ncomnt --> wrold</p>"), ["pictre", "Helo", "wrold"]);
+            assert.deepStrictEqual(SpellChecker.findMisspellings("<a hrf=\"x\">\nlnik</a>", modes.html, SpellChecker.SCOPE_EVERYTHING), [
+                { line: 1, ch: 0, endCh: 4, word: "lnik" }
+            ]);
+        });
+
+        it("uses the tokenizers other extensions register", function () {
+            var Tokenizers = env.require("src/core/Tokenizers");
+
+            Tokenizers.registerTokenizer("text", {
+                tokenizeLine: function (line) {
+                    return [{ word: line.split(" ")[0], ch: 0, endCh: line.split(" ")[0].length, beforeContext: "" }];
+                }
+            });
+
+            try {
+                assert.deepStrictEqual(flagged(SpellChecker.getOverlay(modes.text, SpellChecker.SCOPE_EVERYTHING), "wrnog wrnog\ntset"), ["wrnog", "tset"]);
+            } finally {
+                Tokenizers.unregisterTokenizer("text");
+            }
+        });
+    });
+
+    describe("ignore files", function () {
+        it("ignores words after a string with \"ignoreAfter\"", function () {
+            assert.deepStrictEqual(flagged(SpellChecker.getOverlay(), "@username\nping @username"), ["username"]);
+        });
+
+        it("ignores words in a mode with \"ignoreMode\"", function () {
+            var overlay = SpellChecker.getOverlay();
+
+            assert.deepStrictEqual(flagged(overlay, "a btn"), ["btn"]);
+
+            SpellChecker.setModeName("javascript");
+
+            assert.deepStrictEqual(flagged(overlay, "a btn"), []);
+        });
+
+        it("always ignores the words of files without conditions", function () {
+            assert.deepStrictEqual(flagged(SpellChecker.getOverlay(), "lorem ipsum dolr"), ["dolr"]);
+        });
+
+        it("apply to single words checked with isCorrectWord", function () {
+            assert.strictEqual(SpellChecker.isCorrectWord("lorem"), true);
+            assert.strictEqual(SpellChecker.hasCorrectSpelling("lorem"), false);
+            assert.strictEqual(SpellChecker.isCorrectWord("dolr"), false);
+            assert.deepStrictEqual(SpellChecker.findMisspellings("lorem", null, SpellChecker.SCOPE_EVERYTHING), []);
+        });
+
+        it("uses the mode of the text for findMisspellings", function () {
+            assert.deepStrictEqual(SpellChecker.findMisspellings("// a btn\n// a bton", modes.code, SpellChecker.SCOPE_COMMENTS), [
+                { line: 1, ch: 5, endCh: 9, word: "bton" }
+            ]);
+        });
+    });
+
+    describe("word lists", function () {
+        it("accepts words from the personal and project word lists", function () {
+            assert.deepStrictEqual(flagged(SpellChecker.getOverlay(), "Stillat and Brackety and Bracketz"), ["Bracketz"]);
+        });
+
+        it("accepts words ignored in the document only in that document", function () {
+            WordListManager.ignoreWordInDocument("zorp", harness.PROJECT_ROOT + "notes.txt");
+
+            assert.deepStrictEqual(flagged(SpellChecker.getOverlay(null, undefined, harness.PROJECT_ROOT + "notes.txt"), "zorp"), []);
+            assert.deepStrictEqual(flagged(SpellChecker.getOverlay(null, undefined, harness.PROJECT_ROOT + "other.txt"), "zorp"), ["zorp"]);
+        });
+
+        it("adds words to the end of the project word list file and keeps the rest of it", function () {
+            var fileName = harness.PROJECT_ROOT + ".linguistics/words.txt";
+
+            WordListManager.addProjectWord("Zorblax");
+
+            assert.strictEqual(files[fileName], "# Team words\n\nBrackety\nZorblax\n");
+
+            // A teammate's word that has not been reloaded yet is kept.
+            files[fileName] += "Quuxly";
+            WordListManager.addProjectWord("Flibber");
+
+            assert.strictEqual(files[fileName], "# Team words\n\nBrackety\nZorblax\nQuuxly\nFlibber\n");
+        });
+    });
+
+    describe("locales", function () {
+        it("dispatches localeChanged only when the locale changes", function () {
+            var changes = [];
+
+            function handler(e, localeName) {
+                changes.push(localeName);
+            }
+
+            SpellChecker.on("localeChanged", handler);
+            SpellChecker.setLocaleName("en_US");
+            SpellChecker.setLocaleName("en_US");
+            SpellChecker.off("localeChanged", handler);
+
+            assert.deepStrictEqual(changes, ["en_US"]);
+            assert.strictEqual(SpellChecker.getLocaleName(), "en_US");
+        });
+
+        it("checks words with another locale without mixing up the results", function () {
+            // There is no fr_FR dictionary in the tests, so nothing is spelled correctly.
+            assert.strictEqual(SpellChecker.hasCorrectSpelling("color", "fr_FR"), false);
+            assert.strictEqual(SpellChecker.hasCorrectSpelling("color"), true);
+            assert.strictEqual(SpellChecker.hasCorrectSpelling("color", "en_US"), true);
+            assert.deepStrictEqual(SpellChecker.findMisspellings("color", null, SpellChecker.SCOPE_EVERYTHING, undefined, "fr_FR").map(function (misspelling) {
+                return misspelling.word;
+            }), ["color"]);
+            assert.deepStrictEqual(SpellChecker.findMisspellings("color", null, SpellChecker.SCOPE_EVERYTHING), []);
+        });
+    });
+
+    describe("word cache", function () {
+        it("does not cache the guesses made while the worker is busy", function () {
+            var DictionaryManager = env.require("src/spelling/DictionaryManager"),
+                check = DictionaryManager.check,
+                queuedCheckCount = 0;
+
+            // Pretend the worker has not checked "qwzx" yet.
+            DictionaryManager.check = function (word, localeName) {
+                if (word === "qwzx") {
+                    queuedCheckCount++;
+                    return true;
+                }
+
+                return check(word, localeName);
+            };
+            DictionaryManager.getQueuedCheckCount = function () {
+                return queuedCheckCount;
+            };
+
+            try {
+                assert.strictEqual(SpellChecker.hasCorrectSpelling("qwzx"), true);
+            } finally {
+                DictionaryManager.check = check;
+            }
+
+            assert.strictEqual(SpellChecker.hasCorrectSpelling("qwzx"), false);
+        });
+
+        it("remembers the words the overlay has guessed for", function () {
+            var DictionaryManager = env.require("src/spelling/DictionaryManager"),
+                check = DictionaryManager.check,
+                getQueuedCheckCount = DictionaryManager.getQueuedCheckCount,
+                queuedCheckCount = 0,
+                overlay = SpellChecker.getOverlay(modes.text, SpellChecker.SCOPE_EVERYTHING);
+
+            DictionaryManager.check = function (word, localeName) {
+                if (word === "zxqw") {
+                    queuedCheckCount++;
+                    return true;
+                }
+
+                return check(word, localeName);
+            };
+            DictionaryManager.getQueuedCheckCount = function () {
+                return queuedCheckCount;
+            };
+
+            try {
+                assert.deepStrictEqual(flagged(overlay, "The zxqw and wrnog words"), ["wrnog"]);
+            } finally {
+                DictionaryManager.check = check;
+                DictionaryManager.getQueuedCheckCount = getQueuedCheckCount;
+            }
+
+            assert.deepStrictEqual(Object.keys(overlay.pendingWords), ["zxqw"]);
+        });
+    });
+
+    describe("picked suggestions", function () {
+        it("adds the corrections picked before the history was read to the loaded ones", function () {
+            var history = JSON.parse(env.fileSystem.files[harness.DICTIONARY_DIRECTORY + "user-profiles/correction-history.json"]);
+
+            assert.deepStrictEqual(history, { teh: { the: 3 }, recieve: { receive: 2 }, wierd: { weird: 1 } });
+            assert.strictEqual(env.require("src/spelling/CorrectionHistory").getPickCount("receive"), 2);
+        });
+
+        it("ranks the words picked for any misspelling higher", function () {
+            var CorrectionHistory = env.require("src/spelling/CorrectionHistory"),
+                SuggestionRanker = env.require("src/spelling/SuggestionRanker"),
+                candidates = [{ word: "bat", category: 2 }, { word: "bet", category: 2 }];
+
+            assert.deepStrictEqual(SuggestionRanker.rank("bxt", candidates, "en_US"), ["bat", "bet"]);
+
+            SpellChecker.acceptSuggestion("btt", "bet");
+            SpellChecker.acceptSuggestion("Bte", "Bet");
+
+            assert.strictEqual(CorrectionHistory.getPickCount("bet"), 2);
+            assert.deepStrictEqual(SuggestionRanker.rank("bxt", candidates, "en_US"), ["bet", "bat"]);
+
+            CorrectionHistory.removeMisspelling("btt");
+            CorrectionHistory.removeMisspelling("Bte");
+
+            assert.strictEqual(CorrectionHistory.getPickCount("bet"), 0);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,114 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness");
+
+var describe = test.describe,
+    it = test.it;
+
+var Strings = harness.createEnvironment().require("src/utils/Strings");
+
+describe("Strings", function () {
+    describe("isCamelCase", function () {
+        it("detects lower and upper camel case", function () {
+            assert.strictEqual(Strings.isCamelCase("myVariable"), true);
+            assert.strictEqual(Strings.isCamelCase("CamelCase"), true);
+            assert.strictEqual(Strings.isCamelCase("getHTTPResponse"), true);
+        });
+
+        it("does not consider words without an inner capital camel case", function () {
+            assert.strictEqual(Strings.isCamelCase("lower"), false);
+            assert.strictEqual(Strings.isCamelCase("a"), false);
+        });
+
+        it("considers acronyms camel case", function () {
+            assert.strictEqual(Strings.isCamelCase("ABC"), true);
+        });
+    });
+
+    describe("splitByUpperCase", function () {
+        it("splits before every capital", function () {
+            assert.deepStrictEqual(Strings.splitByUpperCase("myVariableName"), ["my", "Variable", "Name"]);
+            assert.deepStrictEqual(Strings.splitByUpperCase("getHTTP"), ["get", "H", "T", "T", "P"]);
+            assert.deepStrictEqual(Strings.splitByUpperCase("lower"), ["lower"]);
+        });
+    });
+
+    describe("trimChar", function () {
+        it("trims every repetition of the character from both ends", function () {
+            assert.strictEqual(Strings.trimChar("'quoted'", "'"), "quoted");
+            assert.strictEqual(Strings.trimChar("''twice''", "'"), "twice");
+            assert.strictEqual(Strings.trimChar("'it's'", "'"), "it's");
+        });
+
+        it("trims spaces by default", function () {
+            assert.strictEqual(Strings.trimChar("  padded  "), "padded");
+        });
+
+        it("treats regular expression characters literally", function () {
+            assert.strictEqual(Strings.trimChar("a.b.", "."), "a.b");
+            assert.strictEqual(Strings.trimChar("**bold**", "*"), "bold");
+        });
+    });
+
+    describe("endsWith and startsWith", function () {
+        it("compare the ends of a string", function () {
+            assert.strictEqual(Strings.endsWith("NASA's", "'s"), true);
+            assert.strictEqual(Strings.endsWith("s", "'s"), false);
+            assert.strictEqual(Strings.startsWith("'quoted", "'"), true);
+            assert.strictEqual(Strings.startsWith("quoted'", "'"), false);
+        });
+    });
+
+    describe("occurrences", function () {
+        it("counts occurrences, optionally overlapping", function () {
+            assert.strictEqual(Strings.occurrences("aaaa", "aa", false), 2);
+            assert.strictEqual(Strings.occurrences("aaaa", "aa", true), 3);
+            assert.strictEqual(Strings.occurrences("<?php echo; ?>", "<?php", false), 1);
+        });
+    });
+
+    describe("isWordSeparator", function () {
+        it("knows punctuation and spaces", function () {
+            assert.strictEqual(Strings.isWordSeparator(" "), true);
+            assert.strictEqual(Strings.isWordSeparator("-"), true);
+            assert.strictEqual(Strings.isWordSeparator("_"), true);
+            assert.strictEqual(Strings.isWordSeparator("'"), false);
+            assert.strictEqual(Strings.isWordSeparator("a"), false);
+        });
+    });
+
+    describe("matchCase", function () {
+        it("capitalizes a replacement like the word it replaces", function () {
+            assert.strictEqual(Strings.matchCase("TEH", "the"), "THE");
+            assert.strictEqual(Strings.matchCase("Teh", "the"), "The");
+            assert.strictEqual(Strings.matchCase("teh", "the"), "the");
+        });
+    });
+});
\ No newline at end of file
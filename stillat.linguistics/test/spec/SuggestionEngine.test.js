@@ -0,0 +1,118 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness");
+
+var describe = test.describe,
+    it = test.it;
+
+var scripts = harness.loadWorkerScripts(),
+    SuggestionEngine = scripts.SuggestionEngine;
+
+var AFFIX = [
+    "SET UTF-8",
+    "TRY esianrtolcdugmphbyfvkwz",
+    "REP 2",
+    "REP f ph",
+    "REP ^alot$ a_lot",
+    "MAP 1",
+    "MAP eé",
+    "PHONE 3",
+    "PHONE PH F",
+    "PHONE OA O",
+    "PHONE E$ _"
+].join("\n");
+
+var WORDS = [
+    "6",
+    "a",
+    "café",
+    "graph",
+    "lot",
+    "phone",
+    "telephone"
+].join("\n");
+
+var tables = SuggestionEngine.parseAffix(AFFIX),
+    engine = new SuggestionEngine(new scripts.Typo("xx_XX", AFFIX, WORDS), tables);
+
+// The engine runs in its own context, so its arrays and objects are copied
+// before they are compared.
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function getCategory(word, suggestion) {
+    var candidates = engine.getCandidates(word, 10).filter(function (candidate) {
+        return candidate.word === suggestion;
+    });
+
+    return (candidates.length > 0) ? candidates[0].category : null;
+}
+
+describe("SuggestionEngine", function () {
+    it("reads the TRY, REP, MAP and PHONE tables and skips the count lines", function () {
+        assert.strictEqual(tables.tryCharacters, "esianrtolcdugmphbyfvkwz");
+        assert.strictEqual(tables.replacements.length, 2);
+        assert.strictEqual(tables.replacements[1].replacement, "a lot");
+        assert.deepStrictEqual(copy(tables.map), [["e", "é"]]);
+        assert.deepStrictEqual(copy(tables.phone.map(function (rule) {
+            return [rule.letters, rule.end, rule.replacement];
+        })), [["PH", false, "F"], ["OA", false, "O"], ["E", true, ""]]);
+    });
+
+    it("reads the members of a MAP entry in parentheses", function () {
+        assert.deepStrictEqual(copy(SuggestionEngine.parseAffix("MAP 1\nMAP (ss)ß").map), [["ss", "ß"]]);
+    });
+
+    it("suggests the words from the REP table first", function () {
+        assert.deepStrictEqual(copy(engine.getCandidates("fone")[0]), { word: "phone", category: SuggestionEngine.CATEGORY_REPLACEMENT });
+        assert.strictEqual(getCategory("graf", "graph"), SuggestionEngine.CATEGORY_REPLACEMENT);
+    });
+
+    it("suggests the words of a REP replacement with spaces when every word is known", function () {
+        assert.strictEqual(getCategory("alot", "a lot"), SuggestionEngine.CATEGORY_REPLACEMENT);
+    });
+
+    it("suggests the variants from the MAP table", function () {
+        assert.deepStrictEqual(copy(engine.getCandidates("cafe")[0]), { word: "café", category: SuggestionEngine.CATEGORY_MAP });
+    });
+
+    it("gets the same phonetic code for words that sound alike", function () {
+        assert.strictEqual(SuggestionEngine.getPhoneticCode(tables, "telephone"), "TELEFON");
+        assert.strictEqual(SuggestionEngine.getPhoneticCode(tables, "telefoan"), "TELEFON");
+    });
+
+    it("suggests the words that sound like a misspelling too far away for the edits", function () {
+        assert.strictEqual(getCategory("telefoan", "telephone"), SuggestionEngine.CATEGORY_PHONETIC);
+    });
+
+    it("suggests nothing for correctly spelled words", function () {
+        assert.deepStrictEqual(copy(engine.suggest("phone")), []);
+    });
+});
\ No newline at end of file
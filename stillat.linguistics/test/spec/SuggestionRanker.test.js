@@ -0,0 +1,116 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness");
+
+var describe = test.describe,
+    it = test.it,
+    afterEach = test.afterEach;
+
+var env = harness.createEnvironment(),
+    SuggestionRanker = env.require("src/spelling/SuggestionRanker"),
+    CorrectionHistory = env.require("src/spelling/CorrectionHistory");
+
+/**
+ * Creates worker candidates from the same category.
+ *
+ * @param   {Array} words The candidate words, in the worker's order.
+ * @returns {Array}
+ */
+function candidates(words) {
+    return words.map(function (word) {
+        return { word: word, category: 1 };
+    });
+}
+
+describe("SuggestionRanker", function () {
+    afterEach(function () {
+        SuggestionRanker.setKeyboardLayout(SuggestionRanker.LAYOUT_QWERTY);
+        SuggestionRanker.setMaximumSuggestions(SuggestionRanker.DEFAULT_MAXIMUM_SUGGESTIONS);
+        SuggestionRanker.removeFrequencyList("en_US");
+    });
+
+    describe("keyboard layouts", function () {
+        it("ranks a word one neighbouring key away first", function () {
+            assert.deepStrictEqual(SuggestionRanker.rank("cst", candidates(["cut", "cat"]), "en_US"), ["cat", "cut"]);
+        });
+
+        it("uses the neighbouring keys of the configured layout", function () {
+            SuggestionRanker.setKeyboardLayout(SuggestionRanker.LAYOUT_AZERTY);
+
+            assert.deepStrictEqual(SuggestionRanker.rank("cst", candidates(["cut", "cat"]), "en_US"), ["cut", "cat"]);
+        });
+    });
+
+    describe("word frequencies", function () {
+        it("ranks the more frequent word first at the same distance", function () {
+            SuggestionRanker.setFrequencyList("en_US", "# Most frequent first\nthe\nbet\n\nbat\n");
+
+            assert.deepStrictEqual(SuggestionRanker.rank("bxt", candidates(["bat", "bet"]), "en_US"), ["bet", "bat"]);
+            assert.deepStrictEqual(SuggestionRanker.rank("bxt", candidates(["bat", "bet"]), "de_DE"), ["bat", "bet"]);
+        });
+    });
+
+    describe("picked suggestions", function () {
+        it("ranks a word picked before first", function () {
+            CorrectionHistory.recordCorrection("btt", "bet");
+
+            try {
+                assert.deepStrictEqual(SuggestionRanker.rank("bxt", candidates(["bat", "bet"]), "en_US"), ["bet", "bat"]);
+            } finally {
+                CorrectionHistory.removeMisspelling("btt");
+            }
+        });
+    });
+
+    describe("maximum suggestions", function () {
+        it("returns at most the configured number of suggestions", function () {
+            var words = candidates(["bat", "bet", "bit", "bot", "but", "byt"]);
+
+            assert.strictEqual(SuggestionRanker.rank("bxt", words, "en_US").length, SuggestionRanker.DEFAULT_MAXIMUM_SUGGESTIONS);
+
+            SuggestionRanker.setMaximumSuggestions(2);
+            assert.deepStrictEqual(SuggestionRanker.rank("bxt", words, "en_US"), ["bat", "bet"]);
+
+            SuggestionRanker.setMaximumSuggestions(0);
+            assert.strictEqual(SuggestionRanker.rank("bxt", words, "en_US").length, SuggestionRanker.DEFAULT_MAXIMUM_SUGGESTIONS);
+        });
+    });
+
+    describe("case", function () {
+        it("capitalizes the suggestions like the misspelling", function () {
+            assert.deepStrictEqual(SuggestionRanker.rank("Cst", candidates(["cut", "cat"]), "en_US"), ["Cat", "Cut"]);
+            assert.deepStrictEqual(SuggestionRanker.rank("CST", candidates(["cat"]), "en_US"), ["CAT"]);
+        });
+
+        it("drops suggestions that only differ in case", function () {
+            assert.deepStrictEqual(SuggestionRanker.rank("Teh", candidates(["the", "The"]), "en_US"), ["The"]);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,206 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness");
+
+var describe = test.describe,
+    it = test.it,
+    afterEach = test.afterEach;
+
+var env = harness.createEnvironment(),
+    Tokenizers = env.require("src/core/Tokenizers"),
+    MarkdownTokenizer = env.require("src/core/tokenizers/MarkdownTokenizer");
+
+/**
+ * Gets the words a mode's tokenizer picks out of some text.
+ *
+ * @param   {string} text     The text.
+ * @param   {string} modeName The CodeMirror mode name.
+ * @returns {Array}
+ */
+function words(text, modeName) {
+    return Tokenizers.tokenize(text, modeName).map(function (token) {
+        return token.word;
+    });
+}
+
+describe("Tokenizers", function () {
+    afterEach(function () {
+        Tokenizers.setModeTokenizers({});
+    });
+
+    describe("separators", function () {
+        it("is used for modes without a tokenizer", function () {
+            assert.deepStrictEqual(Tokenizers.tokenize("a-b  c", "javascript"), [
+                { line: 0, word: "a", ch: 0, endCh: 1, beforeContext: "" },
+                { line: 0, word: "b", ch: 2, endCh: 3, beforeContext: "-" },
+                { line: 0, word: "c", ch: 5, endCh: 6, beforeContext: "  " }
+            ]);
+        });
+    });
+
+    describe("text", function () {
+        it("skips web and email addresses", function () {
+            assert.deepStrictEqual(words("See https://exmple.com/a-b, www.exmple.org or mail me@exmple.com.", "text"), ["See", "or", "mail"]);
+        });
+    });
+
+    describe("html", function () {
+        it("skips tags and character references", function () {
+            assert.deepStrictEqual(words("Helo <b class=\"bld\">wrold</b> &amp; frends", "htmlmixed"), ["Helo", "wrold", "frends"]);
+        });
+
+        it("only checks the attributes that hold text", function () {
+            assert.deepStrictEqual(words("<img src=\"pic.png\" alt=\"A pictre\" data-x=\"nope\">", "htmlmixed"), ["A", "pictre"]);
+        });
+
+        it("skips comments, scripts and styles across lines", function () {
+            assert.deepStrictEqual(words("<!-- a\ncomnt --> one <script>\nvar x;\n</script> two", "htmlmixed"), ["one", "two"]);
+        });
+    });
+
+    describe("markdown", function () {
+        it("skips inline tags and autolinks", function () {
+            assert.deepStrictEqual(words("# Title <https://exmple.com> and <em>this</em>", "gfm"), ["Title", "and", "this"]);
+        });
+
+        it("does not let a stray \"<\" run past its paragraph", function () {
+            assert.deepStrictEqual(words("x <y\n\nnext", "markdown"), ["x", "next"]);
+        });
+
+        it("skips code spans, link destinations and reference definitions", function () {
+            assert.deepStrictEqual(words("Call `fooo()` or ``a ` b`` via [the lnk](https://exmple.com \"Titl\") and ![an imge](pic.png).", "markdown"), [
+                "Call", "or", "via", "the", "lnk", "and", "an", "imge"
+            ]);
+            assert.deepStrictEqual(words("See [the docs][refid].\n[refid]: https://exmple.com \"Titl\"", "markdown"), ["See", "the", "docs"]);
+        });
+
+        it("skips the keys of front matter", function () {
+            assert.deepStrictEqual(words("---\ntitel: My Post\n- itme: one\n---\nText", "markdown"), ["My", "Post", "one", "Text"]);
+            assert.deepStrictEqual(words("Text\n---\ntitel: My Post", "markdown"), ["Text", "titel", "My", "Post"]);
+        });
+
+        it("skips fenced code blocks", function () {
+            assert.deepStrictEqual(words("```js\nvar fooo; // cmnt\n```\n~~~~\nbar\n```\nbaz\n~~~~\nText", "markdown"), ["Text"]);
+        });
+
+        it("does not close a fence with a line that has an info string", function () {
+            assert.deepStrictEqual(words("```\n```js\nqwzxn\n```\nText", "markdown"), ["Text"]);
+        });
+
+        it("checks the comments in fenced code blocks when told to", function () {
+            MarkdownTokenizer.setCheckCodeComments(true);
+
+            try {
+                assert.deepStrictEqual(words([
+                    "```js",
+                    "var url = \"http://a\"; // a cmnt",
+                    "/* a blok",
+                    "cmnt */ var fooo;",
+                    "```",
+                    "```python",
+                    "fooo()  # hash cmnt",
+                    "```",
+                    "```",
+                    "// no language",
+                    "```"
+                ].join("\n"), "gfm"), ["a", "cmnt", "a", "blok", "cmnt", "hash", "cmnt"]);
+            } finally {
+                MarkdownTokenizer.setCheckCodeComments(false);
+            }
+        });
+    });
+
+    describe("latex", function () {
+        it("skips commands, math and references", function () {
+            assert.deepStrictEqual(words("Some $x+y$ maths, \\textbf{bold} and \\ref{fig:one}.", "stex"), ["Some", "maths", "bold", "and"]);
+        });
+
+        it("skips verbatim environments", function () {
+            assert.deepStrictEqual(words("\\begin{verbatim}\nskipd\n\\end{verbatim}\nback", "stex"), ["back"]);
+        });
+    });
+
+    describe("registry", function () {
+        var firstWord = {
+            tokenizeLine: function (line) {
+                return [{ word: line.split(" ")[0], ch: 0, endCh: line.split(" ")[0].length, beforeContext: "" }];
+            }
+        };
+
+        it("prefers the tokenizer the user picked over a registered one", function () {
+            Tokenizers.registerTokenizer(["yaml", "toml"], firstWord);
+
+            assert.strictEqual(Tokenizers.getTokenizer("yaml"), firstWord);
+            assert.strictEqual(Tokenizers.getTokenizer("toml"), firstWord);
+            assert.strictEqual(Tokenizers.setModeTokenizers({ yaml: "text" }), true);
+            assert.strictEqual(Tokenizers.setModeTokenizers({ yaml: "text" }), false);
+            assert.strictEqual(Tokenizers.getTokenizer("yaml"), Tokenizers.getBuiltInTokenizer("text"));
+
+            Tokenizers.unregisterTokenizer(["yaml", "toml"]);
+
+            assert.strictEqual(Tokenizers.getTokenizer("toml"), Tokenizers.getBuiltInTokenizer("separators"));
+        });
+
+        it("leaves out tokenizers that do not exist", function () {
+            var error = console.error;
+
+            console.error = function () {};
+
+            try {
+                Tokenizers.setModeTokenizers({ yaml: "nope" });
+                Tokenizers.registerTokenizer("yaml", {});
+            } finally {
+                console.error = error;
+            }
+
+            assert.strictEqual(Tokenizers.getTokenizer("yaml"), Tokenizers.getBuiltInTokenizer("separators"));
+        });
+    });
+
+    describe("LineStates", function () {
+        it("remembers the state at the start of each line until a line changes", function () {
+            var lines = ["<!-- a", "b -->", "c"],
+                tokenizer = Tokenizers.getTokenizer("htmlmixed"),
+                lineStates = new Tokenizers.LineStates(tokenizer),
+                getLine = function (line) {
+                    return lines[line];
+                };
+
+            assert.deepStrictEqual(tokenizer.tokenizeLine(lines[2], lineStates.getState(getLine, 2)).map(function (token) {
+                return token.word;
+            }), ["c"]);
+
+            lines[1] = "b";
+            lineStates.invalidate(1);
+
+            assert.deepStrictEqual(tokenizer.tokenizeLine(lines[2], lineStates.getState(getLine, 2)), []);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,132 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var assert = require("assert"),
+    test = require("node:test"),
+    harness = require("../support/harness");
+
+var describe = test.describe,
+    it = test.it,
+    beforeEach = test.beforeEach;
+
+var WordChecker = harness.createEnvironment().require("src/core/WordChecker").WordChecker;
+
+describe("WordChecker", function () {
+    var checker,
+        checkedWords;
+
+    beforeEach(function () {
+        checkedWords = [];
+        checker = new WordChecker(function (word) {
+            checkedWords.push(word);
+            return harness.getTypo().check(word);
+        });
+    });
+
+    it("checks words with the dictionary", function () {
+        assert.strictEqual(checker.hasCorrectSpelling("hello"), true);
+        assert.strictEqual(checker.hasCorrectSpelling("helo"), false);
+        assert.deepStrictEqual(checkedWords, ["hello", "helo"]);
+    });
+
+    it("accepts numbers and common programming terms without the dictionary", function () {
+        assert.strictEqual(checker.hasCorrectSpelling("3.14"), true);
+        assert.strictEqual(checker.hasCorrectSpelling("42nd"), true);
+        assert.strictEqual(checker.hasCorrectSpelling("foreach"), true);
+        assert.deepStrictEqual(checkedWords, []);
+    });
+
+    it("accepts words from the global ignore list in any case", function () {
+        checker.setGlobalIgnoreList(["stillat"]);
+
+        assert.strictEqual(checker.hasCorrectSpelling("stillat"), true);
+        assert.strictEqual(checker.hasCorrectSpelling("Stillat"), true);
+        assert.strictEqual(checker.hasCorrectSpelling("Stilat"), false);
+    });
+
+    describe("quotes", function () {
+        it("checks the word between single quotes", function () {
+            assert.strictEqual(checker.hasCorrectSpelling("'hello'"), true);
+            assert.strictEqual(checker.hasCorrectSpelling("'helo'"), false);
+        });
+
+        it("checks the word between double quotes", function () {
+            assert.strictEqual(checker.hasCorrectSpelling("\"hello\""), true);
+            assert.strictEqual(checker.hasCorrectSpelling("\"helo\""), false);
+        });
+
+        it("checks words with a quote on one side", function () {
+            assert.strictEqual(checker.hasCorrectSpelling("'hello"), true);
+            assert.strictEqual(checker.hasCorrectSpelling("hello'"), true);
+            assert.strictEqual(checker.hasCorrectSpelling("'helo"), false);
+        });
+
+        it("checks the parts of quoted camel-cased words", function () {
+            assert.strictEqual(checker.hasCorrectSpelling("'myVariable'"), true);
+            assert.strictEqual(checker.hasCorrectSpelling("'myVarable'"), false);
+        });
+
+        it("leaves contractions to the dictionary", function () {
+            assert.strictEqual(checker.hasCorrectSpelling("don't"), true);
+            assert.strictEqual(checker.hasCorrectSpelling("dont"), false);
+        });
+    });
+
+    describe("camel case", function () {
+        it("checks every part of a camel-cased word", function () {
+            assert.strictEqual(checker.hasCorrectSpelling("myVariable"), true);
+            assert.strictEqual(checker.hasCorrectSpelling("myVarable"), false);
+            assert.deepStrictEqual(checkedWords, ["my", "Variable", "my", "Varable"]);
+        });
+
+        it("stops at the first misspelled part", function () {
+            assert.strictEqual(checker.hasCorrectSpelling("teshNumber"), false);
+            assert.deepStrictEqual(checkedWords, ["tesh"]);
+        });
+    });
+
+    describe("uppercase", function () {
+        it("ignores acronyms and their plurals by default", function () {
+            assert.strictEqual(checker.hasCorrectSpelling("NASAX"), true);
+            assert.strictEqual(checker.hasCorrectSpelling("NASAX's"), true);
+            assert.deepStrictEqual(checkedWords, []);
+        });
+
+        it("checks plural possessives of capitalized words without the quote", function () {
+            assert.strictEqual(checker.hasCorrectSpelling("Joneses'"), true);
+            assert.strictEqual(checker.hasCorrectSpelling("Jonesez'"), false);
+            assert.deepStrictEqual(checkedWords, ["Joneses", "Jonesez"]);
+        });
+
+        it("checks acronyms when uppercase words are not ignored", function () {
+            checker.setIgnoreUppercase(false);
+
+            assert.strictEqual(checker.hasCorrectSpelling("NASAX's"), false);
+            assert.deepStrictEqual(checkedWords, ["NASAX's"]);
+        });
+    });
+});
\ No newline at end of file
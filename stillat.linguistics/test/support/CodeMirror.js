@@ -0,0 +1,321 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+/**
+ * A stand-in for the parts of CodeMirror the spell checker uses: `StringStream`
+ * (with the same semantics as CodeMirror 5's), `startState` and `copyState`.
+ * It also has a `runOverlay` helper that tokenizes text the way CodeMirror
+ * renders a document, so overlays can be tested without an editor. Like in
+ * CodeMirror, overlays get no state of their own and find out about the
+ * line and the base mode's tokens through `stream.lineOracle`.
+ */
+"use strict";
+
+/**
+ * @constructor
+ *
+ * @param {string}     string     The line's text.
+ * @param {number}     tabSize    The tab size.
+ * @param {LineOracle} lineOracle What the stream knows about the line. Optional.
+ */
+function StringStream(string, tabSize, lineOracle) {
+    this.pos = this.start = 0;
+    this.string = string;
+    this.tabSize = tabSize || 8;
+    this.lineOracle = lineOracle;
+}
+
+StringStream.prototype.eol = function () {
+    return this.pos >= this.string.length;
+};
+
+StringStream.prototype.sol = function () {
+    return this.pos === 0;
+};
+
+StringStream.prototype.peek = function () {
+    return this.string.charAt(this.pos) || undefined;
+};
+
+StringStream.prototype.next = function () {
+    if (this.pos < this.string.length) {
+        return this.string.charAt(this.pos++);
+    }
+};
+
+StringStream.prototype.eat = function (match) {
+    var character = this.string.charAt(this.pos),
+        ok;
+
+    if (typeof match === "string") {
+        ok = (character === match);
+    } else {
+        ok = character && (match.test ? match.test(character) : match(character));
+    }
+
+    if (ok) {
+        ++this.pos;
+        return character;
+    }
+};
+
+StringStream.prototype.eatWhile = function (match) {
+    var start = this.pos;
+
+    while (this.eat(match)) {
+        // Keep eating.
+    }
+
+    return this.pos > start;
+};
+
+StringStream.prototype.eatSpace = function () {
+    return this.eatWhile(/[\s ]/);
+};
+
+StringStream.prototype.skipToEnd = function () {
+    this.pos = this.string.length;
+};
+
+StringStream.prototype.skipTo = function (character) {
+    var found = this.string.indexOf(character, this.pos);
+
+    if (found > -1) {
+        this.pos = found;
+        return true;
+    }
+};
+
+StringStream.prototype.backUp = function (n) {
+    this.pos -= n;
+};
+
+StringStream.prototype.match = function (pattern, consume, caseInsensitive) {
+    var substring,
+        match;
+
+    if (typeof pattern === "string") {
+        substring = this.string.substr(this.pos, pattern.length);
+
+        if (caseInsensitive ? substring.toLowerCase() === pattern.toLowerCase() : substring === pattern) {
+            if (consume !== false) {
+                this.pos += pattern.length;
+            }
+
+            return true;
+        }
+
+        return;
+    }
+
+    match = this.string.slice(this.pos).match(pattern);
+
+    if (match && match.index > 0) {
+        return null;
+    }
+
+    if (match && consume !== false) {
+        this.pos += match[0].length;
+    }
+
+    return match;
+};
+
+StringStream.prototype.current = function () {
+    return this.string.slice(this.start, this.pos);
+};
+
+StringStream.prototype.baseToken = function () {
+    return this.lineOracle && this.lineOracle.baseToken(this.pos);
+};
+
+/**
+ * A document: the lines of a text, and change listeners that are never called.
+ *
+ * @constructor
+ *
+ * @param {Array} lines The lines.
+ */
+function Doc(lines) {
+    this.lines = lines;
+    this.listeners = {};
+}
+
+Doc.prototype.getLine = function (line) {
+    return this.lines[line];
+};
+
+Doc.prototype.on = function (type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+};
+
+/**
+ * What CodeMirror tells the streams it hands to modes about the line they are on.
+ *
+ * @constructor
+ *
+ * @param {Doc}    doc        The document.
+ * @param {number} line       The line number.
+ * @param {?Array} baseTokens The base mode's tokens for the line, as [generation, end, style, end, style, ...].
+ */
+function LineOracle(doc, line, baseTokens) {
+    this.doc = doc;
+    this.line = line;
+    this.baseTokens = baseTokens;
+    this.baseTokenPos = 1;
+}
+
+LineOracle.prototype.baseToken = function (n) {
+    var type;
+
+    if (!this.baseTokens) {
+        return null;
+    }
+
+    while (this.baseTokens[this.baseTokenPos] <= n) {
+        this.baseTokenPos += 2;
+    }
+
+    type = this.baseTokens[this.baseTokenPos + 1];
+
+    return {
+        type: type && type.replace(/( |^)overlay .*/, ""),
+        size: this.baseTokens[this.baseTokenPos] - n
+    };
+};
+
+/**
+ * Gets the start state of a mode.
+ *
+ * @param   {object} mode The mode.
+ * @returns {*}
+ */
+function startState(mode) {
+    return mode.startState ? mode.startState() : true;
+}
+
+/**
+ * Copies the state of a mode.
+ *
+ * @param   {object} mode  The mode.
+ * @param   {*}      state The state.
+ * @returns {*}
+ */
+function copyState(mode, state) {
+    var copy,
+        key;
+
+    if (state === true) {
+        return state;
+    }
+
+    if (mode.copyState) {
+        return mode.copyState(state);
+    }
+
+    copy = {};
+
+    for (key in state) {
+        if (state.hasOwnProperty(key)) {
+            copy[key] = Array.isArray(state[key]) ? state[key].concat([]) : state[key];
+        }
+    }
+
+    return copy;
+}
+
+/**
+ * Runs a mode over a line, the way CodeMirror does before it runs the overlays.
+ *
+ * @param   {object} mode  The mode.
+ * @param   {*}      state The mode's state. This is advanced past the line.
+ * @param   {string} line  The line's text.
+ * @returns {Array}  The tokens, as [generation, end, style, end, style, ...].
+ */
+function runMode(mode, state, line) {
+    var stream = new StringStream(line, 4),
+        tokens = [1];
+
+    if (line.length === 0 && mode.blankLine) {
+        mode.blankLine(state);
+    }
+
+    while (!stream.eol()) {
+        tokens.push(0, mode.token(stream, state));
+        tokens[tokens.length - 2] = stream.pos;
+        stream.start = stream.pos;
+    }
+
+    return tokens;
+}
+
+/**
+ * Runs an overlay over some text the way CodeMirror does when it renders it:
+ * the overlay's `baseMode` (when it has one) is the editor's mode.
+ *
+ * @param   {object} overlay The overlay.
+ * @param   {string} text    The text.
+ * @returns {Array}  The styled tokens: a list of { line, ch, text, style } objects.
+ */
+function runOverlay(overlay, text) {
+    var lines = text.split("\n"),
+        doc = new Doc(lines),
+        baseState = overlay.baseMode ? startState(overlay.baseMode) : null,
+        tokens = [];
+
+    lines.forEach(function (line, lineNumber) {
+        var baseTokens = overlay.baseMode ? runMode(overlay.baseMode, baseState, line) : null,
+            stream = new StringStream(line, 4, new LineOracle(doc, lineNumber, baseTokens)),
+            style;
+
+        if (line.length === 0) {
+            if (overlay.blankLine) {
+                overlay.blankLine(true);
+            }
+            return;
+        }
+
+        while (!stream.eol()) {
+            style = overlay.token(stream, true);
+
+            if (stream.pos === stream.start) {
+                throw new Error("The overlay did not advance the stream at " + lineNumber + ":" + stream.pos);
+            }
+
+            if (style) {
+                tokens.push({ line: lineNumber, ch: stream.start, text: stream.current(), style: style });
+            }
+
+            stream.start = stream.pos;
+        }
+    });
+
+    return tokens;
+}
+
+exports.StringStream = StringStream;
+exports.startState = startState;
+exports.copyState = copyState;
+exports.runOverlay = runOverlay;
\ No newline at end of file
@@ -0,0 +1,366 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+/**
+ * Runs the extension's modules outside of Brackets for the tests.
+ *
+ * `brackets.getModule` is stubbed with just enough of Brackets for the spelling
+ * modules: an in-memory file system, a project, view state, `AppInit` and
+ * `EventDispatcher`, and a stand-in for CodeMirror (see "CodeMirror.js").
+ * The DictionaryManager runs Typo in a Web Worker, so it is replaced with one
+ * that checks words with the bundled "data/en_US" dictionary directly, through
+ * the same DictionaryLookup the real one uses.
+ *
+ * Every test file runs in its own process, and should create one environment:
+ *
+ *     var env = harness.createEnvironment({ files: { "/project/notes.txt": "..." } });
+ *     var SpellChecker = env.require("src/spelling/SpellChecker");
+ *     env.ready();
+ */
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    AMDLoader = require("../../cli/AMDLoader").AMDLoader,
+    WorkerScripts = require("../../cli/WorkerScripts"),
+    CodeMirror = require("./CodeMirror");
+
+/**
+ * The extension root directory.
+ *
+ * @const
+ * @type {string}
+ */
+var ROOT = path.join(__dirname, "..", "..");
+
+/**
+ * Brackets' application support directory.
+ *
+ * @const
+ * @type {string}
+ */
+var SUPPORT_DIRECTORY = "/support";
+
+/**
+ * The Linguistics dictionary extension directory, for placing files in the file system.
+ *
+ * @const
+ * @type {string}
+ */
+var DICTIONARY_DIRECTORY = SUPPORT_DIRECTORY + "/extensions/user/stillat.linguistics-dictionary/";
+
+/**
+ * The default project root.
+ *
+ * @const
+ * @type {string}
+ */
+var PROJECT_ROOT = "/project/";
+
+/**
+ * The bundled en_US dictionary, built once per process.
+ *
+ * @type {?Typo}
+ */
+var _typo = null;
+
+/**
+ * Gets the bundled en_US dictionary.
+ *
+ * @returns {Typo}
+ */
+function getTypo() {
+    var Typo;
+
+    if (_typo === null) {
+        Typo = WorkerScripts.loadWorkerScripts().Typo;
+        _typo = new Typo("en_US",
+            fs.readFileSync(path.join(ROOT, "data/en_US.aff"), "utf8"),
+            fs.readFileSync(path.join(ROOT, "data/en_US.dic"), "utf8"));
+    }
+
+    return _typo;
+}
+
+/**
+ * Adds `on`, `off`, `one` and `trigger` to an object, like Brackets' EventDispatcher.
+ *
+ * @param   {object} target The object.
+ * @returns {object} The object.
+ */
+function makeEventDispatcher(target) {
+    var handlers = Object.create(null);
+
+    target.on = function (eventName, handler) {
+        (handlers[eventName] = handlers[eventName] || []).push(handler);
+        return target;
+    };
+
+    target.off = function (eventName, handler) {
+        if (handlers[eventName]) {
+            handlers[eventName] = handlers[eventName].filter(function (existing) {
+                return existing !== handler;
+            });
+        }
+        return target;
+    };
+
+    target.one = function (eventName, handler) {
+        return target.on(eventName, function once() {
+            target.off(eventName, once);
+            handler.apply(null, arguments);
+        });
+    };
+
+    target.trigger = function (eventName) {
+        var args = [{ type: eventName, target: target }].concat(Array.prototype.slice.call(arguments, 1));
+
+        (handlers[eventName] || []).slice().forEach(function (handler) {
+            handler.apply(null, args);
+        });
+    };
+
+    return target;
+}
+
+/**
+ * Creates an in-memory stand-in for Brackets' FileSystem. Callbacks are called
+ * synchronously, which keeps the tests simple.
+ *
+ * @param   {object} files The file contents, keyed by full path.
+ * @returns {object}
+ */
+function createFileSystem(files) {
+    var fileSystem = makeEventDispatcher({ files: files });
+
+    function getFileForPath(fullPath) {
+        return {
+            fullPath: fullPath,
+            name: fullPath.substring(fullPath.lastIndexOf("/") + 1),
+            isFile: true,
+            isDirectory: false,
+            _isFile: true,
+            read: function (options, callback) {
+                if (typeof files[fullPath] === "string") {
+                    callback(null, files[fullPath], {});
+                } else {
+                    callback("NotFound");
+                }
+            },
+            write: function (data, options, callback) {
+                files[fullPath] = data;
+                (callback || options)(null);
+            },
+            exists: function (callback) {
+                callback(null, typeof files[fullPath] === "string");
+            }
+        };
+    }
+
+    function getDirectoryForPath(fullPath) {
+        var directoryPath = fullPath.charAt(fullPath.length - 1) === "/" ? fullPath : fullPath + "/";
+
+        return {
+            fullPath: directoryPath,
+            isFile: false,
+            isDirectory: true,
+            create: function (callback) {
+                callback(null);
+            },
+            getContents: function (callback) {
+                var contents = Object.keys(files).filter(function (filePath) {
+                    return filePath.indexOf(directoryPath) === 0 && filePath.indexOf("/", directoryPath.length) === -1;
+                }).map(getFileForPath);
+
+                callback(null, contents, [], {});
+            }
+        };
+    }
+
+    fileSystem.getFileForPath = getFileForPath;
+    fileSystem.getDirectoryForPath = getDirectoryForPath;
+
+    return fileSystem;
+}
+
+/**
+ * Creates a DictionaryManager that checks words with the bundled en_US dictionary.
+ *
+ * @param   {AMDLoader} loader The loader, for the DictionaryLookup and WordListManager.
+ * @returns {object}
+ */
+function createDictionaryManager(loader) {
+    var DictionaryLookup = loader.require("src/core/DictionaryLookup").DictionaryLookup,
+        WordListManager = loader.require("src/spelling/WordListManager"),
+        lookup = new DictionaryLookup({
+            hasWord: WordListManager.hasWord,
+            getProfileItems: function () {
+                return null;
+            },
+            hasDictionary: function (localeName) {
+                return localeName === "en_US";
+            },
+            checkWithDictionary: function (localeName, word) {
+                return getTypo().check(word);
+            },
+            loadDictionary: function () {}
+        });
+
+    return makeEventDispatcher({
+        check: function (word, localeName) {
+            return lookup.check(word, localeName || "en_US");
+        },
+        suggest: function () {
+            throw new Error("Suggestions are not available in the tests");
+        },
+        hasDictionariesLoaded: function () {
+            return true;
+        },
+        hasPendingChecks: function () {
+            return false;
+        },
+        getQueuedCheckCount: function () {
+            return 0;
+        },
+        getCacheStats: function () {
+            return {};
+        },
+        getDefaultLocale: function () {
+            return "en_US";
+        },
+        setDefaultLocale: function () {},
+        loadDictionary: function () {}
+    });
+}
+
+/**
+ * Creates a Brackets-free environment for the extension's modules.
+ *
+ * @param   {{files: object, projectRoot: ?string}} options
+ *          The initial contents of the file system, keyed by full path, and the
+ *          project root (defaults to "/project/", null for no project).
+ * @returns {object}
+ */
+function createEnvironment(options) {
+    var appReadyCallbacks = [],
+        viewState = Object.create(null),
+        projectRoot = (options && typeof options.projectRoot !== "undefined") ? options.projectRoot : PROJECT_ROOT,
+        fileSystem = createFileSystem((options && options.files) || {}),
+        loader = new AMDLoader(ROOT),
+        stubs,
+        env;
+
+    stubs = {
+        "thirdparty/CodeMirror/lib/codemirror": CodeMirror,
+        "filesystem/FileSystem": fileSystem,
+        "utils/AppInit": {
+            appReady: function (callback) {
+                appReadyCallbacks.push(callback);
+            },
+            htmlReady: function (callback) {
+                callback();
+            }
+        },
+        "utils/EventDispatcher": {
+            makeEventDispatcher: makeEventDispatcher
+        },
+        "file/FileUtils": {
+            getDirectoryPath: function (fullPath) {
+                return fullPath.substring(0, fullPath.lastIndexOf("/") + 1);
+            },
+            getBaseName: function (fullPath) {
+                return fullPath.substring(fullPath.lastIndexOf("/") + 1);
+            },
+            getFileExtension: function (fullPath) {
+                var name = fullPath.substring(fullPath.lastIndexOf("/") + 1);
+                return name.lastIndexOf(".") > 0 ? name.substring(name.lastIndexOf(".") + 1) : "";
+            }
+        },
+        "project/ProjectManager": makeEventDispatcher({
+            getProjectRoot: function () {
+                return projectRoot === null ? null : { fullPath: projectRoot };
+            }
+        }),
+        "preferences/PreferencesManager": {
+            getViewState: function (key) {
+                return viewState[key];
+            },
+            setViewState: function (key, value) {
+                viewState[key] = value;
+            }
+        },
+        "editor/EditorManager": makeEventDispatcher({
+            getActiveEditor: function () {
+                return null;
+            }
+        }),
+        "view/MainViewManager": makeEventDispatcher({})
+    };
+
+    global.brackets = {
+        app: {
+            getApplicationSupportDirectory: function () {
+                return SUPPORT_DIRECTORY;
+            }
+        },
+        getModule: function (id) {
+            if (!stubs.hasOwnProperty(id)) {
+                throw new Error("The test harness has no stand-in for \"" + id + "\"");
+            }
+
+            return stubs[id];
+        }
+    };
+
+    env = {
+        fileSystem: fileSystem,
+        loader: loader,
+        require: function (id) {
+            return loader.require(id);
+        },
+        /**
+         * Runs the "appReady" callbacks (which load the word lists and ignore
+         * files) and lets the spell checker know the dictionary has loaded.
+         */
+        ready: function () {
+            appReadyCallbacks.splice(0).forEach(function (callback) {
+                callback();
+            });
+
+            loader.require("src/spelling/DictionaryManager").trigger("dictionaryLoaded", "en_US");
+        }
+    };
+
+    loader.define("src/spelling/DictionaryManager", createDictionaryManager(loader));
+
+    return env;
+}
+
+exports.DICTIONARY_DIRECTORY = DICTIONARY_DIRECTORY;
+exports.PROJECT_ROOT = PROJECT_ROOT;
+exports.getTypo = getTypo;
+exports.loadWorkerScripts = WorkerScripts.loadWorkerScripts;
+exports.makeEventDispatcher = makeEventDispatcher;
+exports.createEnvironment = createEnvironment;
\ No newline at end of file
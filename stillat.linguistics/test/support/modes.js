@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) 2016 - Johnathon Koster. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, node: true, indent: 4, maxerr: 50 */
+
+/**
+ * Small CodeMirror modes for the tests.
+ */
+"use strict";
+
+/**
+ * Plain text: a single unstyled token per line.
+ *
+ * @const
+ * @type {object}
+ */
+var text = {
+    name: "text",
+    token: function (stream) {
+        stream.skipToEnd();
+        return null;
+    }
+};
+
+/**
+ * A C-like language with "//" and "/* ... *\/" comments and double quoted strings,
+ * styled the way CodeMirror's JavaScript mode styles them.
+ *
+ * @const
+ * @type {object}
+ */
+var code = {
+    name: "javascript",
+    startState: function () {
+        return { inBlockComment: false };
+    },
+    token: function (stream, state) {
+        if (state.inBlockComment) {
+            if (stream.skipTo("*/")) {
+                stream.pos += 2;
+                state.inBlockComment = false;
+            } else {
+                stream.skipToEnd();
+            }
+            return "comment";
+        }
+
+        if (stream.match("//")) {
+            stream.skipToEnd();
+            return "comment";
+        }
+
+        if (stream.match("/*")) {
+            state.inBlockComment = true;
+            return "comment";
+        }
+
+        if (stream.eat("\"")) {
+            while (!stream.eol() && stream.next() !== "\"") {
+                // Read to the closing quote.
+            }
+            return "string";
+        }
+
+        if (stream.eatWhile(/\w/)) {
+            return "variable";
+        }
+
+        stream.next();
+        return null;
+    }
+};
+
+/**
+ * HTML, without any styles: the tokenizer for "htmlmixed" does the work.
+ *
+ * @const
+ * @type {object}
+ */
+var html = {
+    name: "htmlmixed",
+    token: text.token
+};
+
+exports.text = text;
+exports.code = code;
+exports.html = html;
\ No newline at end of file